@@ -0,0 +1,85 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+
+/**
+ * Alerts Endpoint
+ * GET /api/alerts - History of fired alerts, newest first
+ *
+ * Query params:
+ *   - rule_id: Filter by alert rule
+ *   - keyword_id: Filter by keyword
+ *   - delivered: 'true' or 'false'
+ *   - from / to: Date range
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      rule_id,
+      keyword_id,
+      delivered,
+      from,
+      to,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const project = await resolveProject(req);
+
+    let query = supabase
+      .from('alert_events')
+      .select(`
+        *,
+        alert_rules (
+          id,
+          name,
+          rule_type
+        ),
+        keywords!inner (
+          id,
+          project_id,
+          keyword_text,
+          country,
+          cluster
+        )
+      `)
+      .eq('keywords.project_id', project.id)
+      .order('fired_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (rule_id) query = query.eq('rule_id', rule_id);
+    if (keyword_id) query = query.eq('keyword_id', keyword_id);
+    if (delivered === 'true' || delivered === 'false') query = query.eq('delivered', delivered === 'true');
+    if (from) query = query.gte('fired_at', new Date(from).toISOString());
+    if (to) query = query.lte('fired_at', endOfDay(to));
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    return success(res, data, {
+      count: data.length,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
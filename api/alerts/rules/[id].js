@@ -0,0 +1,115 @@
+import { supabase } from '../../../lib/supabase.js';
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, error } from '../../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../../lib/errors.js';
+import { validateRuleFields } from '../../../lib/alerts.js';
+import { resolveProject, assertInProject } from '../../../lib/projects.js';
+
+/**
+ * Alert Rule Endpoint
+ * GET /api/alerts/rules/:id - Get one alert rule
+ * PATCH /api/alerts/rules/:id - Update fields (e.g. { enabled: false })
+ * DELETE /api/alerts/rules/:id - Delete a rule (fired alert history is kept)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'PATCH':
+        return await handlePatch(req, res, project);
+      case 'DELETE':
+        return await handleDelete(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/alerts/rules/:id
+ */
+async function handleGet(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Alert rule');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * PATCH /api/alerts/rules/:id
+ * Body: any of name, rule_type, threshold, country, cluster,
+ *       keyword_id, competitor_id, webhook_url, enabled
+ */
+async function handlePatch(req, res, project) {
+  const updates = validateRuleFields(req.body || {});
+
+  if (Object.keys(updates).length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  await assertInProject(project, 'keywords', [updates.keyword_id], 'keyword_id');
+  await assertInProject(project, 'competitors', [updates.competitor_id], 'competitor_id');
+
+  const { data, error: dbError } = await supabase
+    .from('alert_rules')
+    .update(updates)
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Alert rule');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * DELETE /api/alerts/rules/:id
+ */
+async function handleDelete(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Alert rule');
+  }
+
+  return success(res, data, { message: `Alert rule "${data.name}" deleted` });
+}
@@ -0,0 +1,106 @@
+import { supabase } from '../../../lib/supabase.js';
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, created, error } from '../../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../../lib/errors.js';
+import { validateRequired, validateEnum } from '../../../lib/validate.js';
+import { RULE_TYPES, validateRuleFields } from '../../../lib/alerts.js';
+import { resolveProject, assertInProject } from '../../../lib/projects.js';
+
+/**
+ * Alert Rules Endpoint
+ * GET /api/alerts/rules - List alert rules
+ * POST /api/alerts/rules - Create an alert rule
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'POST':
+        return await handlePost(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/alerts/rules
+ * Query params: enabled ('true' / 'false')
+ */
+async function handleGet(req, res, project) {
+  const { enabled } = req.query;
+
+  let query = supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('project_id', project.id)
+    .order('created_at', { ascending: false });
+
+  if (enabled === 'true' || enabled === 'false') {
+    query = query.eq('enabled', enabled === 'true');
+  }
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return success(res, data, { count: data.length });
+}
+
+/**
+ * POST /api/alerts/rules
+ * Body: {
+ *   name: 'Pensions drops',
+ *   rule_type: 'position_drop',  // see RULE_TYPES in lib/alerts.js
+ *   threshold: 5,                // optional, rule-type default otherwise
+ *   country: 'UK',               // optional scope
+ *   cluster: 'Pensions',         // optional scope
+ *   keyword_id: 'uuid',          // optional scope
+ *   competitor_id: 'uuid',       // optional, competitor_overtake only
+ *   webhook_url: 'https://...'   // optional, defaults to ALERT_WEBHOOK_URL
+ * }
+ */
+async function handlePost(req, res, project) {
+  validateRequired(req.body, ['name', 'rule_type']);
+  validateEnum(req.body.rule_type, 'rule_type', RULE_TYPES);
+
+  const rule = validateRuleFields(req.body);
+  await assertInProject(project, 'keywords', [rule.keyword_id], 'keyword_id');
+  await assertInProject(project, 'competitors', [rule.competitor_id], 'competitor_id');
+
+  const { data, error: dbError } = await supabase
+    .from('alert_rules')
+    .insert({
+      project_id: project.id,
+      name: req.body.name,
+      rule_type: req.body.rule_type,
+      threshold: null,
+      country: null,
+      cluster: null,
+      keyword_id: null,
+      competitor_id: null,
+      webhook_url: null,
+      enabled: true,
+      ...rule
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+
+  return created(res, data, { message: `Alert rule "${data.name}" created` });
+}
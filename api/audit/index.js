@@ -0,0 +1,70 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+
+/**
+ * Audit Log Endpoint (admin scope)
+ * GET /api/audit - Mutating, DataForSEO-spending and admin calls, newest first
+ *
+ * Query params:
+ *   - api_key_id: Filter by key
+ *   - method: Filter by HTTP method
+ *   - path: Filter by route path prefix, e.g. /api/enrich
+ *   - project: Filter by project slug or ID the call was scoped to
+ *   - from / to: Date range
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, 'admin');
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      api_key_id,
+      method,
+      path,
+      project,
+      from,
+      to,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    let query = supabase
+      .from('api_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (api_key_id) query = query.eq('api_key_id', api_key_id);
+    if (method) query = query.eq('method', method.toUpperCase());
+    if (path) query = query.like('path', `${path}%`);
+    if (project) query = query.eq('project', project);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', endOfDay(to));
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    return success(res, data, {
+      count: data.length,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,128 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates, normalizeDomain } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { isOwnedDomain } from '../../lib/domains.js';
+
+const COMPETITOR_FIELDS = ['domain', 'name', 'notes'];
+
+/**
+ * Competitor Endpoint
+ * GET /api/competitors/:id - Get a competitor
+ * PATCH /api/competitors/:id - Update domain, name or notes
+ * DELETE /api/competitors/:id - Retire a competitor and its ranking history
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'PATCH':
+        return await handlePatch(req, res, project);
+      case 'DELETE':
+        return await handleDelete(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/competitors/:id
+ */
+async function handleGet(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('competitors')
+    .select('*')
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Competitor');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * PATCH /api/competitors/:id
+ * Body: any of domain, name, notes
+ */
+async function handlePatch(req, res, project) {
+  const updates = pickUpdates(req.body, COMPETITOR_FIELDS);
+
+  for (const field of ['domain', 'name']) {
+    if (field in updates && !updates[field]) {
+      throw new ValidationError(`${field} cannot be empty`, { field });
+    }
+  }
+
+  if (updates.domain) {
+    updates.domain = normalizeDomain(updates.domain);
+
+    if (isOwnedDomain(updates.domain, project.domains)) {
+      throw new ValidationError('Domain is owned by this project', {
+        field: 'domain',
+        received: updates.domain
+      });
+    }
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('competitors')
+    .update(updates)
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Competitor');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * DELETE /api/competitors/:id
+ * competitor_rankings rows cascade with the competitor
+ */
+async function handleDelete(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('competitors')
+    .delete()
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Competitor');
+  }
+
+  return success(res, data, { message: `Competitor "${data.name}" deleted` });
+}
@@ -0,0 +1,307 @@
+import { supabase, selectAll } from '../../../lib/supabase.js';
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, error } from '../../../lib/response.js';
+import {
+  ValidationError,
+  NotFoundError,
+  mapSupabaseError
+} from '../../../lib/errors.js';
+import { validateEnum, validateNumber } from '../../../lib/validate.js';
+import { getDomainIntersection } from '../../../lib/dataforseo.js';
+import { resolveProject, projectCountries, assertInProject } from '../../../lib/projects.js';
+import { countryLocations } from '../../../lib/locations.js';
+import { assertWithinBudget, estimateCost, recordUsage } from '../../../lib/usage.js';
+import {
+  positionsInSnapshots,
+  findTrackedGaps,
+  isGap,
+  DEFAULT_COMPETITOR_MAX_POSITION,
+  DEFAULT_OWNED_MIN_POSITION
+} from '../../../lib/gap.js';
+
+const GAP_SOURCES = ['tracked', 'labs', 'all'];
+const DEFAULT_LOOKBACK_DAYS = 30;
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Competitor Keyword Gap Endpoint
+ * GET /api/competitors/:id/gap - Keywords where the competitor ranks in the
+ *   top 20 and the project's domains do not rank or rank worse than 50
+ * POST /api/competitors/:id/gap - Import untracked gap keywords into keywords
+ *
+ * Query params (GET) / body fields (POST):
+ *   - country: Country to analyse (default UK)
+ *   - source: 'tracked' (our SERP data, default), 'labs' (DataForSEO Labs
+ *     discovery of untracked terms against the project's first domain) or 'all'
+ *   - competitor_max_position: default 20
+ *   - owned_min_position: default 50 (hoxton_min_position is still accepted)
+ *   - limit: Max opportunities returned (default 100, GET only)
+ *
+ * POST body also accepts:
+ *   - keywords: ['keyword', ...] to import a subset (default: every untracked gap)
+ *   - cluster, page_id: Assigned to imported keywords
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check (Labs lookups spend DataForSEO credit)
+    const input = (req.method === 'POST' ? req.body : req.query) || {};
+    await authenticate(req, ['labs', 'all'].includes(input.source) ? 'enrich' : undefined);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'POST':
+        return await handlePost(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/competitors/:id/gap
+ */
+async function handleGet(req, res, project) {
+  const limit = validateNumber(req.query.limit ?? 100, 'limit', { min: 1, integer: true });
+  const { competitor, gaps, params } = await findGaps(project, req.query.id, req.query);
+
+  const opportunities = gaps.slice(0, limit);
+
+  return success(res, opportunities, {
+    count: opportunities.length,
+    total: gaps.length,
+    competitor,
+    ...params
+  });
+}
+
+/**
+ * POST /api/competitors/:id/gap
+ */
+async function handlePost(req, res, project) {
+  const { keywords: selected, cluster = null, page_id = null } = req.body;
+  await assertInProject(project, 'pages', [page_id], 'page_id');
+
+  const { competitor, gaps, params } = await findGaps(project, req.query.id, req.body);
+
+  let toImport = gaps.filter(gap => !gap.tracked);
+
+  if (selected) {
+    if (!Array.isArray(selected) || selected.some(k => typeof k !== 'string')) {
+      throw new ValidationError('keywords must be an array of strings', {
+        field: 'keywords', received: selected
+      });
+    }
+    const wanted = new Set(selected.map(k => k.trim().toLowerCase()));
+    toImport = toImport.filter(gap => wanted.has(gap.keyword.toLowerCase()));
+  }
+
+  if (toImport.length === 0) {
+    throw new ValidationError('No untracked gap keywords to import');
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('keywords')
+    .upsert(toImport.map(gap => ({
+      project_id: project.id,
+      keyword_text: gap.keyword.trim().toLowerCase(),
+      country: params.country,
+      cluster,
+      page_id
+    })), {
+      onConflict: 'project_id,keyword_text,country',
+      ignoreDuplicates: false
+    })
+    .select();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'upsert');
+  }
+
+  return success(res, data, {
+    count: data.length,
+    competitor,
+    message: `Imported ${data.length} gap keywords from ${competitor.domain}`
+  });
+}
+
+/**
+ * Resolve the competitor and collect gap opportunities
+ * @param {object} project - projects row
+ * @param {string} competitorId - Competitor UUID
+ * @param {object} input - Query params or body
+ */
+async function findGaps(project, competitorId, input) {
+  const {
+    country = 'UK',
+    source = 'tracked',
+    competitor_max_position = DEFAULT_COMPETITOR_MAX_POSITION,
+    hoxton_min_position = DEFAULT_OWNED_MIN_POSITION,
+    owned_min_position = hoxton_min_position
+  } = input;
+
+  const normalizedCountry = country.toUpperCase();
+  validateEnum(normalizedCountry, 'country', await projectCountries(project));
+  validateEnum(source, 'source', GAP_SOURCES);
+
+  const thresholds = {
+    competitorMaxPosition: parseInt(competitor_max_position, 10),
+    ownedMinPosition: parseInt(owned_min_position, 10)
+  };
+
+  const { data: competitor, error: competitorError } = await supabase
+    .from('competitors')
+    .select('id, domain, name')
+    .eq('id', competitorId)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (competitorError) {
+    throw mapSupabaseError(competitorError, 'select');
+  }
+
+  if (!competitor) {
+    throw new NotFoundError('Competitor');
+  }
+
+  const { data: keywords, error: keywordError } = await selectAll(() => supabase
+    .from('keywords_with_metrics')
+    .select('id, keyword_text, country, cluster, search_volume, difficulty, cpc')
+    .eq('project_id', project.id)
+    .eq('country', normalizedCountry)
+    .order('id'));
+
+  if (keywordError) {
+    throw mapSupabaseError(keywordError, 'select');
+  }
+
+  let gaps = [];
+
+  if (source === 'tracked' || source === 'all') {
+    gaps = await findTrackedGapsFromDb(competitor, keywords, thresholds);
+  }
+
+  if (source === 'labs' || source === 'all') {
+    const trackedTexts = new Map(keywords.map(k => [k.keyword_text.toLowerCase(), k.id]));
+    const alreadyListed = new Set(gaps.map(g => g.keyword.toLowerCase()));
+
+    const labsGaps = (await findLabsGaps(project, competitor, normalizedCountry, thresholds))
+      .filter(gap => !alreadyListed.has(gap.keyword.toLowerCase()))
+      .map(gap => ({
+        ...gap,
+        keyword_id: trackedTexts.get(gap.keyword.toLowerCase()) || null,
+        tracked: trackedTexts.has(gap.keyword.toLowerCase())
+      }));
+
+    gaps = [...gaps, ...labsGaps].sort((a, b) => (b.search_volume ?? -1) - (a.search_volume ?? -1));
+  }
+
+  return {
+    competitor,
+    gaps,
+    params: {
+      country: normalizedCountry,
+      source,
+      competitor_max_position: thresholds.competitorMaxPosition,
+      owned_min_position: thresholds.ownedMinPosition
+    }
+  };
+}
+
+/**
+ * Gaps among tracked keywords, from each primary target's latest snapshot
+ * Competitor and owned positions come from that one fetch; a competitor with
+ * no competitor_rankings row in it is not ranking
+ */
+async function findTrackedGapsFromDb(competitor, keywords, thresholds) {
+  const since = new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const keywordIds = keywords.map(k => k.id);
+  const snapshots = [];
+  const competitorRows = [];
+
+  for (let i = 0; i < keywordIds.length; i += KEYWORD_CHUNK_SIZE) {
+    const { data: latest, error: snapshotError } = await supabase
+      .from('latest_serp_snapshots')
+      .select('keyword_id, snapshot_id, owned_position, fetched_at')
+      .in('keyword_id', keywordIds.slice(i, i + KEYWORD_CHUNK_SIZE))
+      .eq('is_primary', true)
+      .gte('fetched_at', since);
+
+    if (snapshotError) {
+      throw mapSupabaseError(snapshotError, 'select');
+    }
+
+    if (latest.length === 0) continue;
+
+    const { data: rows, error: rankingError } = await selectAll(() => supabase
+      .from('competitor_rankings')
+      .select('snapshot_id, position, url')
+      .eq('competitor_id', competitor.id)
+      .in('snapshot_id', latest.map(snapshot => snapshot.snapshot_id))
+      .order('id'));
+
+    if (rankingError) {
+      throw mapSupabaseError(rankingError, 'select');
+    }
+
+    snapshots.push(...latest);
+    competitorRows.push(...rows);
+  }
+
+  return findTrackedGaps(
+    keywords,
+    positionsInSnapshots(snapshots, competitorRows),
+    new Map(snapshots.map(snapshot => [snapshot.keyword_id, { position: snapshot.owned_position }])),
+    thresholds
+  );
+}
+
+/**
+ * Untracked opportunities from DataForSEO Labs domain intersection
+ * Two calls: keywords only the competitor ranks for, and shared keywords
+ * where the project ranks below the threshold. Labs compares one domain
+ * at a time, so the project's first (primary) domain is used.
+ */
+async function findLabsGaps(project, competitor, country, thresholds) {
+  const ownedDomain = project.domains[0];
+
+  if (!ownedDomain) {
+    throw new ValidationError('Labs gaps need an owned domain; add one to the project', {
+      field: 'source', project: project.slug
+    });
+  }
+
+  await assertWithinBudget(estimateCost('labs', 2));
+
+  const location = (await countryLocations([country])).get(country);
+  const options = { onUsage: recordUsage('/api/competitors/gap') };
+
+  const [competitorOnly, shared] = await Promise.all([
+    getDomainIntersection(competitor.domain, ownedDomain, location, false, 1000, options),
+    getDomainIntersection(competitor.domain, ownedDomain, location, true, 1000, options)
+  ]);
+
+  return [
+    ...competitorOnly.map(item => ({ ...item, other_position: null })),
+    ...shared
+  ]
+    .filter(item => isGap(item.position, item.other_position, thresholds))
+    .map(item => ({
+      keyword: item.keyword,
+      country,
+      cluster: null,
+      search_volume: item.search_volume,
+      difficulty: item.difficulty,
+      cpc: item.cpc,
+      competitor_position: item.position,
+      competitor_url: item.url,
+      owned_position: item.other_position,
+      source: 'labs'
+    }));
+}
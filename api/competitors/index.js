@@ -1,8 +1,11 @@
 import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError, mapSupabaseError } from '../../lib/errors.js';
-import { validateRequired, validateMethod } from '../../lib/validate.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateMethod, validateEnum, normalizeDomain } from '../../lib/validate.js';
+import { EXPORT_FORMATS, COMPETITOR_EXPORT_COLUMNS, sendExport } from '../../lib/export.js';
+import { resolveProject } from '../../lib/projects.js';
+import { isOwnedDomain } from '../../lib/domains.js';
 
 /**
  * Competitors Endpoint
@@ -12,15 +15,15 @@ import { validateRequired, validateMethod } from '../../lib/validate.js';
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req);
+
+    const project = await resolveProject(req);
 
     switch (req.method) {
       case 'GET':
-        return handleGet(req, res);
+        return await handleGet(req, res, project);
       case 'POST':
-        return handlePost(req, res);
+        return await handlePost(req, res, project);
       default:
         throw new ValidationError(`Method ${req.method} not allowed`, {
           allowed: ['GET', 'POST']
@@ -33,16 +36,31 @@ export default async function handler(req, res) {
 
 /**
  * GET /api/competitors
+ * Query params: format (json, csv or xlsx)
  */
-async function handleGet(req, res) {
+async function handleGet(req, res, project) {
+  const { format = 'json' } = req.query;
+
+  validateEnum(format, 'format', EXPORT_FORMATS);
+
   const { data, error: dbError } = await supabase
     .from('competitors')
     .select('*')
+    .eq('project_id', project.id)
     .order('name');
   
   if (dbError) {
     throw dbError;
   }
+
+  if (format !== 'json') {
+    return sendExport(res, {
+      format,
+      filename: 'competitors',
+      columns: COMPETITOR_EXPORT_COLUMNS,
+      batches: [data]
+    });
+  }
   
   return success(res, data, { count: data.length });
 }
@@ -51,20 +69,24 @@ async function handleGet(req, res) {
  * POST /api/competitors
  * Body: { domain: 'example.com', name: 'Example Inc', notes: 'optional notes' }
  */
-async function handlePost(req, res) {
+async function handlePost(req, res, project) {
   validateRequired(req.body, ['domain', 'name']);
 
   const { domain, name, notes = null } = req.body;
 
-  // Clean domain (remove protocol and trailing slash)
-  const cleanDomain = domain
-    .replace(/^https?:\/\//, '')
-    .replace(/\/+$/, '')
-    .toLowerCase();
+  const cleanDomain = normalizeDomain(domain);
+
+  if (isOwnedDomain(cleanDomain, project.domains)) {
+    throw new ValidationError('Domain is owned by this project', {
+      field: 'domain',
+      received: cleanDomain
+    });
+  }
 
   const { data, error: dbError } = await supabase
     .from('competitors')
     .insert({
+      project_id: project.id,
       domain: cleanDomain,
       name,
       notes
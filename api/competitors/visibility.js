@@ -0,0 +1,157 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+import { computeVisibility, OWNED_ENTITY } from '../../lib/visibility.js';
+import { resolveProject } from '../../lib/projects.js';
+
+const DEFAULT_RANGE_MONTHS = 6;
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Visibility Endpoint
+ * GET /api/competitors/visibility - Estimated traffic and share of voice
+ * for the project and each of its competitors, per month
+ *
+ * Estimated traffic = search volume x CTR for the best position in each
+ * keyword's latest SERP fetch of the month (see lib/visibility.js).
+ *
+ * Query params:
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - from: Start date (default first day of the month, 6 months ago)
+ *   - to: End date (default now)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const { country, cluster, from, to } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const toDate = to ? new Date(endOfDay(to)) : new Date();
+    const fromDate = from
+      ? new Date(from)
+      : new Date(Date.UTC(toDate.getUTCFullYear(), toDate.getUTCMonth() - (DEFAULT_RANGE_MONTHS - 1), 1));
+
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to', {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    const project = await resolveProject(req);
+
+    // Keywords with their latest search volume
+    const { data: keywords, error: keywordError } = await selectAll(() => {
+      let query = supabase
+        .from('keywords_with_metrics')
+        .select('id, country, cluster, search_volume')
+        .eq('project_id', project.id)
+        .order('id');
+
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+
+      return query;
+    });
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const { data: competitors, error: competitorError } = await supabase
+      .from('competitors')
+      .select('id, domain, name')
+      .eq('project_id', project.id);
+
+    if (competitorError) {
+      throw mapSupabaseError(competitorError, 'select');
+    }
+
+    const fetches = [];
+    const positions = [];
+
+    for (let i = 0; i < keywords.length; i += KEYWORD_CHUNK_SIZE) {
+      const ids = keywords.slice(i, i + KEYWORD_CHUNK_SIZE).map(k => k.id);
+
+      // Every SERP fetch of each keyword's primary target, with the best
+      // owned position (null when not ranking)
+      const { data: history, error: historyError } = await selectAll(() => supabase
+        .from('owned_ranking_history')
+        .select('keyword_id, snapshot_id, fetched_at, position')
+        .in('keyword_id', ids)
+        .eq('is_primary', true)
+        .gte('fetched_at', fromDate.toISOString())
+        .lte('fetched_at', toDate.toISOString())
+        .order('keyword_id')
+        .order('fetched_at')
+        .order('snapshot_id'));
+
+      if (historyError) {
+        throw mapSupabaseError(historyError, 'select');
+      }
+
+      for (const row of history) {
+        fetches.push({ keyword_id: row.keyword_id, snapshot_id: row.snapshot_id, fetched_at: row.fetched_at });
+        positions.push({ ...row, entity_id: OWNED_ENTITY });
+      }
+
+      const { data: competitorRows, error: rankingError } = await selectAll(() => supabase
+        .from('competitor_rankings')
+        .select('keyword_id, snapshot_id, competitor_id, position, keyword_targets!inner(is_primary)')
+        .in('keyword_id', ids)
+        .eq('keyword_targets.is_primary', true)
+        .gte('fetched_at', fromDate.toISOString())
+        .lte('fetched_at', toDate.toISOString())
+        .order('id'));
+
+      if (rankingError) {
+        throw mapSupabaseError(rankingError, 'select');
+      }
+
+      for (const row of competitorRows) {
+        positions.push({ ...row, entity_id: row.competitor_id });
+      }
+    }
+
+    const entities = new Map([
+      [OWNED_ENTITY, { name: project.name, domain: project.domains.join(', ') }],
+      ...competitors.map(c => [c.id, { name: c.name, domain: c.domain }])
+    ]);
+
+    const { summary, breakdown } = computeVisibility(
+      keywords,
+      fetches,
+      positions,
+      [...entities.keys()]
+    );
+
+    const withEntity = entry => ({
+      ...entry,
+      entity_name: entities.get(entry.entity_id)?.name ?? null,
+      domain: entities.get(entry.entity_id)?.domain ?? null
+    });
+
+    return success(res, {
+      summary: summary.map(withEntity),
+      breakdown: breakdown.map(withEntity)
+    }, {
+      keywords: keywords.length,
+      competitors: competitors.length,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString()
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
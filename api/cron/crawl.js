@@ -0,0 +1,64 @@
+import { verifyCronSecret } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { validateMethod } from '../../lib/validate.js';
+import { selectPagesToCrawl, crawlPages } from '../../lib/crawls.js';
+import { loadProjects } from '../../lib/projects.js';
+
+// Page fetches must finish by this long after the run starts, leaving time
+// to compare titles and save the snapshots
+const TIME_BUDGET_MS = 20000;
+const PAGES_PER_RUN = 30;
+
+/**
+ * Scheduled Crawl Endpoint
+ * GET /api/cron/crawl - Triggered by Vercel Cron (see vercel.json)
+ * POST /api/cron/crawl - Manual trigger with x-api-key
+ *
+ * Crawls each project's least recently crawled pages, so consecutive runs
+ * cycle through every tracked page and build up snapshots over time.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    if (!verifyCronSecret(req)) {
+      await authenticate(req, 'write');
+    }
+
+    // Method check
+    validateMethod(req, ['GET', 'POST']);
+
+    const startedAt = Date.now();
+    const deadline = startedAt + TIME_BUDGET_MS;
+    const projects = [...(await loadProjects()).values()];
+    const perProject = Math.ceil(PAGES_PER_RUN / Math.max(projects.length, 1));
+    const snapshots = [];
+    let skipped = 0;
+
+    for (const project of projects) {
+      const pages = await selectPagesToCrawl(project, { limit: perProject });
+
+      if (Date.now() >= deadline) {
+        skipped += pages.length;
+        continue;
+      }
+
+      const result = await crawlPages(project, pages, { deadline });
+      snapshots.push(...result.snapshots);
+      skipped += result.skipped;
+    }
+
+    return success(res, {
+      projects: projects.length,
+      crawled: snapshots.length,
+      skipped,
+      failed: snapshots.filter(snapshot => snapshot.error).length,
+      issues: snapshots.reduce((total, snapshot) => total + snapshot.issues.length, 0)
+    }, {
+      duration_ms: Date.now() - startedAt
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,146 @@
+import { verifyCronSecret } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ExternalApiError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import { MIN_ATTEMPT_MS } from '../../lib/dataforseo.js';
+import {
+  enrichSerpRankings,
+  fetchDueKeywords,
+  fetchDueTargets,
+  groupByCountry,
+  markAttempted,
+  markTargetsAttempted
+} from '../../lib/enrich.js';
+import { assertWithinBudget, estimateCost } from '../../lib/usage.js';
+import { runMetricsJob, startJob, finishJob } from '../../lib/jobs.js';
+import { failedOutcomes } from '../../lib/outcomes.js';
+
+const SOURCE = '/api/cron/enrich';
+
+// DataForSEO calls must finish by this long after the run starts, leaving
+// time to close the jobs and evaluate alerts
+const TIME_BUDGET_MS = 20000;
+const METRICS_CHUNK_SIZE = 100;
+const SERP_CHUNK_SIZE = 5;
+
+/**
+ * Scheduled Enrichment Endpoint
+ * GET /api/cron/enrich - Triggered by Vercel Cron (see vercel.json)
+ * POST /api/cron/enrich - Manual trigger with x-api-key
+ *
+ * Refreshes keywords whose metrics, and keyword targets (location/device)
+ * whose SERP data, are older than their refresh_frequency (daily, weekly,
+ * monthly). Each run takes those attempted longest ago first, so
+ * consecutive runs work through the backlog. The metrics and SERP refreshes
+ * are each recorded as a job (see GET /api/jobs).
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    if (!verifyCronSecret(req)) {
+      await authenticate(req, 'enrich');
+    }
+
+    // Method check
+    validateMethod(req, ['GET', 'POST']);
+
+    const startedAt = Date.now();
+    const deadline = startedAt + TIME_BUDGET_MS;
+    const createdBy = req.apiKey?.name || 'cron';
+    const summary = {
+      metrics: { keywords: 0, enriched: 0, failed_countries: [], error: null, job_id: null },
+      serp: {
+        targets: 0,
+        failed: 0,
+        serp_records: 0,
+        competitor_records: 0,
+        alerts_fired: 0,
+        error: null,
+        job_id: null
+      }
+    };
+
+    // 1. Keyword metrics: a single chunk, one DataForSEO call per country
+    const metricsDue = await fetchDueKeywords(METRICS_CHUNK_SIZE);
+
+    if (metricsDue.length > 0) {
+      await assertWithinBudget(
+        estimateCost('keyword_metrics_live', Object.keys(groupByCountry(metricsDue)).length)
+      );
+      await markAttempted(metricsDue);
+      summary.metrics.keywords = metricsDue.length;
+
+      try {
+        const { results, errors, job } = await runMetricsJob(metricsDue, { source: SOURCE, createdBy, deadline });
+        summary.metrics.enriched = results.length;
+        summary.metrics.failed_countries = errors.map(e => e.country);
+        summary.metrics.job_id = job.id;
+      } catch (err) {
+        // Keep going so SERP refreshes are not blocked by a metrics failure
+        console.error('Scheduled metrics enrichment failed:', err);
+        summary.metrics.error = err.message;
+      }
+    }
+
+    // 2. SERP rankings per target: small chunks while there is time for another
+    // request, recorded as one job
+    let serpJob = null;
+    const serpOutcomes = [];
+
+    while (deadline - Date.now() >= MIN_ATTEMPT_MS) {
+      const serpDue = await fetchDueTargets(SERP_CHUNK_SIZE);
+
+      if (serpDue.length === 0) {
+        break;
+      }
+
+      await assertWithinBudget(estimateCost('serp_live', serpDue.length));
+      await markTargetsAttempted(serpDue);
+
+      if (!serpJob) {
+        serpJob = await startJob({ jobType: 'serp', source: SOURCE, createdBy });
+      }
+
+      let refresh;
+      try {
+        refresh = await enrichSerpRankings(serpDue, { source: SOURCE, job: serpJob, deadline });
+      } catch (err) {
+        serpOutcomes.push(...failedOutcomes(serpDue, err.message));
+
+        if (!(err instanceof ExternalApiError)) {
+          await finishJob(serpJob, serpOutcomes, err);
+          throw err;
+        }
+
+        // Every request in the chunk failed; DataForSEO is likely down, so stop until the next run
+        console.error('Scheduled SERP enrichment failed:', err);
+        summary.serp.targets += serpDue.length;
+        summary.serp.failed += serpDue.length;
+        summary.serp.error = err.message;
+        break;
+      }
+
+      const { results, outcomes, serp_records, competitor_records, alerts_fired } = refresh;
+      serpOutcomes.push(...outcomes);
+
+      summary.serp.targets += results.length;
+      summary.serp.failed += results.filter(r => r.error).length;
+      summary.serp.serp_records += serp_records;
+      summary.serp.competitor_records += competitor_records;
+      summary.serp.alerts_fired += alerts_fired;
+    }
+
+    if (serpJob) {
+      await finishJob(serpJob, serpOutcomes, summary.serp.error ? new Error(summary.serp.error) : null);
+      summary.serp.job_id = serpJob.id;
+    }
+
+    return success(res, summary, {
+      duration_ms: Date.now() - startedAt
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
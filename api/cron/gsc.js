@@ -0,0 +1,70 @@
+import { verifyCronSecret } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { validateMethod } from '../../lib/validate.js';
+import { gscClientFromEnv } from '../../lib/gsc.js';
+import { syncSearchConsole, defaultSyncRange, projectsBySyncAge } from '../../lib/gscsync.js';
+import { loadProjects } from '../../lib/projects.js';
+
+// Search Console queries must finish by this long after the run starts,
+// leaving time to store the rows
+const TIME_BUDGET_MS = 20000;
+
+// A project's sync is not started with less time than this left
+const MIN_SYNC_MS = 5000;
+
+/**
+ * Scheduled Search Console Sync
+ * GET /api/cron/gsc - Triggered by Vercel Cron (see vercel.json)
+ * POST /api/cron/gsc - Manual trigger with x-api-key
+ *
+ * Re-imports the last three days of final data for every project, so a
+ * missed run is filled in by the next one. A project whose property fails
+ * is reported without stopping the others.
+ *
+ * Projects are synced least recently synced first; those left when the time
+ * budget runs out are reported as skipped and go first in the next run.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    if (!verifyCronSecret(req)) {
+      await authenticate(req, 'write');
+    }
+
+    // Method check
+    validateMethod(req, ['GET', 'POST']);
+
+    const startedAt = Date.now();
+    const deadline = startedAt + TIME_BUDGET_MS;
+    const client = gscClientFromEnv();
+    const range = defaultSyncRange();
+    const results = [];
+
+    for (const project of await projectsBySyncAge([...(await loadProjects()).values()])) {
+      if (deadline - Date.now() < MIN_SYNC_MS) {
+        results.push({ project: project.slug, skipped: true });
+        continue;
+      }
+
+      try {
+        results.push({
+          project: project.slug,
+          ...await syncSearchConsole({ client, project, ...range, deadline })
+        });
+      } catch (err) {
+        results.push({ project: project.slug, error: err.message });
+      }
+    }
+
+    return success(res, results, {
+      count: results.length,
+      failed: results.filter(result => result.error).length,
+      skipped: results.filter(result => result.skipped).length,
+      duration_ms: Date.now() - startedAt
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -1,15 +1,19 @@
 import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError, ExternalApiError, mapSupabaseError } from '../../lib/errors.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
 import { validateRequired, validateType, validateMethod, validateEnum } from '../../lib/validate.js';
-import { getKeywordMetrics, COUNTRY_TO_LOCATION } from '../../lib/dataforseo.js';
+import { groupByCountry } from '../../lib/enrich.js';
+import { runMetricsJob } from '../../lib/jobs.js';
+import { assertWithinBudget, estimateCost } from '../../lib/usage.js';
+import { resolveProject } from '../../lib/projects.js';
 
 /**
  * Enrich Keywords Endpoint
  * POST /api/enrich/keywords
  * 
- * Fetch keyword metrics from DataForSEO and store in database
+ * Fetch keyword metrics from DataForSEO and store in database. The run is
+ * recorded as a job (see GET /api/jobs/:id); meta.job_id identifies it.
  * Body: { 
  *   keyword_ids: ['uuid1', 'uuid2', ...],  // OR
  *   keywords: [{ text: 'keyword', country: 'UK' }, ...]
@@ -18,9 +22,7 @@ import { getKeywordMetrics, COUNTRY_TO_LOCATION } from '../../lib/dataforseo.js'
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req, 'enrich');
 
     // Method check
     validateMethod(req, 'POST');
@@ -32,13 +34,15 @@ export default async function handler(req, res) {
       throw new ValidationError('Must provide either keyword_ids or keywords array');
     }
 
+    const project = await resolveProject(req);
     let keywordsToEnrich = [];
 
     // If keyword_ids provided, fetch from database
     if (keyword_ids && keyword_ids.length > 0) {
       const { data, error: dbError } = await supabase
         .from('keywords')
-        .select('id, keyword_text, country')
+        .select('id, keyword_text, country, project_id')
+        .eq('project_id', project.id)
         .in('id', keyword_ids);
 
       if (dbError) {
@@ -47,10 +51,13 @@ export default async function handler(req, res) {
 
       keywordsToEnrich = data;
     } else if (keywords && keywords.length > 0) {
+      keywords.forEach(k => validateRequired(k, ['text', 'country']));
+
       keywordsToEnrich = keywords.map(k => ({
         id: null,
         keyword_text: k.text,
-        country: k.country
+        country: String(k.country).toUpperCase(),
+        project_id: project.id
       }));
     }
 
@@ -65,59 +72,24 @@ export default async function handler(req, res) {
       });
     }
 
-    // Group by country for efficient API calls
-    const byCountry = keywordsToEnrich.reduce((acc, kw) => {
-      const country = kw.country || 'UK';
-      if (!acc[country]) acc[country] = [];
-      acc[country].push(kw);
-      return acc;
-    }, {});
-
-    // Fetch from DataForSEO
-    const results = [];
-    
-    for (const [country, kws] of Object.entries(byCountry)) {
-      const locationCode = COUNTRY_TO_LOCATION[country] || 2826;
-
-      const response = await getKeywordMetrics(kws.map(k => k.keyword_text), locationCode);
-
-      // Process results and store metrics
-      for (const result of response || []) {
-        const keyword = kws.find(k => 
-          k.keyword_text.toLowerCase() === result.keyword.toLowerCase()
-        );
+    // One DataForSEO call per country
+    await assertWithinBudget(
+      estimateCost('keyword_metrics_live', Object.keys(groupByCountry(keywordsToEnrich)).length)
+    );
 
-        if (keyword && keyword.id) {
-          // Store metrics
-          const { error: insertError } = await supabase
-            .from('keyword_metrics')
-            .insert({
-              keyword_id: keyword.id,
-              search_volume: result.search_volume || 0,
-              difficulty: result.keyword_difficulty || 0,
-              cpc: result.cpc || 0,
-              competition: result.competition || 0
-            });
-
-          if (insertError) {
-            console.error('Failed to insert metrics:', insertError);
-          }
-        }
-
-        results.push({
-          keyword: result.keyword,
-          country,
-          search_volume: result.search_volume || 0,
-          difficulty: result.keyword_difficulty || 0,
-          cpc: result.cpc || 0,
-          competition: result.competition || 0
-        });
-      }
-    }
+    // Countries that failed are listed in meta.failed; the rest are still saved
+    const { results, errors, job } = await runMetricsJob(keywordsToEnrich, {
+      source: '/api/enrich/keywords',
+      projectId: project.id,
+      createdBy: req.apiKey.name
+    });
 
     return success(res, results, { 
       count: results.length,
-      message: `Enriched ${results.length} keywords`
+      failed: errors,
+      job_id: job.id,
+      job_status: job.status,
+      message: `Enriched ${job.succeeded} of ${job.requested} keywords`
     });
 
   } catch (err) {
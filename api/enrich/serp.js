@@ -1,25 +1,33 @@
-import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError, ExternalApiError, mapSupabaseError } from '../../lib/errors.js';
-import { validateRequired, validateType, validateMethod } from '../../lib/validate.js';
-import { getSerpResults, COUNTRY_TO_LOCATION } from '../../lib/dataforseo.js';
+import { ValidationError } from '../../lib/errors.js';
+import { validateRequired, validateType, validateMethod, validateEnum } from '../../lib/validate.js';
+import { fetchTargetsForKeywords } from '../../lib/enrich.js';
+import { runSerpJob } from '../../lib/jobs.js';
+import { assertWithinBudget, estimateCost } from '../../lib/usage.js';
+import { resolveProject } from '../../lib/projects.js';
+import { getLocation } from '../../lib/locations.js';
+import { DEVICES } from '../../lib/locales.js';
 
-const HOXTON_DOMAIN = 'hoxtonwealth.com';
+const MAX_TARGETS = 50;
 
 /**
  * Enrich SERP Endpoint
  * POST /api/enrich/serp
  * 
- * Fetch SERP rankings from DataForSEO and store in database
- * Body: { keyword_ids: ['uuid1', 'uuid2', ...] }
+ * Fetch SERP rankings from DataForSEO and store in database, once per
+ * keyword target (location/device). The run is recorded as a job
+ * (see GET /api/jobs/:id); meta.job_id identifies it.
+ * Body: {
+ *   keyword_ids: ['uuid1', 'uuid2', ...],
+ *   location: 'london',  // optional: only targets in this location
+ *   device: 'mobile'     // optional: only targets on this device
+ * }
  */
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req, 'enrich');
 
     // Method check
     validateMethod(req, 'POST');
@@ -34,131 +42,67 @@ export default async function handler(req, res) {
       throw new ValidationError('keyword_ids array cannot be empty');
     }
 
-    if (keyword_ids.length > 50) {
-      throw new ValidationError('Maximum 50 keywords per SERP request', {
+    if (keyword_ids.length > MAX_TARGETS) {
+      throw new ValidationError(`Maximum ${MAX_TARGETS} keywords per SERP request`, {
         received: keyword_ids.length,
-        maximum: 50
+        maximum: MAX_TARGETS
       });
     }
 
-    // Fetch keywords from database
-    const { data: keywords, error: dbError } = await supabase
-      .from('keywords')
-      .select('id, keyword_text, country')
-      .in('id', keyword_ids);
-
-    if (dbError) {
-      throw mapSupabaseError(dbError, 'select');
-    }
-
-    if (keywords.length === 0) {
-      throw new ValidationError('No keywords found with provided IDs');
+    if (req.body.device !== undefined) {
+      validateEnum(req.body.device, 'device', DEVICES);
     }
 
-    // Fetch competitors for tracking
-    const { data: competitors } = await supabase
-      .from('competitors')
-      .select('id, domain');
-
-    const competitorDomains = new Map(
-      (competitors || []).map(c => [c.domain, c.id])
-    );
-
-    // Process each keyword
-    const results = [];
-    const serpRecords = [];
-    const competitorRecords = [];
-
-    for (const keyword of keywords) {
-      const locationCode = COUNTRY_TO_LOCATION[keyword.country] || 2826;
-
-      try {
-        const items = await getSerpResults(keyword.keyword_text, locationCode);
-
-        // Process top 100 results
-        for (const item of items) {
-        const domain = extractDomain(item.url);
-        const isHoxton = domain.includes(HOXTON_DOMAIN);
-
-        // Store SERP ranking
-        serpRecords.push({
-          keyword_id: keyword.id,
-          position: item.rank_absolute,
-          url: item.url,
-          domain,
-          title: item.title,
-          is_hoxton: isHoxton
-        });
-
-        // If competitor, track separately
-        const competitorId = competitorDomains.get(domain);
-        if (competitorId) {
-          competitorRecords.push({
-            keyword_id: keyword.id,
-            competitor_id: competitorId,
-            position: item.rank_absolute,
-            url: item.url
-          });
-        }
-      }
-
-        results.push({
-          keyword: keyword.keyword_text,
-          country: keyword.country,
-          results_count: items.length,
-          hoxton_position: items.find(i =>
-            extractDomain(i.url).includes(HOXTON_DOMAIN)
-          )?.rank_absolute || null
-        });
-      } catch (err) {
-        results.push({
-          keyword: keyword.keyword_text,
-          error: err.message
-        });
-      }
-    }
+    const project = await resolveProject(req);
+    const location = req.body.location ? await getLocation(req.body.location) : null;
 
-    // Batch insert SERP records
-    if (serpRecords.length > 0) {
-      const { error: serpError } = await supabase
-        .from('serp_rankings')
-        .insert(serpRecords);
+    const targets = await fetchTargetsForKeywords(keyword_ids, {
+      projectId: project.id,
+      locationId: location?.id,
+      device: req.body.device
+    });
 
-      if (serpError) {
-        console.error('Failed to insert SERP records:', serpError);
-      }
+    if (targets.length === 0) {
+      throw new ValidationError('No keyword targets found with provided IDs');
     }
 
-    // Batch insert competitor records
-    if (competitorRecords.length > 0) {
-      const { error: compError } = await supabase
-        .from('competitor_rankings')
-        .insert(competitorRecords);
-
-      if (compError) {
-        console.error('Failed to insert competitor records:', compError);
-      }
+    if (targets.length > MAX_TARGETS) {
+      throw new ValidationError(`Maximum ${MAX_TARGETS} keyword targets per SERP request`, {
+        received: targets.length,
+        maximum: MAX_TARGETS
+      });
     }
 
+    await assertWithinBudget(estimateCost('serp_live', targets.length));
+
+    const {
+      results,
+      serp_records,
+      competitor_records,
+      serp_feature_records,
+      keyword_ideas,
+      alerts_fired,
+      job
+    } = await runSerpJob(targets, {
+      source: '/api/enrich/serp',
+      projectId: project.id,
+      createdBy: req.apiKey.name
+    });
+
+    // Targets that failed carry an error in their result; the rest are still saved
     return success(res, results, {
-      keywords_processed: results.length,
-      serp_records: serpRecords.length,
-      competitor_records: competitorRecords.length
+      targets_processed: results.length,
+      targets_failed: job.failed,
+      job_id: job.id,
+      job_status: job.status,
+      serp_records,
+      competitor_records,
+      serp_feature_records,
+      keyword_ideas,
+      alerts_fired
     });
 
   } catch (err) {
     return error(res, err);
   }
 }
-
-/**
- * Extract domain from URL
- */
-function extractDomain(url) {
-  try {
-    const parsed = new URL(url);
-    return parsed.hostname.replace(/^www\./, '');
-  } catch {
-    return url;
-  }
-}
@@ -0,0 +1,178 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, validateEnum, validateNumber, endOfDay } from '../../lib/validate.js';
+import { latestPositionByKeyword } from '../../lib/gap.js';
+import {
+  summariseByKeyword,
+  compareWithSerp,
+  COMPARISON_STATUSES,
+  DEFAULT_POSITION_THRESHOLD
+} from '../../lib/gsc.js';
+import { GSC_DATA_DELAY_DAYS } from '../../lib/gscsync.js';
+import { resolveProject } from '../../lib/projects.js';
+
+const DEFAULT_RANGE_DAYS = 28;
+
+// How far before the range start to look for the latest SERP check
+const SERP_LOOKBACK_DAYS = 30;
+
+// Keyword IDs per owned_ranking_history query, to keep request URLs short
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Search Console vs SERP Comparison Endpoint
+ * GET /api/gsc/compare
+ *
+ * For each tracked keyword with Search Console data, compares the
+ * impression-weighted GSC average position with our latest SERP check at or
+ * before the end of the range, and whether GSC's top page is the URL our
+ * SERP check found.
+ *
+ * Query params:
+ *   - country, cluster: Same filters as /api/keywords
+ *   - from / to: GSC date range (default the 28 days ending 3 days ago)
+ *   - status: consistent, differs or not_in_serp
+ *   - threshold: Position gap that counts as differing (default 5)
+ *   - min_impressions: Ignore keywords with fewer GSC impressions (default 0)
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      country,
+      cluster,
+      from,
+      to,
+      status,
+      threshold = DEFAULT_POSITION_THRESHOLD,
+      min_impressions = 0,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (status) validateEnum(status, 'status', COMPARISON_STATUSES);
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const positionThreshold = validateNumber(threshold, 'threshold', { min: 0 });
+    const minImpressions = validateNumber(min_impressions, 'min_impressions', { min: 0, integer: true });
+    const pageLimit = validateNumber(limit, 'limit', { min: 1, integer: true });
+    const start = validateNumber(offset, 'offset', { min: 0, integer: true });
+
+    const day = 24 * 60 * 60 * 1000;
+    const toDate = to ? new Date(to) : new Date(Date.now() - GSC_DATA_DELAY_DAYS * day);
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * day);
+
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to', {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    const fromDay = fromDate.toISOString().slice(0, 10);
+    const toDay = toDate.toISOString().slice(0, 10);
+    const project = await resolveProject(req);
+
+    const { data: keywords, error: keywordError } = await selectAll(() => {
+      let query = supabase
+        .from('keywords')
+        .select('id, keyword_text, country, cluster')
+        .eq('project_id', project.id)
+        .order('id');
+
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+
+      return query;
+    });
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const { data: gscRows, error: gscError } = await selectAll(() => {
+      let query = supabase
+        .from('gsc_search_analytics')
+        .select('id, keyword_id, page, clicks, impressions, position')
+        .eq('project_id', project.id)
+        .not('keyword_id', 'is', null)
+        .gte('date', fromDay)
+        .lte('date', toDay)
+        .order('id');
+
+      if (country) query = query.eq('country', country.toUpperCase());
+
+      return query;
+    });
+
+    if (gscError) {
+      throw mapSupabaseError(gscError, 'select');
+    }
+
+    const keywordIds = new Set(keywords.map(k => k.id));
+    const gscSummary = summariseByKeyword(gscRows.filter(row => keywordIds.has(row.keyword_id)));
+
+    // Latest SERP check at or before the range end for keywords with GSC data;
+    // one from shortly before the range start still counts
+    const candidateIds = [...gscSummary.keys()];
+    const serpSince = new Date(fromDate.getTime() - SERP_LOOKBACK_DAYS * day).toISOString();
+    const serpRows = [];
+
+    for (let i = 0; i < candidateIds.length; i += KEYWORD_CHUNK_SIZE) {
+      const { data, error: historyError } = await selectAll(() => supabase
+        .from('owned_ranking_history')
+        .select('keyword_id, fetched_at, position, url')
+        .in('keyword_id', candidateIds.slice(i, i + KEYWORD_CHUNK_SIZE))
+        .eq('is_primary', true)
+        .gte('fetched_at', serpSince)
+        .lte('fetched_at', endOfDay(toDay))
+        .order('snapshot_id'));
+
+      if (historyError) {
+        throw mapSupabaseError(historyError, 'select');
+      }
+
+      serpRows.push(...data);
+    }
+
+    const comparisons = compareWithSerp(
+      keywords,
+      gscSummary,
+      latestPositionByKeyword(serpRows),
+      { threshold: positionThreshold }
+    )
+      .filter(row => row.gsc_impressions >= minImpressions)
+      .sort((a, b) => b.gsc_impressions - a.gsc_impressions);
+
+    const statusCounts = COMPARISON_STATUSES.reduce((acc, type) => {
+      acc[type] = comparisons.filter(row => row.status === type).length;
+      return acc;
+    }, {});
+
+    const filtered = status ? comparisons.filter(row => row.status === status) : comparisons;
+    const results = filtered.slice(start, start + pageLimit);
+
+    return success(res, results, {
+      count: results.length,
+      total: filtered.length,
+      statuses: statusCounts,
+      from: fromDay,
+      to: toDay,
+      limit: pageLimit,
+      offset: start
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,65 @@
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError } from '../../lib/errors.js';
+import { validateMethod, validateDate } from '../../lib/validate.js';
+import { gscClientFromEnv } from '../../lib/gsc.js';
+import { syncSearchConsole, defaultSyncRange } from '../../lib/gscsync.js';
+import { resolveProject } from '../../lib/projects.js';
+
+// Keep one sync comfortably inside the 30s maxDuration; backfill in several calls
+const MAX_SYNC_DAYS = 7;
+
+/**
+ * Search Console Sync Endpoint
+ * POST /api/gsc/sync
+ *
+ * Import the project's Search Console performance (query, page, country,
+ * clicks, impressions, CTR, average position) into gsc_search_analytics,
+ * matched to its keywords and pages. Re-importing a day overwrites it.
+ * Body (optional): {
+ *   start_date: '2024-03-01',  // default: 3 days ending 3 days ago
+ *   end_date: '2024-03-07'     // max 7 days per call
+ * }
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'POST');
+
+    const { start_date, end_date } = req.body || {};
+    let range = defaultSyncRange();
+
+    if (start_date || end_date) {
+      if (!start_date || !end_date) {
+        throw new ValidationError('Provide both start_date and end_date');
+      }
+
+      validateDate(start_date, 'start_date');
+      validateDate(end_date, 'end_date');
+
+      const days = (Date.parse(end_date) - Date.parse(start_date)) / (24 * 60 * 60 * 1000) + 1;
+
+      if (days < 1 || days > MAX_SYNC_DAYS) {
+        throw new ValidationError(`Date range must be 1 to ${MAX_SYNC_DAYS} days`, {
+          start_date,
+          end_date
+        });
+      }
+
+      range = { startDate: start_date.slice(0, 10), endDate: end_date.slice(0, 10) };
+    }
+
+    const project = await resolveProject(req);
+    const result = await syncSearchConsole({ client: gscClientFromEnv(), project, ...range });
+
+    return success(res, result, {
+      message: `Imported ${result.rows_stored} Search Console rows`
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,154 @@
+import { authenticate } from '../../lib/apikeys.js';
+import { success, created, error } from '../../lib/response.js';
+import { ValidationError } from '../../lib/errors.js';
+import { validateEnum } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { fetchKeywordsByIds, fetchTargetsByIds, groupByCountry } from '../../lib/enrich.js';
+import { getJob, fetchJobItems, runMetricsJob, runSerpJob } from '../../lib/jobs.js';
+import { assertWithinBudget, estimateCost } from '../../lib/usage.js';
+import { STALE_JOB_ERROR } from '../../lib/outcomes.js';
+
+const ITEM_STATUSES = ['succeeded', 'failed'];
+
+// Same limits as /api/enrich/keywords and /api/enrich/serp
+const MAX_METRICS_RETRY = 100;
+const MAX_SERP_RETRY = 50;
+
+/**
+ * Enrichment Job Endpoint
+ * GET /api/jobs/:id - A job and the outcome of each keyword (?status=failed for failures only)
+ * POST /api/jobs/:id - Re-run only the keywords that failed, as a new job
+ *
+ * Runs that covered every project (the cron) are only visible to admin keys,
+ * and only show the project's keywords.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { POST: 'enrich' });
+
+    const project = await resolveProject(req);
+    const job = await getJob(req.query.id, project, req.apiKey);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, job, project);
+      case 'POST':
+        return await handleRetry(req, res, job, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/jobs/:id
+ */
+async function handleGet(req, res, job, project) {
+  const { status } = req.query;
+  if (status) validateEnum(status, 'status', ITEM_STATUSES);
+
+  const items = await fetchJobItems(job, project, status);
+
+  return success(res, { ...job, items }, { items: items.length });
+}
+
+/**
+ * POST /api/jobs/:id
+ * Keywords and targets deleted since the job ran are skipped
+ */
+async function handleRetry(req, res, job, project) {
+  if (job.status === 'running') {
+    throw new ValidationError('Job is still running');
+  }
+
+  const failed = await fetchJobItems(job, project, 'failed');
+
+  if (failed.length === 0 && job.error === STALE_JOB_ERROR) {
+    throw new ValidationError('Job stopped before recording its keywords; run the enrichment again', {
+      job_status: job.status
+    });
+  }
+
+  if (failed.length === 0) {
+    throw new ValidationError('Job has no failed keywords to retry', { job_status: job.status });
+  }
+
+  const fields = {
+    source: '/api/jobs',
+    projectId: project.id,
+    createdBy: req.apiKey.name,
+    retryOf: job.id
+  };
+
+  const { job: retry, results } = job.job_type === 'serp'
+    ? await retrySerp(failed, project, fields)
+    : await retryMetrics(failed, project, fields);
+
+  return created(res, results, {
+    job_id: retry.id,
+    job_status: retry.status,
+    retry_of: job.id,
+    requested: retry.requested,
+    succeeded: retry.succeeded,
+    failed: retry.failed,
+    skipped: failed.length - retry.requested
+  });
+}
+
+/**
+ * Re-run failed keyword metrics; keywords that were never saved are sent as text
+ */
+async function retryMetrics(failed, project, fields) {
+  const saved = await fetchKeywordsByIds(
+    failed.filter(item => item.keyword_id).map(item => item.keyword_id),
+    project.id
+  );
+  const unsaved = failed
+    .filter(item => !item.keyword_id && item.project_id === project.id)
+    .map(item => ({ id: null, keyword_text: item.keyword_text, country: item.country, project_id: project.id }));
+  const keywords = [...saved, ...unsaved];
+
+  checkRetrySize(keywords.length, MAX_METRICS_RETRY);
+
+  await assertWithinBudget(
+    estimateCost('keyword_metrics_live', Object.keys(groupByCountry(keywords)).length)
+  );
+
+  return runMetricsJob(keywords, fields);
+}
+
+/**
+ * Re-run failed SERP targets
+ */
+async function retrySerp(failed, project, fields) {
+  const targets = (await fetchTargetsByIds(
+    failed.filter(item => item.target_id).map(item => item.target_id)
+  )).filter(target => target.project_id === project.id);
+
+  checkRetrySize(targets.length, MAX_SERP_RETRY);
+
+  await assertWithinBudget(estimateCost('serp_live', targets.length));
+
+  return runSerpJob(targets, fields);
+}
+
+/**
+ * Retries run live, within the same limits as the enrich endpoints
+ */
+function checkRetrySize(count, maximum) {
+  if (count === 0) {
+    throw new ValidationError('None of the failed keywords still exist');
+  }
+
+  if (count > maximum) {
+    throw new ValidationError(`Maximum ${maximum} keywords per retry; queue them with POST /api/tasks instead`, {
+      received: count,
+      maximum
+    });
+  }
+}
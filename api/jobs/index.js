@@ -0,0 +1,81 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, validateEnum, validateNumber, endOfDay } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { JOB_TYPES, JOB_STATUSES } from '../../lib/outcomes.js';
+import { failStaleJobs, visibleJobs } from '../../lib/jobs.js';
+
+/**
+ * Enrichment Jobs Endpoint
+ * GET /api/jobs - Enrichment runs, newest first
+ *
+ * Lists the project's runs. Admin keys also see scheduled runs, which cover
+ * every project.
+ *
+ * Query params:
+ *   - job_type: keyword_metrics or serp
+ *   - status: running, completed, partial or failed
+ *   - source: Route that ran the job, e.g. /api/cron/enrich
+ *   - from / to: Date range (started_at)
+ *   - limit: Max results (default 50)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      job_type,
+      status,
+      source,
+      from,
+      to,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    const pageLimit = validateNumber(limit, 'limit', { min: 1, integer: true });
+    const start = validateNumber(offset, 'offset', { min: 0, integer: true });
+
+    if (job_type) validateEnum(job_type, 'job_type', JOB_TYPES);
+    if (status) validateEnum(status, 'status', JOB_STATUSES);
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const project = await resolveProject(req);
+    await failStaleJobs();
+
+    let query = visibleJobs(supabase
+      .from('enrichment_jobs')
+      .select('*'), project, req.apiKey)
+      .order('started_at', { ascending: false })
+      .range(start, start + pageLimit - 1);
+
+    if (job_type) query = query.eq('job_type', job_type);
+    if (status) query = query.eq('status', status);
+    if (source) query = query.eq('source', source);
+    if (from) query = query.gte('started_at', new Date(from).toISOString());
+    if (to) query = query.lte('started_at', endOfDay(to));
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    return success(res, data, {
+      count: data.length,
+      limit: pageLimit,
+      offset: start
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
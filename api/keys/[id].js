@@ -0,0 +1,109 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate, KEY_COLUMNS } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates } from '../../lib/validate.js';
+import { prepareKeyFields, keyStatus } from '../../lib/auth.js';
+
+const KEY_FIELDS = ['name', 'scopes', 'expires_at'];
+
+/**
+ * API Key Endpoint (admin scope)
+ * GET /api/keys/:id - Get a key (never its hash)
+ * PATCH /api/keys/:id - Rename, change scopes or expiry
+ * DELETE /api/keys/:id - Revoke the key; it stays listed for the audit log
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, 'admin');
+
+    const key = await getKey(req.query.id);
+
+    switch (req.method) {
+      case 'GET':
+        return success(res, { ...key, status: keyStatus(key) });
+      case 'PATCH':
+        return await handlePatch(req, res, key);
+      case 'DELETE':
+        return await handleDelete(req, res, key);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Load a key by ID
+ */
+async function getKey(id) {
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('API key');
+  }
+
+  return data;
+}
+
+/**
+ * PATCH /api/keys/:id
+ * Body: { name?, scopes?, expires_at? (null = never) }
+ * Revoked keys cannot be changed; create a new key instead
+ */
+async function handlePatch(req, res, key) {
+  if (key.revoked_at) {
+    throw new ValidationError('API key has been revoked', { revoked_at: key.revoked_at });
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .update(prepareKeyFields(pickUpdates(req.body, KEY_FIELDS)))
+    .eq('id', key.id)
+    .select(KEY_COLUMNS)
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  return success(res, { ...data, status: keyStatus(data) });
+}
+
+/**
+ * DELETE /api/keys/:id
+ */
+async function handleDelete(req, res, key) {
+  if (key.revoked_at) {
+    return success(res, { ...key, status: 'revoked' }, { message: `API key "${key.name}" was already revoked` });
+  }
+
+  if (key.id === req.apiKey.id) {
+    throw new ValidationError('An API key cannot revoke itself');
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', key.id)
+    .select(KEY_COLUMNS)
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  return success(res, { ...data, status: 'revoked' }, { message: `API key "${data.name}" revoked` });
+}
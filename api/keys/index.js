@@ -0,0 +1,89 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate, KEY_COLUMNS } from '../../lib/apikeys.js';
+import { success, created, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired } from '../../lib/validate.js';
+import { generateApiKey, prepareKeyFields, keyStatus } from '../../lib/auth.js';
+
+/**
+ * API Keys Endpoint (admin scope)
+ * GET /api/keys - List keys (never their hashes) with their status
+ * POST /api/keys - Create a key; the plaintext key is only returned here
+ *
+ * Scopes: read (GET routes), write (create/update/delete), enrich (routes
+ * that spend DataForSEO credit), admin (everything, plus projects,
+ * locations, keys and the audit log).
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, 'admin');
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res);
+      case 'POST':
+        return await handlePost(req, res);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/keys
+ * Query params: status ('active', 'expired' or 'revoked')
+ */
+async function handleGet(req, res) {
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .order('created_at');
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  const keys = data
+    .map(key => ({ ...key, status: keyStatus(key) }))
+    .filter(key => !req.query.status || key.status === req.query.status);
+
+  return success(res, keys, { count: keys.length });
+}
+
+/**
+ * POST /api/keys
+ * Body: {
+ *   name: 'Looker dashboard',
+ *   scopes: ['read'],                  // read, write, enrich, admin
+ *   expires_at: '2027-01-01'           // optional, default never
+ * }
+ */
+async function handlePost(req, res) {
+  validateRequired(req.body, ['name', 'scopes']);
+
+  const { key, prefix, hash } = generateApiKey();
+
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .insert({
+      ...prepareKeyFields(req.body),
+      key_prefix: prefix,
+      key_hash: hash,
+      created_by: req.apiKey.name
+    })
+    .select(KEY_COLUMNS)
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+
+  return created(res, { ...data, key, status: keyStatus(data) }, {
+    message: `API key "${data.name}" created; store it now, it cannot be shown again`
+  });
+}
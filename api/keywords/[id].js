@@ -0,0 +1,146 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates, validateEnum } from '../../lib/validate.js';
+import { REFRESH_FREQUENCIES } from '../../lib/enrich.js';
+import { resolveProject, projectCountries, assertInProject } from '../../lib/projects.js';
+
+const KEYWORD_FIELDS = ['keyword_text', 'country', 'cluster', 'page_id', 'refresh_frequency'];
+
+/**
+ * Keyword Endpoint
+ * GET /api/keywords/:id - Get a keyword with its page and latest metrics
+ * PATCH /api/keywords/:id - Fix the text or reassign country, cluster, page or refresh frequency
+ * DELETE /api/keywords/:id - Delete a keyword and its metrics and rankings
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'PATCH':
+        return await handlePatch(req, res, project);
+      case 'DELETE':
+        return await handleDelete(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/keywords/:id
+ */
+async function handleGet(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('keywords_with_metrics')
+    .select('*')
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Keyword');
+  }
+
+  let page = null;
+
+  if (data.page_id) {
+    const { data: pageData, error: pageError } = await supabase
+      .from('pages')
+      .select('id, page_name, url, cluster')
+      .eq('id', data.page_id)
+      .maybeSingle();
+
+    if (pageError) {
+      throw mapSupabaseError(pageError, 'select');
+    }
+
+    page = pageData;
+  }
+
+  return success(res, { ...data, pages: page });
+}
+
+/**
+ * PATCH /api/keywords/:id
+ * Body: any of keyword_text, country, cluster, page_id, refresh_frequency
+ */
+async function handlePatch(req, res, project) {
+  const updates = pickUpdates(req.body, KEYWORD_FIELDS);
+
+  if ('keyword_text' in updates) {
+    if (typeof updates.keyword_text !== 'string' || !updates.keyword_text.trim()) {
+      throw new ValidationError('keyword_text cannot be empty', { field: 'keyword_text' });
+    }
+    updates.keyword_text = updates.keyword_text.trim().toLowerCase();
+  }
+
+  if ('country' in updates) {
+    updates.country = String(updates.country).toUpperCase();
+    validateEnum(updates.country, 'country', await projectCountries(project));
+  }
+
+  if ('refresh_frequency' in updates) {
+    validateEnum(updates.refresh_frequency, 'refresh_frequency', REFRESH_FREQUENCIES);
+  }
+
+  if ('page_id' in updates) {
+    await assertInProject(project, 'pages', [updates.page_id], 'page_id');
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('keywords')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Keyword');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * DELETE /api/keywords/:id
+ */
+async function handleDelete(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('keywords')
+    .delete()
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Keyword');
+  }
+
+  return success(res, data, { message: `Keyword "${data.keyword_text}" deleted` });
+}
@@ -0,0 +1,143 @@
+import { supabase } from '../../../lib/supabase.js';
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, created, error } from '../../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../../lib/errors.js';
+import { validateRequired } from '../../../lib/validate.js';
+import { resolveProject, projectCountries } from '../../../lib/projects.js';
+import { parseTargets } from '../../../lib/locales.js';
+import { loadLocations, fetchKeywordTargets } from '../../../lib/locations.js';
+
+/**
+ * Keyword Targets Endpoint
+ * GET /api/keywords/:id/targets - Locations and devices the keyword is tracked in
+ * POST /api/keywords/:id/targets - Track the keyword in more locations/devices
+ * DELETE /api/keywords/:id/targets?target_id= - Stop tracking a target and delete its rankings
+ *
+ * Every keyword has a primary target (its country's default location on
+ * desktop), created with the keyword and moved when its country changes.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+    const keyword = await getKeyword(req.query.id, project);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, keyword);
+      case 'POST':
+        return await handlePost(req, res, keyword, project);
+      case 'DELETE':
+        return await handleDelete(req, res, keyword);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Load a keyword within the project
+ */
+async function getKeyword(id, project) {
+  const { data, error: dbError } = await supabase
+    .from('keywords')
+    .select('id, keyword_text, country')
+    .eq('id', id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Keyword');
+  }
+
+  return data;
+}
+
+/**
+ * GET /api/keywords/:id/targets
+ */
+async function handleGet(req, res, keyword) {
+  const targets = await fetchKeywordTargets([keyword.id]);
+
+  return success(res, targets, { count: targets.length, keyword: keyword.keyword_text });
+}
+
+/**
+ * POST /api/keywords/:id/targets
+ * Body: { targets: [{ location: 'london', device: 'mobile' }, ...] }
+ * device defaults to desktop; targets already tracked are left as they are
+ */
+async function handlePost(req, res, keyword, project) {
+  validateRequired(req.body, ['targets']);
+
+  const targets = parseTargets(
+    req.body.targets,
+    await loadLocations(),
+    await projectCountries(project)
+  );
+
+  if (targets.length === 0) {
+    throw new ValidationError('targets array cannot be empty');
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('keyword_targets')
+    .upsert(
+      targets.map(target => ({ ...target, keyword_id: keyword.id })),
+      { onConflict: 'keyword_id,location_id,device', ignoreDuplicates: true }
+    )
+    .select();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'upsert');
+  }
+
+  return created(res, data, {
+    added: data.length,
+    already_tracked: targets.length - data.length
+  });
+}
+
+/**
+ * DELETE /api/keywords/:id/targets?target_id=
+ * The primary target follows the keyword's country and cannot be removed
+ */
+async function handleDelete(req, res, keyword) {
+  validateRequired(req.query, ['target_id']);
+
+  const target = (await fetchKeywordTargets([keyword.id]))
+    .find(t => t.id === req.query.target_id);
+
+  if (!target) {
+    throw new NotFoundError('Keyword target');
+  }
+
+  if (target.is_primary) {
+    throw new ValidationError('The primary target cannot be removed; change the keyword country instead', {
+      target_id: target.id
+    });
+  }
+
+  const { error: dbError } = await supabase
+    .from('keyword_targets')
+    .delete()
+    .eq('id', target.id);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  return success(res, target, {
+    message: `Stopped tracking "${keyword.keyword_text}" in ${target.location.name} (${target.device})`
+  });
+}
@@ -1,10 +1,17 @@
 import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError, mapSupabaseError } from '../../lib/errors.js';
-import { validateRequired, validateType, validateMethod, validateEnum } from '../../lib/validate.js';
-
-const VALID_COUNTRIES = ['UK', 'US', 'UAE', 'AU', 'SG', 'HK'];
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import {
+  validateRequired,
+  validateType,
+  validateMethod,
+  validateEnum
+} from '../../lib/validate.js';
+import { REFRESH_FREQUENCIES } from '../../lib/enrich.js';
+import { resolveProject, projectCountries, assertInProject } from '../../lib/projects.js';
+import { parseTargets } from '../../lib/locales.js';
+import { loadLocations } from '../../lib/locations.js';
 
 /**
  * Batch Keywords Endpoint
@@ -15,15 +22,16 @@ const VALID_COUNTRIES = ['UK', 'US', 'UAE', 'AU', 'SG', 'HK'];
  *   keywords: ['keyword1', 'keyword2', ...], 
  *   country: 'UK',
  *   cluster: 'Tools',  // optional
- *   page_id: 'uuid'    // optional
+ *   page_id: 'uuid',   // optional
+ *   refresh_frequency: 'daily', // optional: daily, weekly (default), monthly
+ *   targets: [{ location: 'london', device: 'mobile' }]  // optional, tracked as well as
+ *                                                        // the country's default location on desktop
  * }
  */
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req);
 
     // Method check
     validateMethod(req, 'POST');
@@ -31,9 +39,24 @@ export default async function handler(req, res) {
     // Validate payload
     validateRequired(req.body, ['keywords', 'country']);
     validateType(req.body.keywords, 'keywords', 'array');
-    validateEnum(req.body.country.toUpperCase(), 'country', VALID_COUNTRIES);
 
-    const { keywords, country, cluster = null, page_id = null } = req.body;
+    const project = await resolveProject(req);
+    const countries = await projectCountries(project);
+    validateEnum(req.body.country.toUpperCase(), 'country', countries);
+
+    const targets = req.body.targets
+      ? parseTargets(req.body.targets, await loadLocations(), countries)
+      : [];
+
+    const {
+      keywords,
+      country,
+      cluster = null,
+      page_id = null,
+      refresh_frequency = 'weekly'
+    } = req.body;
+
+    validateEnum(refresh_frequency, 'refresh_frequency', REFRESH_FREQUENCIES);
 
     if (keywords.length === 0) {
       throw new ValidationError('Keywords array cannot be empty');
@@ -46,19 +69,23 @@ export default async function handler(req, res) {
       });
     }
 
+    await assertInProject(project, 'pages', [page_id], 'page_id');
+
     // Prepare keywords for insert
     const preparedKeywords = keywords.map(kw => ({
+      project_id: project.id,
       keyword_text: kw.trim().toLowerCase(),
       country: country.toUpperCase(),
       cluster,
-      page_id
+      page_id,
+      refresh_frequency
     }));
 
-    // Upsert to handle duplicates (keyword_text + country unique)
+    // Upsert to handle duplicates (keyword_text + country unique per project)
     const { data, error: dbError } = await supabase
       .from('keywords')
       .upsert(preparedKeywords, { 
-        onConflict: 'keyword_text,country',
+        onConflict: 'project_id,keyword_text,country',
         ignoreDuplicates: false 
       })
       .select();
@@ -67,6 +94,20 @@ export default async function handler(req, res) {
       throw mapSupabaseError(dbError, 'upsert');
     }
 
+    // The primary target is added by the database; add any extra ones
+    if (targets.length > 0) {
+      const { error: targetError } = await supabase
+        .from('keyword_targets')
+        .upsert(
+          data.flatMap(keyword => targets.map(target => ({ ...target, keyword_id: keyword.id }))),
+          { onConflict: 'keyword_id,location_id,device', ignoreDuplicates: true }
+        );
+
+      if (targetError) {
+        throw mapSupabaseError(targetError, 'upsert');
+      }
+    }
+
     return success(res, data, { 
       count: data.length,
       message: `Successfully added ${data.length} keywords`
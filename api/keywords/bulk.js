@@ -0,0 +1,103 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateType, validateMethod, validateEnum } from '../../lib/validate.js';
+import { resolveProject, assertInProject } from '../../lib/projects.js';
+
+const BULK_ACTIONS = ['delete', 'reassign'];
+const MAX_BULK_KEYWORDS = 1000;
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Bulk Keywords Endpoint
+ * POST /api/keywords/bulk
+ *
+ * Delete or reassign many keywords at once
+ * Body: {
+ *   action: 'delete' | 'reassign',
+ *   keyword_ids: ['uuid', ...],  // max 1000
+ *   page_id: 'uuid',             // reassign only; null to unassign
+ *   cluster: 'Tools'             // reassign only; null to clear
+ * }
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'POST');
+
+    // Validate payload
+    validateRequired(req.body, ['action', 'keyword_ids']);
+    validateEnum(req.body.action, 'action', BULK_ACTIONS);
+    validateType(req.body.keyword_ids, 'keyword_ids', 'array');
+
+    const { action, keyword_ids } = req.body;
+    const ids = [...new Set(keyword_ids)];
+
+    if (ids.length === 0) {
+      throw new ValidationError('keyword_ids array cannot be empty');
+    }
+
+    if (ids.length > MAX_BULK_KEYWORDS) {
+      throw new ValidationError(`Maximum ${MAX_BULK_KEYWORDS} keywords per request`, {
+        received: ids.length,
+        maximum: MAX_BULK_KEYWORDS
+      });
+    }
+
+    let updates = null;
+
+    if (action === 'reassign') {
+      updates = {};
+      if (req.body.page_id !== undefined) updates.page_id = req.body.page_id;
+      if (req.body.cluster !== undefined) updates.cluster = req.body.cluster;
+
+      if (Object.keys(updates).length === 0) {
+        throw new ValidationError('reassign requires page_id and/or cluster');
+      }
+
+      updates.updated_at = new Date().toISOString();
+    }
+
+    const project = await resolveProject(req);
+
+    if (updates?.page_id !== undefined) {
+      await assertInProject(project, 'pages', [updates.page_id], 'page_id');
+    }
+
+    const affected = [];
+
+    for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+
+      const query = action === 'delete'
+        ? supabase.from('keywords').delete()
+        : supabase.from('keywords').update(updates);
+
+      const { data, error: dbError } = await query
+        .in('id', chunk)
+        .eq('project_id', project.id)
+        .select('id, keyword_text, country, cluster, page_id');
+
+      if (dbError) {
+        throw mapSupabaseError(dbError, action === 'delete' ? 'delete' : 'update');
+      }
+
+      affected.push(...data);
+    }
+
+    const verb = action === 'delete' ? 'Deleted' : 'Reassigned';
+
+    return success(res, affected, {
+      count: affected.length,
+      not_found: ids.length - affected.length,
+      message: `${verb} ${affected.length} keywords`
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,265 @@
+import { supabase, selectAll, selectPages } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateType, validateUuid } from '../../lib/validate.js';
+import {
+  latestTopUrls,
+  clusterBySerpOverlap,
+  suggestForGroup,
+  DEFAULT_MIN_SHARED_URLS,
+  DEFAULT_TOP_N
+} from '../../lib/clustering.js';
+import { resolveProject, assertInProject } from '../../lib/projects.js';
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_KEYWORDS = 2000;
+const MAX_ACCEPT_KEYWORDS = 1000;
+
+// Keyword IDs per latest_serp_snapshots query, to keep request URLs short
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Keyword Clustering Endpoint
+ * GET  /api/keywords/clusters - Suggest keyword groups by SERP overlap
+ * POST /api/keywords/clusters - Accept suggestions, updating cluster/page_id in one call
+ *
+ * GET groups keywords whose latest top-10 results share at least min_shared
+ * URLs, and suggests a cluster name and primary page for each group.
+ *
+ * GET query params:
+ *   - country, cluster: Same filters as /api/keywords
+ *   - unclustered: true to only consider keywords without a cluster
+ *   - min_shared: Shared top-10 URLs needed to group keywords (default 3)
+ *   - lookback_days: How far back to look for a SERP fetch (default 30)
+ *   - min_size: Smallest group to return (default 2)
+ *   - limit: Max keywords to consider, highest volume first (default 500, max 2000)
+ *
+ * POST body: {
+ *   groups: [{ keyword_ids: ['uuid', ...], cluster: 'Pensions', page_id: 'uuid' }]
+ * }
+ * cluster and page_id are each optional per group, but one is required.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'POST':
+        return await handlePost(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET - Suggest clusters
+ */
+async function handleGet(req, res, project) {
+  const {
+    country,
+    cluster,
+    unclustered,
+    min_shared = DEFAULT_MIN_SHARED_URLS,
+    lookback_days = DEFAULT_LOOKBACK_DAYS,
+    min_size = 2,
+    limit = 500
+  } = req.query;
+
+  const minShared = parseInt(min_shared, 10);
+  const minSize = parseInt(min_size, 10);
+  const maxKeywords = parseInt(limit, 10);
+  const lookbackDays = parseInt(lookback_days, 10);
+
+  if (!(minShared >= 1 && minShared <= DEFAULT_TOP_N)) {
+    throw new ValidationError(`min_shared must be between 1 and ${DEFAULT_TOP_N}`);
+  }
+
+  if (!(maxKeywords >= 1 && maxKeywords <= MAX_KEYWORDS)) {
+    throw new ValidationError(`limit must be between 1 and ${MAX_KEYWORDS}`);
+  }
+
+  if (!(lookbackDays >= 1) || !(minSize >= 1)) {
+    throw new ValidationError('lookback_days and min_size must be positive numbers');
+  }
+
+  // Highest volume first, a page at a time until limit keywords are loaded
+  const keywords = [];
+  const pagesOfKeywords = selectPages(() => {
+    let query = supabase
+      .from('keywords_with_metrics')
+      .select('id, keyword_text, country, cluster, page_id, search_volume')
+      .eq('project_id', project.id)
+      .order('search_volume', { ascending: false, nullsFirst: false })
+      .order('id');
+
+    if (country) query = query.eq('country', country.toUpperCase());
+    if (cluster) query = query.eq('cluster', cluster);
+    if (unclustered === 'true') query = query.is('cluster', null);
+
+    return query;
+  });
+
+  for await (const page of pagesOfKeywords) {
+    keywords.push(...page.slice(0, maxKeywords - keywords.length));
+    if (keywords.length >= maxKeywords) break;
+  }
+
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+  const rows = [];
+
+  // Only the top results of each primary target's latest snapshot
+  for (let i = 0; i < keywords.length; i += KEYWORD_CHUNK_SIZE) {
+    const ids = keywords.slice(i, i + KEYWORD_CHUNK_SIZE).map(k => k.id);
+
+    const { data: latest, error: snapshotError } = await supabase
+      .from('latest_serp_snapshots')
+      .select('snapshot_id')
+      .in('keyword_id', ids)
+      .eq('is_primary', true)
+      .gte('fetched_at', since);
+
+    if (snapshotError) {
+      throw mapSupabaseError(snapshotError, 'select');
+    }
+
+    if (latest.length === 0) continue;
+
+    const { data, error: rankingError } = await selectAll(() => supabase
+      .from('serp_rankings')
+      .select('id, keyword_id, fetched_at, position, url, is_owned')
+      .in('snapshot_id', latest.map(snapshot => snapshot.snapshot_id))
+      .lte('position', DEFAULT_TOP_N)
+      .order('id'));
+
+    if (rankingError) {
+      throw mapSupabaseError(rankingError, 'select');
+    }
+
+    rows.push(...data);
+  }
+
+  const { data: pages, error: pageError } = await selectAll(() => supabase
+    .from('pages')
+    .select('id, page_name, url')
+    .eq('project_id', project.id)
+    .order('id'));
+
+  if (pageError) {
+    throw mapSupabaseError(pageError, 'select');
+  }
+
+  const serps = latestTopUrls(rows);
+  const groups = clusterBySerpOverlap(keywords, serps, { minShared })
+    .filter(group => group.members.length >= minSize)
+    .map(group => ({
+      pivot_keyword: group.pivot.keyword_text,
+      country: group.pivot.country,
+      ...suggestForGroup(group, serps, pages),
+      total_search_volume: group.members.reduce((sum, m) => sum + (m.keyword.search_volume || 0), 0),
+      keyword_ids: group.members.map(m => m.keyword.id),
+      keywords: group.members.map(m => ({
+        id: m.keyword.id,
+        keyword_text: m.keyword.keyword_text,
+        search_volume: m.keyword.search_volume,
+        cluster: m.keyword.cluster,
+        page_id: m.keyword.page_id,
+        shared_urls: m.shared_urls
+      }))
+    }));
+
+  return success(res, groups, {
+    count: groups.length,
+    keywords_considered: keywords.length,
+    keywords_with_serps: serps.size,
+    keywords_grouped: groups.reduce((sum, group) => sum + group.keywords.length, 0),
+    min_shared: minShared,
+    since
+  });
+}
+
+/**
+ * POST - Apply accepted suggestions
+ */
+async function handlePost(req, res, project) {
+  validateRequired(req.body, ['groups']);
+  validateType(req.body.groups, 'groups', 'array');
+
+  const { groups } = req.body;
+
+  if (groups.length === 0) {
+    throw new ValidationError('groups array cannot be empty');
+  }
+
+  const seen = new Set();
+
+  groups.forEach((group, index) => {
+    const field = `groups[${index}]`;
+
+    if (!group || typeof group !== 'object' || Array.isArray(group)) {
+      throw new ValidationError(`${field} must be an object`);
+    }
+
+    validateRequired(group, ['keyword_ids']);
+    validateType(group.keyword_ids, `${field}.keyword_ids`, 'array');
+
+    if (group.keyword_ids.length === 0) {
+      throw new ValidationError(`${field}.keyword_ids cannot be empty`);
+    }
+
+    if (group.cluster === undefined && group.page_id === undefined) {
+      throw new ValidationError(`${field} requires cluster and/or page_id`);
+    }
+
+    if (group.cluster !== undefined && group.cluster !== null) {
+      validateType(group.cluster, `${field}.cluster`, 'string');
+    }
+
+    for (const id of group.keyword_ids) {
+      validateUuid(id, `${field}.keyword_ids`);
+
+      if (seen.has(id.toLowerCase())) {
+        throw new ValidationError('A keyword can only be in one group', { keyword_id: id });
+      }
+      seen.add(id.toLowerCase());
+    }
+  });
+
+  if (seen.size > MAX_ACCEPT_KEYWORDS) {
+    throw new ValidationError(`Maximum ${MAX_ACCEPT_KEYWORDS} keywords per request`, {
+      received: seen.size,
+      maximum: MAX_ACCEPT_KEYWORDS
+    });
+  }
+
+  await assertInProject(project, 'pages', groups.map(group => group.page_id), 'page_id');
+
+  // One call, so a failure leaves every group unapplied
+  const { data: updated, error: rpcError } = await supabase.rpc('apply_keyword_clusters', {
+    target_project: project.id,
+    groups: groups.map(({ keyword_ids, cluster, page_id }) => ({ keyword_ids, cluster, page_id }))
+  });
+
+  if (rpcError) {
+    throw mapSupabaseError(rpcError, 'update');
+  }
+
+  return success(res, updated.map(({ id, keyword_text, country, cluster, page_id }) => ({
+    id, keyword_text, country, cluster, page_id
+  })), {
+    count: updated.length,
+    groups: groups.length,
+    not_found: seen.size - updated.length,
+    message: `Updated ${updated.length} keywords in ${groups.length} clusters`
+  });
+}
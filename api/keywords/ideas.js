@@ -0,0 +1,80 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+
+/**
+ * Keyword Ideas Endpoint
+ * GET /api/keywords/ideas - Candidate keywords harvested from SERPs
+ *
+ * Query params:
+ *   - country: Filter by country (UK, US, UAE)
+ *   - source: Filter by source (e.g. people_also_ask)
+ *   - source_keyword_id: Ideas harvested from one tracked keyword
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ *
+ * Promote an idea to a tracked keyword with POST /api/keywords/batch.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      country,
+      source,
+      source_keyword_id,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    const project = await resolveProject(req);
+
+    let query = supabase
+      .from('keyword_ideas')
+      .select(`
+        *,
+        keywords (
+          id,
+          keyword_text,
+          cluster
+        )
+      `)
+      .eq('project_id', project.id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (country) {
+      query = query.eq('country', country.toUpperCase());
+    }
+
+    if (source) {
+      query = query.eq('source', source);
+    }
+
+    if (source_keyword_id) {
+      query = query.eq('source_keyword_id', source_keyword_id);
+    }
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    return success(res, data, {
+      count: data.length,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,186 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import { REFRESH_FREQUENCIES } from '../../lib/enrich.js';
+import { KEYWORD_COLUMNS, validateRecords, prepareKeyword, dedupeRows } from '../../lib/import.js';
+import { readImportRequest } from '../../lib/upload.js';
+import { resolveProject, projectCountries } from '../../lib/projects.js';
+
+const UPSERT_CHUNK_SIZE = 1000;
+const URL_CHUNK_SIZE = 100;
+
+/**
+ * Import Keywords Endpoint
+ * POST /api/keywords/import
+ *
+ * Bulk import keywords from a spreadsheet or JSON. Accepts the same shapes
+ * and options as POST /api/pages/import (file upload, raw CSV/XLSX, or
+ * JSON { keywords: [{ keyword_text, country, ... }] }).
+ *
+ * Columns: keyword, country, cluster, page_url (or page_id), refresh_frequency
+ * Defaults for rows without a value: country, cluster and refresh_frequency
+ * from the query string / form fields / JSON body.
+ *
+ * page_url is matched against pages.url; unknown URLs, and page_ids that are not
+ * one of the project's pages, are reported as row errors.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'POST');
+
+    const project = await resolveProject(req);
+    const { records, options, source } = await readImportRequest(req, 'keywords', KEYWORD_COLUMNS);
+    const defaults = {
+      country: options.params.country,
+      cluster: options.params.cluster,
+      refresh_frequency: options.params.refresh_frequency
+    };
+
+    const countries = await projectCountries(project);
+    const { valid, errors } = validateRecords(
+      records,
+      record => prepareKeyword(record, defaults, REFRESH_FREQUENCIES, countries)
+    );
+
+    const pageErrors = await resolvePageUrls(valid, project);
+    const resolved = valid.filter(item => !pageErrors.some(e => e.row === item.row));
+
+    const { unique, duplicates } = dedupeRows(
+      resolved,
+      keyword => `${keyword.keyword_text}|${keyword.country}`
+    );
+    const rowErrors = [...errors, ...pageErrors, ...duplicates].sort((a, b) => a.row - b.row);
+
+    const meta = {
+      source,
+      dry_run: options.dryRun,
+      total_rows: records.length,
+      valid_rows: unique.length,
+      invalid_rows: rowErrors.length,
+      errors: rowErrors
+    };
+
+    if (options.dryRun || unique.length === 0) {
+      return success(res, unique.map(item => ({ row: item.row, ...item.data })), {
+        ...meta,
+        count: 0,
+        message: options.dryRun
+          ? `Dry run: ${unique.length} keywords would be imported`
+          : 'No valid keywords to import'
+      });
+    }
+
+    const rows = unique.map(({ data: { page_url, ...keyword } }) => ({ project_id: project.id, ...keyword }));
+    const imported = [];
+
+    for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+      // Upsert to handle duplicates (keyword_text + country unique per project)
+      const { data, error: dbError } = await supabase
+        .from('keywords')
+        .upsert(rows.slice(i, i + UPSERT_CHUNK_SIZE), {
+          onConflict: 'project_id,keyword_text,country',
+          ignoreDuplicates: false
+        })
+        .select();
+
+      if (dbError) {
+        throw mapSupabaseError(dbError, 'upsert');
+      }
+
+      imported.push(...data);
+    }
+
+    return success(res, imported, {
+      ...meta,
+      count: imported.length,
+      message: `Successfully imported ${imported.length} keywords`
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Fill page_id from page_url, returning row errors for unknown URLs
+ * and for page_ids that are not this project's pages
+ * @param {Array} valid - [{ row, data }] from validateRecords (mutated)
+ * @param {object} project - Only this project's pages are matched
+ * @returns {Promise<Array>} - [{ row, error, details }]
+ */
+async function resolvePageUrls(valid, project) {
+  const urls = [...new Set(
+    valid.filter(item => item.data.page_url && !item.data.page_id).map(item => item.data.page_url)
+  )];
+  const ids = [...new Set(valid.filter(item => item.data.page_id).map(item => item.data.page_id))];
+
+  if (urls.length === 0 && ids.length === 0) return [];
+
+  const pageIds = new Map();
+  const projectPageIds = new Set();
+
+  for (let i = 0; i < ids.length; i += URL_CHUNK_SIZE) {
+    const { data, error: dbError } = await supabase
+      .from('pages')
+      .select('id')
+      .eq('project_id', project.id)
+      .in('id', ids.slice(i, i + URL_CHUNK_SIZE));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    data.forEach(page => projectPageIds.add(page.id));
+  }
+
+  for (let i = 0; i < urls.length; i += URL_CHUNK_SIZE) {
+    const { data, error: dbError } = await supabase
+      .from('pages')
+      .select('id, url')
+      .eq('project_id', project.id)
+      .in('url', urls.slice(i, i + URL_CHUNK_SIZE));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    data.forEach(page => pageIds.set(page.url, page.id));
+  }
+
+  const errors = [];
+
+  for (const item of valid) {
+    const { page_url, page_id } = item.data;
+
+    if (page_id) {
+      if (!projectPageIds.has(page_id)) {
+        errors.push({
+          row: item.row,
+          error: 'Page not found for page_id',
+          details: { field: 'page_id', received: page_id }
+        });
+      }
+      continue;
+    }
+
+    if (!page_url) continue;
+
+    if (pageIds.has(page_url)) {
+      item.data.page_id = pageIds.get(page_url);
+    } else {
+      errors.push({
+        row: item.row,
+        error: 'Page not found for page_url',
+        details: { field: 'page_url', received: page_url }
+      });
+    }
+  }
+
+  return errors;
+}
@@ -1,7 +1,10 @@
-import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { supabase, selectAll, selectPages } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError } from '../../lib/errors.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateEnum } from '../../lib/validate.js';
+import { EXPORT_FORMATS, KEYWORD_EXPORT_COLUMNS, sendExport } from '../../lib/export.js';
+import { resolveProject } from '../../lib/projects.js';
 
 /**
  * Keywords Endpoint
@@ -13,13 +16,13 @@ import { UnauthorizedError, ValidationError } from '../../lib/errors.js';
  *   - page_id: Filter by page ID
  *   - limit: Max results (default 100)
  *   - offset: Pagination offset
+ *   - format: json (default), csv or xlsx. csv/xlsx export every matching
+ *     keyword with its latest metrics, ignoring limit and offset
  */
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req);
 
     if (req.method !== 'GET') {
       throw new ValidationError(`Method ${req.method} not allowed`, {
@@ -32,9 +35,18 @@ export default async function handler(req, res) {
       cluster, 
       page_id,
       limit = 100, 
-      offset = 0 
+      offset = 0,
+      format = 'json'
     } = req.query;
 
+    validateEnum(format, 'format', EXPORT_FORMATS);
+
+    const project = await resolveProject(req);
+
+    if (format !== 'json') {
+      return await exportKeywords(res, format, project, req.query);
+    }
+
     // Build query with joins to get latest metrics
     let query = supabase
       .from('keywords')
@@ -47,6 +59,7 @@ export default async function handler(req, res) {
           cluster
         )
       `)
+      .eq('project_id', project.id)
       .order('created_at', { ascending: false })
       .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
 
@@ -79,3 +92,48 @@ export default async function handler(req, res) {
     return error(res, err);
   }
 }
+
+/**
+ * Stream keywords with their latest metrics as CSV or XLSX
+ */
+async function exportKeywords(res, format, project, { country, cluster, page_id }) {
+  const { data: pages, error: pageError } = await selectAll(() => supabase
+    .from('pages')
+    .select('id, url')
+    .eq('project_id', project.id)
+    .order('id'));
+
+  if (pageError) {
+    throw mapSupabaseError(pageError, 'select');
+  }
+
+  const pageUrls = new Map(pages.map(page => [page.id, page.url]));
+
+  const keywordPages = selectPages(() => {
+    let query = supabase
+      .from('keywords_with_metrics')
+      .select('*')
+      .eq('project_id', project.id)
+      .order('created_at', { ascending: false })
+      .order('id');
+
+    if (country) query = query.eq('country', country.toUpperCase());
+    if (cluster) query = query.eq('cluster', cluster);
+    if (page_id) query = query.eq('page_id', page_id);
+
+    return query;
+  });
+
+  async function* batches() {
+    for await (const rows of keywordPages) {
+      yield rows.map(row => ({ ...row, page_url: pageUrls.get(row.page_id) ?? null }));
+    }
+  }
+
+  return sendExport(res, {
+    format,
+    filename: 'keywords',
+    columns: KEYWORD_EXPORT_COLUMNS,
+    batches: batches()
+  });
+}
@@ -0,0 +1,160 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateEnum, validateNumber, validateUuid } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { resolveTargetFilter, fetchKeywordTargets } from '../../lib/locations.js';
+import {
+  opportunityWeights,
+  scoreOpportunity,
+  sortOpportunities,
+  summarizeByCluster,
+  OPPORTUNITY_SORTS
+} from '../../lib/opportunity.js';
+
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Keyword Opportunities Endpoint
+ * GET /api/keywords/opportunities - Keywords ranked by opportunity score, what to work on next
+ *
+ * The score (0-100) weighs search volume, difficulty, the latest owned
+ * position (striking distance 4-20 highest), CPC and whether the keyword is
+ * mapped to a page. Weights come from the project's opportunity_weights
+ * (PATCH /api/projects/:id); each row includes its factor scores.
+ *
+ * Query params:
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - page_id: Filter by page ID
+ *   - location: Location code, e.g. london (default: each keyword's primary target)
+ *   - device: desktop or mobile (default: each keyword's primary target)
+ *   - min_score: Only keywords scoring at least this
+ *   - sort: opportunity_score (default), search_volume, difficulty, cpc or position
+ *   - order: desc (default) or asc
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      country,
+      cluster,
+      page_id,
+      min_score,
+      sort = 'opportunity_score',
+      order = 'desc',
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    validateEnum(sort, 'sort', OPPORTUNITY_SORTS);
+    validateEnum(order, 'order', ['asc', 'desc']);
+    if (page_id) validateUuid(page_id, 'page_id');
+
+    const pageLimit = validateNumber(limit, 'limit', { min: 1, integer: true });
+    const start = validateNumber(offset, 'offset', { min: 0, integer: true });
+
+    const minScore = min_score !== undefined ? Number(min_score) : null;
+    if (minScore !== null && Number.isNaN(minScore)) {
+      throw new ValidationError('min_score must be a number', { field: 'min_score', received: min_score });
+    }
+
+    const project = await resolveProject(req);
+    const weights = opportunityWeights(project.opportunity_weights || {});
+    const targetFilter = await resolveTargetFilter(req.query);
+
+    const { data: keywords, error: keywordError } = await selectAll(() => {
+      let query = supabase
+        .from('keywords_with_metrics')
+        .select('id, keyword_text, country, cluster, page_id, search_volume, difficulty, cpc, competition')
+        .eq('project_id', project.id)
+        .order('id');
+
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+      if (page_id) query = query.eq('page_id', page_id);
+
+      return query;
+    });
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const targets = await fetchKeywordTargets(keywords.map(k => k.id), targetFilter);
+    const latest = await fetchLatestSnapshots(targets.map(t => t.id));
+    const keywordsById = new Map(keywords.map(k => [k.id, k]));
+
+    const scored = targets.map(target => {
+      const keyword = keywordsById.get(target.keyword_id);
+      const snapshot = latest.get(target.id);
+
+      const row = {
+        keyword_id: keyword.id,
+        target_id: target.id,
+        keyword: keyword.keyword_text,
+        country: keyword.country,
+        location: target.location.code,
+        device: target.device,
+        cluster: keyword.cluster,
+        page_id: keyword.page_id,
+        search_volume: keyword.search_volume ?? null,
+        difficulty: keyword.difficulty ?? null,
+        cpc: keyword.cpc ?? null,
+        competition: keyword.competition ?? null,
+        position: snapshot?.owned_position ?? null,
+        serp_fetched_at: snapshot?.fetched_at ?? null
+      };
+
+      return { ...row, ...scoreOpportunity(row, weights) };
+    }).filter(row => minScore === null || row.opportunity_score >= minScore);
+
+    const ranked = sortOpportunities(scored, sort, order);
+    const page = ranked.slice(start, start + pageLimit);
+
+    return success(res, page, {
+      count: page.length,
+      total: ranked.length,
+      weights,
+      by_cluster: summarizeByCluster(ranked),
+      limit: pageLimit,
+      offset: start
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Latest SERP snapshot per target, in chunks to keep request URLs short
+ * @returns {Promise<Map>} - target ID => { owned_position, fetched_at }
+ */
+async function fetchLatestSnapshots(targetIds) {
+  const latest = new Map();
+
+  for (let i = 0; i < targetIds.length; i += ID_CHUNK_SIZE) {
+    const { data, error: dbError } = await supabase
+      .from('latest_serp_snapshots')
+      .select('target_id, owned_position, fetched_at')
+      .in('target_id', targetIds.slice(i, i + ID_CHUNK_SIZE));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    for (const row of data) {
+      latest.set(row.target_id, row);
+    }
+  }
+
+  return latest;
+}
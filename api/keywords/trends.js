@@ -0,0 +1,170 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateEnum, validateNumber, validateUuid } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { toSeries, aggregateSeries, summarizeTrend } from '../../lib/trends.js';
+
+const GROUPS = ['keyword', 'cluster'];
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Keyword Trends Endpoint
+ * GET /api/keywords/trends - Monthly search volume, trend, seasonality and year-over-year change
+ *
+ * Monthly volumes are stored with each keyword metrics refresh (the last
+ * 24 months, from Google Ads). Clusters add up their keywords' volumes per
+ * country, since seasonality differs between markets, over the months every
+ * keyword with data has a volume for.
+ *
+ * Query params:
+ *   - group_by: keyword (default) or cluster
+ *   - keyword_id: Filter by keyword
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - page_id: Filter by page ID
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      group_by = 'keyword',
+      keyword_id,
+      country,
+      cluster,
+      page_id,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    validateEnum(group_by, 'group_by', GROUPS);
+    if (keyword_id) validateUuid(keyword_id, 'keyword_id');
+    if (page_id) validateUuid(page_id, 'page_id');
+
+    const pageLimit = validateNumber(limit, 'limit', { min: 1, integer: true });
+    const start = validateNumber(offset, 'offset', { min: 0, integer: true });
+
+    const project = await resolveProject(req);
+
+    const { data: keywords, error: keywordError } = await selectAll(() => {
+      let query = supabase
+        .from('keywords')
+        .select('id, keyword_text, country, cluster, page_id')
+        .eq('project_id', project.id)
+        .order('id');
+
+      if (keyword_id) query = query.eq('id', keyword_id);
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+      if (page_id) query = query.eq('page_id', page_id);
+
+      return query;
+    });
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const seriesByKeyword = await fetchSeries(keywords.map(k => k.id));
+
+    const rows = group_by === 'cluster'
+      ? clusterTrends(keywords, seriesByKeyword)
+      : keywords.map(keyword => {
+        const series = seriesByKeyword.get(keyword.id) || [];
+
+        return {
+          keyword_id: keyword.id,
+          keyword: keyword.keyword_text,
+          country: keyword.country,
+          cluster: keyword.cluster,
+          page_id: keyword.page_id,
+          ...summarizeTrend(series),
+          series
+        };
+      });
+
+    // Highest average volume first; keywords never refreshed last
+    rows.sort((a, b) => (b.average_volume ?? -1) - (a.average_volume ?? -1));
+
+    const page = rows.slice(start, start + pageLimit);
+
+    return success(res, page, {
+      count: page.length,
+      total: rows.length,
+      group_by,
+      limit: pageLimit,
+      offset: start
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Monthly series per keyword, in chunks to keep request URLs short
+ * @returns {Promise<Map>} - keyword ID => [{ month, search_volume }]
+ */
+async function fetchSeries(keywordIds) {
+  const rowsByKeyword = new Map();
+
+  for (let i = 0; i < keywordIds.length; i += ID_CHUNK_SIZE) {
+    const { data, error: dbError } = await selectAll(() => supabase
+      .from('keyword_monthly_searches')
+      .select('keyword_id, month, search_volume')
+      .in('keyword_id', keywordIds.slice(i, i + ID_CHUNK_SIZE))
+      .order('keyword_id')
+      .order('month'));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    for (const row of data) {
+      if (!rowsByKeyword.has(row.keyword_id)) rowsByKeyword.set(row.keyword_id, []);
+      rowsByKeyword.get(row.keyword_id).push(row);
+    }
+  }
+
+  return new Map([...rowsByKeyword].map(([id, rows]) => [id, toSeries(rows)]));
+}
+
+/**
+ * Combined series and trend per cluster and country
+ */
+function clusterTrends(keywords, seriesByKeyword) {
+  const groups = new Map();
+
+  for (const keyword of keywords) {
+    const key = `${keyword.cluster || ''}|${keyword.country}`;
+    if (!groups.has(key)) {
+      groups.set(key, { cluster: keyword.cluster, country: keyword.country, keywords: 0, series: [] });
+    }
+
+    const group = groups.get(key);
+    group.keywords++;
+    if (seriesByKeyword.has(keyword.id)) group.series.push(seriesByKeyword.get(keyword.id));
+  }
+
+  return [...groups.values()].map(group => {
+    const series = aggregateSeries(group.series);
+
+    return {
+      cluster: group.cluster,
+      country: group.country,
+      keywords: group.keywords,
+      keywords_with_data: group.series.length,
+      months_dropped: new Set(group.series.flat().map(entry => entry.month)).size - series.length,
+      ...summarizeTrend(series),
+      series
+    };
+  });
+}
@@ -0,0 +1,137 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates } from '../../lib/validate.js';
+import { prepareLocationFields } from '../../lib/locales.js';
+import { getLocation } from '../../lib/locations.js';
+
+const LOCATION_FIELDS = ['name', 'location_type', 'location_code', 'language_code', 'is_default', 'active'];
+
+/**
+ * Location Endpoint (:id is the location ID or code)
+ * GET /api/locations/:id - Get a location and how many keyword targets use it
+ * PATCH /api/locations/:id - Update name, type, location/language code, default or active flag
+ * DELETE /api/locations/:id - Delete a location no keyword targets use
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { PATCH: 'admin', DELETE: 'admin' });
+
+    const location = await getLocation(req.query.id);
+
+    switch (req.method) {
+      case 'GET':
+        return success(res, { ...location, targets: await countTargets(location) });
+      case 'PATCH':
+        return await handlePatch(req, res, location);
+      case 'DELETE':
+        return await handleDelete(req, res, location);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Number of keyword targets tracked in a location
+ */
+async function countTargets(location) {
+  const { count, error: dbError } = await supabase
+    .from('keyword_targets')
+    .select('id', { count: 'exact', head: true })
+    .eq('location_id', location.id);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return count;
+}
+
+/**
+ * PATCH /api/locations/:id
+ * Making a location the country default moves the flag from the previous
+ * default in one call (set_default_location); keywords added to the country
+ * afterwards get it as their primary target. A country always keeps an active
+ * default, since new keywords and country changes need one.
+ */
+async function handlePatch(req, res, location) {
+  const updates = prepareLocationFields(pickUpdates(req.body, LOCATION_FIELDS));
+
+  if (updates.is_default === false && location.is_default) {
+    throw new ValidationError('Make another location the country default instead', {
+      field: 'is_default', country: location.country
+    });
+  }
+
+  const isDefault = updates.is_default ?? location.is_default;
+  const isActive = updates.active ?? location.active;
+
+  if (isDefault && !isActive) {
+    throw new ValidationError(
+      'The country default location cannot be inactive; make another location the default first',
+      { field: 'active', country: location.country }
+    );
+  }
+
+  if (updates.is_default && !location.is_default) {
+    const { error: rpcError } = await supabase.rpc('set_default_location', {
+      target_location: location.id
+    });
+
+    if (rpcError) {
+      throw mapSupabaseError(rpcError, 'update');
+    }
+  }
+
+  delete updates.is_default;
+
+  if (Object.keys(updates).length === 0) {
+    return success(res, await getLocation(location.id));
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('locations')
+    .update(updates)
+    .eq('id', location.id)
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * DELETE /api/locations/:id
+ * Locations with ranking history are kept; deactivate them with
+ * PATCH { active: false } to stop refreshing their targets
+ */
+async function handleDelete(req, res, location) {
+  const targets = await countTargets(location);
+
+  if (targets > 0) {
+    throw new ValidationError('Location is used by keyword targets; set active: false instead', {
+      targets
+    });
+  }
+
+  const { error: dbError } = await supabase
+    .from('locations')
+    .delete()
+    .eq('id', location.id);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  return success(res, location, { message: `Location "${location.name}" deleted` });
+}
@@ -0,0 +1,88 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, created, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired } from '../../lib/validate.js';
+import { prepareLocationFields } from '../../lib/locales.js';
+
+/**
+ * Locations Endpoint
+ * GET /api/locations - List locations keywords can be tracked in
+ * POST /api/locations - Add a location (country, region or city) with its language
+ *
+ * Locations are shared by every project. Each country needs one default
+ * location, used for its keyword metrics and keywords' primary targets.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { POST: 'admin' });
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res);
+      case 'POST':
+        return await handlePost(req, res);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/locations
+ * Query params: country, location_type, active ('true' / 'false')
+ */
+async function handleGet(req, res) {
+  const { country, location_type, active } = req.query;
+
+  let query = supabase
+    .from('locations')
+    .select('*')
+    .order('country')
+    .order('code');
+
+  if (country) query = query.eq('country', country.toUpperCase());
+  if (location_type) query = query.eq('location_type', location_type);
+  if (active === 'true' || active === 'false') query = query.eq('active', active === 'true');
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return success(res, data, { count: data.length });
+}
+
+/**
+ * POST /api/locations
+ * Body: {
+ *   code: 'dubai',
+ *   name: 'Dubai',
+ *   country: 'UAE',
+ *   location_code: 1234567,    // DataForSEO location code, see GET /api/locations/search
+ *   location_type: 'city',     // optional: country (default), region, city
+ *   language_code: 'en',       // optional, default en
+ *   is_default: false          // optional: the country's default location
+ * }
+ */
+async function handlePost(req, res) {
+  validateRequired(req.body, ['code', 'name', 'country', 'location_code']);
+
+  const { data, error: dbError } = await supabase
+    .from('locations')
+    .insert(prepareLocationFields(req.body))
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+
+  return created(res, data, { message: `Location "${data.name}" added` });
+}
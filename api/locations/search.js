@@ -0,0 +1,60 @@
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError } from '../../lib/errors.js';
+import { validateMethod, validateRequired } from '../../lib/validate.js';
+import { getLocations } from '../../lib/dataforseo.js';
+import { recordUsage } from '../../lib/usage.js';
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Location Search Endpoint
+ * GET /api/locations/search - Look up DataForSEO location codes, e.g. for a city
+ *
+ * Query params:
+ *   - country_iso: ISO 3166-1 alpha-2 country code (AE, GB, HK, ...), required
+ *   - q: Match against the location name, e.g. 'dubai'
+ *   - type: DataForSEO location type, e.g. City, Region
+ *   - limit: Max results (default 50)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, 'enrich');
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    validateRequired(req.query, ['country_iso']);
+
+    const { country_iso, q, type, limit = DEFAULT_LIMIT } = req.query;
+
+    if (!/^[a-z]{2}$/i.test(country_iso)) {
+      throw new ValidationError('country_iso must be a two-letter ISO country code', {
+        field: 'country_iso',
+        received: country_iso
+      });
+    }
+
+    const locations = await getLocations(country_iso, {
+      onUsage: recordUsage('/api/locations/search')
+    });
+
+    const matches = locations
+      .filter(location => !q || location.location_name.toLowerCase().includes(q.toLowerCase()))
+      .filter(location => !type || location.location_type.toLowerCase() === type.toLowerCase())
+      .slice(0, parseInt(limit, 10))
+      .map(location => ({
+        location_code: location.location_code,
+        name: location.location_name,
+        location_type: location.location_type,
+        country_iso: location.country_iso_code,
+        parent_location_code: location.location_code_parent
+      }));
+
+    return success(res, matches, { count: matches.length });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
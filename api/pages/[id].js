@@ -0,0 +1,128 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates, validateType } from '../../lib/validate.js';
+import { syncPageLinksSafely } from '../../lib/pagelinks.js';
+import { resolveProject } from '../../lib/projects.js';
+
+const PAGE_FIELDS = [
+  'page_name', 'url', 'cluster', 'level', 'parent_page',
+  'sibling_links', 'cross_cluster_links', 'content_focus'
+];
+
+/**
+ * Page Endpoint
+ * GET /api/pages/:id - Get a page with its assigned keywords
+ * PATCH /api/pages/:id - Update page fields
+ * DELETE /api/pages/:id - Delete a page (its keywords are kept, unassigned)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'PATCH':
+        return await handlePatch(req, res, project);
+      case 'DELETE':
+        return await handleDelete(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/pages/:id
+ */
+async function handleGet(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('pages')
+    .select('*, keywords (id, keyword_text, country, cluster)')
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Page');
+  }
+
+  return success(res, data);
+}
+
+/**
+ * PATCH /api/pages/:id
+ * Body: any of page_name, url, cluster, level, parent_page,
+ *       sibling_links, cross_cluster_links, content_focus
+ */
+async function handlePatch(req, res, project) {
+  const updates = pickUpdates(req.body, PAGE_FIELDS);
+
+  for (const field of ['page_name', 'url', 'cluster']) {
+    if (field in updates && !updates[field]) {
+      throw new ValidationError(`${field} cannot be empty`, { field });
+    }
+  }
+
+  if (updates.level !== undefined) {
+    validateType(updates.level, 'level', 'number');
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('pages')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Page');
+  }
+
+  await syncPageLinksSafely(project);
+
+  return success(res, data);
+}
+
+/**
+ * DELETE /api/pages/:id
+ */
+async function handleDelete(req, res, project) {
+  const { data, error: dbError } = await supabase
+    .from('pages')
+    .delete()
+    .eq('id', req.query.id)
+    .eq('project_id', project.id)
+    .select()
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Page');
+  }
+
+  await syncPageLinksSafely(project);
+
+  return success(res, data, { message: `Page "${data.page_name}" deleted` });
+}
@@ -0,0 +1,56 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import { auditLinkGraph } from '../../lib/links.js';
+import { resolveProject } from '../../lib/projects.js';
+
+/**
+ * Internal Linking Audit Endpoint
+ * GET /api/pages/audit - Check the page link graph (see lib/links.js)
+ *
+ * Reports orphan pages, broken parent references, broken sibling/cross-cluster
+ * references, clusters with no pillar (level 1) page, sibling links that are
+ * not reciprocated and each page's link depth from its cluster's pillar.
+ *
+ * Query params:
+ *   - cluster: Only report on one cluster (links to other clusters still count)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const { cluster } = req.query;
+    const project = await resolveProject(req);
+
+    const { data: pages, error: pageError } = await selectAll(() => supabase
+      .from('pages')
+      .select('id, page_name, url, cluster, level')
+      .eq('project_id', project.id)
+      .order('id'));
+
+    if (pageError) {
+      throw mapSupabaseError(pageError, 'select');
+    }
+
+    const { data: links, error: linkError } = await selectAll(() => supabase
+      .from('page_links')
+      .select('source_page_id, target_page_id, target_ref, link_type')
+      .eq('project_id', project.id)
+      .order('id'));
+
+    if (linkError) {
+      throw mapSupabaseError(linkError, 'select');
+    }
+
+    return success(res, auditLinkGraph(pages, links, { cluster }), { cluster: cluster || null });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
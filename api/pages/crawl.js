@@ -0,0 +1,135 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateEnum, validateType } from '../../lib/validate.js';
+import { ISSUE_TYPES } from '../../lib/crawler.js';
+import { selectPagesToCrawl, crawlPages } from '../../lib/crawls.js';
+import { resolveProject } from '../../lib/projects.js';
+
+// Page fetches must finish by this long after the request starts (see crawlPages)
+const TIME_BUDGET_MS = 20000;
+const MAX_CRAWL_PAGES = 50;
+
+/**
+ * Page Crawl Endpoint
+ * GET /api/pages/crawl - Latest on-page snapshot and issues per page
+ * POST /api/pages/crawl - Crawl pages now
+ *
+ * Query params (GET):
+ *   - page_id: One page; add history=true for every snapshot over time
+ *   - cluster: Filter by content cluster
+ *   - issue: Only pages with this issue type (see lib/crawler.js)
+ *
+ * Body (POST, all optional):
+ *   - page_ids: ['uuid', ...] (default: least recently crawled pages)
+ *   - cluster: Only pages in this cluster
+ *   - limit: Max pages (default 20, max 50)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'POST':
+        return await handlePost(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/pages/crawl
+ */
+async function handleGet(req, res, project) {
+  const { page_id, cluster, issue, history } = req.query;
+
+  if (issue) validateEnum(issue, 'issue', ISSUE_TYPES);
+
+  if (history === 'true' && !page_id) {
+    throw new ValidationError('history=true requires page_id');
+  }
+
+  let pageIds = null;
+
+  if (page_id || cluster) {
+    let pageQuery = supabase
+      .from('pages')
+      .select('id')
+      .eq('project_id', project.id);
+
+    if (page_id) pageQuery = pageQuery.eq('id', page_id);
+    if (cluster) pageQuery = pageQuery.eq('cluster', cluster);
+
+    const { data: pages, error: pageError } = await pageQuery;
+
+    if (pageError) {
+      throw mapSupabaseError(pageError, 'select');
+    }
+
+    pageIds = pages.map(page => page.id);
+  }
+
+  const { data, error: dbError } = await selectAll(() => {
+    let query = supabase
+      .from(history === 'true' ? 'page_crawls' : 'latest_page_crawls')
+      .select('*')
+      .order('crawled_at', { ascending: false })
+      .order('id');
+
+    if (history !== 'true') query = query.eq('project_id', project.id);
+    if (pageIds) query = query.in('page_id', pageIds);
+    if (issue) query = query.contains('issues', [{ type: issue }]);
+
+    return query;
+  });
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  const issueCounts = {};
+  for (const snapshot of data) {
+    for (const { type } of snapshot.issues || []) {
+      issueCounts[type] = (issueCounts[type] || 0) + 1;
+    }
+  }
+
+  return success(res, data, { count: data.length, issues: issueCounts });
+}
+
+/**
+ * POST /api/pages/crawl
+ */
+async function handlePost(req, res, project) {
+  const startedAt = Date.now();
+  const { page_ids, cluster, limit = 20 } = req.body || {};
+
+  if (page_ids !== undefined) validateType(page_ids, 'page_ids', 'array');
+
+  const pageLimit = parseInt(limit, 10);
+  if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_CRAWL_PAGES) {
+    throw new ValidationError(`limit must be between 1 and ${MAX_CRAWL_PAGES}`, {
+      field: 'limit', received: limit
+    });
+  }
+
+  const pages = await selectPagesToCrawl(project, { page_ids, cluster, limit: pageLimit });
+  const { snapshots, skipped } = await crawlPages(project, pages, { deadline: startedAt + TIME_BUDGET_MS });
+
+  return success(res, snapshots, {
+    count: snapshots.length,
+    skipped,
+    issues: snapshots.reduce((total, snapshot) => total + snapshot.issues.length, 0)
+  });
+}
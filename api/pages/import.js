@@ -1,69 +1,79 @@
 import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError, mapSupabaseError } from '../../lib/errors.js';
-import { validateRequired, validateType, validateMethod } from '../../lib/validate.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import { PAGE_COLUMNS, validateRecords, preparePage, dedupeRows } from '../../lib/import.js';
+import { readImportRequest } from '../../lib/upload.js';
+import { syncPageLinksSafely } from '../../lib/pagelinks.js';
+import { resolveProject } from '../../lib/projects.js';
 
 /**
  * Import Pages Endpoint
  * POST /api/pages/import
- * 
- * Bulk import pages from Excel data
- * Body: { pages: [{ page_name, url, cluster, ... }, ...] }
+ *
+ * Bulk import pages from a spreadsheet or JSON. Accepts:
+ *   - multipart/form-data with a CSV or XLSX `file` field
+ *   - a raw CSV or XLSX body (Content-Type text/csv or the XLSX type)
+ *   - JSON: { pages: [{ page_name, url, cluster, ... }, ...] }
+ *
+ * Options (form fields, query params or JSON body):
+ *   - dry_run: true to validate and preview without writing
+ *   - mapping: { field: 'Header in file' } when headers differ from the defaults
+ *   - sheet: XLSX worksheet name (default: first sheet)
+ *
+ * Invalid rows are reported in meta.errors and skipped; valid rows are imported.
  */
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req);
 
     // Method check
     validateMethod(req, 'POST');
 
-    // Validate payload
-    validateRequired(req.body, ['pages']);
-    validateType(req.body.pages, 'pages', 'array');
+    const project = await resolveProject(req);
+    const { records, options, source } = await readImportRequest(req, 'pages', PAGE_COLUMNS);
 
-    const { pages } = req.body;
+    const { valid, errors } = validateRecords(records, preparePage);
+    const { unique, duplicates } = dedupeRows(valid, page => page.url);
+    const rowErrors = [...errors, ...duplicates].sort((a, b) => a.row - b.row);
 
-    if (pages.length === 0) {
-      throw new ValidationError('Pages array cannot be empty');
-    }
+    const meta = {
+      source,
+      dry_run: options.dryRun,
+      total_rows: records.length,
+      valid_rows: unique.length,
+      invalid_rows: rowErrors.length,
+      errors: rowErrors
+    };
 
-    // Validate each page has required fields
-    const requiredFields = ['page_name', 'url', 'cluster'];
-    pages.forEach((page, index) => {
-      requiredFields.forEach(field => {
-        if (!page[field]) {
-          throw new ValidationError(`Page at index ${index} missing required field: ${field}`);
-        }
+    if (options.dryRun || unique.length === 0) {
+      return success(res, unique.map(item => ({ row: item.row, ...item.data })), {
+        ...meta,
+        count: 0,
+        message: options.dryRun
+          ? `Dry run: ${unique.length} pages would be imported`
+          : 'No valid pages to import'
       });
-    });
-
-    // Prepare pages for insert
-    const preparedPages = pages.map(page => ({
-      page_name: page.page_name,
-      url: page.url,
-      cluster: page.cluster,
-      level: page.level || 2,
-      parent_page: page.parent_page || null,
-      sibling_links: page.sibling_links || null,
-      cross_cluster_links: page.cross_cluster_links || null,
-      content_focus: page.content_focus || null
-    }));
+    }
 
     // Insert pages (upsert to handle duplicates)
     const { data, error: dbError } = await supabase
       .from('pages')
-      .upsert(preparedPages, { onConflict: 'url' })
+      .upsert(unique.map(item => ({ project_id: project.id, ...item.data })), {
+        onConflict: 'project_id,url'
+      })
       .select();
 
     if (dbError) {
       throw mapSupabaseError(dbError, 'upsert');
     }
 
-    return success(res, data, { 
+    await syncPageLinksSafely(project);
+
+    return success(res, data, {
+      ...meta,
       count: data.length,
       message: `Successfully imported ${data.length} pages`
     });
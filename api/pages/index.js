@@ -1,7 +1,11 @@
-import { supabase } from '../../lib/supabase.js';
-import { verifyApiKey } from '../../lib/auth.js';
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
 import { success, error } from '../../lib/response.js';
-import { UnauthorizedError, ValidationError } from '../../lib/errors.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateEnum } from '../../lib/validate.js';
+import { EXPORT_FORMATS, PAGE_EXPORT_COLUMNS, sendExport } from '../../lib/export.js';
+import { syncPageLinksSafely } from '../../lib/pagelinks.js';
+import { resolveProject } from '../../lib/projects.js';
 
 /**
  * Pages Endpoint
@@ -11,15 +15,15 @@ import { UnauthorizedError, ValidationError } from '../../lib/errors.js';
 export default async function handler(req, res) {
   try {
     // Auth check
-    if (!verifyApiKey(req)) {
-      throw new UnauthorizedError();
-    }
+    await authenticate(req);
+
+    const project = await resolveProject(req);
 
     switch (req.method) {
       case 'GET':
-        return handleGet(req, res);
+        return await handleGet(req, res, project);
       case 'POST':
-        return handlePost(req, res);
+        return await handlePost(req, res, project);
       default:
         throw new ValidationError(`Method ${req.method} not allowed`, {
           allowed: ['GET', 'POST']
@@ -32,39 +36,84 @@ export default async function handler(req, res) {
 
 /**
  * GET /api/pages
- * Query params: cluster, level
+ * Query params: cluster, level, format (json, csv or xlsx)
  */
-async function handleGet(req, res) {
-  const { cluster, level } = req.query;
-  
-  let query = supabase
-    .from('pages')
-    .select('*')
-    .order('cluster')
-    .order('level');
-  
-  if (cluster) {
-    query = query.eq('cluster', cluster);
-  }
-  
-  if (level) {
-    query = query.eq('level', parseInt(level, 10));
-  }
-  
-  const { data, error: dbError } = await query;
+async function handleGet(req, res, project) {
+  const { cluster, level, format = 'json' } = req.query;
+
+  validateEnum(format, 'format', EXPORT_FORMATS);
   
+  const { data, error: dbError } = await selectAll(() => {
+    let query = supabase
+      .from('pages')
+      .select('*')
+      .eq('project_id', project.id)
+      .order('cluster')
+      .order('level')
+      .order('id');
+
+    if (cluster) {
+      query = query.eq('cluster', cluster);
+    }
+
+    if (level) {
+      query = query.eq('level', parseInt(level, 10));
+    }
+
+    return query;
+  });
+
   if (dbError) {
-    throw dbError;
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (format !== 'json') {
+    return sendExport(res, {
+      format,
+      filename: 'pages',
+      columns: PAGE_EXPORT_COLUMNS,
+      batches: [await withKeywordTotals(data, project)]
+    });
   }
   
   return success(res, data, { count: data.length });
 }
 
+/**
+ * Add keyword_count and total_search_volume (latest metrics) to each page
+ */
+async function withKeywordTotals(pages, project) {
+  const { data: keywords, error: keywordError } = await selectAll(() => supabase
+    .from('keywords_with_metrics')
+    .select('page_id, search_volume')
+    .eq('project_id', project.id)
+    .not('page_id', 'is', null)
+    .order('id'));
+
+  if (keywordError) {
+    throw mapSupabaseError(keywordError, 'select');
+  }
+
+  const totals = new Map();
+
+  for (const keyword of keywords) {
+    const total = totals.get(keyword.page_id) || { keyword_count: 0, total_search_volume: 0 };
+    total.keyword_count += 1;
+    total.total_search_volume += keyword.search_volume || 0;
+    totals.set(keyword.page_id, total);
+  }
+
+  return pages.map(page => ({
+    ...page,
+    ...(totals.get(page.id) || { keyword_count: 0, total_search_volume: 0 })
+  }));
+}
+
 /**
  * POST /api/pages
  * Body: { page_name, url, cluster, level, parent_page, content_focus, ... }
  */
-async function handlePost(req, res) {
+async function handlePost(req, res, project) {
   const { 
     page_name, 
     url, 
@@ -85,6 +134,7 @@ async function handlePost(req, res) {
   const { data, error: dbError } = await supabase
     .from('pages')
     .insert({
+      project_id: project.id,
       page_name,
       url,
       cluster,
@@ -100,6 +150,8 @@ async function handlePost(req, res) {
   if (dbError) {
     throw dbError;
   }
+
+  await syncPageLinksSafely(project);
   
   return success(res, data);
 }
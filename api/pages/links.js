@@ -0,0 +1,88 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateEnum, validateUuid } from '../../lib/validate.js';
+import { LINK_TYPES } from '../../lib/links.js';
+import { syncPageLinks } from '../../lib/pagelinks.js';
+import { resolveProject } from '../../lib/projects.js';
+
+/**
+ * Page Links Endpoint
+ * GET /api/pages/links - The internal link graph built from the pages'
+ *   parent_page, sibling_links and cross_cluster_links text
+ * POST /api/pages/links - Rebuild the graph (runs automatically after page writes)
+ *
+ * Query params (GET):
+ *   - page_id: Links from or to this page
+ *   - link_type: parent, sibling or cross_cluster
+ *   - broken: true for references that match no page
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    const project = await resolveProject(req);
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res, project);
+      case 'POST':
+        return await handlePost(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/pages/links
+ */
+async function handleGet(req, res, project) {
+  const { page_id, link_type, broken } = req.query;
+
+  if (page_id) validateUuid(page_id, 'page_id');
+  if (link_type) validateEnum(link_type, 'link_type', LINK_TYPES);
+
+  const { data, error: dbError } = await selectAll(() => {
+    let query = supabase
+      .from('page_links')
+      .select(`
+        id,
+        link_type,
+        target_ref,
+        source:pages!page_links_source_page_id_fkey (id, page_name, url, cluster),
+        target:pages!page_links_target_page_id_fkey (id, page_name, url, cluster)
+      `)
+      .eq('project_id', project.id)
+      .order('id');
+
+    if (page_id) query = query.or(`source_page_id.eq.${page_id},target_page_id.eq.${page_id}`);
+    if (link_type) query = query.eq('link_type', link_type);
+    if (broken === 'true') query = query.is('target_page_id', null);
+
+    return query;
+  });
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return success(res, data, { count: data.length });
+}
+
+/**
+ * POST /api/pages/links
+ */
+async function handlePost(req, res, project) {
+  const result = await syncPageLinks(project);
+
+  return success(res, result, {
+    message: `Rebuilt ${result.links} page links (${result.broken} broken)`
+  });
+}
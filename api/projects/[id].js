@@ -0,0 +1,99 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { pickUpdates } from '../../lib/validate.js';
+import { getProject, prepareProjectFields, loadSupportedCountries } from '../../lib/projects.js';
+
+const PROJECT_FIELDS = ['name', 'domains', 'countries', 'site_url', 'gsc_site_url', 'opportunity_weights'];
+
+/**
+ * Project Endpoint (:id is the project ID or slug)
+ * GET /api/projects/:id - Get a project
+ * PATCH /api/projects/:id - Update name, domains, countries, site_url, gsc_site_url or opportunity_weights
+ * DELETE /api/projects/:id?confirm=<slug> - Delete a project and all of its data
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { PATCH: 'admin', DELETE: 'admin' });
+
+    const project = await getProject(req.query.id);
+
+    switch (req.method) {
+      case 'GET':
+        return success(res, project);
+      case 'PATCH':
+        return await handlePatch(req, res, project);
+      case 'DELETE':
+        return await handleDelete(req, res, project);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'PATCH', 'DELETE']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * PATCH /api/projects/:id
+ * Changing domains recomputes is_owned on the project's stored SERP data
+ */
+async function handlePatch(req, res, project) {
+  const updates = prepareProjectFields(
+    pickUpdates(req.body, PROJECT_FIELDS),
+    await loadSupportedCountries()
+  );
+
+  const { data, error: dbError } = await supabase
+    .from('projects')
+    .update(updates)
+    .eq('id', project.id)
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  const domainsChanged = updates.domains
+    && updates.domains.join(',') !== project.domains.join(',');
+
+  if (domainsChanged) {
+    const { error: refreshError } = await supabase
+      .rpc('refresh_owned_flags', { target_project: project.id });
+
+    if (refreshError) {
+      throw mapSupabaseError(refreshError, 'update');
+    }
+  }
+
+  return success(res, data, { owned_flags_refreshed: Boolean(domainsChanged) });
+}
+
+/**
+ * DELETE /api/projects/:id
+ * Pages, keywords, competitors, rankings and alert rules cascade with the
+ * project, so the slug must be repeated in ?confirm=
+ */
+async function handleDelete(req, res, project) {
+  if (req.query.confirm !== project.slug) {
+    throw new ValidationError('Deleting a project removes all of its data; pass confirm=<slug>', {
+      field: 'confirm',
+      expected: project.slug
+    });
+  }
+
+  const { error: dbError } = await supabase
+    .from('projects')
+    .delete()
+    .eq('id', project.id);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'delete');
+  }
+
+  return success(res, project, { message: `Project "${project.name}" deleted` });
+}
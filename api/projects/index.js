@@ -0,0 +1,94 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, created, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateType } from '../../lib/validate.js';
+import { prepareProjectFields, loadSupportedCountries } from '../../lib/projects.js';
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Projects Endpoint
+ * GET /api/projects - List projects
+ * POST /api/projects - Create a project
+ *
+ * Every other endpoint is scoped to one project, picked with the
+ * x-project header or ?project= (slug or ID; default DEFAULT_PROJECT, then 'hoxton').
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { POST: 'admin' });
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res);
+      case 'POST':
+        return await handlePost(req, res);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/projects
+ */
+async function handleGet(req, res) {
+  const { data, error: dbError } = await supabase
+    .from('projects')
+    .select('*')
+    .order('created_at');
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return success(res, data, { count: data.length });
+}
+
+/**
+ * POST /api/projects
+ * Body: {
+ *   slug: 'hoxton-partner',
+ *   name: 'Partner Brand',
+ *   domains: ['partner.com', 'partner.ae'],  // owned domains; subdomains match too
+ *   countries: ['UK', 'UAE'],                // optional, default every supported country
+ *   site_url: 'https://www.partner.com',     // optional crawl base URL
+ *   gsc_site_url: 'sc-domain:partner.com',   // optional Search Console property
+ *   opportunity_weights: { cpc: 0.3 }        // optional, see lib/opportunity.js
+ * }
+ */
+async function handlePost(req, res) {
+  validateRequired(req.body, ['slug', 'name', 'domains']);
+  validateType(req.body.slug, 'slug', 'string');
+  validateType(req.body.name, 'name', 'string');
+
+  const slug = req.body.slug.trim().toLowerCase();
+
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new ValidationError('slug may only contain lowercase letters, numbers and hyphens', {
+      field: 'slug',
+      received: req.body.slug
+    });
+  }
+
+  const { data, error: dbError } = await supabase
+    .from('projects')
+    .insert({
+      slug,
+      ...prepareProjectFields(req.body, await loadSupportedCountries())
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+
+  return created(res, data, { message: `Project "${data.name}" created` });
+}
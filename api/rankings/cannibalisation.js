@@ -0,0 +1,189 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, validateEnum, endOfDay } from '../../lib/validate.js';
+import { detectCannibalisation, CANNIBALISATION_ISSUES } from '../../lib/cannibalisation.js';
+import { resolveProject } from '../../lib/projects.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Keyword IDs per query, to keep request URLs short
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Cannibalisation Endpoint
+ * GET /api/rankings/cannibalisation - Keywords where the project's own pages compete with each other
+ *
+ * Reports keywords where:
+ *   - multiple_urls: more than one owned URL ranks in the keyword's latest fetch in the range
+ *   - mismatched_page: the ranking URL is not the page the keyword is mapped to
+ *   - url_flip_flop: the ranking URL changed at least min_changes times in the range
+ *
+ * Query params:
+ *   - country, cluster, page_id: Same filters as /api/keywords
+ *   - issue: Only return one issue type
+ *   - from / to: Date range (default last 30 days)
+ *   - min_changes: URL changes that count as flip-flopping (default 2)
+ *   - limit: Max keywords to check (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      country,
+      cluster,
+      page_id,
+      issue,
+      from,
+      to,
+      min_changes = 2,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (issue) validateEnum(issue, 'issue', CANNIBALISATION_ISSUES);
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const toDate = to ? new Date(endOfDay(to)) : new Date();
+    const fromDate = from
+      ? new Date(from)
+      : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to', {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    const project = await resolveProject(req);
+
+    let keywordQuery = supabase
+      .from('keywords')
+      .select(`
+        id,
+        keyword_text,
+        country,
+        cluster,
+        page_id,
+        pages (
+          id,
+          page_name,
+          url
+        )
+      `)
+      .eq('project_id', project.id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (country) {
+      keywordQuery = keywordQuery.eq('country', country.toUpperCase());
+    }
+
+    if (cluster) {
+      keywordQuery = keywordQuery.eq('cluster', cluster);
+    }
+
+    if (page_id) {
+      keywordQuery = keywordQuery.eq('page_id', page_id);
+    }
+
+    const { data: keywords, error: keywordError } = await keywordQuery;
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    // Owned rows, plus when each keyword was last fetched at all, in chunks of keywords
+    const rowsByKeyword = {};
+    const latestFetchByKeyword = {};
+
+    for (let i = 0; i < keywords.length; i += KEYWORD_CHUNK_SIZE) {
+      const ids = keywords.slice(i, i + KEYWORD_CHUNK_SIZE).map(k => k.id);
+
+      const { data: snapshots, error: snapshotError } = await selectAll(() => supabase
+        .from('serp_snapshots')
+        .select('keyword_id, fetched_at, keyword_targets!inner(is_primary)')
+        .in('keyword_id', ids)
+        .eq('keyword_targets.is_primary', true)
+        .gt('results_count', 0)
+        .gte('fetched_at', fromDate.toISOString())
+        .lte('fetched_at', toDate.toISOString())
+        .order('id'));
+
+      if (snapshotError) {
+        throw mapSupabaseError(snapshotError, 'select');
+      }
+
+      for (const snapshot of snapshots) {
+        const current = latestFetchByKeyword[snapshot.keyword_id];
+        if (!current || new Date(snapshot.fetched_at) > new Date(current)) {
+          latestFetchByKeyword[snapshot.keyword_id] = snapshot.fetched_at;
+        }
+      }
+
+      const { data: rows, error: rankingError } = await selectAll(() => supabase
+        .from('serp_rankings')
+        .select('keyword_id, fetched_at, url, position, keyword_targets!inner(is_primary)')
+        .in('keyword_id', ids)
+        .eq('keyword_targets.is_primary', true)
+        .eq('is_owned', true)
+        .gte('fetched_at', fromDate.toISOString())
+        .lte('fetched_at', toDate.toISOString())
+        .order('id'));
+
+      if (rankingError) {
+        throw mapSupabaseError(rankingError, 'select');
+      }
+
+      for (const row of rows) {
+        if (!rowsByKeyword[row.keyword_id]) rowsByKeyword[row.keyword_id] = [];
+        rowsByKeyword[row.keyword_id].push(row);
+      }
+    }
+
+    const results = keywords
+      .map(keyword => ({
+        keyword_id: keyword.id,
+        keyword: keyword.keyword_text,
+        country: keyword.country,
+        cluster: keyword.cluster,
+        mapped_page: keyword.pages || null,
+        ...detectCannibalisation(
+          { id: keyword.id, page_url: keyword.pages?.url },
+          rowsByKeyword[keyword.id] || [],
+          {
+            minChanges: parseInt(min_changes, 10),
+            latestFetchedAt: latestFetchByKeyword[keyword.id]
+          }
+        )
+      }))
+      .filter(result => issue ? result.issues.includes(issue) : result.issues.length > 0);
+
+    const issueCounts = CANNIBALISATION_ISSUES.reduce((acc, type) => {
+      acc[type] = results.filter(r => r.issues.includes(type)).length;
+      return acc;
+    }, {});
+
+    return success(res, results, {
+      count: results.length,
+      keywords_checked: keywords.length,
+      issues: issueCounts,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,153 @@
+import { supabase, selectAll, selectPages } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, validateEnum, endOfDay } from '../../lib/validate.js';
+import { EXPORT_FORMATS, RANKING_EXPORT_COLUMNS, sendExport } from '../../lib/export.js';
+import { resolveProject } from '../../lib/projects.js';
+import { resolveTargetFilter, applyTargetFilter, fetchKeywordTargets } from '../../lib/locations.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const KEYWORD_CHUNK_SIZE = 50;
+
+/**
+ * Rankings Export Endpoint
+ * GET /api/rankings/export - One row per keyword target per SERP fetch, with
+ * the best owned-domain position and the keyword's latest metrics
+ *
+ * Query params:
+ *   - format: csv (default), xlsx or json
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - page_id: Filter by page ID
+ *   - location: Location code, e.g. london (default: each keyword's primary target)
+ *   - device: desktop or mobile (default: each keyword's primary target)
+ *   - from: Start of date range (ISO date, default 30 days ago)
+ *   - to: End of date range (ISO date, default now)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const { format = 'csv', country, cluster, page_id, from, to } = req.query;
+
+    validateEnum(format, 'format', EXPORT_FORMATS);
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const toDate = to ? new Date(endOfDay(to)) : new Date();
+    const fromDate = from
+      ? new Date(from)
+      : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to', {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    const project = await resolveProject(req);
+    const targetFilter = await resolveTargetFilter(req.query);
+
+    const keywordPages = selectPages(() => {
+      let query = supabase
+        .from('keywords_with_metrics')
+        .select('id, keyword_text, country, cluster, page_id, search_volume, difficulty, cpc')
+        .eq('project_id', project.id)
+        .order('created_at', { ascending: false })
+        .order('id');
+
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+      if (page_id) query = query.eq('page_id', page_id);
+
+      return query;
+    });
+
+    const batches = rankingBatches(keywordPages, targetFilter, fromDate, toDate);
+
+    if (format === 'json') {
+      const rows = [];
+      for await (const batch of batches) rows.push(...batch);
+
+      return success(res, rows, {
+        count: rows.length,
+        columns: RANKING_EXPORT_COLUMNS,
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    return await sendExport(res, {
+      format,
+      filename: 'rankings',
+      columns: RANKING_EXPORT_COLUMNS,
+      batches
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Join each page of keywords to its ranking history, a chunk at a time
+ * @yields {Array} - Export rows in keyword order, oldest fetch first
+ */
+async function* rankingBatches(keywordPages, targetFilter, fromDate, toDate) {
+  for await (const keywords of keywordPages) {
+    for (let i = 0; i < keywords.length; i += KEYWORD_CHUNK_SIZE) {
+      const chunk = keywords.slice(i, i + KEYWORD_CHUNK_SIZE);
+      const chunkIds = chunk.map(k => k.id);
+      const targets = await fetchKeywordTargets(chunkIds, targetFilter);
+
+      // One row per target per SERP fetch (see migrations/012_locations.sql)
+      const { data: history, error: historyError } = await selectAll(() => applyTargetFilter(
+        supabase
+          .from('owned_ranking_history')
+          .select('target_id, fetched_at, position, url')
+          .in('keyword_id', chunkIds)
+          .gte('fetched_at', fromDate.toISOString())
+          .lte('fetched_at', toDate.toISOString()),
+        targetFilter
+      )
+        .order('target_id')
+        .order('fetched_at'));
+
+      if (historyError) {
+        throw mapSupabaseError(historyError, 'select');
+      }
+
+      const historyByTarget = history.reduce((acc, row) => {
+        if (!acc[row.target_id]) acc[row.target_id] = [];
+        acc[row.target_id].push(row);
+        return acc;
+      }, {});
+
+      const rows = chunk.flatMap(keyword => targets
+        .filter(target => target.keyword_id === keyword.id)
+        .flatMap(target => (historyByTarget[target.id] || []).map(fetch => ({
+          keyword_id: keyword.id,
+          keyword: keyword.keyword_text,
+          country: keyword.country,
+          location: target.location.code,
+          device: target.device,
+          cluster: keyword.cluster,
+          page_id: keyword.page_id,
+          fetched_at: fetch.fetched_at,
+          position: fetch.position,
+          url: fetch.url,
+          search_volume: keyword.search_volume,
+          difficulty: keyword.difficulty,
+          cpc: keyword.cpc
+        }))));
+
+      if (rows.length > 0) yield rows;
+    }
+  }
+}
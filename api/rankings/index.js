@@ -0,0 +1,144 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+import { summarizeRankingHistory } from '../../lib/rankings.js';
+import { resolveProject } from '../../lib/projects.js';
+import { resolveTargetFilter, applyTargetFilter, fetchKeywordTargets } from '../../lib/locations.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Rankings Endpoint
+ * GET /api/rankings - Owned-domain ranking history and movement per keyword target
+ *
+ * Query params:
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - page_id: Filter by page ID
+ *   - location: Location code, e.g. london (default: each keyword's primary target)
+ *   - device: desktop or mobile (default: each keyword's primary target)
+ *   - from: Start of date range (ISO date, default 30 days ago)
+ *   - to: End of date range (ISO date, inclusive; default now)
+ *   - limit: Max keywords (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      country,
+      cluster,
+      page_id,
+      from,
+      to,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const toDate = to ? new Date(endOfDay(to)) : new Date();
+    const fromDate = from
+      ? new Date(from)
+      : new Date(toDate.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (fromDate > toDate) {
+      throw new ValidationError('from must be before to', {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString()
+      });
+    }
+
+    const project = await resolveProject(req);
+    const targetFilter = await resolveTargetFilter(req.query);
+
+    // Fetch keywords using the same filters as /api/keywords
+    let keywordQuery = supabase
+      .from('keywords')
+      .select('id, keyword_text, country, cluster, page_id')
+      .eq('project_id', project.id)
+      .order('created_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (country) {
+      keywordQuery = keywordQuery.eq('country', country.toUpperCase());
+    }
+
+    if (cluster) {
+      keywordQuery = keywordQuery.eq('cluster', cluster);
+    }
+
+    if (page_id) {
+      keywordQuery = keywordQuery.eq('page_id', page_id);
+    }
+
+    const { data: keywords, error: keywordError } = await keywordQuery;
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const meta = {
+      count: keywords.length,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    };
+
+    if (keywords.length === 0) {
+      return success(res, [], meta);
+    }
+
+    const keywordIds = keywords.map(k => k.id);
+    const targets = await fetchKeywordTargets(keywordIds, targetFilter);
+
+    // One row per target per SERP fetch (see migrations/012_locations.sql)
+    const { data: history, error: historyError } = await selectAll(() => applyTargetFilter(
+      supabase
+        .from('owned_ranking_history')
+        .select('target_id, fetched_at, position, url')
+        .in('keyword_id', keywordIds)
+        .gte('fetched_at', fromDate.toISOString())
+        .lte('fetched_at', toDate.toISOString()),
+      targetFilter
+    ).order('fetched_at', { ascending: true }).order('snapshot_id'));
+
+    if (historyError) {
+      throw mapSupabaseError(historyError, 'select');
+    }
+
+    const historyByTarget = history.reduce((acc, row) => {
+      if (!acc[row.target_id]) acc[row.target_id] = [];
+      acc[row.target_id].push(row);
+      return acc;
+    }, {});
+
+    const results = keywords.flatMap(keyword => targets
+      .filter(target => target.keyword_id === keyword.id)
+      .map(target => ({
+        keyword_id: keyword.id,
+        target_id: target.id,
+        keyword: keyword.keyword_text,
+        country: keyword.country,
+        location: target.location.code,
+        device: target.device,
+        cluster: keyword.cluster,
+        page_id: keyword.page_id,
+        ...summarizeRankingHistory(historyByTarget[target.id] || [])
+      })));
+
+    return success(res, results, meta);
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,241 @@
+import { supabase, selectAll } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateType, validateMethod, validateEnum } from '../../lib/validate.js';
+import { getRelatedKeywords, getKeywordSuggestions } from '../../lib/dataforseo.js';
+import { REFRESH_FREQUENCIES } from '../../lib/enrich.js';
+import { assertWithinBudget, estimateCost, recordUsage } from '../../lib/usage.js';
+import { RESEARCH_SOURCES, questionFilter, mergeResearchResults } from '../../lib/research.js';
+import { resolveProject, projectCountries, assertInProject } from '../../lib/projects.js';
+import { countryLocations } from '../../lib/locations.js';
+
+const MAX_LIMIT = 1000;
+const UPSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Keyword Research Endpoint
+ * POST /api/research/keywords
+ *
+ * Find new keywords around a seed term with DataForSEO Labs. Keywords
+ * the project already tracks for the country are left out.
+ * Body: {
+ *   seed: 'qrops',
+ *   country: 'UK',
+ *   sources: ['related', 'suggestions', 'questions'],  // optional, default all
+ *   limit: 100,            // optional: max keywords per source (max 1000)
+ *   min_volume: 50,        // optional
+ *   include_tracked: true, // optional: keep tracked keywords, flagged tracked: true
+ *   import: {              // optional: track the results straight away
+ *     keywords: ['qrops transfer', ...], // optional subset (default: every untracked result)
+ *     cluster: 'Pensions',
+ *     page_id: 'uuid',
+ *     refresh_frequency: 'weekly'
+ *   }
+ * }
+ *
+ * Imported keywords get their Labs volume, difficulty and CPC stored as
+ * their first keyword_metrics row.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, 'enrich');
+
+    // Method check
+    validateMethod(req, 'POST');
+
+    // Validate payload
+    validateRequired(req.body, ['seed', 'country']);
+    validateType(req.body.seed, 'seed', 'string');
+    validateType(req.body.country, 'country', 'string');
+
+    const {
+      seed,
+      country,
+      sources = RESEARCH_SOURCES,
+      limit = 100,
+      min_volume = 0,
+      include_tracked = false
+    } = req.body;
+
+    const normalizedSeed = seed.trim().toLowerCase();
+    const normalizedCountry = country.toUpperCase();
+    const maxPerSource = parseInt(limit, 10);
+
+    if (!normalizedSeed) {
+      throw new ValidationError('seed cannot be empty');
+    }
+
+    const project = await resolveProject(req);
+    validateEnum(normalizedCountry, 'country', await projectCountries(project));
+    validateType(sources, 'sources', 'array');
+    sources.forEach(source => validateEnum(source, 'sources', RESEARCH_SOURCES));
+
+    if (!(maxPerSource >= 1 && maxPerSource <= MAX_LIMIT)) {
+      throw new ValidationError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const importOptions = req.body.import || null;
+
+    if (importOptions) {
+      validateType(importOptions, 'import', 'object');
+      if (importOptions.keywords !== undefined) {
+        validateType(importOptions.keywords, 'import.keywords', 'array');
+      }
+      if (importOptions.refresh_frequency !== undefined) {
+        validateEnum(importOptions.refresh_frequency, 'import.refresh_frequency', REFRESH_FREQUENCIES);
+      }
+      await assertInProject(project, 'pages', [importOptions.page_id], 'import.page_id');
+    }
+
+    // One Labs request per source
+    await assertWithinBudget(estimateCost('labs', sources.length));
+
+    const location = (await countryLocations([normalizedCountry])).get(normalizedCountry);
+    const options = { onUsage: recordUsage('/api/research/keywords') };
+    const resultsBySource = {};
+
+    if (sources.includes('related')) {
+      resultsBySource.related = await getRelatedKeywords(
+        normalizedSeed, location, maxPerSource, options
+      );
+    }
+    if (sources.includes('suggestions')) {
+      resultsBySource.suggestions = await getKeywordSuggestions(
+        normalizedSeed, location, maxPerSource, null, options
+      );
+    }
+    if (sources.includes('questions')) {
+      resultsBySource.questions = await getKeywordSuggestions(
+        normalizedSeed, location, maxPerSource, questionFilter(), options
+      );
+    }
+
+    const { data: trackedRows, error: trackedError } = await selectAll(() => supabase
+      .from('keywords')
+      .select('id, keyword_text')
+      .eq('project_id', project.id)
+      .eq('country', normalizedCountry)
+      .order('id'));
+
+    if (trackedError) {
+      throw mapSupabaseError(trackedError, 'select');
+    }
+
+    const trackedIds = new Map(trackedRows.map(row => [row.keyword_text.toLowerCase(), row.id]));
+
+    const { keywords, tracked_count } = mergeResearchResults(
+      resultsBySource,
+      new Set(trackedIds.keys()),
+      { minVolume: Number(min_volume) || 0, includeTracked: include_tracked === true }
+    );
+
+    const results = keywords.map(keyword => ({
+      ...keyword,
+      keyword_id: trackedIds.get(keyword.keyword) || null
+    }));
+
+    const meta = {
+      count: results.length,
+      seed: normalizedSeed,
+      country: normalizedCountry,
+      sources: Object.fromEntries(
+        Object.entries(resultsBySource).map(([source, items]) => [source, items.length])
+      ),
+      tracked_excluded: include_tracked === true ? 0 : tracked_count
+    };
+
+    if (!importOptions) {
+      return success(res, results, meta);
+    }
+
+    const imported = await importResults(project, results, normalizedCountry, importOptions);
+    const importedIds = new Map(imported.map(row => [row.keyword_text, row.id]));
+
+    return success(res, results.map(result => ({
+      ...result,
+      keyword_id: importedIds.get(result.keyword) || result.keyword_id
+    })), {
+      ...meta,
+      imported: imported.length,
+      message: `Imported ${imported.length} keywords`
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * Add untracked research results to a project's keywords, with their Labs metrics
+ * @param {object} project - projects row
+ * @param {Array} results - Merged research results
+ * @param {string} country - Normalised country code
+ * @param {object} importOptions - { keywords, cluster, page_id, refresh_frequency }
+ * @returns {Promise<Array>} - Inserted keywords rows
+ */
+async function importResults(project, results, country, importOptions) {
+  const {
+    keywords: selected,
+    cluster = null,
+    page_id = null,
+    refresh_frequency = 'weekly'
+  } = importOptions;
+
+  let toImport = results.filter(result => !result.tracked);
+
+  if (selected) {
+    const wanted = new Set(selected.map(k => String(k).trim().toLowerCase()));
+    toImport = toImport.filter(result => wanted.has(result.keyword));
+  }
+
+  if (toImport.length === 0) {
+    throw new ValidationError('No untracked research keywords to import');
+  }
+
+  const inserted = [];
+
+  for (let i = 0; i < toImport.length; i += UPSERT_CHUNK_SIZE) {
+    const chunk = toImport.slice(i, i + UPSERT_CHUNK_SIZE);
+
+    const { data, error: dbError } = await supabase
+      .from('keywords')
+      .upsert(chunk.map(result => ({
+        project_id: project.id,
+        keyword_text: result.keyword,
+        country,
+        cluster,
+        page_id,
+        refresh_frequency
+      })), {
+        onConflict: 'project_id,keyword_text,country',
+        ignoreDuplicates: true
+      })
+      .select();
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'upsert');
+    }
+
+    // Rows added since the tracked list was read are skipped by the upsert
+    if (data.length === 0) continue;
+
+    const byText = new Map(chunk.map(result => [result.keyword, result]));
+
+    const { error: metricsError } = await supabase
+      .from('keyword_metrics')
+      .insert(data.map(row => {
+        const { search_volume, difficulty, cpc, competition } = byText.get(row.keyword_text);
+        return { keyword_id: row.id, search_volume, difficulty, cpc, competition };
+      }));
+
+    if (metricsError) {
+      throw mapSupabaseError(metricsError, 'insert');
+    }
+
+    inserted.push(...data);
+  }
+
+  return inserted;
+}
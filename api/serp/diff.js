@@ -0,0 +1,129 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { resolveTargetFilter, fetchKeywordTargets } from '../../lib/locations.js';
+import { getSnapshot, findLatestSnapshot, withSnapshotRows } from '../../lib/serpsnapshots.js';
+import { diffSnapshots } from '../../lib/snapshots.js';
+
+/**
+ * SERP Diff Endpoint
+ * GET /api/serp/diff - Which URLs entered, left or moved between two SERP snapshots
+ *
+ * Either compare two snapshots by ID:
+ *   - from: Earlier snapshot ID
+ *   - to: Later snapshot ID
+ *   (passed the other way round, they are swapped so the diff runs forwards in time)
+ * or a keyword target's latest snapshot with an earlier one:
+ *   - keyword_id: Keyword to compare
+ *   - location / device: Target (default: the keyword's primary target)
+ *   - compare_to: Date; compare with the latest snapshot on or before it
+ *     (default: the snapshot before the latest)
+ *
+ * Both snapshots must be of the same keyword; they can be of different
+ * targets, e.g. to compare desktop and mobile results.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const project = await resolveProject(req);
+    const { from, to, keyword_id } = req.query;
+
+    let before;
+    let after;
+
+    if (from || to) {
+      if (!from || !to) {
+        throw new ValidationError('Pass both from and to snapshot IDs');
+      }
+
+      [before, after] = await Promise.all([getSnapshot(from, project), getSnapshot(to, project)]);
+
+      if (before.keyword_id !== after.keyword_id) {
+        throw new ValidationError('Snapshots are of different keywords', {
+          from_keyword_id: before.keyword_id,
+          to_keyword_id: after.keyword_id
+        });
+      }
+
+      if (new Date(before.fetched_at) > new Date(after.fetched_at)) {
+        [before, after] = [after, before];
+      }
+    } else if (keyword_id) {
+      [before, after] = await latestPair(req.query, project);
+    } else {
+      throw new ValidationError('Pass from and to snapshot IDs, or keyword_id');
+    }
+
+    const diff = diffSnapshots(...await Promise.all([withSnapshotRows(before), withSnapshotRows(after)]));
+
+    return success(res, { from: before, to: after, ...diff }, {
+      entered: diff.entered.length,
+      left: diff.left.length,
+      moved: diff.moved.length,
+      unchanged: diff.unchanged
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * The keyword target's latest snapshot and the one to compare it with
+ * @returns {Promise<Array>} - [before, after]
+ */
+async function latestPair(query, project) {
+  const { keyword_id, compare_to } = query;
+  if (compare_to) validateDate(compare_to, 'compare_to');
+
+  const { data: keyword, error: dbError } = await supabase
+    .from('keywords')
+    .select('id')
+    .eq('id', keyword_id)
+    .eq('project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!keyword) {
+    throw new NotFoundError('Keyword');
+  }
+
+  const targets = await fetchKeywordTargets([keyword.id], await resolveTargetFilter(query));
+
+  if (targets.length === 0) {
+    throw new NotFoundError('Keyword target');
+  }
+
+  if (targets.length > 1) {
+    throw new ValidationError('Several targets match; pass both location and device', {
+      targets: targets.map(t => ({ location: t.location.code, device: t.device }))
+    });
+  }
+
+  const after = await findLatestSnapshot(targets[0].id, project);
+
+  if (!after) {
+    throw new NotFoundError('SERP snapshot');
+  }
+
+  const before = await findLatestSnapshot(targets[0].id, project, compare_to
+    ? { atOrBefore: endOfDay(compare_to) }
+    : { before: after.fetched_at });
+
+  if (!before || before.id === after.id) {
+    throw new NotFoundError('Earlier SERP snapshot');
+  }
+
+  return [before, after];
+}
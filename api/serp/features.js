@@ -0,0 +1,125 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../lib/validate.js';
+import { resolveProject } from '../../lib/projects.js';
+import { resolveTargetFilter, applyTargetFilter } from '../../lib/locations.js';
+
+/**
+ * SERP Features Endpoint
+ * GET /api/serp/features - SERP features per keyword and whether an owned domain appears in them
+ *
+ * Query params:
+ *   - keyword_id: Filter by keyword
+ *   - country: Filter by country (UK, US, UAE)
+ *   - cluster: Filter by content cluster
+ *   - location: Location code, e.g. london (default: each keyword's primary target)
+ *   - device: desktop or mobile (default: each keyword's primary target)
+ *   - feature_type: e.g. featured_snippet, people_also_ask, ai_overview
+ *   - owned: 'true' for features an owned domain appears in, 'false' for the rest
+ *   - history: 'true' to include every fetch instead of only the latest
+ *   - from / to: Date range when history=true
+ *   - limit: Max results (default 100)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      keyword_id,
+      country,
+      cluster,
+      feature_type,
+      owned,
+      history,
+      from,
+      to,
+      limit = 100,
+      offset = 0
+    } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const project = await resolveProject(req);
+    const targetFilter = await resolveTargetFilter(req.query);
+    let query;
+
+    if (history === 'true') {
+      query = supabase
+        .from('serp_features')
+        .select(
+          '*, keywords!inner(project_id, keyword_text, country, cluster, page_id), '
+          + 'keyword_targets!inner(is_primary, location_id, device)'
+        )
+        .eq('keywords.project_id', project.id);
+
+      if (targetFilter.primaryOnly) query = query.eq('keyword_targets.is_primary', true);
+      if (targetFilter.locationId) query = query.eq('keyword_targets.location_id', targetFilter.locationId);
+      if (targetFilter.device) query = query.eq('keyword_targets.device', targetFilter.device);
+
+      if (country) query = query.eq('keywords.country', country.toUpperCase());
+      if (cluster) query = query.eq('keywords.cluster', cluster);
+      if (from) query = query.gte('fetched_at', new Date(from).toISOString());
+      if (to) query = query.lte('fetched_at', endOfDay(to));
+    } else {
+      query = applyTargetFilter(
+        supabase
+          .from('latest_serp_features')
+          .select('*')
+          .eq('project_id', project.id),
+        targetFilter
+      );
+
+      if (country) query = query.eq('country', country.toUpperCase());
+      if (cluster) query = query.eq('cluster', cluster);
+    }
+
+    if (keyword_id) {
+      query = query.eq('keyword_id', keyword_id);
+    }
+
+    if (feature_type) {
+      query = query.eq('feature_type', feature_type);
+    }
+
+    if (owned === 'true' || owned === 'false') {
+      query = query.eq('is_owned', owned === 'true');
+    }
+
+    const { data, error: dbError } = await query
+      .order('fetched_at', { ascending: false })
+      .order('position', { ascending: true })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    // Count of each feature type and how many an owned domain appears in
+    const byType = data.reduce((acc, feature) => {
+      if (!acc[feature.feature_type]) {
+        acc[feature.feature_type] = { total: 0, owned: 0 };
+      }
+      acc[feature.feature_type].total++;
+      if (feature.is_owned) acc[feature.feature_type].owned++;
+      return acc;
+    }, {});
+
+    return success(res, data, {
+      count: data.length,
+      by_type: byType,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
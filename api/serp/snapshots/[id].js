@@ -0,0 +1,30 @@
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, error } from '../../../lib/response.js';
+import { validateMethod } from '../../../lib/validate.js';
+import { resolveProject } from '../../../lib/projects.js';
+import { getSnapshot, withSnapshotRows } from '../../../lib/serpsnapshots.js';
+
+/**
+ * SERP Snapshot Endpoint
+ * GET /api/serp/snapshots/:id - One SERP fetch with its organic rankings and SERP features
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const project = await resolveProject(req);
+    const snapshot = await withSnapshotRows(await getSnapshot(req.query.id, project));
+
+    return success(res, snapshot, {
+      rankings: snapshot.rankings.length,
+      features: snapshot.features.length
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,77 @@
+import { supabase } from '../../../lib/supabase.js';
+import { authenticate } from '../../../lib/apikeys.js';
+import { success, error } from '../../../lib/response.js';
+import { mapSupabaseError } from '../../../lib/errors.js';
+import { validateMethod, validateDate, endOfDay } from '../../../lib/validate.js';
+import { resolveProject } from '../../../lib/projects.js';
+import { resolveTargetFilter } from '../../../lib/locations.js';
+import { SNAPSHOT_SELECT, toSnapshot } from '../../../lib/serpsnapshots.js';
+
+/**
+ * SERP Snapshots Endpoint
+ * GET /api/serp/snapshots - SERP fetches, newest first
+ *
+ * Each snapshot is one fetch of one keyword target; its rankings and
+ * SERP features are at GET /api/serp/snapshots/:id.
+ *
+ * Query params:
+ *   - keyword_id: Filter by keyword
+ *   - location: Location code, e.g. london (default: each keyword's primary target)
+ *   - device: desktop or mobile (default: each keyword's primary target)
+ *   - from / to: Date range (fetched_at)
+ *   - limit: Max results (default 50)
+ *   - offset: Pagination offset
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      keyword_id,
+      from,
+      to,
+      limit = 50,
+      offset = 0
+    } = req.query;
+
+    if (from) validateDate(from, 'from');
+    if (to) validateDate(to, 'to');
+
+    const project = await resolveProject(req);
+    const targetFilter = await resolveTargetFilter(req.query);
+
+    let query = supabase
+      .from('serp_snapshots')
+      .select(SNAPSHOT_SELECT)
+      .eq('keywords.project_id', project.id)
+      .order('fetched_at', { ascending: false })
+      .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+    if (targetFilter.primaryOnly) query = query.eq('keyword_targets.is_primary', true);
+    if (targetFilter.locationId) query = query.eq('keyword_targets.location_id', targetFilter.locationId);
+    if (targetFilter.device) query = query.eq('keyword_targets.device', targetFilter.device);
+
+    if (keyword_id) query = query.eq('keyword_id', keyword_id);
+    if (from) query = query.gte('fetched_at', new Date(from).toISOString());
+    if (to) query = query.lte('fetched_at', endOfDay(to));
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    return success(res, data.map(toSnapshot), {
+      count: data.length,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
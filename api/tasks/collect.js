@@ -0,0 +1,218 @@
+import { supabase } from '../../lib/supabase.js';
+import { verifyCronSecret } from '../../lib/auth.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod } from '../../lib/validate.js';
+import {
+  getTaskResult,
+  mapOrganicItems,
+  mapSerpFeatures,
+  TASK_PENDING_CODES,
+  MIN_ATTEMPT_MS
+} from '../../lib/dataforseo.js';
+import {
+  fetchKeywordsByIds,
+  fetchTargetsByIds,
+  saveKeywordMetrics,
+  loadCompetitorDomains,
+  buildSerpRecords,
+  buildSerpFeatureRecords,
+  saveSerpSnapshot,
+  insertKeywordIdeas,
+  evaluateAlertsSafely
+} from '../../lib/enrich.js';
+import { loadProjects } from '../../lib/projects.js';
+import { startJob, finishJob } from '../../lib/jobs.js';
+import { keywordOutcome, metricsOutcomes, failedOutcomes } from '../../lib/outcomes.js';
+
+const SOURCE = '/api/tasks/collect';
+
+// Task results must be fetched by this long after the run starts, leaving
+// time to save the last one and evaluate alerts
+const TIME_BUDGET_MS = 20000;
+const TASKS_PER_RUN = 200;
+
+/**
+ * Collect Queued Tasks Endpoint
+ * GET /api/tasks/collect - Triggered by Vercel Cron (see vercel.json)
+ * POST /api/tasks/collect - Manual trigger with x-api-key
+ *
+ * Fetches finished DataForSEO tasks submitted via POST /api/tasks and
+ * writes keyword_metrics / SERP snapshots. Tasks still queued stay pending
+ * and are checked again on the next run, least recently checked first.
+ * Each run is recorded as a job per project and task type (see GET /api/jobs),
+ * with an outcome for every keyword of each task that finished or failed.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    if (!verifyCronSecret(req)) {
+      await authenticate(req, 'write');
+    }
+
+    // Method check
+    validateMethod(req, ['GET', 'POST']);
+
+    const startedAt = Date.now();
+    const deadline = startedAt + TIME_BUDGET_MS;
+
+    const { data: pendingTasks, error: dbError } = await supabase
+      .from('dataforseo_tasks')
+      .select('*')
+      .eq('status', 'pending')
+      .order('checked_at', { ascending: true, nullsFirst: true })
+      .limit(TASKS_PER_RUN);
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    const summary = {
+      checked: 0, completed: 0, pending: 0, failed: 0, rows_written: 0, alerts_fired: 0, job_ids: []
+    };
+    const refreshedIds = [];
+    const createdBy = req.apiKey?.name || 'cron';
+    let competitorDomains = null;
+    let projects = null;
+
+    // project|task_type => { job, outcomes }, started on a project's first finished task
+    const jobs = new Map();
+    const recordOutcomes = async (task, outcomes) => {
+      const key = `${task.project_id}|${task.task_type}`;
+
+      if (!jobs.has(key)) {
+        const job = await startJob({
+          jobType: task.task_type, source: SOURCE, projectId: task.project_id, createdBy
+        });
+        jobs.set(key, { job, outcomes: [] });
+      }
+
+      jobs.get(key).outcomes.push(...outcomes);
+    };
+
+    for (const task of pendingTasks) {
+      if (deadline - Date.now() < MIN_ATTEMPT_MS) {
+        break;
+      }
+
+      summary.checked++;
+
+      let update;
+      let saveError = null;
+
+      try {
+        const result = await getTaskResult(task.task_type, task.task_id, { deadline });
+
+        if (TASK_PENDING_CODES.includes(result.status_code)) {
+          summary.pending++;
+          update = { checked_at: new Date().toISOString() };
+        } else if (result.status_code !== 20000) {
+          summary.failed++;
+          update = {
+            status: 'failed',
+            error: `${result.status_code}: ${result.status_message}`,
+            checked_at: new Date().toISOString()
+          };
+
+          const requested = task.task_type === 'serp'
+            ? await fetchTargetsByIds(task.target_ids || [])
+            : await fetchKeywordsByIds(task.keyword_ids);
+          await recordOutcomes(task, failedOutcomes(requested, `DataForSEO task failed: ${update.error}`));
+        } else {
+          if (task.task_type === 'serp') {
+            const targets = await fetchTargetsByIds(task.target_ids || []);
+
+            if (!competitorDomains) {
+              competitorDomains = await loadCompetitorDomains();
+              projects = await loadProjects();
+            }
+
+            const rawItems = result.result?.[0]?.items || [];
+            const items = mapOrganicItems(rawItems);
+            const features = mapSerpFeatures(rawItems);
+            const outcomes = [];
+            let written = 0;
+
+            for (const target of targets) {
+              const ownedDomains = projects.get(target.project_id)?.domains || [];
+              const records = buildSerpRecords(
+                target, items, competitorDomains.get(target.project_id) || new Map(), ownedDomains
+              );
+              const featureSet = buildSerpFeatureRecords(target, features, ownedDomains);
+              const saved = await saveSerpSnapshot(target, records, featureSet.featureRecords, {
+                source: 'task'
+              });
+
+              if (saved.error) {
+                throw new Error(saved.error);
+              }
+
+              await insertKeywordIdeas(featureSet.ideaRecords);
+              const rowsWritten = records.serpRecords.length
+                + records.competitorRecords.length
+                + featureSet.featureRecords.length;
+
+              written += rowsWritten;
+              outcomes.push(keywordOutcome(target, {
+                status: 'succeeded', snapshot_id: saved.snapshotId, rows_written: rowsWritten
+              }));
+            }
+
+            summary.rows_written += written;
+            refreshedIds.push(...targets.filter(t => t.is_primary).map(t => t.id));
+            await recordOutcomes(task, outcomes);
+          } else {
+            const keywords = await fetchKeywordsByIds(task.keyword_ids);
+            const metrics = await saveKeywordMetrics(keywords, result.result, task.country);
+            const saveErrors = metrics.filter(m => m.error);
+            summary.rows_written += metrics.length - saveErrors.length;
+
+            if (saveErrors.length > 0) {
+              saveError = `${saveErrors.length} keywords not saved: ${saveErrors[0].error}`;
+            }
+
+            await recordOutcomes(task, metricsOutcomes(keywords, metrics, []));
+          }
+
+          summary.completed++;
+          update = {
+            status: 'completed',
+            error: saveError,
+            checked_at: new Date().toISOString(),
+            completed_at: new Date().toISOString()
+          };
+        }
+      } catch (err) {
+        // Leave the task pending; a later run retries it
+        console.error(`Failed to collect task ${task.task_id}:`, err);
+        summary.pending++;
+        update = { checked_at: new Date().toISOString(), error: err.message };
+      }
+
+      const { error: updateError } = await supabase
+        .from('dataforseo_tasks')
+        .update(update)
+        .eq('id', task.id);
+
+      if (updateError) {
+        throw mapSupabaseError(updateError, 'update');
+      }
+    }
+
+    for (const { job, outcomes } of jobs.values()) {
+      await finishJob(job, outcomes);
+      summary.job_ids.push(job.id);
+    }
+
+    const alerts = await evaluateAlertsSafely(refreshedIds);
+    summary.alerts_fired = alerts.fired;
+
+    return success(res, summary, {
+      duration_ms: Date.now() - startedAt
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
@@ -0,0 +1,247 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, created, error } from '../../lib/response.js';
+import { ValidationError, mapSupabaseError } from '../../lib/errors.js';
+import { validateRequired, validateType, validateEnum } from '../../lib/validate.js';
+import {
+  postKeywordMetricsTasks,
+  postSerpTasks,
+  taskError,
+  MAX_KEYWORDS_PER_VOLUME_TASK
+} from '../../lib/dataforseo.js';
+import {
+  fetchKeywordsByIds,
+  fetchDueKeywords,
+  fetchTargetsForKeywords,
+  fetchDueTargets,
+  groupByCountry,
+  markAttempted,
+  markTargetsAttempted
+} from '../../lib/enrich.js';
+import { assertWithinBudget, estimateCost, recordUsage } from '../../lib/usage.js';
+import { resolveProject } from '../../lib/projects.js';
+import { countryLocations } from '../../lib/locations.js';
+
+const TASK_TYPES = ['keyword_metrics', 'serp'];
+const MAX_KEYWORDS_PER_SUBMIT = 2000;
+
+// DataForSEO status code for a successfully queued task
+const TASK_CREATED = 20100;
+
+/**
+ * Queued Tasks Endpoint
+ * GET /api/tasks - List submitted DataForSEO tasks
+ * POST /api/tasks - Queue keywords on the standard (non-live) DataForSEO endpoints
+ *
+ * Results are written by /api/tasks/collect once DataForSEO has finished them.
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req, { POST: 'enrich' });
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGet(req, res);
+      case 'POST':
+        return await handlePost(req, res);
+      default:
+        throw new ValidationError(`Method ${req.method} not allowed`, {
+          allowed: ['GET', 'POST']
+        });
+    }
+  } catch (err) {
+    return error(res, err);
+  }
+}
+
+/**
+ * GET /api/tasks
+ * Query params: status, task_type, limit (default 100), offset
+ */
+async function handleGet(req, res) {
+  const { status, task_type, limit = 100, offset = 0 } = req.query;
+  const project = await resolveProject(req);
+
+  let query = supabase
+    .from('dataforseo_tasks')
+    .select('*')
+    .eq('project_id', project.id)
+    .order('created_at', { ascending: false })
+    .range(parseInt(offset, 10), parseInt(offset, 10) + parseInt(limit, 10) - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (task_type) {
+    query = query.eq('task_type', task_type);
+  }
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return success(res, data, {
+    count: data.length,
+    limit: parseInt(limit, 10),
+    offset: parseInt(offset, 10)
+  });
+}
+
+/**
+ * POST /api/tasks
+ * Body: {
+ *   type: 'keyword_metrics' | 'serp',
+ *   keyword_ids: ['uuid1', ...],  // OR
+ *   due: true, limit: 1000        // keywords (or, for serp, keyword targets) due for a refresh
+ * }
+ * SERP tasks are queued once per keyword target (location/device)
+ */
+async function handlePost(req, res) {
+  validateRequired(req.body, ['type']);
+  validateEnum(req.body.type, 'type', TASK_TYPES);
+
+  const { type, keyword_ids, due = false, limit = MAX_KEYWORDS_PER_SUBMIT } = req.body;
+  const project = await resolveProject(req);
+
+  if (!keyword_ids && !due) {
+    throw new ValidationError('Must provide either keyword_ids or due: true');
+  }
+
+  let keywords;
+
+  if (keyword_ids) {
+    validateType(keyword_ids, 'keyword_ids', 'array');
+
+    if (keyword_ids.length > MAX_KEYWORDS_PER_SUBMIT) {
+      throw new ValidationError(`Maximum ${MAX_KEYWORDS_PER_SUBMIT} keywords per submission`, {
+        received: keyword_ids.length,
+        maximum: MAX_KEYWORDS_PER_SUBMIT
+      });
+    }
+
+    keywords = type === 'serp'
+      ? await fetchTargetsForKeywords(keyword_ids, { projectId: project.id })
+      : await fetchKeywordsByIds(keyword_ids, project.id);
+  } else {
+    const max = Math.min(parseInt(limit, 10), MAX_KEYWORDS_PER_SUBMIT);
+
+    keywords = type === 'serp'
+      ? await fetchDueTargets(max, project.id)
+      : await fetchDueKeywords(max, project.id);
+  }
+
+  if (keywords.length === 0) {
+    throw new ValidationError('No keywords found to queue');
+  }
+
+  const taskPayloads = type === 'serp'
+    ? buildSerpPayloads(keywords)
+    : await buildMetricsPayloads(keywords);
+
+  await assertWithinBudget(
+    estimateCost(type === 'serp' ? 'serp_task' : 'keyword_metrics_task', taskPayloads.length)
+  );
+
+  const onUsage = recordUsage('/api/tasks');
+
+  // Posted in batches of MAX_TASKS_PER_POST; tasks DataForSEO rejects are reported in failed
+  const tasks = type === 'serp'
+    ? await postSerpTasks(taskPayloads, 100, { onUsage })
+    : await postKeywordMetricsTasks(taskPayloads, { onUsage });
+
+  const createdTasks = [];
+  const failedTasks = [];
+
+  tasks.forEach((task, index) => {
+    const payload = taskPayloads[index];
+
+    if (task.status_code === TASK_CREATED) {
+      createdTasks.push({
+        project_id: project.id,
+        task_id: task.id,
+        task_type: type,
+        keyword_ids: payload.keywordIds,
+        target_ids: payload.targetIds || null,
+        country: payload.country
+      });
+    } else {
+      failedTasks.push({
+        keyword_ids: payload.keywordIds,
+        country: payload.country,
+        error: taskError(task)
+      });
+    }
+  });
+
+  if (createdTasks.length > 0) {
+    const { error: dbError } = await supabase
+      .from('dataforseo_tasks')
+      .insert(createdTasks);
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'insert');
+    }
+
+    // Keep the cron from refreshing the same keywords on /live meanwhile
+    if (type === 'serp') {
+      const queuedIds = new Set(createdTasks.flatMap(t => t.target_ids));
+      await markTargetsAttempted(keywords.filter(t => queuedIds.has(t.target_id)));
+    } else {
+      const queuedIds = new Set(createdTasks.flatMap(t => t.keyword_ids));
+      await markAttempted(keywords.filter(k => queuedIds.has(k.id)));
+    }
+  }
+
+  return created(res, {
+    tasks: createdTasks,
+    failed: failedTasks
+  }, {
+    keywords_queued: createdTasks.reduce((sum, t) => sum + t.keyword_ids.length, 0),
+    tasks_created: createdTasks.length,
+    tasks_failed: failedTasks.length
+  });
+}
+
+/**
+ * One SERP task per keyword target, tagged with the target ID
+ */
+function buildSerpPayloads(targets) {
+  return targets.map(target => ({
+    keyword: target.keyword_text,
+    locale: target,
+    tag: target.target_id,
+    keywordIds: [target.id],
+    targetIds: [target.target_id],
+    country: target.country
+  }));
+}
+
+/**
+ * One search volume task per country per MAX_KEYWORDS_PER_VOLUME_TASK keywords,
+ * in the country's default location
+ */
+async function buildMetricsPayloads(keywords) {
+  const groups = groupByCountry(keywords);
+  const locations = await countryLocations(Object.keys(groups));
+  const payloads = [];
+
+  for (const [country, kws] of Object.entries(groups)) {
+    for (let i = 0; i < kws.length; i += MAX_KEYWORDS_PER_VOLUME_TASK) {
+      const chunk = kws.slice(i, i + MAX_KEYWORDS_PER_VOLUME_TASK);
+
+      payloads.push({
+        keywords: chunk.map(k => k.keyword_text),
+        locale: locations.get(country),
+        tag: country,
+        keywordIds: chunk.map(k => k.id),
+        country
+      });
+    }
+  }
+
+  return payloads;
+}
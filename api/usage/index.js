@@ -0,0 +1,76 @@
+import { supabase } from '../../lib/supabase.js';
+import { authenticate } from '../../lib/apikeys.js';
+import { success, error } from '../../lib/response.js';
+import { mapSupabaseError } from '../../lib/errors.js';
+import { validateMethod, validateDate } from '../../lib/validate.js';
+import { getMonthToDateSpend, getMonthlyBudget, currentMonth } from '../../lib/usage.js';
+
+/**
+ * Usage Endpoint
+ * GET /api/usage - DataForSEO spend by day and endpoint
+ *
+ * Query params:
+ *   - from: Start date (YYYY-MM-DD, default first day of this month)
+ *   - to: End date (YYYY-MM-DD, default today)
+ *   - endpoint: Filter by DataForSEO endpoint path
+ *   - source: Filter by triggering route (e.g. /api/enrich/serp)
+ */
+export default async function handler(req, res) {
+  try {
+    // Auth check
+    await authenticate(req);
+
+    // Method check
+    validateMethod(req, 'GET');
+
+    const {
+      from = `${currentMonth()}-01`,
+      to = new Date().toISOString().slice(0, 10),
+      endpoint,
+      source
+    } = req.query;
+
+    validateDate(from, 'from');
+    validateDate(to, 'to');
+
+    let query = supabase
+      .from('api_usage_daily')
+      .select('*')
+      .gte('day', from)
+      .lte('day', to)
+      .order('day', { ascending: false })
+      .order('cost', { ascending: false });
+
+    if (endpoint) {
+      query = query.eq('endpoint', endpoint);
+    }
+
+    if (source) {
+      query = query.eq('source', source);
+    }
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    const totalCost = data.reduce((sum, row) => sum + Number(row.cost || 0), 0);
+    const monthToDate = await getMonthToDateSpend();
+    const budget = getMonthlyBudget();
+
+    return success(res, data, {
+      count: data.length,
+      from,
+      to,
+      total_cost: Number(totalCost.toFixed(4)),
+      month: currentMonth(),
+      month_to_date_cost: Number(monthToDate.toFixed(4)),
+      monthly_budget: budget,
+      budget_remaining: budget === null ? null : Number((budget - monthToDate).toFixed(4))
+    });
+
+  } catch (err) {
+    return error(res, err);
+  }
+}
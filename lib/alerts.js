@@ -0,0 +1,236 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Supported alert rule types and their default thresholds
+ *   - position_drop: fell more than `threshold` places
+ *   - position_gain: rose more than `threshold` places
+ *   - lost_top_n: was in the top `threshold`, now is not
+ *   - entered_top_n: now in the top `threshold`, previously was not
+ *   - dropped_out: no longer ranks in the top 100
+ *   - competitor_overtake: a competitor (or `competitor_id`) moved above the project's own domains
+ */
+export const RULE_TYPES = [
+  'position_drop',
+  'position_gain',
+  'lost_top_n',
+  'entered_top_n',
+  'dropped_out',
+  'competitor_overtake'
+];
+
+export const DEFAULT_THRESHOLDS = {
+  position_drop: 5,
+  position_gain: 5,
+  lost_top_n: 3,
+  entered_top_n: 10
+};
+
+// Treat "not ranking" as just outside the tracked top 100
+const NOT_RANKING = 101;
+
+const SLACK_TEXT_LIMIT = 2900;
+
+const RULE_FIELDS = [
+  'name', 'rule_type', 'threshold', 'country', 'cluster',
+  'keyword_id', 'competitor_id', 'webhook_url', 'enabled'
+];
+
+/**
+ * Pick and validate the writable alert rule fields from a request body
+ * @param {object} body - Request body
+ * @returns {object} - Fields to insert or update
+ */
+export function validateRuleFields(body) {
+  const fields = {};
+
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+
+  if (fields.rule_type !== undefined && !RULE_TYPES.includes(fields.rule_type)) {
+    throw new ValidationError('Invalid value for rule_type', {
+      field: 'rule_type', allowed: RULE_TYPES, received: fields.rule_type
+    });
+  }
+
+  if (fields.threshold !== undefined && fields.threshold !== null &&
+      (!Number.isInteger(fields.threshold) || fields.threshold < 1)) {
+    throw new ValidationError('threshold must be a positive integer', {
+      field: 'threshold', received: fields.threshold
+    });
+  }
+
+  if (fields.webhook_url && !/^https?:\/\//.test(fields.webhook_url)) {
+    throw new ValidationError('webhook_url must be an http(s) URL', {
+      field: 'webhook_url', received: fields.webhook_url
+    });
+  }
+
+  if (fields.country) {
+    fields.country = fields.country.toUpperCase();
+  }
+
+  return fields;
+}
+
+/**
+ * Build the before/after state of each keyword from its last two SERP fetches
+ * Competitor positions are read from the same snapshots; a competitor with no
+ * row in a snapshot was not ranking in it
+ * @param {Array} keywords - [{ id, keyword_text, country, cluster }]
+ * @param {Array} history - owned_ranking_history rows [{ keyword_id, snapshot_id, fetched_at, position }]
+ * @param {Array} competitorRows - [{ keyword_id, snapshot_id, competitor_id, position }]
+ * @param {Map} competitorNames - competitor ID => name
+ * @returns {Array} - [{ keyword, current, previous, competitors }]
+ */
+export function buildKeywordStates(keywords, history, competitorRows, competitorNames = new Map()) {
+  return keywords.map(keyword => {
+    const fetches = history
+      .filter(row => row.keyword_id === keyword.id)
+      .sort((a, b) => new Date(b.fetched_at) - new Date(a.fetched_at));
+
+    const current = fetches[0] || null;
+    const previous = fetches[1] || null;
+
+    const competitorPositionAt = (competitorId, fetch) => {
+      if (!fetch) return null;
+      const positions = competitorRows
+        .filter(row =>
+          row.keyword_id === keyword.id &&
+          row.competitor_id === competitorId &&
+          row.snapshot_id === fetch.snapshot_id
+        )
+        .map(row => row.position);
+      return positions.length > 0 ? Math.min(...positions) : null;
+    };
+
+    const competitorIds = [...new Set(
+      competitorRows.filter(row => row.keyword_id === keyword.id).map(row => row.competitor_id)
+    )];
+
+    return {
+      keyword,
+      current: current ? { position: current.position ?? null, fetched_at: current.fetched_at } : null,
+      previous: previous ? { position: previous.position ?? null, fetched_at: previous.fetched_at } : null,
+      competitors: competitorIds.map(id => ({
+        competitor_id: id,
+        name: competitorNames.get(id) || id,
+        position: competitorPositionAt(id, current),
+        previous_position: competitorPositionAt(id, previous)
+      }))
+    };
+  });
+}
+
+/**
+ * Check whether a rule applies to a keyword at all
+ */
+export function ruleMatchesKeyword(rule, keyword) {
+  if (rule.keyword_id && rule.keyword_id !== keyword.id) return false;
+  if (rule.country && rule.country !== keyword.country) return false;
+  if (rule.cluster && rule.cluster !== keyword.cluster) return false;
+  return true;
+}
+
+/**
+ * Evaluate one rule against one keyword state
+ * @param {object} rule - alert_rules row
+ * @param {object} state - From buildKeywordStates
+ * @returns {object|null} - { message, details } when the rule fires
+ */
+export function evaluateRule(rule, state) {
+  if (!state.current || !state.previous) return null;
+  if (!ruleMatchesKeyword(rule, state.keyword)) return null;
+
+  const threshold = rule.threshold ?? DEFAULT_THRESHOLDS[rule.rule_type];
+  const before = state.previous.position;
+  const after = state.current.position;
+  const beforeRank = before ?? NOT_RANKING;
+  const afterRank = after ?? NOT_RANKING;
+  const label = `"${state.keyword.keyword_text}" (${state.keyword.country})`;
+  const describe = position => position === null ? 'not ranking' : `#${position}`;
+  const details = { previous_position: before, current_position: after };
+
+  switch (rule.rule_type) {
+    case 'position_drop':
+      if (afterRank - beforeRank > threshold) {
+        return { message: `${label} dropped from ${describe(before)} to ${describe(after)}`, details };
+      }
+      return null;
+
+    case 'position_gain':
+      if (beforeRank - afterRank > threshold) {
+        return { message: `${label} rose from ${describe(before)} to ${describe(after)}`, details };
+      }
+      return null;
+
+    case 'lost_top_n':
+      if (beforeRank <= threshold && afterRank > threshold) {
+        return { message: `${label} lost top ${threshold}: ${describe(before)} → ${describe(after)}`, details };
+      }
+      return null;
+
+    case 'entered_top_n':
+      if (beforeRank > threshold && afterRank <= threshold) {
+        return { message: `${label} entered top ${threshold}: ${describe(before)} → ${describe(after)}`, details };
+      }
+      return null;
+
+    case 'dropped_out':
+      if (before !== null && after === null) {
+        return { message: `${label} dropped out of the top 100 (was ${describe(before)})`, details };
+      }
+      return null;
+
+    case 'competitor_overtake': {
+      const overtaken = state.competitors.filter(competitor => {
+        if (rule.competitor_id && competitor.competitor_id !== rule.competitor_id) return false;
+        if (competitor.position === null) return false;
+
+        const wasAbove = (competitor.previous_position ?? NOT_RANKING) < beforeRank;
+        return competitor.position < afterRank && !wasAbove;
+      });
+
+      if (overtaken.length === 0) return null;
+
+      const names = overtaken.map(c => `${c.name} (#${c.position})`).join(', ');
+      return {
+        message: `${label}: overtaken by ${names}; we are ${describe(after)}`,
+        details: { ...details, competitors: overtaken }
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build a Slack-compatible webhook payload for fired alerts
+ * @param {Array} events - [{ rule_name, message }]
+ * @returns {object} - { text, blocks }
+ */
+export function formatSlackPayload(events) {
+  const heading = `Hoxton SEO: ${events.length} ranking alert${events.length === 1 ? '' : 's'}`;
+  const lines = [];
+  let length = 0;
+
+  // Slack rejects section text over 3000 characters
+  for (const event of events) {
+    const line = `• *${event.rule_name}*: ${event.message}`;
+    if (length + line.length + 1 > SLACK_TEXT_LIMIT) {
+      lines.push(`…and ${events.length - lines.length} more`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return {
+    text: `${heading}\n${lines.join('\n')}`,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: heading } },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }
+    ]
+  };
+}
@@ -0,0 +1,126 @@
+import { supabase } from './supabase.js';
+import { UnauthorizedError, ForbiddenError, mapSupabaseError } from './errors.js';
+import {
+  verifyApiKey,
+  hashApiKey,
+  requiredScope,
+  hasScope,
+  keyStatus,
+  shouldAudit
+} from './auth.js';
+import { requestedProject } from './projects.js';
+
+// api_keys columns safe to return: everything except key_hash
+export const KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, revoked_at, last_used_at, created_by, created_at, updated_at';
+
+// last_used_at is only rewritten when older than this, to avoid an update per call
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Authenticate a request's x-api-key and check it grants the route's scope
+ * Keys come from the api_keys table; the API_KEY env var, if set, is
+ * accepted as a bootstrap admin key. Mutating, spending and admin calls
+ * are written to api_audit_log before the route runs.
+ * @param {object} req - Request object; the caller is set on req.apiKey
+ * @param {string|object} [scope] - See requiredScope in lib/auth.js
+ * @returns {Promise<object>} - { id, name, scopes }
+ * @throws {UnauthorizedError} - Missing, unknown, expired or revoked key
+ * @throws {ForbiddenError} - Key lacks the required scope
+ */
+export async function authenticate(req, scope) {
+  const key = req.headers['x-api-key'];
+
+  if (!key) {
+    throw new UnauthorizedError();
+  }
+
+  const caller = verifyApiKey(req)
+    ? { id: null, name: 'API_KEY', scopes: ['admin'] }
+    : await lookupKey(key);
+
+  const required = requiredScope(req, scope);
+
+  if (!hasScope(caller.scopes, required)) {
+    throw new ForbiddenError(`API key "${caller.name}" does not have the ${required} scope`, {
+      required,
+      scopes: caller.scopes
+    });
+  }
+
+  req.apiKey = caller;
+
+  if (shouldAudit(req, required)) {
+    await recordAudit(req, caller, required);
+  }
+
+  return caller;
+}
+
+/**
+ * Find an active key by its hash
+ */
+async function lookupKey(key) {
+  const { data, error: dbError } = await supabase
+    .from('api_keys')
+    .select('id, name, scopes, expires_at, revoked_at, last_used_at')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data || keyStatus(data) !== 'active') {
+    throw new UnauthorizedError();
+  }
+
+  await touchKey(data);
+
+  return { id: data.id, name: data.name, scopes: data.scopes };
+}
+
+/**
+ * Record when a key was last used, at most once per hour
+ * Failures are logged but never fail the request
+ */
+async function touchKey(key) {
+  if (key.last_used_at && Date.now() - new Date(key.last_used_at) < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  const { error: dbError } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', key.id);
+
+  if (dbError) {
+    console.error('Failed to update API key last_used_at:', dbError);
+  }
+}
+
+/**
+ * Write an audit log row
+ * Unlike usage logging this fails the request: an unaudited mutation is worse
+ * than a retry
+ */
+async function recordAudit(req, caller, scope) {
+  const query = req.query || {};
+  const forwardedFor = req.headers['x-forwarded-for'];
+
+  const { error: dbError } = await supabase
+    .from('api_audit_log')
+    .insert({
+      api_key_id: caller.id,
+      key_name: caller.name,
+      scope,
+      method: req.method,
+      path: (req.url || '').split('?')[0],
+      query: Object.keys(query).length > 0 ? query : null,
+      project: requestedProject(req),
+      ip: forwardedFor ? forwardedFor.split(',')[0].trim() : null
+    });
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+}
@@ -1,9 +1,164 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { ValidationError } from './errors.js';
+import { validateType, validateEnum, validateDate } from './validate.js';
+
 /**
- * Verify the API key from request headers
+ * API key scopes
+ * read: GET routes; write: create, update and delete; enrich: routes that
+ * spend DataForSEO credit; admin: every scope, plus projects, locations and keys
+ */
+export const SCOPES = ['read', 'write', 'enrich', 'admin'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const KEY_PREFIX = 'hsk_';
+
+/**
+ * Verify the bootstrap API key from the API_KEY environment variable
  * @param {object} req - Request object
- * @returns {boolean} - True if valid, false otherwise
+ * @returns {boolean} - True if API_KEY is set and matches, false otherwise
  */
 export function verifyApiKey(req) {
+  const expected = process.env.API_KEY;
   const apiKey = req.headers['x-api-key'];
-  return apiKey === process.env.API_KEY;
+
+  if (!expected || typeof apiKey !== 'string') {
+    return false;
+  }
+
+  // Compare digests so both buffers have the same length
+  return timingSafeEqual(
+    createHash('sha256').update(apiKey).digest(),
+    createHash('sha256').update(expected).digest()
+  );
+}
+
+/**
+ * Verify a Vercel cron invocation
+ * Vercel sends `Authorization: Bearer <CRON_SECRET>` on scheduled calls
+ * @param {object} req - Request object
+ * @returns {boolean} - True if valid, false otherwise
+ */
+export function verifyCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return false;
+  }
+  return req.headers['authorization'] === `Bearer ${secret}`;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are long random tokens, so a plain SHA-256 is enough
+ * @param {string} key - Plaintext key
+ * @returns {string} - Hex digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a new random API key
+ * @returns {object} - { key (shown once), prefix (stored to identify it), hash }
+ */
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), hash: hashApiKey(key) };
+}
+
+/**
+ * Scope a request needs
+ * @param {object} req - Request object
+ * @param {string|object} [scope] - Scope for every method, or { METHOD: scope } overrides;
+ *   otherwise read for GET/HEAD/OPTIONS and write for everything else
+ * @returns {string}
+ */
+export function requiredScope(req, scope) {
+  if (typeof scope === 'string') {
+    return scope;
+  }
+
+  return scope?.[req.method] || (READ_METHODS.includes(req.method) ? 'read' : 'write');
+}
+
+/**
+ * Whether a key's scopes grant a required scope (admin grants every scope)
+ * @param {string[]} scopes - The key's scopes
+ * @param {string} required - Scope the route needs
+ * @returns {boolean}
+ */
+export function hasScope(scopes, required) {
+  return scopes.includes('admin') || scopes.includes(required);
+}
+
+/**
+ * Whether an api_keys row can be used
+ * @param {object} key - { expires_at, revoked_at }
+ * @param {Date} [now]
+ * @returns {string} - 'active', 'expired' or 'revoked'
+ */
+export function keyStatus(key, now = new Date()) {
+  if (key.revoked_at) return 'revoked';
+  if (key.expires_at && new Date(key.expires_at) <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Mutating, spending and admin calls are written to the audit log
+ * @param {object} req - Request object
+ * @param {string} scope - Scope the route needed
+ * @returns {boolean}
+ */
+export function shouldAudit(req, scope) {
+  return !READ_METHODS.includes(req.method) || scope === 'enrich' || scope === 'admin';
+}
+
+/**
+ * Validate a scope list from a request body
+ * @param {Array} scopes - Requested scopes
+ * @returns {string[]} - Unique scopes
+ */
+export function validateScopes(scopes) {
+  validateType(scopes, 'scopes', 'array');
+
+  if (scopes.length === 0) {
+    throw new ValidationError('scopes cannot be empty', { field: 'scopes', allowed: SCOPES });
+  }
+
+  scopes.forEach(scope => validateEnum(scope, 'scopes', SCOPES));
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * Validate and normalise API key fields from a POST or PATCH body
+ * @param {object} body - { name?, scopes?, expires_at? (ISO date or null) }
+ * @param {Date} [now]
+ * @returns {object} - Fields to write
+ */
+export function prepareKeyFields(body, now = new Date()) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ValidationError('name cannot be empty', { field: 'name' });
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.scopes !== undefined) {
+    fields.scopes = validateScopes(body.scopes);
+  }
+
+  if (body.expires_at === null) {
+    fields.expires_at = null;
+  } else if (body.expires_at !== undefined) {
+    validateDate(body.expires_at, 'expires_at');
+    const expiresAt = new Date(body.expires_at);
+    if (expiresAt <= now) {
+      throw new ValidationError('expires_at must be in the future', { field: 'expires_at' });
+    }
+    fields.expires_at = expiresAt.toISOString();
+  }
+
+  return fields;
 }
@@ -0,0 +1,99 @@
+/**
+ * Issue types reported by detectCannibalisation
+ */
+export const CANNIBALISATION_ISSUES = ['multiple_urls', 'mismatched_page', 'url_flip_flop'];
+
+/**
+ * Normalise a URL or path for comparison
+ * pages.url may be a full URL or a site-relative path, so compare on path only
+ */
+export function normalizePath(url) {
+  if (!url) return null;
+
+  let path = url;
+  try {
+    path = new URL(url).pathname;
+  } catch {
+    // Already a path
+  }
+
+  path = path.toLowerCase().replace(/\/+$/, '');
+  return path === '' ? '/' : path;
+}
+
+/**
+ * Find cannibalisation issues for one keyword
+ * @param {object} keyword - { id, page_url } where page_url is the mapped page's URL
+ * @param {Array} rows - Owned serp_rankings rows [{ fetched_at, url, position }]
+ * @param {object} [options]
+ * @param {number} [options.minChanges] - URL changes needed to count as flip-flopping (default 2)
+ * @param {string} [options.latestFetchedAt] - Latest fetch of the keyword, owned or not; when
+ *   no owned URL ranked in it, latest_urls is empty and ranking_url is null
+ * @returns {object} - { issues, latest_urls, ranking_url, url_history, url_changes }
+ */
+export function detectCannibalisation(keyword, rows, options = {}) {
+  const minChanges = options.minChanges ?? 2;
+
+  // Group rows by fetch, oldest first
+  const fetches = Object.values(rows.reduce((acc, row) => {
+    if (!acc[row.fetched_at]) {
+      acc[row.fetched_at] = { fetched_at: row.fetched_at, rows: [] };
+    }
+    acc[row.fetched_at].rows.push(row);
+    return acc;
+  }, {})).sort((a, b) => new Date(a.fetched_at) - new Date(b.fetched_at));
+
+  if (fetches.length === 0) {
+    return { issues: [], latest_urls: [], ranking_url: null, url_history: [], url_changes: 0 };
+  }
+
+  // Best-ranked owned URL per fetch
+  const urlHistory = fetches.map(fetch => {
+    const best = [...fetch.rows].sort((a, b) => a.position - b.position)[0];
+    return { fetched_at: fetch.fetched_at, url: best.url, position: best.position };
+  });
+
+  // The latest owned fetch only counts if nothing was fetched after it
+  const latest = fetches[fetches.length - 1];
+  const stillRanking = !options.latestFetchedAt
+    || new Date(latest.fetched_at) >= new Date(options.latestFetchedAt);
+
+  const latestUrls = stillRanking
+    ? [...new Map(
+      [...latest.rows]
+        .sort((a, b) => a.position - b.position)
+        .map(row => [normalizePath(row.url), { url: row.url, position: row.position }])
+    ).values()]
+    : [];
+
+  const rankingUrl = stillRanking ? urlHistory[urlHistory.length - 1].url : null;
+
+  let urlChanges = 0;
+  for (let i = 1; i < urlHistory.length; i++) {
+    if (normalizePath(urlHistory[i].url) !== normalizePath(urlHistory[i - 1].url)) {
+      urlChanges++;
+    }
+  }
+
+  const issues = [];
+
+  if (latestUrls.length > 1) {
+    issues.push('multiple_urls');
+  }
+
+  if (keyword.page_url && rankingUrl && normalizePath(keyword.page_url) !== normalizePath(rankingUrl)) {
+    issues.push('mismatched_page');
+  }
+
+  if (urlChanges >= minChanges) {
+    issues.push('url_flip_flop');
+  }
+
+  return {
+    issues,
+    latest_urls: latestUrls,
+    ranking_url: rankingUrl,
+    url_history: urlHistory,
+    url_changes: urlChanges
+  };
+}
@@ -0,0 +1,164 @@
+import { normalizePath } from './cannibalisation.js';
+
+export const DEFAULT_MIN_SHARED_URLS = 3;
+export const DEFAULT_TOP_N = 10;
+
+/**
+ * Compare ranking URLs by host and path, ignoring protocol, www, query and trailing slash
+ */
+export function normalizeSerpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${normalizePath(parsed.pathname)}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Top-N URLs of each keyword's latest SERP fetch
+ * @param {Array} rows - serp_rankings rows [{ keyword_id, fetched_at, position, url, is_owned }]
+ * @param {number} [topN] - Positions to consider (default 10)
+ * @returns {Map} - keyword_id => { urls: Set, owned_url, owned_position }
+ */
+export function latestTopUrls(rows, topN = DEFAULT_TOP_N) {
+  const latestFetch = new Map();
+
+  for (const row of rows) {
+    const time = new Date(row.fetched_at).getTime();
+    if (time > (latestFetch.get(row.keyword_id) ?? -Infinity)) {
+      latestFetch.set(row.keyword_id, time);
+    }
+  }
+
+  const serps = new Map();
+
+  for (const row of rows) {
+    if (new Date(row.fetched_at).getTime() !== latestFetch.get(row.keyword_id)) continue;
+    if (row.position === null || row.position > topN || !row.url) continue;
+
+    if (!serps.has(row.keyword_id)) {
+      serps.set(row.keyword_id, { urls: new Set(), owned_url: null, owned_position: null });
+    }
+
+    const serp = serps.get(row.keyword_id);
+    serp.urls.add(normalizeSerpUrl(row.url));
+
+    if (row.is_owned && (serp.owned_position === null || row.position < serp.owned_position)) {
+      serp.owned_url = row.url;
+      serp.owned_position = row.position;
+    }
+  }
+
+  return serps;
+}
+
+/**
+ * Group keywords whose top results share at least `minShared` URLs.
+ * Keywords are only grouped with others in the same country.
+ *
+ * Uses pivot clustering: the highest-volume unassigned keyword starts a
+ * group and pulls in every unassigned keyword that overlaps with it. This
+ * avoids long chains of loosely related keywords ending up together.
+ *
+ * @param {Array} keywords - [{ id, keyword_text, country, search_volume, cluster, page_id }]
+ * @param {Map} serps - From latestTopUrls
+ * @param {object} [options]
+ * @param {number} [options.minShared] - Shared URLs needed (default 3)
+ * @returns {Array} - [{ pivot, members: [{ keyword, shared_urls }] }], largest first
+ */
+export function clusterBySerpOverlap(keywords, serps, options = {}) {
+  const minShared = options.minShared ?? DEFAULT_MIN_SHARED_URLS;
+  const candidates = keywords
+    .filter(keyword => serps.has(keyword.id))
+    .sort((a, b) => (b.search_volume || 0) - (a.search_volume || 0) || a.keyword_text.localeCompare(b.keyword_text));
+
+  const assigned = new Set();
+  const groups = [];
+
+  for (const pivot of candidates) {
+    if (assigned.has(pivot.id)) continue;
+    assigned.add(pivot.id);
+
+    const pivotUrls = serps.get(pivot.id).urls;
+    const members = [{ keyword: pivot, shared_urls: pivotUrls.size }];
+
+    for (const candidate of candidates) {
+      if (assigned.has(candidate.id) || candidate.country !== pivot.country) continue;
+
+      let shared = 0;
+      for (const url of serps.get(candidate.id).urls) {
+        if (pivotUrls.has(url)) shared++;
+      }
+
+      if (shared >= minShared) {
+        assigned.add(candidate.id);
+        members.push({ keyword: candidate, shared_urls: shared });
+      }
+    }
+
+    groups.push({ pivot, members });
+  }
+
+  return groups.sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Suggest a cluster name and primary page for a group
+ *
+ * Cluster: the most common existing cluster among members, otherwise the
+ * pivot keyword in title case. Primary page: the Hoxton page ranking best
+ * across the group, otherwise the page most members are already mapped to.
+ *
+ * @param {object} group - From clusterBySerpOverlap
+ * @param {Map} serps - From latestTopUrls
+ * @param {Array} pages - [{ id, page_name, url }]
+ * @returns {object} - { suggested_cluster, cluster_reason, suggested_page, page_reason }
+ */
+export function suggestForGroup(group, serps, pages) {
+  const mostCommon = values => {
+    const counts = new Map();
+    for (const value of values) {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  };
+
+  const keywords = group.members.map(member => member.keyword);
+  const existingCluster = mostCommon(keywords.map(keyword => keyword.cluster));
+  const suggestedCluster = existingCluster || group.pivot.keyword_text
+    .split(/\s+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+  const pagesByPath = new Map(pages.map(page => [normalizePath(page.url), page]));
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+
+  const bestRanking = keywords
+    .map(keyword => serps.get(keyword.id))
+    .filter(serp => serp?.owned_url && pagesByPath.has(normalizePath(serp.owned_url)))
+    .sort((a, b) => a.owned_position - b.owned_position)[0];
+
+  let suggestedPage = null;
+  let pageReason = null;
+
+  if (bestRanking) {
+    suggestedPage = pagesByPath.get(normalizePath(bestRanking.owned_url));
+    pageReason = `ranks #${bestRanking.owned_position}`;
+  } else {
+    const mappedPageId = mostCommon(keywords.map(keyword => keyword.page_id));
+    if (mappedPageId && pagesById.has(mappedPageId)) {
+      suggestedPage = pagesById.get(mappedPageId);
+      pageReason = 'most keywords already mapped';
+    }
+  }
+
+  return {
+    suggested_cluster: suggestedCluster,
+    cluster_reason: existingCluster ? 'most common existing cluster' : 'highest-volume keyword',
+    suggested_page: suggestedPage
+      ? { id: suggestedPage.id, page_name: suggestedPage.page_name, url: suggestedPage.url }
+      : null,
+    page_reason: pageReason
+  };
+}
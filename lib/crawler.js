@@ -0,0 +1,259 @@
+import { parse } from 'node-html-parser';
+import { normalizePath } from './cannibalisation.js';
+
+export const CRAWL_USER_AGENT = 'HoxtonSEOBot/1.0 (+internal page audit)';
+export const THIN_CONTENT_WORDS = 300;
+
+export const FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * On-page issue types
+ *   - fetch_failed / http_error: the page could not be fetched, or returned 4xx/5xx
+ *   - noindex: robots meta tag or X-Robots-Tag header blocks indexing
+ *   - missing_title / missing_meta_description / missing_h1 / multiple_h1
+ *   - title_missing_keyword / h1_missing_keyword: target keyword not in the title / any H1
+ *   - canonical_mismatch: canonical points at a different URL
+ *   - thin_content: fewer than THIN_CONTENT_WORDS words of body text
+ *   - duplicate_title: another crawled page has the same title
+ */
+export const ISSUE_TYPES = [
+  'fetch_failed',
+  'http_error',
+  'noindex',
+  'missing_title',
+  'missing_meta_description',
+  'missing_h1',
+  'multiple_h1',
+  'title_missing_keyword',
+  'h1_missing_keyword',
+  'canonical_mismatch',
+  'thin_content',
+  'duplicate_title'
+];
+
+const collapse = text => (text || '').replace(/\s+/g, ' ').trim();
+const hostOf = url => new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Turn a pages.url (path or absolute URL) into an absolute URL on the site
+ */
+export function resolvePageUrl(pageUrl, baseUrl) {
+  return new URL(pageUrl, baseUrl).toString();
+}
+
+/**
+ * Fetch a page's HTML
+ * @param {string} url - Absolute URL
+ * @param {number} [timeoutMs] - Abort after this long, body included (default FETCH_TIMEOUT_MS)
+ * @returns {Promise<object>} - { status_code, final_url, html, robots_header }
+ */
+export async function fetchPage(url, timeoutMs = FETCH_TIMEOUT_MS) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': CRAWL_USER_AGENT, Accept: 'text/html' },
+    redirect: 'follow',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const contentType = response.headers.get('content-type') || '';
+
+  return {
+    status_code: response.status,
+    final_url: response.url || url,
+    html: contentType.includes('html') ? await response.text() : '',
+    robots_header: response.headers.get('x-robots-tag')
+  };
+}
+
+/**
+ * Extract on-page SEO elements from HTML
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Absolute URL the HTML came from (for resolving links)
+ * @returns {object} - { title, meta_description, h1, h2, canonical, robots,
+ *   word_count, internal_links, schema_types, schema_blocks }
+ */
+export function parsePage(html, pageUrl) {
+  const root = parse(html, { comment: false });
+  const meta = name => root
+    .querySelectorAll('meta')
+    .find(tag => (tag.getAttribute('name') || '').toLowerCase() === name)
+    ?.getAttribute('content');
+
+  const canonicalHref = root
+    .querySelectorAll('link')
+    .find(tag => (tag.getAttribute('rel') || '').toLowerCase().split(/\s+/).includes('canonical'))
+    ?.getAttribute('href');
+
+  // JSON-LD blocks, skipping any that fail to parse
+  const schemaBlocks = root
+    .querySelectorAll('script')
+    .filter(tag => (tag.getAttribute('type') || '').toLowerCase() === 'application/ld+json')
+    .flatMap(tag => {
+      try {
+        return [JSON.parse(tag.rawText)];
+      } catch {
+        return [];
+      }
+    });
+
+  const pageHost = hostOf(pageUrl);
+  const internalLinks = new Set();
+
+  for (const anchor of root.querySelectorAll('a')) {
+    const href = anchor.getAttribute('href');
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) continue;
+
+    try {
+      const target = new URL(href, pageUrl);
+      if (/^https?:$/.test(target.protocol) && hostOf(target.toString()) === pageHost) {
+        internalLinks.add(normalizePath(target.pathname));
+      }
+    } catch {
+      // Malformed href
+    }
+  }
+
+  // Body text without scripts, styles and other non-content elements
+  const body = root.querySelector('body') || root;
+  body.querySelectorAll('script, style, noscript, template, svg').forEach(node => node.remove());
+  const text = collapse(body.textContent);
+
+  return {
+    title: collapse(root.querySelector('title')?.textContent) || null,
+    meta_description: collapse(meta('description')) || null,
+    h1: root.querySelectorAll('h1').map(h => collapse(h.textContent)).filter(Boolean),
+    h2: root.querySelectorAll('h2').map(h => collapse(h.textContent)).filter(Boolean),
+    canonical: canonicalHref ? new URL(canonicalHref, pageUrl).toString() : null,
+    robots: collapse(meta('robots')) || null,
+    word_count: text === '' ? 0 : text.split(' ').length,
+    internal_links: [...internalLinks].sort(),
+    schema_types: [...new Set(schemaBlocks.flatMap(schemaTypes))].sort(),
+    schema_blocks: schemaBlocks
+  };
+}
+
+/**
+ * Collect @type values from a JSON-LD block, including @graph entries
+ */
+function schemaTypes(block) {
+  if (Array.isArray(block)) return block.flatMap(schemaTypes);
+  if (!block || typeof block !== 'object') return [];
+
+  const own = [].concat(block['@type'] || []);
+  const graph = Array.isArray(block['@graph']) ? block['@graph'].flatMap(schemaTypes) : [];
+  return [...own, ...graph];
+}
+
+/**
+ * Check whether every word of a keyword appears in some text
+ */
+export function containsKeyword(text, keyword) {
+  if (!text || !keyword) return false;
+
+  const haystack = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ')} `;
+  return keyword
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .every(word => haystack.includes(` ${word} `));
+}
+
+/**
+ * Find on-page issues in one crawl snapshot
+ * @param {object} snapshot - fetchPage + parsePage output, plus url and error
+ * @param {object} [context]
+ * @param {string} [context.targetKeyword] - The page's main keyword
+ * @returns {Array} - [{ type, message }]
+ */
+export function findPageIssues(snapshot, context = {}) {
+  const issues = [];
+  const add = (type, message) => issues.push({ type, message });
+
+  if (snapshot.error) {
+    add('fetch_failed', `Could not fetch page: ${snapshot.error}`);
+    return issues;
+  }
+
+  if (snapshot.status_code >= 400) {
+    add('http_error', `Page returned HTTP ${snapshot.status_code}`);
+    return issues;
+  }
+
+  const robots = [snapshot.robots, snapshot.robots_header].filter(Boolean).join(', ').toLowerCase();
+  if (/\b(noindex|none)\b/.test(robots)) {
+    add('noindex', `Tracked page is set to noindex (${robots})`);
+  }
+
+  if (!snapshot.title) add('missing_title', 'Page has no <title>');
+  if (!snapshot.meta_description) add('missing_meta_description', 'Page has no meta description');
+
+  if (snapshot.h1.length === 0) {
+    add('missing_h1', 'Page has no H1');
+  } else if (snapshot.h1.length > 1) {
+    add('multiple_h1', `Page has ${snapshot.h1.length} H1s`);
+  }
+
+  const { targetKeyword } = context;
+  if (targetKeyword) {
+    if (snapshot.title && !containsKeyword(snapshot.title, targetKeyword)) {
+      add('title_missing_keyword', `Title does not contain "${targetKeyword}"`);
+    }
+    if (snapshot.h1.length > 0 && !snapshot.h1.some(h1 => containsKeyword(h1, targetKeyword))) {
+      add('h1_missing_keyword', `H1 does not contain "${targetKeyword}"`);
+    }
+  }
+
+  if (snapshot.canonical && normalizeUrl(snapshot.canonical) !== normalizeUrl(snapshot.final_url || snapshot.url)) {
+    add('canonical_mismatch', `Canonical points to ${snapshot.canonical}`);
+  }
+
+  if (snapshot.word_count < THIN_CONTENT_WORDS) {
+    add('thin_content', `Only ${snapshot.word_count} words of body text`);
+  }
+
+  return issues;
+}
+
+/**
+ * Compare URLs ignoring www, protocol, query and trailing slash
+ */
+function normalizeUrl(url) {
+  try {
+    return `${hostOf(url)}${normalizePath(new URL(url).pathname)}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Add duplicate_title issues to snapshots sharing a title (mutates issues)
+ * @param {Array} snapshots - New snapshots [{ page_id, url, title, issues }]
+ * @param {Array} [existing] - Latest snapshots of other pages, compared against but not changed
+ * @returns {Array} - snapshots
+ */
+export function flagDuplicateTitles(snapshots, existing = []) {
+  const byTitle = new Map();
+
+  for (const snapshot of [...snapshots, ...existing]) {
+    if (!snapshot.title) continue;
+    const key = snapshot.title.toLowerCase();
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(snapshot);
+  }
+
+  for (const snapshot of snapshots) {
+    if (!snapshot.title) continue;
+
+    const others = byTitle
+      .get(snapshot.title.toLowerCase())
+      .filter(other => other.page_id !== snapshot.page_id);
+
+    if (others.length > 0) {
+      snapshot.issues.push({
+        type: 'duplicate_title',
+        message: `Title is shared with ${others.map(other => other.url).join(', ')}`
+      });
+    }
+  }
+
+  return snapshots;
+}
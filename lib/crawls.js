@@ -0,0 +1,178 @@
+import { supabase, selectAll } from './supabase.js';
+import { mapSupabaseError } from './errors.js';
+import {
+  fetchPage,
+  FETCH_TIMEOUT_MS,
+  parsePage,
+  resolvePageUrl,
+  findPageIssues,
+  flagDuplicateTitles
+} from './crawler.js';
+
+// Be polite to our own site: a few pages at a time
+const CRAWL_CONCURRENCY = 3;
+
+// No batch starts with less time than this left; a page fetch cut shorter
+// than FETCH_TIMEOUT_MS by the deadline that times out is skipped, not saved
+const MIN_FETCH_MS = 3000;
+const PAGE_CHUNK_SIZE = 100;
+
+/**
+ * Base URL that a project's relative pages.url paths are crawled under
+ * @param {object} project - projects row
+ */
+export function siteUrl(project) {
+  return project.site_url || `https://${project.domains[0]}`;
+}
+
+/**
+ * Pick a project's pages to crawl, least recently crawled (or never crawled) first
+ * @param {object} project - projects row
+ * @param {object} [filters] - { page_ids, cluster, limit }
+ * @returns {Promise<Array>} - pages rows
+ */
+export async function selectPagesToCrawl(project, { page_ids, cluster, limit = 20 } = {}) {
+  const { data: pages, error: pageError } = await selectAll(() => {
+    let query = supabase
+      .from('pages')
+      .select('id, page_name, url, cluster')
+      .eq('project_id', project.id)
+      .order('id');
+
+    if (page_ids) query = query.in('id', page_ids);
+    if (cluster) query = query.eq('cluster', cluster);
+
+    return query;
+  });
+
+  if (pageError) {
+    throw mapSupabaseError(pageError, 'select');
+  }
+
+  const { data: latest, error: crawlError } = await selectAll(() => supabase
+    .from('latest_page_crawls')
+    .select('page_id, crawled_at')
+    .eq('project_id', project.id)
+    .order('page_id'));
+
+  if (crawlError) {
+    throw mapSupabaseError(crawlError, 'select');
+  }
+
+  const lastCrawled = new Map(latest.map(row => [row.page_id, new Date(row.crawled_at).getTime()]));
+
+  return pages
+    .sort((a, b) => (lastCrawled.get(a.id) ?? 0) - (lastCrawled.get(b.id) ?? 0))
+    .slice(0, limit);
+}
+
+/**
+ * The highest-volume keyword assigned to each page
+ * @param {string[]} pageIds
+ * @returns {Promise<Map>} - page ID => keyword_text
+ */
+async function loadTargetKeywords(pageIds) {
+  const targets = new Map();
+
+  for (let i = 0; i < pageIds.length; i += PAGE_CHUNK_SIZE) {
+    const { data, error: keywordError } = await supabase
+      .from('keywords_with_metrics')
+      .select('page_id, keyword_text, search_volume')
+      .in('page_id', pageIds.slice(i, i + PAGE_CHUNK_SIZE))
+      .order('search_volume', { ascending: false, nullsFirst: false });
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    for (const keyword of data) {
+      if (!targets.has(keyword.page_id)) targets.set(keyword.page_id, keyword.keyword_text);
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Fetch and parse one page into a page_crawls row
+ * @returns {Promise<object|null>} - null when the fetch ran out of a shortened timeout
+ */
+async function crawlPage(page, targetKeyword, baseUrl, timeoutMs) {
+  const url = resolvePageUrl(page.url, baseUrl);
+  let snapshot;
+
+  try {
+    const fetched = await fetchPage(url, timeoutMs);
+    const parsed = parsePage(fetched.html, fetched.final_url);
+
+    snapshot = {
+      ...parsed,
+      status_code: fetched.status_code,
+      final_url: fetched.final_url,
+      robots: [parsed.robots, fetched.robots_header].filter(Boolean).join(', ') || null,
+      error: null
+    };
+  } catch (err) {
+    if (err.name === 'TimeoutError' && timeoutMs < FETCH_TIMEOUT_MS) return null;
+    snapshot = { ...parsePage('', url), status_code: null, final_url: null, error: err.message };
+  }
+
+  snapshot = { page_id: page.id, url, target_keyword: targetKeyword ?? null, ...snapshot };
+  snapshot.issues = findPageIssues(snapshot, { targetKeyword });
+
+  return snapshot;
+}
+
+/**
+ * Crawl a project's pages, flag issues and store a snapshot per page
+ * @param {object} project - projects row
+ * @param {Array} pages - From selectPagesToCrawl
+ * @param {object} [options]
+ * @param {number} [options.deadline] - Epoch ms the crawl must finish by; no page is started
+ *   with less than MIN_FETCH_MS left, and each fetch times out when it arrives
+ * @returns {Promise<object>} - { snapshots, skipped }
+ */
+export async function crawlPages(project, pages, options = {}) {
+  const baseUrl = siteUrl(project);
+  const targets = await loadTargetKeywords(pages.map(page => page.id));
+  const snapshots = [];
+
+  for (let i = 0; i < pages.length; i += CRAWL_CONCURRENCY) {
+    const remaining = options.deadline ? options.deadline - Date.now() : FETCH_TIMEOUT_MS;
+    if (remaining < MIN_FETCH_MS) break;
+
+    const timeoutMs = Math.min(FETCH_TIMEOUT_MS, remaining);
+    const batch = pages.slice(i, i + CRAWL_CONCURRENCY);
+    const crawled = await Promise.all(batch.map(page => crawlPage(page, targets.get(page.id), baseUrl, timeoutMs)));
+    snapshots.push(...crawled.filter(Boolean));
+  }
+
+  if (snapshots.length === 0) {
+    return { snapshots, skipped: pages.length };
+  }
+
+  // Compare titles against the latest crawl of every other page in the project too
+  const crawledIds = new Set(snapshots.map(snapshot => snapshot.page_id));
+  const { data: latest, error: latestError } = await selectAll(() => supabase
+    .from('latest_page_crawls')
+    .select('page_id, url, title')
+    .eq('project_id', project.id)
+    .order('page_id'));
+
+  if (latestError) {
+    throw mapSupabaseError(latestError, 'select');
+  }
+
+  flagDuplicateTitles(snapshots, latest.filter(row => !crawledIds.has(row.page_id)));
+
+  const { data, error: insertError } = await supabase
+    .from('page_crawls')
+    .insert(snapshots)
+    .select('id, page_id, url, status_code, title, word_count, target_keyword, issues, error, crawled_at');
+
+  if (insertError) {
+    throw mapSupabaseError(insertError, 'insert');
+  }
+
+  return { snapshots: data, skipped: pages.length - snapshots.length };
+}
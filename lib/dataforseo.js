@@ -1,4 +1,7 @@
+import { ExternalApiError, ConfigurationError } from './errors.js';
+
 const BASE_URL = 'https://api.dataforseo.com';
+const SERVICE = 'DataForSEO';
 
 /**
  * Get authorization header for DataForSEO API
@@ -8,95 +11,500 @@ function getAuthHeader() {
   const password = process.env.DATAFORSEO_PASSWORD;
 
   if (!login || !password) {
-    throw new Error('DataForSEO credentials not configured');
+    throw new ConfigurationError('DataForSEO credentials not configured');
   }
 
   return `Basic ${Buffer.from(`${login}:${password}`).toString('base64')}`;
 }
 
 /**
- * Make a request to DataForSEO API
- * @param {string} endpoint - API endpoint path
- * @param {Array} data - Request payload
- * @returns {Promise<Array>} - API results
+ * Count keywords in a request payload, for usage reporting
+ */
+function countKeywords(data) {
+  return (data || []).reduce(
+    (count, task) => count + (task.keywords?.length || (task.keyword ? 1 : 0)),
+    0
+  );
+}
+
+/**
+ * Per-attempt request timeout; live SERPs usually return within a few seconds
  */
-export async function dataforseoRequest(endpoint, data) {
-  const response = await fetch(`${BASE_URL}${endpoint}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': getAuthHeader(),
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(data)
+export const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Time a call may take, retries included, when the caller passes no deadline.
+ * Kept under the 30s function maxDuration
+ */
+export const REQUEST_BUDGET_MS = 25000;
+
+/**
+ * Shortest attempt worth starting; a call gives up rather than start an
+ * attempt with less time than this left before its deadline
+ */
+export const MIN_ATTEMPT_MS = 2000;
+
+/**
+ * Retries after the first attempt. GET requests retry timeouts, network
+ * errors, HTTP 429/5xx and RETRYABLE_STATUS_CODES. POST requests create
+ * billed tasks, so they only retry when the request was turned away
+ * unprocessed: a connection that never opened, HTTP 429 or
+ * RATE_LIMIT_STATUS_CODES
+ */
+export const MAX_RETRIES = 2;
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+/**
+ * DataForSEO status codes for requests rejected before processing: rate
+ * limit exceeded, too many simultaneous requests
+ */
+export const RATE_LIMIT_STATUS_CODES = [40202, 40209];
+
+/**
+ * DataForSEO status codes worth retrying: the rate limits and internal error
+ */
+export const RETRYABLE_STATUS_CODES = [...RATE_LIMIT_STATUS_CODES, 50000];
+
+/**
+ * Network error codes raised before a request reaches the server
+ */
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Requests in flight at once, across every caller in this instance
+ */
+export const MAX_CONCURRENT_REQUESTS = 5;
+
+/**
+ * Status code of a successful request or finished task
+ */
+export const STATUS_OK = 20000;
+
+/**
+ * Wait before retry attempt `attempt` (0-based): exponential backoff with
+ * jitter, or the server's Retry-After when it sends one
+ * @param {number} attempt - Retries already made
+ * @param {string|null} [retryAfter] - Retry-After header (seconds)
+ * @param {Function} [random] - Returns [0, 1)
+ * @returns {number} - Delay in ms
+ */
+export function retryDelay(attempt, retryAfter = null, random = Math.random) {
+  const seconds = Number(retryAfter);
+  if (retryAfter !== null && retryAfter !== '' && Number.isFinite(seconds)) {
+    return Math.min(seconds * 1000, RETRY_MAX_DELAY_MS);
+  }
+
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+  return delay / 2 + random() * (delay / 2);
+}
+
+/**
+ * Limit how many async calls run at once
+ * @param {number} max - Calls allowed in flight
+ * @returns {Function} - run(fn): calls fn when a slot is free, resolves with its result
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
   });
+}
+
+const limit = createLimiter(MAX_CONCURRENT_REQUESTS);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send one HTTP request
+ * @returns {Promise<object>} - { result } on success, otherwise
+ *   { message, statusCode, retryable, rejected, retryAfter }; rejected
+ *   means the server never processed the request, so even a POST is
+ *   safe to send again
+ */
+async function sendRequest(endpoint, data, timeoutMs) {
+  const authorization = getAuthHeader();
+
+  let response;
+  try {
+    response = await fetch(`${BASE_URL}${endpoint}`, {
+      method: data ? 'POST' : 'GET',
+      headers: {
+        'Authorization': authorization,
+        'Content-Type': 'application/json'
+      },
+      body: data ? JSON.stringify(data) : undefined,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (err) {
+    return {
+      message: err.name === 'TimeoutError' ? `Request timed out after ${timeoutMs}ms` : err.message,
+      statusCode: null,
+      retryable: true,
+      rejected: CONNECT_ERROR_CODES.includes(err.cause?.code ?? err.code),
+      retryAfter: null
+    };
+  }
+
+  const httpRetryable = response.status === 429 || response.status >= 500;
+  const retryAfter = response.headers?.get?.('retry-after') ?? null;
+
+  let result;
+  try {
+    result = await response.json();
+  } catch {
+    return {
+      message: `HTTP ${response.status}: response was not JSON`,
+      statusCode: response.status ?? null,
+      retryable: httpRetryable,
+      rejected: response.status === 429,
+      retryAfter
+    };
+  }
+
+  if (result?.status_code === STATUS_OK) {
+    return { result };
+  }
 
-  const result = await response.json();
+  const rejected = response.status === 429 || RATE_LIMIT_STATUS_CODES.includes(result?.status_code);
 
-  if (result.status_code !== 20000) {
-    throw new Error(`DataForSEO error ${result.status_code}: ${result.status_message}`);
+  return {
+    message: `${result?.status_code}: ${result?.status_message}`,
+    statusCode: result?.status_code ?? null,
+    retryable: rejected || httpRetryable || RETRYABLE_STATUS_CODES.includes(result?.status_code),
+    rejected,
+    retryAfter
+  };
+}
+
+/**
+ * Call the DataForSEO API and check the top-level status
+ * Each attempt's timeout is cut to the time left before the deadline, and
+ * a retry only happens when there is time for it (see MAX_RETRIES for
+ * which failures are retried); at most MAX_CONCURRENT_REQUESTS requests
+ * run at once
+ * @param {string} endpoint - API endpoint path
+ * @param {Array} [data] - Request payload (omit for GET requests)
+ * @param {object} [options]
+ * @param {Function} [options.onUsage] - Called with { endpoint, cost, keyword_count, tasks_count }
+ * @param {number} [options.deadline] - Epoch ms the call must finish by (default now + REQUEST_BUDGET_MS)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout cap (default REQUEST_TIMEOUT_MS)
+ * @param {number} [options.retries] - Retries after the first attempt (default MAX_RETRIES)
+ * @returns {Promise<object>} - Full API response
+ * @throws {ExternalApiError} - The request still failed after retries, or the deadline passed
+ */
+async function dataforseoFetch(endpoint, data, options = {}) {
+  const deadline = options.deadline ?? Date.now() + REQUEST_BUDGET_MS;
+  const timeoutMs = options.timeoutMs ?? REQUEST_TIMEOUT_MS;
+  const retries = options.retries ?? MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    // Time is checked once a slot is free, since waiting for one uses it up
+    const outcome = await limit(() => {
+      const remaining = deadline - Date.now();
+      if (remaining < MIN_ATTEMPT_MS) {
+        return { message: 'Deadline reached before the request was sent', statusCode: null, retryable: false };
+      }
+      return sendRequest(endpoint, data, Math.min(timeoutMs, remaining));
+    });
+
+    if (outcome.result) {
+      if (options.onUsage) {
+        await options.onUsage({
+          endpoint,
+          cost: outcome.result.cost || 0,
+          keyword_count: countKeywords(data),
+          tasks_count: outcome.result.tasks_count || 0
+        });
+      }
+
+      return outcome.result;
+    }
+
+    const retryable = data ? outcome.rejected : outcome.retryable;
+    const delay = retryDelay(attempt, outcome.retryAfter);
+
+    if (!retryable || attempt >= retries || Date.now() + delay + MIN_ATTEMPT_MS > deadline) {
+      throw new ExternalApiError(SERVICE, outcome.message, {
+        endpoint,
+        status_code: outcome.statusCode,
+        attempts: attempt + 1
+      });
+    }
+
+    await sleep(delay);
   }
+}
 
-  const task = result.tasks?.[0];
-  if (task?.status_code !== 20000) {
-    throw new Error(`Task error ${task.status_code}: ${task.status_message}`);
+/**
+ * Post tasks in batches, concurrently, and return every task in input order
+ * A task that fails, or whose batch fails, comes back with its error
+ * status instead of failing the others
+ * @param {string} endpoint - API endpoint path
+ * @param {Array} tasks - Task payloads
+ * @param {object} [options] - See dataforseoFetch, plus:
+ * @param {number} [options.tasksPerPost] - Tasks per POST (default MAX_TASKS_PER_POST)
+ * @returns {Promise<Array>} - Tasks ({ id, status_code, status_message, result, data })
+ * @throws {ExternalApiError} - Every batch failed
+ */
+export async function dataforseoTasks(endpoint, tasks, options = {}) {
+  const perPost = options.tasksPerPost || MAX_TASKS_PER_POST;
+  const batches = [];
+
+  for (let i = 0; i < tasks.length; i += perPost) {
+    batches.push(tasks.slice(i, i + perPost));
+  }
+
+  const failures = [];
+
+  const results = await Promise.all(batches.map(async batch => {
+    try {
+      const response = await dataforseoFetch(endpoint, batch, options);
+      return batch.map((_, index) => response.tasks?.[index]
+        || { status_code: null, status_message: 'Task not returned', result: null });
+    } catch (err) {
+      if (!(err instanceof ExternalApiError)) throw err;
+      failures.push(err);
+      return batch.map(() => ({
+        status_code: err.details?.status_code ?? null,
+        status_message: err.message,
+        result: null
+      }));
+    }
+  }));
+
+  if (batches.length > 0 && failures.length === batches.length) {
+    throw failures[0];
+  }
+
+  return results.flat();
+}
+
+/**
+ * Describe a failed task
+ * @param {object} task - DataForSEO task
+ * @returns {string}
+ */
+export function taskError(task) {
+  return task.status_code
+    ? `${task.status_code}: ${task.status_message}`
+    : task.status_message;
+}
+
+/**
+ * Make a single-task request to DataForSEO API
+ * @param {string} endpoint - API endpoint path
+ * @param {Array} [data] - Request payload (one task; omit for GET requests)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - API results
+ * @throws {ExternalApiError} - The request or its task failed
+ */
+export async function dataforseoRequest(endpoint, data, options = {}) {
+  const result = await dataforseoFetch(endpoint, data, options);
+
+  const task = result.tasks?.[0] || { status_code: null, status_message: 'Task not returned' };
+  if (task.status_code !== STATUS_OK) {
+    throw new ExternalApiError(SERVICE, taskError(task), {
+      endpoint,
+      status_code: task.status_code
+    });
   }
 
   return task.result || [];
 }
 
 /**
- * Location codes for supported countries
+ * Task status codes for tasks that are queued but not finished yet
  */
-export const COUNTRY_TO_LOCATION = {
-  'UK': 2826,
-  'US': 2840,
-  'UAE': 2784,
-  'AU': 2036,
-  'SG': 2702,
-  'HK': 2344
-};
+export const TASK_PENDING_CODES = [40601, 40602];
+
+/**
+ * Maximum tasks accepted by a single task_post call
+ */
+export const MAX_TASKS_PER_POST = 100;
+
+/**
+ * Tasks per POST to /live endpoints, which take one task per call
+ */
+export const LIVE_TASKS_PER_POST = 1;
+
+/**
+ * Maximum keywords in a single search volume task
+ */
+export const MAX_KEYWORDS_PER_VOLUME_TASK = 1000;
+
+/**
+ * Language used when a request does not name one
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Location and language fields for a request
+ * Locations are managed in the locations table (see lib/locations.js)
+ * @param {number|object} locale - Location code, or a locations row / { location_code, language_code }
+ * @returns {object} - { location_code, language_code }
+ */
+export function localeParams(locale) {
+  if (typeof locale === 'number') {
+    return { location_code: locale, language_code: DEFAULT_LANGUAGE };
+  }
+
+  if (!locale?.location_code) {
+    throw new Error('A DataForSEO location_code is required');
+  }
+
+  return {
+    location_code: locale.location_code,
+    language_code: locale.language_code || DEFAULT_LANGUAGE
+  };
+}
+
+/**
+ * Location, language and device fields for a SERP request
+ * @param {number|object} locale - See localeParams, plus an optional device
+ * @returns {object} - { location_code, language_code, device }
+ */
+function serpLocaleParams(locale) {
+  return {
+    ...localeParams(locale),
+    device: locale?.device || 'desktop'
+  };
+}
+
+// Months of monthly_searches history requested with search volume, two
+// years so year-over-year change is available from the first fetch
+export const SEARCH_VOLUME_HISTORY_MONTHS = 24;
+
+/**
+ * date_from for a search volume request: the first day of the month
+ * SEARCH_VOLUME_HISTORY_MONTHS - 1 months before the current one
+ * @param {Date} [now]
+ * @returns {string} - YYYY-MM-DD
+ */
+export function searchVolumeDateFrom(now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (SEARCH_VOLUME_HISTORY_MONTHS - 1), 1));
+  return start.toISOString().slice(0, 10);
+}
 
 /**
  * Get keyword search volume data
+ * Each result includes monthly_searches ([{ year, month, search_volume }])
+ * for the last SEARCH_VOLUME_HISTORY_MONTHS months
  * @param {string[]} keywords - Keywords to check
- * @param {number} locationCode - Country location code
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {object} [options] - See dataforseoFetch
  * @returns {Promise<Array>} - Keyword metrics
  */
-export async function getKeywordMetrics(keywords, locationCode) {
+export async function getKeywordMetrics(keywords, locale, options = {}) {
   const data = [{
     keywords,
-    location_code: locationCode,
-    language_code: 'en'
+    ...localeParams(locale),
+    date_from: searchVolumeDateFrom()
   }];
 
   return dataforseoRequest(
     '/v3/keywords_data/google_ads/search_volume/live',
-    data
+    data,
+    options
   );
 }
 
 /**
  * Get SERP results for a keyword
  * @param {string} keyword - Keyword to check
- * @param {number} locationCode - Country location code
+ * @param {number|object} locale - Location code or locale (see localeParams)
  * @param {number} depth - Number of results (default 100)
+ * @param {object} [options] - See dataforseoFetch
  * @returns {Promise<Array>} - SERP results
  */
-export async function getSerpResults(keyword, locationCode, depth = 100) {
+export async function getSerpResults(keyword, locale, depth = 100, options = {}) {
+  const { organic } = await getSerp(keyword, locale, depth, options);
+  return organic;
+}
+
+/**
+ * Get organic results and SERP features for a keyword
+ * @param {string} keyword - Keyword to check
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {number} depth - Number of results (default 100)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<object>} - { organic, features }
+ */
+export async function getSerp(keyword, locale, depth = 100, options = {}) {
   const data = [{
     keyword,
-    location_code: locationCode,
-    language_code: 'en',
+    ...serpLocaleParams(locale),
     depth
   }];
 
   const result = await dataforseoRequest(
-    '/v3/serp/google/organic/live/regular',
-    data
+    '/v3/serp/google/organic/live/advanced',
+    data,
+    options
   );
 
   const items = result[0]?.items || [];
 
+  return {
+    organic: mapOrganicItems(items),
+    features: mapSerpFeatures(items)
+  };
+}
+
+/**
+ * Get organic results and SERP features for several keywords at once
+ * Requests run concurrently (see MAX_CONCURRENT_REQUESTS); a keyword that
+ * fails comes back with an error instead of failing the others
+ * @param {Array} requests - [{ keyword, locale }], locale may include a device
+ * @param {number} depth - Number of results (default 100)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - [{ organic, features, error }] in request order; error is null on success
+ * @throws {ExternalApiError} - Every request failed
+ */
+export async function getSerps(requests, depth = 100, options = {}) {
+  const tasks = await dataforseoTasks(
+    '/v3/serp/google/organic/live/advanced',
+    requests.map(request => ({
+      keyword: request.keyword,
+      ...serpLocaleParams(request.locale),
+      depth
+    })),
+    { ...options, tasksPerPost: LIVE_TASKS_PER_POST }
+  );
+
+  return tasks.map(task => {
+    if (task.status_code !== STATUS_OK) {
+      return { organic: [], features: [], error: taskError(task) };
+    }
+
+    const items = task.result?.[0]?.items || [];
+    return { organic: mapOrganicItems(items), features: mapSerpFeatures(items), error: null };
+  });
+}
+
+/**
+ * Keep only organic SERP items in the shape we store
+ * @param {Array} items - Raw DataForSEO SERP items
+ * @returns {Array} - Organic results
+ */
+export function mapOrganicItems(items) {
   return items
     .filter(item => item.type === 'organic')
     .map(item => ({
@@ -106,3 +514,264 @@ export async function getSerpResults(keyword, locationCode, depth = 100) {
       title: item.title
     }));
 }
+
+/**
+ * Collect every URL nested anywhere inside a SERP item
+ */
+function collectUrls(value, urls = []) {
+  if (Array.isArray(value)) {
+    value.forEach(entry => collectUrls(entry, urls));
+  } else if (value && typeof value === 'object') {
+    for (const [key, entry] of Object.entries(value)) {
+      if (key === 'url' && typeof entry === 'string') {
+        urls.push(entry);
+      } else {
+        collectUrls(entry, urls);
+      }
+    }
+  }
+  return urls;
+}
+
+/**
+ * Keep every non-organic SERP item (featured snippet, People Also Ask,
+ * local pack, video, AI overview, ...) in the shape we store
+ * @param {Array} items - Raw DataForSEO SERP items
+ * @returns {Array} - [{ type, rank_absolute, title, urls, questions }]
+ */
+export function mapSerpFeatures(items) {
+  return items
+    .filter(item => item.type !== 'organic')
+    .map(item => ({
+      type: item.type,
+      rank_absolute: item.rank_absolute,
+      title: item.title || null,
+      urls: [...new Set(collectUrls(item))],
+      questions: item.type === 'people_also_ask'
+        ? (item.items || []).map(question => question.title).filter(Boolean)
+        : []
+    }));
+}
+
+/**
+ * Flatten a DataForSEO Labs keyword item into the shape we use
+ * Labs endpoints nest metrics under keyword_data (domain_intersection)
+ * or at the top level (ranked_keywords). Metrics Labs has no data for are
+ * null, not 0, so they are not mistaken for a measured zero
+ * @param {object} item - Raw Labs item
+ * @param {object} [serpElement] - SERP element for the ranking domain
+ * @returns {object} - { keyword, search_volume, difficulty, cpc, competition, position, url }
+ */
+export function mapLabsKeyword(item, serpElement) {
+  const keywordData = item.keyword_data || item;
+  const info = keywordData.keyword_info || {};
+  const properties = keywordData.keyword_properties || {};
+
+  return {
+    keyword: keywordData.keyword,
+    search_volume: info.search_volume ?? null,
+    difficulty: properties.keyword_difficulty ?? null,
+    cpc: info.cpc ?? null,
+    competition: info.competition ?? null,
+    position: serpElement?.rank_absolute ?? null,
+    url: serpElement?.url ?? null
+  };
+}
+
+/**
+ * Get keywords a domain ranks for (DataForSEO Labs)
+ * @param {string} target - Domain, e.g. 'example.com'
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {number} limit - Max keywords (default 1000)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Keywords from mapLabsKeyword
+ */
+export async function getRankedKeywords(target, locale, limit = 1000, options = {}) {
+  const data = [{
+    target,
+    ...localeParams(locale),
+    limit
+  }];
+
+  const result = await dataforseoRequest(
+    '/v3/dataforseo_labs/google/ranked_keywords/live',
+    data,
+    options
+  );
+
+  return (result[0]?.items || []).map(item =>
+    mapLabsKeyword(item, item.ranked_serp_element?.serp_item)
+  );
+}
+
+/**
+ * Compare the keywords two domains rank for (DataForSEO Labs)
+ * @param {string} target1 - First domain (positions returned as position)
+ * @param {string} target2 - Second domain (positions returned as other_position)
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {boolean} intersections - true: keywords both rank for; false: only target1
+ * @param {number} limit - Max keywords (default 1000)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Keywords from mapLabsKeyword, plus other_position
+ */
+export async function getDomainIntersection(target1, target2, locale, intersections, limit = 1000, options = {}) {
+  const data = [{
+    target1,
+    target2,
+    ...localeParams(locale),
+    intersections,
+    limit
+  }];
+
+  const result = await dataforseoRequest(
+    '/v3/dataforseo_labs/google/domain_intersection/live',
+    data,
+    options
+  );
+
+  return (result[0]?.items || []).map(item => ({
+    ...mapLabsKeyword(item, item.first_domain_serp_element),
+    other_position: item.second_domain_serp_element?.rank_absolute ?? null
+  }));
+}
+
+/**
+ * Get keywords related to a seed, from the "searches related to" graph (DataForSEO Labs)
+ * @param {string} seed - Seed keyword
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {number} limit - Max keywords (default 100)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Keywords from mapLabsKeyword
+ */
+export async function getRelatedKeywords(seed, locale, limit = 100, options = {}) {
+  const data = [{
+    keyword: seed,
+    ...localeParams(locale),
+    depth: 2,
+    limit
+  }];
+
+  const result = await dataforseoRequest(
+    '/v3/dataforseo_labs/google/related_keywords/live',
+    data,
+    options
+  );
+
+  return (result[0]?.items || []).map(item => mapLabsKeyword(item));
+}
+
+/**
+ * Get long-tail keywords containing a seed (DataForSEO Labs)
+ * @param {string} seed - Seed keyword
+ * @param {number|object} locale - Location code or locale (see localeParams)
+ * @param {number} limit - Max keywords (default 100)
+ * @param {Array} [filters] - Labs filter expression, e.g. ['keyword', 'regex', '^how ']
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Keywords from mapLabsKeyword
+ */
+export async function getKeywordSuggestions(seed, locale, limit = 100, filters = null, options = {}) {
+  const data = [{
+    keyword: seed,
+    ...localeParams(locale),
+    limit,
+    ...(filters ? { filters } : {})
+  }];
+
+  const result = await dataforseoRequest(
+    '/v3/dataforseo_labs/google/keyword_suggestions/live',
+    data,
+    options
+  );
+
+  return (result[0]?.items || []).map(item => mapLabsKeyword(item));
+}
+
+/**
+ * Submit tasks to the standard (queued) DataForSEO endpoints
+ * Cheaper than /live; results are collected later with getTaskResult
+ * @param {string} endpoint - task_post endpoint path
+ * @param {Array} tasks - Task payloads, posted MAX_TASKS_PER_POST at a time
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Tasks in input order ({ id, status_code, status_message, data });
+ *   created tasks have status_code 20100
+ * @throws {ExternalApiError} - Every batch failed
+ */
+export async function postTasks(endpoint, tasks, options = {}) {
+  return dataforseoTasks(endpoint, tasks, options);
+}
+
+/**
+ * Submit search volume tasks (one task per keyword list)
+ * @param {Array} tasks - [{ keywords, locale, tag }]
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Created tasks
+ */
+export async function postKeywordMetricsTasks(tasks, options = {}) {
+  return postTasks(
+    '/v3/keywords_data/google_ads/search_volume/task_post',
+    tasks.map(task => ({
+      keywords: task.keywords,
+      ...localeParams(task.locale),
+      date_from: searchVolumeDateFrom(),
+      tag: task.tag
+    })),
+    options
+  );
+}
+
+/**
+ * Submit SERP tasks (one task per keyword)
+ * @param {Array} tasks - [{ keyword, locale, tag }], locale may include a device
+ * @param {number} depth - Number of results (default 100)
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - Created tasks
+ */
+export async function postSerpTasks(tasks, depth = 100, options = {}) {
+  return postTasks(
+    '/v3/serp/google/organic/task_post',
+    tasks.map(task => ({
+      keyword: task.keyword,
+      ...serpLocaleParams(task.locale),
+      depth,
+      tag: task.tag
+    })),
+    options
+  );
+}
+
+/**
+ * List Google locations for a country, with their location codes
+ * Used to look up codes for city-level locations
+ * @param {string} countryIsoCode - ISO 3166-1 alpha-2 code, e.g. 'AE'
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<Array>} - [{ location_code, location_name, location_code_parent, country_iso_code, location_type }]
+ */
+export async function getLocations(countryIsoCode, options = {}) {
+  return dataforseoRequest(
+    `/v3/serp/google/locations/${encodeURIComponent(countryIsoCode.toLowerCase())}`,
+    undefined,
+    options
+  );
+}
+
+/**
+ * Task result endpoints by task type
+ */
+export const TASK_GET_ENDPOINTS = {
+  keyword_metrics: '/v3/keywords_data/google_ads/search_volume/task_get',
+  serp: '/v3/serp/google/organic/task_get/advanced'
+};
+
+/**
+ * Fetch a queued task's result
+ * Does not throw on task-level errors; callers check status_code
+ * against TASK_PENDING_CODES to tell queued tasks from failed ones
+ * @param {string} type - Task type (key of TASK_GET_ENDPOINTS)
+ * @param {string} taskId - DataForSEO task ID
+ * @param {object} [options] - See dataforseoFetch
+ * @returns {Promise<object>} - Task ({ id, status_code, status_message, result })
+ */
+export async function getTaskResult(type, taskId, options = {}) {
+  const result = await dataforseoFetch(`${TASK_GET_ENDPOINTS[type]}/${taskId}`, undefined, options);
+  return result.tasks?.[0] || { status_code: null, status_message: 'Task not returned' };
+}
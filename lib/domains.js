@@ -0,0 +1,70 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Hostname of a URL or bare domain, lowercased and without www
+ * @param {string} value - 'https://www.example.com/a', 'example.com' or 'Example.com:8080'
+ * @returns {string|null}
+ */
+export function normalizeHost(value) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim().toLowerCase();
+
+  try {
+    const host = new URL(/^[a-z]+:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`).hostname;
+    return host.replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a domain is one of a project's owned domains, or a subdomain of one
+ * Mirrors the is_owned_domain() SQL function in migration 011
+ * @param {string} domain - Domain or URL
+ * @param {string[]} ownedDomains - e.g. ['hoxtonwealth.com', 'hoxtonwealth.ae']
+ * @returns {boolean}
+ */
+export function isOwnedDomain(domain, ownedDomains) {
+  const host = normalizeHost(domain);
+  if (!host) return false;
+
+  return (ownedDomains || []).some(owned => {
+    const ownedHost = normalizeHost(owned);
+    return ownedHost && (host === ownedHost || host.endsWith(`.${ownedHost}`));
+  });
+}
+
+/**
+ * First URL on an owned domain
+ * @param {string[]} urls
+ * @param {string[]} ownedDomains
+ * @returns {string|null}
+ */
+export function findOwnedUrl(urls, ownedDomains) {
+  return (urls || []).find(url => isOwnedDomain(url, ownedDomains)) || null;
+}
+
+/**
+ * Validate and normalise a project's owned domains
+ * @param {Array} domains - e.g. ['https://www.hoxtonwealth.com/', 'hoxtonwealth.ae']
+ * @returns {string[]} - Unique hostnames, in the order given
+ * @throws {ValidationError} - Not an array, empty, or an entry is not a domain
+ */
+export function normalizeDomainList(domains) {
+  if (!Array.isArray(domains) || domains.length === 0) {
+    throw new ValidationError('domains must be a non-empty array', { field: 'domains' });
+  }
+
+  const hosts = domains.map(domain => {
+    const host = typeof domain === 'string' ? normalizeHost(domain) : null;
+
+    if (!host || !host.includes('.')) {
+      throw new ValidationError('Invalid domain', { field: 'domains', received: domain });
+    }
+
+    return host;
+  });
+
+  return [...new Set(hosts)];
+}
@@ -0,0 +1,665 @@
+import { supabase } from './supabase.js';
+import { ExternalApiError, mapSupabaseError } from './errors.js';
+import { getKeywordMetrics, getSerps } from './dataforseo.js';
+import { recordUsage } from './usage.js';
+import { runAlerts } from './notifications.js';
+import { isOwnedDomain, findOwnedUrl } from './domains.js';
+import { loadProjects } from './projects.js';
+import { countryLocations } from './locations.js';
+import { keywordOutcome, metricsOutcomes } from './outcomes.js';
+import { monthlySearchRows, toSeries } from './trends.js';
+
+/**
+ * How often scheduled enrichment refreshes a keyword
+ */
+export const REFRESH_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Extract domain from URL
+ */
+export function extractDomain(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Fetch keywords by ID, in chunks to keep request URLs short
+ * @param {string[]} ids - Keyword IDs
+ * @param {string} [projectId] - Ignore keywords outside this project
+ * @returns {Promise<Array>} - [{ id, keyword_text, country, project_id }]
+ */
+export async function fetchKeywordsByIds(ids, projectId) {
+  const keywords = [];
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    let query = supabase
+      .from('keywords')
+      .select('id, keyword_text, country, project_id')
+      .in('id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    keywords.push(...data);
+  }
+
+  return keywords;
+}
+
+/**
+ * Fetch keywords due for a metrics refresh, least recently attempted first
+ * @param {number} limit - Max keywords to return
+ * @param {string} [projectId] - Only this project's keywords (default: every project)
+ */
+export async function fetchDueKeywords(limit, projectId) {
+  let query = supabase
+    .from('keyword_freshness')
+    .select('keyword_id, keyword_text, country, project_id')
+    .eq('metrics_due', true)
+    .order('metrics_attempted_at', { ascending: true, nullsFirst: true })
+    .order('metrics_fetched_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (projectId) {
+    query = query.eq('project_id', projectId);
+  }
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data.map(row => ({
+    id: row.keyword_id,
+    keyword_text: row.keyword_text,
+    country: row.country,
+    project_id: row.project_id
+  }));
+}
+
+/**
+ * Record that keywords' metrics were attempted so the next run moves on
+ * @param {Array} keywords - Keywords being refreshed
+ */
+export async function markAttempted(keywords) {
+  const now = new Date().toISOString();
+
+  const { error: dbError } = await supabase
+    .from('keyword_refresh_state')
+    .upsert(
+      keywords.map(k => ({ keyword_id: k.id, metrics_attempted_at: now })),
+      { onConflict: 'keyword_id' }
+    );
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'upsert');
+  }
+}
+
+const TARGET_COLUMNS = 'target_id, keyword_id, is_primary, device, project_id, keyword_text, '
+  + 'country, location, location_code, language_code';
+
+/**
+ * Shape a target_freshness row like a keyword, so SERP records
+ * are built the same way for every target
+ * @returns {object} - { id (keyword ID), target_id, keyword_text, country, project_id,
+ *   is_primary, location, location_code, language_code, device }
+ */
+function toTrackedTarget(row) {
+  return {
+    id: row.keyword_id,
+    target_id: row.target_id,
+    keyword_text: row.keyword_text,
+    country: row.country,
+    project_id: row.project_id,
+    is_primary: row.is_primary,
+    location: row.location,
+    location_code: row.location_code,
+    language_code: row.language_code,
+    device: row.device
+  };
+}
+
+/**
+ * Fetch the targets of some keywords, in chunks to keep request URLs short
+ * @param {string[]} keywordIds - Keyword IDs
+ * @param {object} [filters]
+ * @param {string} [filters.projectId] - Ignore keywords outside this project
+ * @param {string} [filters.locationId] - Only targets in this location
+ * @param {string} [filters.device] - Only targets on this device
+ * @returns {Promise<Array>} - Targets from toTrackedTarget
+ */
+export async function fetchTargetsForKeywords(keywordIds, filters = {}) {
+  const targets = [];
+
+  for (let i = 0; i < keywordIds.length; i += ID_CHUNK_SIZE) {
+    let query = supabase
+      .from('target_freshness')
+      .select(TARGET_COLUMNS)
+      .in('keyword_id', keywordIds.slice(i, i + ID_CHUNK_SIZE));
+
+    if (filters.projectId) query = query.eq('project_id', filters.projectId);
+    if (filters.locationId) query = query.eq('location_id', filters.locationId);
+    if (filters.device) query = query.eq('device', filters.device);
+
+    const { data, error: dbError } = await query;
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    targets.push(...data.map(toTrackedTarget));
+  }
+
+  return targets;
+}
+
+/**
+ * Fetch targets by ID, in chunks to keep request URLs short
+ * @param {string[]} ids - keyword_targets IDs
+ * @returns {Promise<Array>} - Targets from toTrackedTarget
+ */
+export async function fetchTargetsByIds(ids) {
+  const targets = [];
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { data, error: dbError } = await supabase
+      .from('target_freshness')
+      .select(TARGET_COLUMNS)
+      .in('target_id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    targets.push(...data.map(toTrackedTarget));
+  }
+
+  return targets;
+}
+
+/**
+ * Fetch targets due for a SERP refresh, least recently attempted first
+ * @param {number} limit - Max targets to return
+ * @param {string} [projectId] - Only this project's targets (default: every project)
+ * @returns {Promise<Array>} - Targets from toTrackedTarget
+ */
+export async function fetchDueTargets(limit, projectId) {
+  let query = supabase
+    .from('target_freshness')
+    .select(TARGET_COLUMNS)
+    .eq('serp_due', true)
+    .order('serp_attempted_at', { ascending: true, nullsFirst: true })
+    .order('serp_fetched_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (projectId) {
+    query = query.eq('project_id', projectId);
+  }
+
+  const { data, error: dbError } = await query;
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data.map(toTrackedTarget);
+}
+
+/**
+ * Record that targets' SERPs were attempted so the next run moves on
+ * @param {Array} targets - Targets being refreshed
+ */
+export async function markTargetsAttempted(targets) {
+  const ids = targets.map(t => t.target_id);
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const { error: dbError } = await supabase
+      .from('keyword_targets')
+      .update({ serp_attempted_at: new Date().toISOString() })
+      .in('id', ids.slice(i, i + ID_CHUNK_SIZE));
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'update');
+    }
+  }
+}
+
+/**
+ * Store a keyword's monthly search volumes
+ * A month already stored is overwritten, since Google Ads revises recent months
+ * @param {string} keywordId - Keyword ID
+ * @param {Array} monthlySearches - DataForSEO monthly_searches
+ * @returns {Promise<string|null>} - Why the volumes could not be saved, or null; callers
+ *   report it as the keyword's error so the job records the keyword as failed
+ */
+async function saveMonthlySearches(keywordId, monthlySearches) {
+  const rows = monthlySearchRows(keywordId, monthlySearches);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { error: upsertError } = await supabase
+    .from('keyword_monthly_searches')
+    .upsert(rows.map(row => ({ ...row, fetched_at: new Date().toISOString() })), {
+      onConflict: 'keyword_id,month'
+    });
+
+  if (upsertError) {
+    return `Failed to save monthly searches: ${upsertError.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Store DataForSEO search volume results against our keywords
+ * Keywords are unique per project, so a country's keywords can share a text
+ * across projects; each result is saved for every keyword with its text
+ * @param {Array} keywords - [{ id, keyword_text }] the results were requested for
+ * @param {Array} response - DataForSEO search volume results
+ * @param {string} country - Country the results belong to
+ * @returns {Promise<Array>} - Metrics per keyword; error is set when the row could not be saved
+ */
+export async function saveKeywordMetrics(keywords, response, country) {
+  const results = [];
+
+  for (const result of response || []) {
+    const matches = keywords.filter(k =>
+      k.keyword_text.toLowerCase() === result.keyword.toLowerCase()
+    );
+
+    for (const keyword of matches.length > 0 ? matches : [null]) {
+      let saveError = null;
+
+      if (keyword && keyword.id) {
+        const { error: insertError } = await supabase
+          .from('keyword_metrics')
+          .insert({
+            keyword_id: keyword.id,
+            search_volume: result.search_volume || 0,
+            difficulty: result.keyword_difficulty || 0,
+            cpc: result.cpc || 0,
+            competition: result.competition || 0
+          });
+
+        if (insertError) {
+          console.error('Failed to insert metrics:', insertError);
+          saveError = `Failed to save metrics: ${insertError.message}`;
+        } else {
+          saveError = await saveMonthlySearches(keyword.id, result.monthly_searches);
+        }
+      }
+
+      results.push({
+        keyword: result.keyword,
+        keyword_id: keyword?.id ?? null,
+        country,
+        search_volume: result.search_volume || 0,
+        difficulty: result.keyword_difficulty || 0,
+        cpc: result.cpc || 0,
+        competition: result.competition || 0,
+        monthly_searches: toSeries(monthlySearchRows(keyword?.id ?? null, result.monthly_searches)),
+        ...(saveError ? { error: saveError } : {})
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Fetch keyword metrics from DataForSEO and store them
+ * Metrics use each country's default location and language. Countries are
+ * requested concurrently; a country that fails is reported in errors
+ * without discarding the others.
+ * @param {Array} keywords - [{ id, keyword_text, country, project_id }], id may be null
+ * @param {object} [options]
+ * @param {string} [options.source] - Triggering route, recorded in api_usage
+ * @param {object} [options.job] - enrichment_jobs row the usage belongs to (see lib/jobs.js)
+ * @param {number} [options.deadline] - Epoch ms the DataForSEO calls must finish by
+ * @returns {Promise<object>} - { results: metrics per keyword returned by DataForSEO,
+ *   errors: [{ country, keywords, error }], outcomes: one per requested keyword }
+ * @throws {ValidationError} - A keyword's country has no configured location
+ * @throws {ExternalApiError} - Every country failed
+ */
+export async function enrichKeywordMetrics(keywords, options = {}) {
+  const onUsage = recordUsage(options.source, options.job);
+  const groups = groupByCountry(keywords);
+  const locations = await countryLocations(Object.keys(groups));
+
+  const outcomes = await Promise.all(Object.entries(groups).map(async ([country, kws]) => {
+    try {
+      // Each text once, however many projects track it
+      const texts = [...new Map(kws.map(k => [k.keyword_text.toLowerCase(), k.keyword_text])).values()];
+
+      const response = await getKeywordMetrics(
+        texts,
+        locations.get(country),
+        { onUsage, deadline: options.deadline }
+      );
+
+      return { results: await saveKeywordMetrics(kws, response, country) };
+    } catch (err) {
+      if (!(err instanceof ExternalApiError)) throw err;
+      return { failure: err, error: { country, keywords: kws.length, error: err.message } };
+    }
+  }));
+
+  const failures = outcomes.filter(outcome => outcome.failure);
+
+  if (failures.length > 0 && failures.length === outcomes.length) {
+    throw failures[0].failure;
+  }
+
+  const results = outcomes.flatMap(outcome => outcome.results || []);
+  const errors = failures.map(outcome => outcome.error);
+
+  return { results, errors, outcomes: metricsOutcomes(keywords, results, errors) };
+}
+
+/**
+ * Group keywords by country for efficient API calls
+ */
+export function groupByCountry(keywords) {
+  return keywords.reduce((acc, kw) => {
+    if (!acc[kw.country]) acc[kw.country] = [];
+    acc[kw.country].push(kw);
+    return acc;
+  }, {});
+}
+
+/**
+ * Load tracked competitor domains, per project
+ * @returns {Promise<Map>} - project ID => Map(domain => competitor ID)
+ */
+export async function loadCompetitorDomains() {
+  const { data: competitors, error: dbError } = await supabase
+    .from('competitors')
+    .select('id, domain, project_id');
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  const byProject = new Map();
+
+  for (const competitor of competitors || []) {
+    if (!byProject.has(competitor.project_id)) byProject.set(competitor.project_id, new Map());
+    byProject.get(competitor.project_id).set(competitor.domain, competitor.id);
+  }
+
+  return byProject;
+}
+
+/**
+ * Build serp_rankings and competitor_rankings rows for one keyword target
+ * @param {object} keyword - { id, target_id, keyword_text, country }
+ * @param {Array} items - Organic SERP items
+ * @param {Map} competitorDomains - domain => competitor ID, for the keyword's project
+ * @param {string[]} ownedDomains - The keyword's project domains
+ * @returns {object} - { serpRecords, competitorRecords, ownedPosition }
+ */
+export function buildSerpRecords(keyword, items, competitorDomains, ownedDomains) {
+  const serpRecords = [];
+  const competitorRecords = [];
+
+  // Process top 100 results
+  for (const item of items) {
+    const domain = extractDomain(item.url);
+
+    serpRecords.push({
+      keyword_id: keyword.id,
+      target_id: keyword.target_id,
+      position: item.rank_absolute,
+      url: item.url,
+      domain,
+      title: item.title,
+      is_owned: isOwnedDomain(domain, ownedDomains)
+    });
+
+    // If competitor, track separately
+    const competitorId = competitorDomains.get(domain);
+    if (competitorId) {
+      competitorRecords.push({
+        keyword_id: keyword.id,
+        target_id: keyword.target_id,
+        competitor_id: competitorId,
+        position: item.rank_absolute,
+        url: item.url
+      });
+    }
+  }
+
+  const ownedPosition = serpRecords.find(r => r.is_owned)?.position || null;
+
+  return { serpRecords, competitorRecords, ownedPosition };
+}
+
+/**
+ * Build serp_features rows and PAA keyword ideas for one keyword target
+ * @param {object} keyword - { id, target_id, keyword_text, country, project_id }
+ * @param {Array} features - SERP features from mapSerpFeatures
+ * @param {string[]} ownedDomains - The keyword's project domains
+ * @returns {object} - { featureRecords, ideaRecords }
+ */
+export function buildSerpFeatureRecords(keyword, features, ownedDomains) {
+  const featureRecords = features.map(feature => {
+    const ownedUrl = findOwnedUrl(feature.urls, ownedDomains);
+
+    return {
+      keyword_id: keyword.id,
+      target_id: keyword.target_id,
+      feature_type: feature.type,
+      position: feature.rank_absolute,
+      title: feature.title,
+      urls: feature.urls,
+      questions: feature.questions,
+      is_owned: ownedUrl !== null,
+      owned_url: ownedUrl
+    };
+  });
+
+  const ideaRecords = features
+    .flatMap(feature => feature.questions)
+    .map(question => ({
+      project_id: keyword.project_id,
+      keyword_text: question.trim().toLowerCase(),
+      country: keyword.country,
+      source: 'people_also_ask',
+      source_keyword_id: keyword.id
+    }));
+
+  return { featureRecords, ideaRecords };
+}
+
+/**
+ * Save one target's SERP fetch as a snapshot
+ * The serp_snapshots row and its serp_rankings, competitor_rankings and
+ * serp_features rows are written in one transaction by save_serp_snapshot
+ * (migration 015), so a failed insert leaves nothing behind
+ * @param {object} target - { id, target_id }
+ * @param {object} records - { serpRecords, competitorRecords, ownedPosition } from buildSerpRecords
+ * @param {Array} featureRecords - From buildSerpFeatureRecords
+ * @param {object} [options]
+ * @param {string} [options.source] - 'live' (default) or 'task'
+ * @param {string} [options.jobId] - enrichment_jobs row the fetch belongs to
+ * @returns {Promise<object>} - { snapshotId, error } - error is why nothing was saved, or null
+ */
+export async function saveSerpSnapshot(target, records, featureRecords, options = {}) {
+  const { data, error: rpcError } = await supabase.rpc('save_serp_snapshot', {
+    snapshot: {
+      keyword_id: target.id,
+      target_id: target.target_id,
+      source: options.source || 'live',
+      job_id: options.jobId || null,
+      owned_position: records.ownedPosition,
+      rankings: records.serpRecords,
+      competitors: records.competitorRecords,
+      features: featureRecords
+    }
+  });
+
+  if (rpcError) {
+    console.error(`Failed to save SERP snapshot for target ${target.target_id}:`, rpcError);
+    return { snapshotId: null, error: `Failed to save SERP snapshot: ${rpcError.message}` };
+  }
+
+  return { snapshotId: data, error: null };
+}
+
+/**
+ * Insert People Also Ask questions as keyword ideas
+ * Existing ideas are left untouched; failures are logged and never fail the
+ * SERP fetch the ideas came from
+ */
+export async function insertKeywordIdeas(ideaRecords) {
+  if (ideaRecords.length === 0) {
+    return;
+  }
+
+  const { error: ideaError } = await supabase
+    .from('keyword_ideas')
+    .upsert(ideaRecords, {
+      onConflict: 'project_id,keyword_text,country',
+      ignoreDuplicates: true
+    });
+
+  if (ideaError) {
+    console.error('Failed to insert keyword ideas:', ideaError);
+  }
+}
+
+/**
+ * Fetch SERP rankings from DataForSEO and store them, one request per target
+ * Requests run concurrently; a target that fails, to fetch or to save, is
+ * reported with an error in results without discarding the others. Each
+ * fetched target is saved as its own snapshot (see saveSerpSnapshot).
+ * @param {Array} targets - Targets from fetchTargetsForKeywords / fetchDueTargets
+ * @param {object} [options]
+ * @param {string} [options.source] - Triggering route, recorded in api_usage
+ * @param {object} [options.job] - enrichment_jobs row the usage belongs to (see lib/jobs.js)
+ * @param {number} [options.deadline] - Epoch ms the DataForSEO calls must finish by
+ * @returns {Promise<object>} - { results, outcomes (one per target), serp_records, competitor_records,
+ *   serp_feature_records, keyword_ideas, alerts_fired } - record counts cover saved snapshots only
+ * @throws {ExternalApiError} - Every target failed to reach DataForSEO
+ */
+export async function enrichSerpRankings(targets, options = {}) {
+  const onUsage = recordUsage(options.source, options.job);
+  const competitorDomains = await loadCompetitorDomains();
+  const projects = await loadProjects();
+
+  const results = [];
+  const ideaRecords = [];
+  const refreshedIds = [];
+  const outcomes = [];
+  const counts = { serp_records: 0, competitor_records: 0, serp_feature_records: 0 };
+
+  const serps = await getSerps(
+    targets.map(target => ({ keyword: target.keyword_text, locale: target })),
+    100,
+    { onUsage, deadline: options.deadline }
+  );
+
+  for (const [index, target] of targets.entries()) {
+    const ownedDomains = projects.get(target.project_id)?.domains || [];
+    const { organic, features, error: serpError } = serps[index];
+
+    if (serpError) {
+      results.push({
+        keyword: target.keyword_text,
+        location: target.location,
+        device: target.device,
+        error: serpError
+      });
+      outcomes.push(keywordOutcome(target, { status: 'failed', error: serpError }));
+      continue;
+    }
+
+    const records = buildSerpRecords(
+      target, organic, competitorDomains.get(target.project_id) || new Map(), ownedDomains
+    );
+    const featureSet = buildSerpFeatureRecords(target, features, ownedDomains);
+    const saved = await saveSerpSnapshot(target, records, featureSet.featureRecords, {
+      jobId: options.job?.id
+    });
+
+    const result = {
+      keyword: target.keyword_text,
+      country: target.country,
+      location: target.location,
+      device: target.device,
+      snapshot_id: saved.snapshotId,
+      results_count: organic.length,
+      owned_position: records.ownedPosition,
+      serp_features: [...new Set(featureSet.featureRecords.map(f => f.feature_type))],
+      owned_features: [...new Set(
+        featureSet.featureRecords.filter(f => f.is_owned).map(f => f.feature_type)
+      )]
+    };
+
+    if (saved.error) {
+      results.push({ ...result, error: saved.error });
+      outcomes.push(keywordOutcome(target, { status: 'failed', error: saved.error }));
+      continue;
+    }
+
+    counts.serp_records += records.serpRecords.length;
+    counts.competitor_records += records.competitorRecords.length;
+    counts.serp_feature_records += featureSet.featureRecords.length;
+    ideaRecords.push(...featureSet.ideaRecords);
+
+    // Alerts follow each keyword's primary target
+    if (target.is_primary) refreshedIds.push(target.id);
+
+    results.push(result);
+    outcomes.push(keywordOutcome(target, {
+      status: 'succeeded',
+      snapshot_id: saved.snapshotId,
+      rows_written: records.serpRecords.length + records.competitorRecords.length
+        + featureSet.featureRecords.length
+    }));
+  }
+
+  await insertKeywordIdeas(ideaRecords);
+
+  const alerts = await evaluateAlertsSafely(refreshedIds);
+
+  return {
+    results,
+    outcomes,
+    ...counts,
+    keyword_ideas: ideaRecords.length,
+    alerts_fired: alerts.fired
+  };
+}
+
+/**
+ * Run alert rules after a SERP refresh
+ * Alerting problems are logged and never fail the refresh itself
+ * @param {string[]} keywordIds - Keywords that were refreshed
+ * @returns {Promise<object>} - { fired, delivered }
+ */
+export async function evaluateAlertsSafely(keywordIds) {
+  try {
+    return await runAlerts(keywordIds.filter(Boolean));
+  } catch (err) {
+    console.error('Failed to evaluate alerts:', err);
+    return { fired: 0, delivered: 0 };
+  }
+}
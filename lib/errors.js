@@ -28,6 +28,12 @@ export class UnauthorizedError extends AppError {
   }
 }
 
+export class ForbiddenError extends AppError {
+  constructor(message = 'API key does not have the required scope', details = null) {
+    super('FORBIDDEN', message, 403, details);
+  }
+}
+
 export class DuplicateError extends AppError {
   constructor(resource) {
     super('DUPLICATE_ERROR', `${resource} already exists`, 409);
@@ -35,8 +41,20 @@ export class DuplicateError extends AppError {
 }
 
 export class ExternalApiError extends AppError {
-  constructor(service, originalError) {
-    super('EXTERNAL_API_ERROR', `${service} API error: ${originalError}`, 502);
+  constructor(service, originalError, details = null) {
+    super('EXTERNAL_API_ERROR', `${service} API error: ${originalError}`, 502, details);
+  }
+}
+
+export class BudgetExceededError extends AppError {
+  constructor(details) {
+    super('BUDGET_EXCEEDED', 'Monthly DataForSEO budget would be exceeded', 402, details);
+  }
+}
+
+export class ConfigurationError extends AppError {
+  constructor(message) {
+    super('CONFIGURATION_ERROR', message, 500);
   }
 }
 
@@ -0,0 +1,125 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+/**
+ * Export column orders. Spreadsheet and Looker Studio imports map columns by
+ * position, so only ever append new columns to the end of these lists.
+ */
+export const KEYWORD_EXPORT_COLUMNS = [
+  'id', 'keyword_text', 'country', 'cluster', 'page_id', 'page_url',
+  'refresh_frequency', 'search_volume', 'difficulty', 'cpc', 'competition',
+  'metrics_fetched_at', 'created_at'
+];
+
+export const PAGE_EXPORT_COLUMNS = [
+  'id', 'page_name', 'url', 'cluster', 'level', 'parent_page',
+  'sibling_links', 'cross_cluster_links', 'content_focus',
+  'keyword_count', 'total_search_volume', 'created_at'
+];
+
+export const COMPETITOR_EXPORT_COLUMNS = ['id', 'domain', 'name', 'notes', 'created_at'];
+
+export const RANKING_EXPORT_COLUMNS = [
+  'keyword_id', 'keyword', 'country', 'location', 'device', 'cluster', 'page_id', 'fetched_at',
+  'position', 'url', 'search_volume', 'difficulty', 'cpc'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Quote a CSV value when it contains a delimiter, quote or newline
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @,
+ * tab or carriage return) gets a leading ' and is quoted; numbers are left as they are
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line for a row, in column order
+ */
+export function toCsvLine(row, columns) {
+  return columns.map(column => escapeCsvValue(row[column])).join(',') + '\r\n';
+}
+
+/**
+ * Stream rows to the response as a CSV or XLSX download
+ *
+ * The first batch is read before any headers are sent, so query errors
+ * still reach the client as a normal JSON error response.
+ *
+ * @param {object} res - Response
+ * @param {object} options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.filename - Base name; the date and extension are appended
+ * @param {string[]} options.columns - Column order (see *_EXPORT_COLUMNS)
+ * @param {AsyncIterable<Array>|Array[]} options.batches - Row batches, e.g. from selectPages
+ */
+export async function sendExport(res, { format, filename, columns, batches }) {
+  const iterator = batches[Symbol.asyncIterator]
+    ? batches[Symbol.asyncIterator]()
+    : batches[Symbol.iterator]();
+  let next = await iterator.next();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.statusCode = 200;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: false,
+        useSharedStrings: false
+      });
+      const sheet = workbook.addWorksheet(filename);
+      sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+      for (; !next.done; next = await iterator.next()) {
+        for (const row of next.value) {
+          sheet.addRow(columns.map(column => row[column] ?? null)).commit();
+        }
+      }
+
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    await write(res, columns.join(',') + '\r\n');
+
+    for (; !next.done; next = await iterator.next()) {
+      await write(res, next.value.map(row => toCsvLine(row, columns)).join(''));
+    }
+
+    res.end();
+  } catch (err) {
+    // Headers are already sent; abort so the client sees a failed download
+    // rather than a silently truncated file
+    console.error('Export failed mid-stream:', err);
+    res.destroy(err);
+  }
+}
+
+/**
+ * Write a chunk, waiting for the client to drain a full buffer
+ */
+async function write(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
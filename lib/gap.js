@@ -0,0 +1,122 @@
+/**
+ * Default gap thresholds: competitor in the top 20 while the
+ * project's own domains do not rank or rank worse than position 50
+ */
+export const DEFAULT_COMPETITOR_MAX_POSITION = 20;
+export const DEFAULT_OWNED_MIN_POSITION = 50;
+
+/**
+ * Best position in each keyword's latest fetch
+ * @param {Array} rows - [{ keyword_id, fetched_at, position, url }]
+ * @returns {Map} - keyword_id => { position, url, fetched_at }
+ */
+export function latestPositionByKeyword(rows) {
+  const latest = new Map();
+
+  for (const row of rows) {
+    const current = latest.get(row.keyword_id);
+    const rowTime = new Date(row.fetched_at).getTime();
+    const currentTime = current ? new Date(current.fetched_at).getTime() : -Infinity;
+
+    const isNewer = rowTime > currentTime;
+    const isBetterInSameFetch = rowTime === currentTime
+      && row.position !== null
+      && (current.position === null || row.position < current.position);
+
+    if (isNewer || isBetterInSameFetch) {
+      latest.set(row.keyword_id, {
+        position: row.position ?? null,
+        url: row.url ?? null,
+        fetched_at: row.fetched_at
+      });
+    }
+  }
+
+  return latest;
+}
+
+/**
+ * Best position of each keyword in its latest snapshot
+ * Rows from older snapshots are ignored, and a keyword with no row in its
+ * latest snapshot is left out: rows are only written for results that appeared
+ * @param {Array} snapshots - latest_serp_snapshots rows [{ keyword_id, snapshot_id, fetched_at }]
+ * @param {Array} rows - [{ snapshot_id, position, url }], e.g. competitor_rankings
+ * @returns {Map} - keyword_id => { position, url, fetched_at }
+ */
+export function positionsInSnapshots(snapshots, rows) {
+  const bySnapshot = new Map();
+
+  for (const row of rows) {
+    if (row.position === null || row.position === undefined) continue;
+
+    const best = bySnapshot.get(row.snapshot_id);
+    if (!best || row.position < best.position) {
+      bySnapshot.set(row.snapshot_id, row);
+    }
+  }
+
+  const positions = new Map();
+
+  for (const snapshot of snapshots) {
+    const best = bySnapshot.get(snapshot.snapshot_id);
+    if (best) {
+      positions.set(snapshot.keyword_id, {
+        position: best.position,
+        url: best.url ?? null,
+        fetched_at: snapshot.fetched_at
+      });
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Check whether a competitor/owned position pair is an opportunity
+ * @param {number|null} competitorPosition
+ * @param {number|null} ownedPosition - null when no owned domain ranks
+ * @param {object} [thresholds] - { competitorMaxPosition, ownedMinPosition }
+ */
+export function isGap(competitorPosition, ownedPosition, thresholds = {}) {
+  const competitorMax = thresholds.competitorMaxPosition ?? DEFAULT_COMPETITOR_MAX_POSITION;
+  const ownedMin = thresholds.ownedMinPosition ?? DEFAULT_OWNED_MIN_POSITION;
+
+  if (competitorPosition === null || competitorPosition === undefined) return false;
+  if (competitorPosition > competitorMax) return false;
+
+  return ownedPosition === null || ownedPosition === undefined || ownedPosition > ownedMin;
+}
+
+/**
+ * Find gaps among keywords we already track
+ * @param {Array} keywords - keywords_with_metrics rows
+ * @param {Map} competitorLatest - keyword_id => { position, url }, e.g. from positionsInSnapshots
+ * @param {Map} ownedLatest - keyword_id => { position }
+ * @param {object} [thresholds] - See isGap
+ * @returns {Array} - Opportunities, highest search volume first
+ */
+export function findTrackedGaps(keywords, competitorLatest, ownedLatest, thresholds = {}) {
+  return keywords
+    .filter(keyword => competitorLatest.has(keyword.id))
+    .map(keyword => {
+      const competitor = competitorLatest.get(keyword.id);
+      const owned = ownedLatest.get(keyword.id);
+
+      return {
+        keyword: keyword.keyword_text,
+        keyword_id: keyword.id,
+        country: keyword.country,
+        cluster: keyword.cluster,
+        search_volume: keyword.search_volume || 0,
+        difficulty: keyword.difficulty || 0,
+        cpc: keyword.cpc || 0,
+        competitor_position: competitor.position,
+        competitor_url: competitor.url,
+        owned_position: owned?.position ?? null,
+        tracked: true,
+        source: 'tracked'
+      };
+    })
+    .filter(gap => isGap(gap.competitor_position, gap.owned_position, thresholds))
+    .sort((a, b) => b.search_volume - a.search_volume);
+}
@@ -0,0 +1,303 @@
+import { createSign } from 'node:crypto';
+import { normalizePath } from './cannibalisation.js';
+import { ConfigurationError } from './errors.js';
+
+export const DEFAULT_GSC_BASE_URL = 'https://searchconsole.googleapis.com/webmasters/v3';
+export const DEFAULT_GSC_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+export const GSC_SCOPE = 'https://www.googleapis.com/auth/webmasters.readonly';
+
+// Search Console's maximum rows per searchAnalytics.query call
+export const GSC_ROW_LIMIT = 25000;
+
+export const DEFAULT_POSITION_THRESHOLD = 5;
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+// A page of rows is not requested with less time than this left before the deadline
+const MIN_REQUEST_MS = 2000;
+
+/**
+ * GSC country codes (ISO 3166-1 alpha-3, lowercase) for our countries
+ */
+export const GSC_COUNTRY_CODES = {
+  gbr: 'UK',
+  usa: 'US',
+  are: 'UAE',
+  aus: 'AU',
+  sgp: 'SG',
+  hkg: 'HK'
+};
+
+/**
+ * Comparison outcomes between GSC and our SERP checks
+ *   - consistent: positions within the threshold of each other
+ *   - differs: positions further apart than the threshold
+ *   - not_in_serp: GSC has impressions but our SERP check found no owned URL
+ */
+export const COMPARISON_STATUSES = ['consistent', 'differs', 'not_in_serp'];
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Access tokens for a Google service account (JWT bearer grant), cached until expiry
+ * @param {object} credentials
+ * @param {string} credentials.clientEmail - Service account email
+ * @param {string} credentials.privateKey - PEM private key
+ * @param {string} [credentials.tokenUrl] - OAuth token endpoint
+ * @param {Function} [credentials.fetch] - fetch implementation
+ * @returns {Function} - async () => access token
+ */
+export function serviceAccountTokenProvider({ clientEmail, privateKey, tokenUrl = DEFAULT_GSC_TOKEN_URL, fetch: fetchImpl }) {
+  let cached = null;
+
+  return async () => {
+    const now = Math.floor(Date.now() / 1000);
+    if (cached && cached.expiresAt - 60 > now) return cached.token;
+
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = base64url(JSON.stringify({
+      iss: clientEmail,
+      scope: GSC_SCOPE,
+      aud: tokenUrl,
+      iat: now,
+      exp: now + 3600
+    }));
+    const signature = createSign('RSA-SHA256').update(`${header}.${claims}`).sign(privateKey, 'base64url');
+
+    const response = await (fetchImpl || fetch)(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: `${header}.${claims}.${signature}`
+      }).toString(),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.access_token) {
+      throw new Error(`Token request failed (${response.status}): ${result.error_description || result.error || 'no access token'}`);
+    }
+
+    cached = { token: result.access_token, expiresAt: now + (result.expires_in || 3600) };
+    return cached.token;
+  };
+}
+
+/**
+ * Search Console API client
+ * Everything it talks to is injectable, so tests can point it at a local server
+ * @param {object} options
+ * @param {Function} options.getAccessToken - async () => bearer token
+ * @param {string} [options.baseUrl] - API root (default Google's)
+ * @param {Function} [options.fetch] - fetch implementation (default global fetch)
+ * @returns {object} - { querySearchAnalytics }
+ */
+export function createGscClient({ getAccessToken, baseUrl = DEFAULT_GSC_BASE_URL, fetch: fetchImpl }) {
+  async function request(path, body, timeoutMs = REQUEST_TIMEOUT_MS) {
+    const response = await (fetchImpl || fetch)(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(`Search Console error ${response.status}: ${result?.error?.message || response.statusText}`);
+    }
+
+    return result || {};
+  }
+
+  return {
+    /**
+     * Every searchAnalytics row for a date range, following startRow pagination
+     * @param {string} siteUrl - Property, e.g. 'sc-domain:hoxtonwealth.com'
+     * @param {object} query - { startDate, endDate, dimensions, rowLimit, deadline }
+     *   deadline: optional epoch ms; each page's timeout is cut to the time left
+     * @returns {Promise<Array>} - [{ keys, clicks, impressions, ctr, position }]
+     * @throws {Error} - API error, or too little time left for the next page
+     */
+    async querySearchAnalytics(siteUrl, { startDate, endDate, dimensions, rowLimit = GSC_ROW_LIMIT, deadline }) {
+      const rows = [];
+
+      for (let startRow = 0; ; startRow += rowLimit) {
+        const remaining = deadline ? deadline - Date.now() : REQUEST_TIMEOUT_MS;
+
+        if (remaining < MIN_REQUEST_MS) {
+          throw new Error(`Search Console query ran out of time after ${rows.length} rows`);
+        }
+
+        const result = await request(
+          `/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
+          { startDate, endDate, dimensions, rowLimit, startRow, dataState: 'final' },
+          Math.min(REQUEST_TIMEOUT_MS, remaining)
+        );
+
+        const page = result.rows || [];
+        rows.push(...page);
+
+        if (page.length < rowLimit) return rows;
+      }
+    }
+  };
+}
+
+/**
+ * Build a client from GSC_* environment variables
+ *   - GSC_CLIENT_EMAIL / GSC_PRIVATE_KEY: service account with access to the property
+ *   - GSC_API_BASE_URL / GSC_TOKEN_URL: optional overrides (e.g. a local mock)
+ * @throws {ConfigurationError} - Credentials are not set
+ */
+export function gscClientFromEnv() {
+  const clientEmail = process.env.GSC_CLIENT_EMAIL;
+  const privateKey = process.env.GSC_PRIVATE_KEY;
+
+  if (!clientEmail || !privateKey) {
+    throw new ConfigurationError('Search Console credentials not configured');
+  }
+
+  return createGscClient({
+    baseUrl: process.env.GSC_API_BASE_URL || DEFAULT_GSC_BASE_URL,
+    getAccessToken: serviceAccountTokenProvider({
+      clientEmail,
+      // Env vars usually carry the PEM with escaped newlines
+      privateKey: privateKey.replace(/\\n/g, '\n'),
+      tokenUrl: process.env.GSC_TOKEN_URL || DEFAULT_GSC_TOKEN_URL
+    })
+  });
+}
+
+/**
+ * Turn searchAnalytics rows (dimensions date, query, page, country) into
+ * gsc_search_analytics rows matched to keywords and pages
+ * @param {Array} apiRows - From querySearchAnalytics
+ * @param {object} context
+ * @param {string} context.siteUrl - GSC property
+ * @param {Array} context.keywords - [{ id, keyword_text, country }]
+ * @param {Array} context.pages - [{ id, url }]
+ * @returns {Array} - Rows ready to upsert
+ */
+export function toSearchAnalyticsRows(apiRows, { siteUrl, keywords, pages }) {
+  const keywordIds = new Map(keywords.map(k => [`${k.keyword_text.toLowerCase()}|${k.country}`, k.id]));
+  const pageIds = new Map(pages.map(page => [normalizePath(page.url), page.id]));
+
+  return apiRows.map(row => {
+    const [date, query, page, gscCountry] = row.keys;
+    const country = GSC_COUNTRY_CODES[gscCountry] || null;
+
+    return {
+      site_url: siteUrl,
+      date,
+      query,
+      page,
+      gsc_country: gscCountry,
+      country,
+      clicks: row.clicks || 0,
+      impressions: row.impressions || 0,
+      ctr: row.ctr || 0,
+      position: row.position ?? null,
+      keyword_id: country ? keywordIds.get(`${query.trim().toLowerCase()}|${country}`) || null : null,
+      page_id: pageIds.get(normalizePath(page)) || null
+    };
+  });
+}
+
+/**
+ * Totals per keyword over a date range
+ * GSC positions are impression-weighted, so the average is too
+ * @param {Array} rows - gsc_search_analytics rows with keyword_id
+ * @returns {Map} - keyword_id => { clicks, impressions, ctr, position, top_page }
+ */
+export function summariseByKeyword(rows) {
+  const totals = new Map();
+
+  for (const row of rows) {
+    if (!row.keyword_id) continue;
+
+    if (!totals.has(row.keyword_id)) {
+      totals.set(row.keyword_id, { clicks: 0, impressions: 0, weightedPosition: 0, pages: new Map() });
+    }
+
+    const total = totals.get(row.keyword_id);
+    total.clicks += row.clicks;
+    total.impressions += row.impressions;
+    total.weightedPosition += Number(row.position) * row.impressions;
+
+    const page = total.pages.get(row.page) || { clicks: 0, impressions: 0 };
+    page.clicks += row.clicks;
+    page.impressions += row.impressions;
+    total.pages.set(row.page, page);
+  }
+
+  const summary = new Map();
+
+  for (const [keywordId, total] of totals) {
+    const [topPage] = [...total.pages.entries()]
+      .sort((a, b) => b[1].clicks - a[1].clicks || b[1].impressions - a[1].impressions)[0];
+
+    summary.set(keywordId, {
+      clicks: total.clicks,
+      impressions: total.impressions,
+      ctr: total.impressions > 0 ? Math.round((total.clicks / total.impressions) * 10000) / 10000 : 0,
+      position: total.impressions > 0
+        ? Math.round((total.weightedPosition / total.impressions) * 10) / 10
+        : null,
+      top_page: topPage
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Compare GSC average position with the latest SERP check per keyword
+ * @param {Array} keywords - [{ id, keyword_text, country, cluster }]
+ * @param {Map} gscSummary - From summariseByKeyword
+ * @param {Map} serpLatest - keyword_id => { position, url, fetched_at }
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Position gap that counts as differing (default 5)
+ * @returns {Array} - One entry per keyword with GSC data
+ */
+export function compareWithSerp(keywords, gscSummary, serpLatest, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_POSITION_THRESHOLD;
+
+  return keywords
+    .filter(keyword => gscSummary.has(keyword.id))
+    .map(keyword => {
+      const gsc = gscSummary.get(keyword.id);
+      const serp = serpLatest.get(keyword.id) || { position: null, url: null, fetched_at: null };
+
+      const difference = serp.position !== null && gsc.position !== null
+        ? Math.round((serp.position - gsc.position) * 10) / 10
+        : null;
+
+      let status = 'consistent';
+      if (serp.position === null) status = 'not_in_serp';
+      else if (Math.abs(difference) >= threshold) status = 'differs';
+
+      return {
+        keyword_id: keyword.id,
+        keyword: keyword.keyword_text,
+        country: keyword.country,
+        cluster: keyword.cluster,
+        gsc_position: gsc.position,
+        gsc_clicks: gsc.clicks,
+        gsc_impressions: gsc.impressions,
+        gsc_ctr: gsc.ctr,
+        gsc_top_page: gsc.top_page,
+        serp_position: serp.position,
+        serp_url: serp.url,
+        serp_fetched_at: serp.fetched_at,
+        difference,
+        page_matches: serp.url ? normalizePath(serp.url) === normalizePath(gsc.top_page) : null,
+        status
+      };
+    });
+}
@@ -0,0 +1,174 @@
+import { supabase, selectAll } from './supabase.js';
+import { ExternalApiError, mapSupabaseError } from './errors.js';
+import { toSearchAnalyticsRows } from './gsc.js';
+
+const UPSERT_CHUNK_SIZE = 1000;
+
+// Search Console data is only final after about three days
+export const GSC_DATA_DELAY_DAYS = 3;
+
+// Syncs older than this count as never synced when ordering projects
+const SYNC_AGE_LOOKBACK_DAYS = 7;
+
+/**
+ * Search Console property to import a project's data from
+ * @param {object} project - projects row
+ */
+export function gscSiteUrl(project) {
+  return project.gsc_site_url || `sc-domain:${project.domains[0]}`;
+}
+
+/**
+ * Default sync window: the last `days` days of final data, as YYYY-MM-DD
+ */
+export function defaultSyncRange(days = 3) {
+  const day = 24 * 60 * 60 * 1000;
+  const end = new Date(Date.now() - GSC_DATA_DELAY_DAYS * day);
+  const start = new Date(end.getTime() - (days - 1) * day);
+
+  return {
+    startDate: start.toISOString().slice(0, 10),
+    endDate: end.toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Import a project's Search Console rows for a date range into gsc_search_analytics
+ * Only rows from countries we track are stored. Every run is logged in gsc_syncs.
+ * @param {object} options
+ * @param {object} options.client - From createGscClient / gscClientFromEnv
+ * @param {object} options.project - projects row
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {string} [options.siteUrl] - Defaults to gscSiteUrl(project)
+ * @param {number} [options.deadline] - Epoch ms the Search Console query must finish by
+ * @returns {Promise<object>} - { site_url, start_date, end_date, rows_fetched, rows_stored,
+ *   keyword_matches, page_matches }
+ */
+export async function syncSearchConsole({ client, project, startDate, endDate, siteUrl = gscSiteUrl(project), deadline }) {
+  const { data: keywords, error: keywordError } = await selectAll(() => supabase
+    .from('keywords')
+    .select('id, keyword_text, country')
+    .eq('project_id', project.id)
+    .order('id'));
+
+  if (keywordError) {
+    throw mapSupabaseError(keywordError, 'select');
+  }
+
+  const { data: pages, error: pageError } = await selectAll(() => supabase
+    .from('pages')
+    .select('id, url')
+    .eq('project_id', project.id)
+    .order('id'));
+
+  if (pageError) {
+    throw mapSupabaseError(pageError, 'select');
+  }
+
+  let apiRows;
+
+  try {
+    apiRows = await client.querySearchAnalytics(siteUrl, {
+      startDate,
+      endDate,
+      dimensions: ['date', 'query', 'page', 'country'],
+      deadline
+    });
+  } catch (err) {
+    await logSync({
+      project_id: project.id,
+      site_url: siteUrl,
+      start_date: startDate,
+      end_date: endDate,
+      error: err.message
+    });
+    throw new ExternalApiError('Google Search Console', err.message);
+  }
+
+  const rows = toSearchAnalyticsRows(apiRows, { siteUrl, keywords, pages })
+    .filter(row => row.country)
+    .map(row => ({ project_id: project.id, ...row }));
+
+  for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+    const { error: upsertError } = await supabase
+      .from('gsc_search_analytics')
+      .upsert(rows.slice(i, i + UPSERT_CHUNK_SIZE), {
+        onConflict: 'project_id,site_url,date,query,page,gsc_country'
+      });
+
+    if (upsertError) {
+      await logSync({
+        project_id: project.id,
+        site_url: siteUrl,
+        start_date: startDate,
+        end_date: endDate,
+        rows_fetched: apiRows.length,
+        error: upsertError.message
+      });
+      throw mapSupabaseError(upsertError, 'upsert');
+    }
+  }
+
+  const result = {
+    site_url: siteUrl,
+    start_date: startDate,
+    end_date: endDate,
+    rows_fetched: apiRows.length,
+    rows_stored: rows.length,
+    keyword_matches: rows.filter(row => row.keyword_id).length,
+    page_matches: rows.filter(row => row.page_id).length
+  };
+
+  await logSync({
+    project_id: project.id,
+    site_url: siteUrl,
+    start_date: startDate,
+    end_date: endDate,
+    rows_fetched: result.rows_fetched,
+    rows_matched: result.keyword_matches
+  });
+
+  return result;
+}
+
+/**
+ * Projects ordered by their last successful sync, never-synced first, so a
+ * cron run that stops at its time budget starts with the others next time
+ * @param {Array} projects - projects rows
+ * @returns {Promise<Array>}
+ */
+export async function projectsBySyncAge(projects) {
+  const since = new Date(Date.now() - SYNC_AGE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error: dbError } = await selectAll(() => supabase
+    .from('gsc_syncs')
+    .select('id, project_id, created_at')
+    .is('error', null)
+    .gte('created_at', since)
+    .order('id'));
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  const lastSynced = new Map();
+
+  for (const row of data) {
+    const time = new Date(row.created_at).getTime();
+    if (time > (lastSynced.get(row.project_id) ?? 0)) lastSynced.set(row.project_id, time);
+  }
+
+  return [...projects].sort((a, b) => (lastSynced.get(a.id) ?? 0) - (lastSynced.get(b.id) ?? 0));
+}
+
+/**
+ * Record a sync run; failures are reported but never fail the sync itself
+ */
+async function logSync(row) {
+  const { error: dbError } = await supabase.from('gsc_syncs').insert(row);
+
+  if (dbError) {
+    console.error('Failed to record GSC sync:', dbError);
+  }
+}
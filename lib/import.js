@@ -0,0 +1,314 @@
+import ExcelJS from 'exceljs';
+import { ValidationError } from './errors.js';
+import { validateRequired, validateEnum, validateUuid } from './validate.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Importable fields and the spreadsheet headers recognised for each.
+ * Headers are matched case-insensitively, ignoring spaces, dashes and underscores.
+ */
+export const PAGE_COLUMNS = {
+  page_name: ['page_name', 'page name', 'name', 'page', 'title'],
+  url: ['url', 'page url', 'slug', 'path'],
+  cluster: ['cluster', 'content cluster'],
+  level: ['level', 'page level', 'depth'],
+  parent_page: ['parent_page', 'parent page', 'parent'],
+  sibling_links: ['sibling_links', 'sibling links', 'siblings'],
+  cross_cluster_links: ['cross_cluster_links', 'cross cluster links', 'cross-cluster links'],
+  content_focus: ['content_focus', 'content focus', 'focus']
+};
+
+export const KEYWORD_COLUMNS = {
+  keyword_text: ['keyword_text', 'keyword', 'keywords', 'query', 'search term'],
+  country: ['country', 'market'],
+  cluster: ['cluster', 'content cluster'],
+  page_url: ['page_url', 'page url', 'url', 'target url', 'landing page'],
+  page_id: ['page_id', 'page id'],
+  refresh_frequency: ['refresh_frequency', 'refresh frequency', 'frequency']
+};
+
+const normalizeHeader = header => String(header ?? '').toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and newlines)
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows, blank lines skipped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM left by Excel's "CSV UTF-8" export
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Read the rows of one worksheet from an XLSX file
+ * @param {Buffer} buffer - XLSX file contents
+ * @param {string} [sheetName] - Worksheet name (default: first sheet)
+ * @returns {Promise<string[][]>} - Rows of cell text, blank rows skipped
+ */
+export async function parseXlsx(buffer, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new ValidationError('Could not read XLSX file', { reason: err.message });
+  }
+
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+
+  if (!worksheet) {
+    throw new ValidationError('Worksheet not found', {
+      field: 'sheet',
+      allowed: workbook.worksheets.map(sheet => sheet.name),
+      received: sheetName ?? null
+    });
+  }
+
+  const rows = [];
+
+  worksheet.eachRow(row => {
+    const cells = [];
+    // cell.text flattens rich text, hyperlinks and formula results
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(row.getCell(col).text ?? '');
+    }
+    if (cells.some(value => value.trim() !== '')) rows.push(cells);
+  });
+
+  return rows;
+}
+
+/**
+ * Work out which column index feeds each field
+ * @param {string[]} headers - Header row
+ * @param {object} columns - PAGE_COLUMNS or KEYWORD_COLUMNS
+ * @param {object} [mapping] - Explicit { field: 'Header in file' } overrides
+ * @returns {object} - { field: columnIndex }
+ */
+export function mapColumns(headers, columns, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const indexes = {};
+
+  for (const field of Object.keys(mapping)) {
+    if (!(field in columns)) {
+      throw new ValidationError('Invalid value for mapping', {
+        field: 'mapping', allowed: Object.keys(columns), received: field
+      });
+    }
+  }
+
+  for (const [field, aliases] of Object.entries(columns)) {
+    if (mapping[field] !== undefined) {
+      const index = normalized.indexOf(normalizeHeader(mapping[field]));
+      if (index === -1) {
+        throw new ValidationError(`Mapped column not found: ${mapping[field]}`, {
+          field, allowed: headers, received: mapping[field]
+        });
+      }
+      indexes[field] = index;
+      continue;
+    }
+
+    const index = normalized.findIndex(header => aliases.some(alias => normalizeHeader(alias) === header));
+    if (index !== -1) indexes[field] = index;
+  }
+
+  return indexes;
+}
+
+/**
+ * Turn parsed rows (header first) into records keyed by field
+ * @param {string[][]} rows - From parseCsv or parseXlsx
+ * @param {object} columns - PAGE_COLUMNS or KEYWORD_COLUMNS
+ * @param {object} [mapping] - See mapColumns
+ * @returns {Array} - [{ row, record }] where row is the 1-based spreadsheet row
+ */
+export function rowsToRecords(rows, columns, mapping) {
+  if (rows.length < 2) {
+    throw new ValidationError('File must contain a header row and at least one data row');
+  }
+
+  const [headers, ...dataRows] = rows;
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Maximum ${MAX_IMPORT_ROWS} rows per import`, {
+      received: dataRows.length,
+      maximum: MAX_IMPORT_ROWS
+    });
+  }
+
+  const indexes = mapColumns(headers, columns, mapping);
+
+  return dataRows.map((cells, i) => {
+    const record = {};
+    for (const [field, index] of Object.entries(indexes)) {
+      const value = (cells[index] ?? '').trim();
+      if (value !== '') record[field] = value;
+    }
+    return { row: i + 2, record };
+  });
+}
+
+/**
+ * Validate records one by one, collecting every failure instead of
+ * stopping at the first. Errors keep the ValidationError message and details.
+ * @param {Array} records - [{ row, record }]
+ * @param {Function} prepare - Returns the row to insert, or throws ValidationError
+ * @returns {object} - { valid: [{ row, data }], errors: [{ row, error, details }] }
+ */
+export function validateRecords(records, prepare) {
+  const valid = [];
+  const errors = [];
+
+  for (const { row, record } of records) {
+    try {
+      valid.push({ row, data: prepare(record) });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      errors.push({ row, error: err.message, details: err.details });
+    }
+  }
+
+  return { valid, errors };
+}
+
+/**
+ * Build a pages row from an imported record
+ */
+export function preparePage(record) {
+  validateRequired(record, ['page_name', 'url', 'cluster']);
+
+  let level = 2;
+  if (record.level !== undefined && record.level !== null && record.level !== '') {
+    level = Number(record.level);
+    if (!Number.isInteger(level) || level < 1) {
+      throw new ValidationError('Invalid type for level', {
+        field: 'level', expected: 'positive integer', received: record.level
+      });
+    }
+  }
+
+  return {
+    page_name: String(record.page_name).trim(),
+    url: String(record.url).trim(),
+    cluster: String(record.cluster).trim(),
+    level,
+    parent_page: record.parent_page || null,
+    sibling_links: record.sibling_links || null,
+    cross_cluster_links: record.cross_cluster_links || null,
+    content_focus: record.content_focus || null
+  };
+}
+
+/**
+ * Build a keywords row from an imported record
+ * @param {object} record - Imported fields
+ * @param {object} defaults - { country, cluster, refresh_frequency }
+ * @param {string[]} refreshFrequencies - Allowed refresh frequencies
+ * @param {string[]} countries - Allowed countries
+ * @returns {object} - Keyword row; page_url is kept for resolving page_id
+ */
+export function prepareKeyword(record, defaults, refreshFrequencies, countries) {
+  const merged = {
+    ...record,
+    country: record.country ?? defaults.country,
+    cluster: record.cluster ?? defaults.cluster ?? null,
+    refresh_frequency: record.refresh_frequency ?? defaults.refresh_frequency ?? 'weekly'
+  };
+
+  validateRequired(merged, ['keyword_text', 'country']);
+
+  const country = String(merged.country).toUpperCase();
+  validateEnum(country, 'country', countries);
+
+  const refreshFrequency = String(merged.refresh_frequency).toLowerCase();
+  validateEnum(refreshFrequency, 'refresh_frequency', refreshFrequencies);
+
+  if (merged.page_id) {
+    validateUuid(String(merged.page_id), 'page_id');
+  }
+
+  return {
+    keyword_text: String(merged.keyword_text).trim().toLowerCase(),
+    country,
+    cluster: merged.cluster,
+    page_id: merged.page_id ? String(merged.page_id).toLowerCase() : null,
+    page_url: merged.page_url || null,
+    refresh_frequency: refreshFrequency
+  };
+}
+
+/**
+ * Drop later rows that repeat an earlier row's key, reporting them as errors
+ * (a single upsert cannot touch the same row twice)
+ * @param {Array} valid - [{ row, data }]
+ * @param {Function} keyOf - Unique key for a row's data
+ * @returns {object} - { unique, duplicates }
+ */
+export function dedupeRows(valid, keyOf) {
+  const seen = new Map();
+  const unique = [];
+  const duplicates = [];
+
+  for (const item of valid) {
+    const key = keyOf(item.data);
+    if (seen.has(key)) {
+      duplicates.push({
+        row: item.row,
+        error: 'Duplicate of an earlier row',
+        details: { duplicate_of: seen.get(key) }
+      });
+      continue;
+    }
+    seen.set(key, item.row);
+    unique.push(item);
+  }
+
+  return { unique, duplicates };
+}
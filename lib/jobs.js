@@ -0,0 +1,216 @@
+import { supabase, selectAll } from './supabase.js';
+import { NotFoundError, mapSupabaseError } from './errors.js';
+import { enrichKeywordMetrics, enrichSerpRankings } from './enrich.js';
+import { failedOutcomes, summarizeOutcomes, staleJobCutoff, STALE_JOB_ERROR } from './outcomes.js';
+
+const ITEM_CHUNK_SIZE = 500;
+
+/**
+ * Record the start of an enrichment run
+ * @param {object} fields
+ * @param {string} fields.jobType - keyword_metrics or serp
+ * @param {string} fields.source - Triggering route, e.g. '/api/enrich/serp'
+ * @param {string} [fields.projectId] - Project the run is scoped to (null: every project)
+ * @param {string} [fields.createdBy] - Name of the API key, or 'cron'
+ * @param {string} [fields.retryOf] - Job whose failed keywords this run retries
+ * @param {number} [fields.requested] - Keywords or targets requested, if known up front
+ * @returns {Promise<object>} - enrichment_jobs row, with cost added up by recordUsage
+ */
+export async function startJob(fields) {
+  const { data, error: dbError } = await supabase
+    .from('enrichment_jobs')
+    .insert({
+      job_type: fields.jobType,
+      source: fields.source,
+      project_id: fields.projectId || null,
+      created_by: fields.createdBy || null,
+      retry_of: fields.retryOf || null,
+      requested: fields.requested || 0
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'insert');
+  }
+
+  return { ...data, cost: 0 };
+}
+
+/**
+ * Save a run's per-keyword outcomes and close the job
+ * @param {object} job - Job from startJob
+ * @param {Array} outcomes - Outcomes from lib/outcomes.js
+ * @param {Error} [err] - Why the run stopped early, if it threw
+ * @returns {Promise<object>} - Updated enrichment_jobs row
+ */
+export async function finishJob(job, outcomes, err = null) {
+  for (let i = 0; i < outcomes.length; i += ITEM_CHUNK_SIZE) {
+    const { error: itemError } = await supabase
+      .from('enrichment_job_items')
+      .insert(outcomes.slice(i, i + ITEM_CHUNK_SIZE).map(outcome => ({ ...outcome, job_id: job.id })));
+
+    if (itemError) {
+      throw mapSupabaseError(itemError, 'insert');
+    }
+  }
+
+  const summary = summarizeOutcomes(outcomes);
+
+  const { data, error: dbError } = await supabase
+    .from('enrichment_jobs')
+    .update({
+      ...summary,
+      status: err && outcomes.length === 0 ? 'failed' : summary.status,
+      error: err ? err.message : null,
+      cost: job.cost,
+      finished_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .select()
+    .single();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+
+  return data;
+}
+
+/**
+ * Run an enrichment as a job: start it, run it and record every outcome
+ * If the run throws, every requested keyword is recorded as failed (so it
+ * can be retried) and the error is rethrown
+ * @param {object} fields - See startJob
+ * @param {Array} requested - Keywords or targets being enriched
+ * @param {Function} run - async (job) => result with an outcomes array
+ * @returns {Promise<object>} - run's result, plus job (the finished enrichment_jobs row)
+ */
+export async function runJob(fields, requested, run) {
+  const job = await startJob({ ...fields, requested: requested.length });
+
+  let result;
+  try {
+    result = await run(job);
+  } catch (err) {
+    await finishJob(job, failedOutcomes(requested, err.message), err);
+    throw err;
+  }
+
+  return { ...result, job: await finishJob(job, result.outcomes) };
+}
+
+/**
+ * Enrich keyword metrics as a job
+ * @param {Array} keywords - [{ id, keyword_text, country, project_id }]
+ * @param {object} fields - See startJob (jobType is set here), plus an optional deadline
+ *   (epoch ms) for the DataForSEO calls
+ * @returns {Promise<object>} - enrichKeywordMetrics result, plus job
+ */
+export async function runMetricsJob(keywords, fields) {
+  return runJob({ ...fields, jobType: 'keyword_metrics' }, keywords, job =>
+    enrichKeywordMetrics(keywords, { source: fields.source, job, deadline: fields.deadline })
+  );
+}
+
+/**
+ * Enrich SERP rankings as a job
+ * @param {Array} targets - Targets from lib/enrich.js
+ * @param {object} fields - See startJob (jobType is set here), plus an optional deadline
+ *   (epoch ms) for the DataForSEO calls
+ * @returns {Promise<object>} - enrichSerpRankings result, plus job
+ */
+export async function runSerpJob(targets, fields) {
+  return runJob({ ...fields, jobType: 'serp' }, targets, job =>
+    enrichSerpRankings(targets, { source: fields.source, job, deadline: fields.deadline })
+  );
+}
+
+/**
+ * Mark stale jobs (see STALE_JOB_MS) failed, so they can be retried
+ * Called before jobs are read, since a stopped function cannot close its own job
+ */
+export async function failStaleJobs() {
+  const { error: dbError } = await supabase
+    .from('enrichment_jobs')
+    .update({ status: 'failed', error: STALE_JOB_ERROR })
+    .eq('status', 'running')
+    .lt('started_at', staleJobCutoff());
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'update');
+  }
+}
+
+/**
+ * Limit an enrichment_jobs query to the jobs a caller can see: the project's
+ * own, plus runs across every project (the cron) for admin keys only, since
+ * those rows total up every project's keywords and cost
+ * @param {object} query - Supabase query on enrichment_jobs
+ * @param {object} project - projects row
+ * @param {object} caller - Authenticated key ({ scopes }) from authenticate
+ * @returns {object} - Filtered query
+ */
+export function visibleJobs(query, project, caller) {
+  return caller.scopes.includes('admin')
+    ? query.or(`project_id.eq.${project.id},project_id.is.null`)
+    : query.eq('project_id', project.id);
+}
+
+/**
+ * Load a job visible to a caller (see visibleJobs)
+ * @param {string} id - Job ID
+ * @param {object} project - projects row
+ * @param {object} caller - Authenticated key ({ scopes })
+ * @returns {Promise<object>} - enrichment_jobs row
+ * @throws {NotFoundError}
+ */
+export async function getJob(id, project, caller) {
+  await failStaleJobs();
+
+  const { data, error: dbError } = await visibleJobs(supabase
+    .from('enrichment_jobs')
+    .select('*')
+    .eq('id', id), project, caller)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Job');
+  }
+
+  return data;
+}
+
+/**
+ * A job's outcomes for a project's keywords
+ * @param {object} job - enrichment_jobs row
+ * @param {object} project - projects row
+ * @param {string} [status] - succeeded or failed
+ * @returns {Promise<Array>} - enrichment_job_items rows
+ */
+export async function fetchJobItems(job, project, status) {
+  const { data, error: dbError } = await selectAll(() => {
+    let query = supabase
+      .from('enrichment_job_items')
+      .select('*')
+      .eq('job_id', job.id)
+      .order('created_at')
+      .order('id');
+
+    // Jobs that ran for every project hold other projects' keywords too
+    if (!job.project_id) query = query.eq('project_id', project.id);
+    if (status) query = query.eq('status', status);
+
+    return query;
+  });
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data;
+}
@@ -0,0 +1,214 @@
+import { normalizePath } from './cannibalisation.js';
+
+export const LINK_TYPES = ['parent', 'sibling', 'cross_cluster'];
+export const PILLAR_LEVEL = 1;
+
+// Page text field that holds each link type
+const LINK_FIELDS = {
+  parent: 'parent_page',
+  sibling: 'sibling_links',
+  cross_cluster: 'cross_cluster_links'
+};
+
+/**
+ * Split a free-text link field into references
+ * Accepts commas, semicolons, pipes or newlines as separators
+ * @param {string|null} text - e.g. "/pensions/sipp, QROPS Guide"
+ * @returns {string[]} - Trimmed, de-duplicated references
+ */
+export function parseLinkRefs(text) {
+  if (!text) return [];
+
+  return [...new Set(
+    String(text)
+      .split(/[,;|\n\r]+/)
+      .map(ref => ref.trim())
+      .filter(Boolean)
+  )];
+}
+
+/**
+ * Build a resolver that matches a reference to a page by URL path or page name
+ * @param {Array} pages - [{ id, page_name, url }]
+ * @returns {Function} - ref => page or null
+ */
+export function pageResolver(pages) {
+  const byPath = new Map();
+  const byName = new Map();
+
+  for (const page of pages) {
+    byPath.set(normalizePath(page.url), page);
+    byName.set(page.page_name.trim().toLowerCase(), page);
+  }
+
+  return ref => {
+    const looksLikeUrl = ref.startsWith('/') || /^https?:\/\//i.test(ref);
+    if (looksLikeUrl) return byPath.get(normalizePath(ref)) || null;
+    return byName.get(ref.toLowerCase()) || byPath.get(normalizePath(`/${ref}`)) || null;
+  };
+}
+
+/**
+ * Turn every page's parent/sibling/cross-cluster text into page_links rows
+ * @param {Array} pages - pages rows
+ * @returns {Array} - [{ source_page_id, target_page_id, target_ref, link_type }]
+ */
+export function buildPageLinks(pages) {
+  const resolve = pageResolver(pages);
+  const links = [];
+
+  for (const page of pages) {
+    for (const linkType of LINK_TYPES) {
+      for (const ref of parseLinkRefs(page[LINK_FIELDS[linkType]])) {
+        const target = resolve(ref);
+
+        // A page listing itself is a data-entry slip, not a link
+        if (target?.id === page.id) continue;
+
+        links.push({
+          source_page_id: page.id,
+          target_page_id: target?.id ?? null,
+          target_ref: ref,
+          link_type: linkType
+        });
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Navigation edges implied by the link graph: a parent links down to its
+ * children, and sibling/cross-cluster links go from source to target
+ */
+function navigationEdges(links) {
+  const edges = new Map();
+  const add = (from, to) => {
+    if (!edges.has(from)) edges.set(from, new Set());
+    edges.get(from).add(to);
+  };
+
+  for (const link of links) {
+    if (!link.target_page_id) continue;
+    if (link.link_type === 'parent') {
+      add(link.target_page_id, link.source_page_id);
+    } else {
+      add(link.source_page_id, link.target_page_id);
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Audit the internal link graph
+ * @param {Array} pages - pages rows
+ * @param {Array} links - page_links rows (or buildPageLinks output)
+ * @param {object} [options]
+ * @param {string} [options.cluster] - Only report on this cluster; links
+ *   from other clusters still count towards orphans and depth
+ * @returns {object} - { summary, orphan_pages, broken_parents, broken_links,
+ *   clusters_without_pillar, missing_reciprocal_siblings, depth }
+ */
+export function auditLinkGraph(pages, links, options = {}) {
+  const pagesById = new Map(pages.map(page => [page.id, page]));
+  const describe = page => ({ id: page.id, page_name: page.page_name, url: page.url, cluster: page.cluster });
+  const edges = navigationEdges(links);
+  const inScope = page => !options.cluster || page?.cluster === options.cluster;
+
+  // Orphans: non-pillar pages nothing links to and with no resolvable parent
+  const inbound = new Set();
+  for (const targets of edges.values()) {
+    for (const target of targets) inbound.add(target);
+  }
+
+  const orphanPages = pages
+    .filter(page => inScope(page) && page.level !== PILLAR_LEVEL && !inbound.has(page.id))
+    .map(describe);
+
+  const scopedLinks = links.filter(link => inScope(pagesById.get(link.source_page_id)));
+
+  const brokenParents = scopedLinks
+    .filter(link => link.link_type === 'parent' && !link.target_page_id)
+    .map(link => ({ page: describe(pagesById.get(link.source_page_id)), parent_page: link.target_ref }));
+
+  const brokenLinks = scopedLinks
+    .filter(link => link.link_type !== 'parent' && !link.target_page_id)
+    .map(link => ({
+      page: describe(pagesById.get(link.source_page_id)),
+      link_type: link.link_type,
+      target_ref: link.target_ref
+    }));
+
+  const clusters = [...new Set(pages.map(page => page.cluster))].sort();
+  const pillarsByCluster = new Map(clusters.map(cluster => [
+    cluster,
+    pages.filter(page => page.cluster === cluster && page.level === PILLAR_LEVEL)
+  ]));
+
+  const clustersWithoutPillar = clusters.filter(cluster =>
+    pillarsByCluster.get(cluster).length === 0 && (!options.cluster || cluster === options.cluster)
+  );
+
+  const siblingKeys = new Set(
+    links
+      .filter(link => link.link_type === 'sibling' && link.target_page_id)
+      .map(link => `${link.source_page_id}>${link.target_page_id}`)
+  );
+
+  const missingReciprocal = scopedLinks
+    .filter(link =>
+      link.link_type === 'sibling' &&
+      link.target_page_id &&
+      !siblingKeys.has(`${link.target_page_id}>${link.source_page_id}`)
+    )
+    .map(link => ({
+      page: describe(pagesById.get(link.source_page_id)),
+      sibling: describe(pagesById.get(link.target_page_id))
+    }));
+
+  // Breadth-first from each cluster's pillar page(s)
+  const depthById = new Map();
+  for (const [cluster, pillars] of pillarsByCluster) {
+    const distances = new Map(pillars.map(pillar => [pillar.id, 0]));
+    const queue = pillars.map(pillar => pillar.id);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const next of edges.get(current) || []) {
+        if (distances.has(next)) continue;
+        distances.set(next, distances.get(current) + 1);
+        queue.push(next);
+      }
+    }
+
+    for (const page of pages.filter(p => p.cluster === cluster)) {
+      depthById.set(page.id, distances.get(page.id) ?? null);
+    }
+  }
+
+  const depth = pages
+    .filter(inScope)
+    .map(page => ({ ...describe(page), level: page.level, depth: depthById.get(page.id) }))
+    .sort((a, b) => a.cluster.localeCompare(b.cluster) || (a.depth ?? Infinity) - (b.depth ?? Infinity));
+
+  return {
+    summary: {
+      pages: depth.length,
+      orphan_pages: orphanPages.length,
+      broken_parents: brokenParents.length,
+      broken_links: brokenLinks.length,
+      clusters_without_pillar: clustersWithoutPillar.length,
+      missing_reciprocal_siblings: missingReciprocal.length,
+      unreachable_from_pillar: depth.filter(page => page.depth === null).length,
+      max_depth: Math.max(0, ...depth.map(page => page.depth ?? 0))
+    },
+    orphan_pages: orphanPages,
+    broken_parents: brokenParents,
+    broken_links: brokenLinks,
+    clusters_without_pillar: clustersWithoutPillar,
+    missing_reciprocal_siblings: missingReciprocal,
+    depth
+  };
+}
@@ -0,0 +1,152 @@
+import { ValidationError } from './errors.js';
+import { validateType, validateEnum, UUID_PATTERN } from './validate.js';
+
+/**
+ * Devices a keyword can be tracked on
+ */
+export const DEVICES = ['desktop', 'mobile'];
+
+export const DEFAULT_DEVICE = 'desktop';
+
+export const LOCATION_TYPES = ['country', 'region', 'city'];
+
+const CODE_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const COUNTRY_PATTERN = /^[A-Z]{2,3}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/i;
+
+/**
+ * Find a location by code or ID
+ * @param {Array} locations - locations rows
+ * @param {string} ref - Code (case-insensitive) or UUID
+ * @returns {object|null}
+ */
+export function findLocation(locations, ref) {
+  if (typeof ref !== 'string') return null;
+
+  return UUID_PATTERN.test(ref)
+    ? locations.find(location => location.id === ref) || null
+    : locations.find(location => location.code === ref.toLowerCase()) || null;
+}
+
+/**
+ * The location a country's keyword metrics and primary targets use
+ * @param {Array} locations - locations rows
+ * @param {string} country - Country code, e.g. 'UK'
+ * @returns {object|null}
+ */
+export function defaultLocation(locations, country) {
+  return locations.find(location =>
+    location.country === country && location.is_default && location.active
+  ) || null;
+}
+
+/**
+ * Countries with an active default location
+ * @param {Array} locations - locations rows
+ * @returns {string[]}
+ */
+export function supportedCountries(locations) {
+  return [...new Set(
+    locations.filter(location => location.is_default && location.active).map(location => location.country)
+  )].sort();
+}
+
+/**
+ * Validate requested targets against the configured locations
+ * @param {Array} targets - [{ location: 'london', device: 'mobile' }]; device defaults to desktop
+ * @param {Array} locations - locations rows
+ * @param {string[]} countries - Countries the project tracks
+ * @returns {Array} - Unique [{ location_id, device }]
+ */
+export function parseTargets(targets, locations, countries) {
+  validateType(targets, 'targets', 'array');
+
+  const parsed = new Map();
+
+  for (const target of targets) {
+    if (!target || typeof target !== 'object') {
+      throw new ValidationError('Each target must be an object', { field: 'targets' });
+    }
+
+    const location = findLocation(locations, target.location);
+
+    if (!location || !location.active) {
+      throw new ValidationError('Unknown location', { field: 'targets', received: target.location });
+    }
+
+    if (!countries.includes(location.country)) {
+      throw new ValidationError('Location is outside the project countries', {
+        field: 'targets',
+        received: location.code,
+        allowed: countries
+      });
+    }
+
+    const device = target.device ?? DEFAULT_DEVICE;
+    validateEnum(device, 'device', DEVICES);
+
+    parsed.set(`${location.id}:${device}`, { location_id: location.id, device });
+  }
+
+  return [...parsed.values()];
+}
+
+/**
+ * Validate the writable location fields present in a body
+ * @param {object} body - Request body
+ * @returns {object} - Columns to write
+ */
+export function prepareLocationFields(body) {
+  const fields = {};
+
+  if (body.code !== undefined) {
+    const code = String(body.code).toLowerCase();
+    if (!CODE_PATTERN.test(code)) {
+      throw new ValidationError('code must be lowercase letters, numbers and hyphens', { field: 'code' });
+    }
+    fields.code = code;
+  }
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ValidationError('name cannot be empty', { field: 'name' });
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.country !== undefined) {
+    const country = String(body.country).toUpperCase();
+    if (!COUNTRY_PATTERN.test(country)) {
+      throw new ValidationError('Invalid country code', { field: 'country', received: body.country });
+    }
+    fields.country = country;
+  }
+
+  if (body.location_type !== undefined) {
+    validateEnum(body.location_type, 'location_type', LOCATION_TYPES);
+    fields.location_type = body.location_type;
+  }
+
+  if (body.location_code !== undefined) {
+    if (!Number.isInteger(body.location_code) || body.location_code <= 0) {
+      throw new ValidationError('location_code must be a positive integer', { field: 'location_code' });
+    }
+    fields.location_code = body.location_code;
+  }
+
+  if (body.language_code !== undefined) {
+    if (typeof body.language_code !== 'string' || !LANGUAGE_PATTERN.test(body.language_code)) {
+      throw new ValidationError('Invalid language_code', { field: 'language_code', received: body.language_code });
+    }
+    fields.language_code = body.language_code.toLowerCase();
+  }
+
+  for (const field of ['is_default', 'active']) {
+    if (body[field] === undefined) continue;
+
+    validateType(body[field], field, 'boolean');
+    fields[field] = body[field];
+  }
+
+  return fields;
+}
@@ -0,0 +1,132 @@
+import { supabase } from './supabase.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from './errors.js';
+import { validateEnum } from './validate.js';
+import { findLocation, defaultLocation, DEVICES } from './locales.js';
+
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * Every configured location
+ * @returns {Promise<Array>} - locations rows, by country then code
+ */
+export async function loadLocations() {
+  const { data, error: dbError } = await supabase
+    .from('locations')
+    .select('*')
+    .order('country')
+    .order('code');
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data;
+}
+
+/**
+ * Load a location by code or ID
+ * @param {string} ref - Code or UUID
+ * @returns {Promise<object>} - locations row
+ * @throws {NotFoundError} - Unknown location
+ */
+export async function getLocation(ref) {
+  const location = findLocation(await loadLocations(), ref);
+
+  if (!location) {
+    throw new NotFoundError('Location');
+  }
+
+  return location;
+}
+
+/**
+ * Default locations for a set of countries
+ * @param {string[]} countries - Country codes
+ * @returns {Promise<Map>} - country => locations row
+ * @throws {ValidationError} - A country has no active default location
+ */
+export async function countryLocations(countries) {
+  const locations = await loadLocations();
+  const byCountry = new Map();
+
+  for (const country of new Set(countries)) {
+    const location = defaultLocation(locations, country);
+
+    if (!location) {
+      throw new ValidationError(`No location configured for country ${country}`, {
+        field: 'country',
+        received: country
+      });
+    }
+
+    byCountry.set(country, location);
+  }
+
+  return byCountry;
+}
+
+/**
+ * Which keyword targets a reporting request covers
+ * ?location= and/or ?device= select matching targets; without either,
+ * each keyword's primary target
+ * @param {object} query - Request query
+ * @returns {Promise<object>} - { primaryOnly } or { locationId, device }
+ */
+export async function resolveTargetFilter(query) {
+  const { location, device } = query;
+
+  if (device !== undefined) {
+    validateEnum(device, 'device', DEVICES);
+  }
+
+  if (!location && !device) {
+    return { primaryOnly: true };
+  }
+
+  return {
+    locationId: location ? (await getLocation(location)).id : undefined,
+    device
+  };
+}
+
+/**
+ * Apply a target filter to a query on keyword_targets or a view
+ * with is_primary, location_id and device columns
+ * (owned_ranking_history, latest_serp_features)
+ */
+export function applyTargetFilter(query, filter) {
+  if (filter.primaryOnly) query = query.eq('is_primary', true);
+  if (filter.locationId) query = query.eq('location_id', filter.locationId);
+  if (filter.device) query = query.eq('device', filter.device);
+  return query;
+}
+
+/**
+ * Fetch keyword targets, in chunks to keep request URLs short
+ * @param {string[]} keywordIds - Keyword IDs
+ * @param {object} [filter] - From resolveTargetFilter (default: every target)
+ * @returns {Promise<Array>} - [{ id, keyword_id, device, is_primary, location: { id, code, name } }]
+ */
+export async function fetchKeywordTargets(keywordIds, filter = {}) {
+  const targets = [];
+
+  for (let i = 0; i < keywordIds.length; i += ID_CHUNK_SIZE) {
+    const { data, error: dbError } = await applyTargetFilter(
+      supabase
+        .from('keyword_targets')
+        .select('id, keyword_id, device, is_primary, created_at, location:locations(id, code, name)')
+        .in('keyword_id', keywordIds.slice(i, i + ID_CHUNK_SIZE))
+        .order('is_primary', { ascending: false })
+        .order('created_at'),
+      filter
+    );
+
+    if (dbError) {
+      throw mapSupabaseError(dbError, 'select');
+    }
+
+    targets.push(...data);
+  }
+
+  return targets;
+}
@@ -0,0 +1,181 @@
+import { supabase, selectAll } from './supabase.js';
+import { mapSupabaseError } from './errors.js';
+import { buildKeywordStates, evaluateRule, formatSlackPayload } from './alerts.js';
+
+// Enough history to find each keyword's previous fetch on a monthly refresh
+const HISTORY_LOOKBACK_DAYS = 45;
+const KEYWORD_CHUNK_SIZE = 50;
+// Alerts run in the last 10s of the enrichment cron (see TIME_BUDGET_MS there)
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Evaluate enabled alert rules for freshly refreshed keywords,
+ * record fired alerts and deliver them to their webhooks
+ * Each keyword is only checked against its own project's rules
+ * @param {string[]} keywordIds - Keywords whose SERP was just refreshed
+ * @returns {Promise<object>} - { fired, delivered }
+ */
+export async function runAlerts(keywordIds) {
+  if (keywordIds.length === 0) {
+    return { fired: 0, delivered: 0 };
+  }
+
+  const { data: rules, error: ruleError } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('enabled', true);
+
+  if (ruleError) {
+    throw mapSupabaseError(ruleError, 'select');
+  }
+
+  if (rules.length === 0) {
+    return { fired: 0, delivered: 0 };
+  }
+
+  const needsCompetitors = rules.some(rule => rule.rule_type === 'competitor_overtake');
+  const since = new Date(Date.now() - HISTORY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const pending = [];
+
+  for (let i = 0; i < keywordIds.length; i += KEYWORD_CHUNK_SIZE) {
+    const ids = keywordIds.slice(i, i + KEYWORD_CHUNK_SIZE);
+
+    const { data: keywords, error: keywordError } = await supabase
+      .from('keywords')
+      .select('id, project_id, keyword_text, country, cluster')
+      .in('id', ids);
+
+    if (keywordError) {
+      throw mapSupabaseError(keywordError, 'select');
+    }
+
+    const { data: history, error: historyError } = await selectAll(() => supabase
+      .from('owned_ranking_history')
+      .select('keyword_id, snapshot_id, fetched_at, position')
+      .in('keyword_id', ids)
+      .eq('is_primary', true)
+      .gte('fetched_at', since)
+      .order('keyword_id')
+      .order('snapshot_id'));
+
+    if (historyError) {
+      throw mapSupabaseError(historyError, 'select');
+    }
+
+    let competitorRows = [];
+    const competitorNames = new Map();
+
+    if (needsCompetitors) {
+      const { data, error: rankingError } = await selectAll(() => supabase
+        .from('competitor_rankings')
+        .select('keyword_id, snapshot_id, competitor_id, position, competitors(name), keyword_targets!inner(is_primary)')
+        .in('keyword_id', ids)
+        .eq('keyword_targets.is_primary', true)
+        .gte('fetched_at', since)
+        .order('keyword_id')
+        .order('snapshot_id')
+        .order('id'));
+
+      if (rankingError) {
+        throw mapSupabaseError(rankingError, 'select');
+      }
+
+      competitorRows = data;
+      data.forEach(row => competitorNames.set(row.competitor_id, row.competitors?.name));
+    }
+
+    const states = buildKeywordStates(keywords, history, competitorRows, competitorNames);
+
+    for (const state of states) {
+      for (const rule of rules) {
+        if (rule.project_id !== state.keyword.project_id) continue;
+
+        const fired = evaluateRule(rule, state);
+        if (!fired) continue;
+
+        pending.push({
+          rule,
+          event: {
+            rule_id: rule.id,
+            keyword_id: state.keyword.id,
+            dedupe_key: `${rule.id}:${state.keyword.id}:${state.current.fetched_at}`,
+            message: fired.message,
+            details: fired.details
+          }
+        });
+      }
+    }
+  }
+
+  if (pending.length === 0) {
+    return { fired: 0, delivered: 0 };
+  }
+
+  // Already-recorded alerts for the same fetch are skipped, not re-sent
+  const { data: inserted, error: insertError } = await supabase
+    .from('alert_events')
+    .upsert(pending.map(p => p.event), {
+      onConflict: 'dedupe_key',
+      ignoreDuplicates: true
+    })
+    .select();
+
+  if (insertError) {
+    throw mapSupabaseError(insertError, 'insert');
+  }
+
+  const rulesById = new Map(rules.map(rule => [rule.id, rule]));
+  const byWebhook = new Map();
+
+  for (const event of inserted) {
+    const rule = rulesById.get(event.rule_id);
+    const webhookUrl = rule?.webhook_url || process.env.ALERT_WEBHOOK_URL;
+    if (!webhookUrl) continue;
+
+    if (!byWebhook.has(webhookUrl)) byWebhook.set(webhookUrl, []);
+    byWebhook.get(webhookUrl).push({ ...event, rule_name: rule?.name || 'Alert' });
+  }
+
+  // Webhooks are sent together so a slow one cannot use up the function's time
+  const deliveries = await Promise.all([...byWebhook].map(async ([webhookUrl, events]) => {
+    const deliveryError = await deliverWebhook(webhookUrl, formatSlackPayload(events));
+
+    const { error: updateError } = await supabase
+      .from('alert_events')
+      .update({ delivered: deliveryError === null, delivery_error: deliveryError })
+      .in('id', events.map(event => event.id));
+
+    if (updateError) {
+      console.error('Failed to update alert delivery status:', updateError);
+    }
+
+    return deliveryError === null ? events.length : 0;
+  }));
+
+  const delivered = deliveries.reduce((total, count) => total + count, 0);
+
+  return { fired: inserted.length, delivered };
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @returns {Promise<string|null>} - Error message, or null on success
+ */
+export async function deliverWebhook(url, payload) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      return `Webhook responded with ${response.status}`;
+    }
+
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
@@ -0,0 +1,193 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Default weight of each opportunity factor
+ * Projects override any of them in projects.opportunity_weights; weights are
+ * relative, so they do not need to add up to 1
+ */
+export const DEFAULT_OPPORTUNITY_WEIGHTS = {
+  volume: 0.3,      // Search volume, log scale
+  difficulty: 0.2,  // Easier keywords score higher
+  position: 0.25,   // Current owned position, striking distance highest
+  cpc: 0.15,        // Commercial intent proxy
+  page: 0.1         // A mapped page exists to optimise
+};
+
+export const OPPORTUNITY_FACTORS = Object.keys(DEFAULT_OPPORTUNITY_WEIGHTS);
+
+// Columns /api/keywords/opportunities can sort by
+export const OPPORTUNITY_SORTS = ['opportunity_score', 'search_volume', 'difficulty', 'cpc', 'position'];
+
+// Volume at which the volume factor maxes out
+export const VOLUME_CEILING = 100000;
+
+// CPC at which the commercial intent factor maxes out
+export const CPC_CEILING = 20;
+
+// Striking distance: ranking, but close enough to page one's top that a push pays off
+export const STRIKING_DISTANCE = { from: 4, to: 20 };
+
+// Difficulty is unknown until metrics are fetched; treat it as average
+const UNKNOWN_DIFFICULTY_SCORE = 0.5;
+
+/**
+ * Round to 4 decimal places for API output
+ */
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Volume factor: log10 scale up to VOLUME_CEILING, so 100 searches scores
+ * 0.4 and 10,000 scores 0.8
+ */
+export function volumeScore(searchVolume) {
+  if (!searchVolume || searchVolume <= 0) return 0;
+  return Math.min(Math.log10(searchVolume + 1) / Math.log10(VOLUME_CEILING + 1), 1);
+}
+
+/**
+ * Difficulty factor: 1 for difficulty 0, 0 for difficulty 100
+ */
+export function difficultyScore(difficulty) {
+  if (difficulty === null || difficulty === undefined) return UNKNOWN_DIFFICULTY_SCORE;
+  return Math.min(Math.max((100 - difficulty) / 100, 0), 1);
+}
+
+/**
+ * Position factor
+ * Striking distance (4-20) scores highest. Keywords already in the top 3
+ * have little left to gain, and keywords not ranking need new content
+ * @param {number|null} position - Latest owned position, null when not ranking
+ */
+export function positionScore(position) {
+  if (position === null || position === undefined) return 0.25;
+  if (position === 1) return 0;
+  if (position < STRIKING_DISTANCE.from) return 0.4;
+  if (position <= STRIKING_DISTANCE.to) return 1;
+  if (position <= 50) return 0.5;
+  return 0.3;
+}
+
+/**
+ * CPC factor: linear up to CPC_CEILING
+ */
+export function cpcScore(cpc) {
+  if (!cpc || cpc <= 0) return 0;
+  return Math.min(cpc / CPC_CEILING, 1);
+}
+
+/**
+ * Validate weight overrides and merge them over the defaults
+ * @param {object} [overrides] - { volume: 0.5, cpc: 0, ... }
+ * @returns {object} - A weight for every factor
+ * @throws {ValidationError} - Unknown factor, negative weight or every weight zero
+ */
+export function opportunityWeights(overrides = {}) {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ValidationError('opportunity_weights must be an object', {
+      field: 'opportunity_weights',
+      allowed: OPPORTUNITY_FACTORS
+    });
+  }
+
+  for (const [factor, weight] of Object.entries(overrides)) {
+    if (!OPPORTUNITY_FACTORS.includes(factor)) {
+      throw new ValidationError(`Unknown opportunity factor: ${factor}`, {
+        field: 'opportunity_weights',
+        allowed: OPPORTUNITY_FACTORS
+      });
+    }
+
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new ValidationError(`opportunity_weights.${factor} must be a non-negative number`, {
+        field: 'opportunity_weights',
+        received: weight
+      });
+    }
+  }
+
+  const weights = { ...DEFAULT_OPPORTUNITY_WEIGHTS, ...overrides };
+
+  if (Object.values(weights).every(weight => weight === 0)) {
+    throw new ValidationError('At least one opportunity weight must be above zero', {
+      field: 'opportunity_weights'
+    });
+  }
+
+  return weights;
+}
+
+/**
+ * Score one keyword
+ * @param {object} keyword - { search_volume, difficulty, cpc, page_id, position }
+ * @param {object} weights - From opportunityWeights
+ * @returns {object} - { opportunity_score (0-100), factors: { volume, difficulty, position, cpc, page } (0-1) }
+ */
+export function scoreOpportunity(keyword, weights) {
+  const factors = {
+    volume: volumeScore(keyword.search_volume),
+    difficulty: difficultyScore(keyword.difficulty),
+    position: positionScore(keyword.position),
+    cpc: cpcScore(keyword.cpc),
+    page: keyword.page_id ? 1 : 0
+  };
+
+  const totalWeight = OPPORTUNITY_FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+  const weighted = OPPORTUNITY_FACTORS.reduce((sum, factor) => sum + weights[factor] * factors[factor], 0);
+
+  return {
+    opportunity_score: Number((100 * weighted / totalWeight).toFixed(1)),
+    factors: Object.fromEntries(OPPORTUNITY_FACTORS.map(factor => [factor, round(factors[factor])]))
+  };
+}
+
+/**
+ * Sort scored keywords
+ * Missing values sort last in either direction; ties go to the higher score,
+ * then alphabetically
+ * @param {Array} rows - Keywords with opportunity_score and the sort column
+ * @param {string} [sort] - One of OPPORTUNITY_SORTS (default opportunity_score)
+ * @param {string} [order] - 'asc' or 'desc' (default desc)
+ * @returns {Array} - New sorted array
+ */
+export function sortOpportunities(rows, sort = 'opportunity_score', order = 'desc') {
+  const direction = order === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const left = a[sort] ?? null;
+    const right = b[sort] ?? null;
+
+    if (left !== right) {
+      if (left === null) return 1;
+      if (right === null) return -1;
+      return (left - right) * direction;
+    }
+
+    return (b.opportunity_score - a.opportunity_score)
+      || String(a.keyword).localeCompare(String(b.keyword));
+  });
+}
+
+/**
+ * Keyword count and average opportunity score per cluster
+ * @param {Array} rows - Scored keywords with cluster
+ * @returns {object} - cluster (or 'unclustered') => { keywords, average_score, top_score }
+ */
+export function summarizeByCluster(rows) {
+  const clusters = {};
+
+  for (const row of rows) {
+    const name = row.cluster || 'unclustered';
+    if (!clusters[name]) clusters[name] = { keywords: 0, total: 0, top_score: 0 };
+
+    clusters[name].keywords++;
+    clusters[name].total += row.opportunity_score;
+    clusters[name].top_score = Math.max(clusters[name].top_score, row.opportunity_score);
+  }
+
+  return Object.fromEntries(Object.entries(clusters).map(([name, { keywords, total, top_score }]) => [
+    name,
+    { keywords, average_score: Number((total / keywords).toFixed(1)), top_score }
+  ]));
+}
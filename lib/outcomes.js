@@ -0,0 +1,112 @@
+/**
+ * Kinds of enrichment job
+ *   - keyword_metrics: search volume, difficulty, CPC (one row per keyword)
+ *   - serp: rankings and SERP features (one row per keyword target)
+ */
+export const JOB_TYPES = ['keyword_metrics', 'serp'];
+
+/**
+ * Job status: running until finished, then completed (nothing failed),
+ * partial (some keywords failed) or failed (every keyword failed, or the run threw)
+ */
+export const JOB_STATUSES = ['running', 'completed', 'partial', 'failed'];
+
+/**
+ * A job still running this long after it started never will finish: its
+ * function was stopped at the 30s maxDuration in vercel.json before it
+ * could record outcomes, so it is marked failed with STALE_JOB_ERROR
+ */
+export const STALE_JOB_MS = 60 * 1000;
+export const STALE_JOB_ERROR = 'Run stopped before finishing';
+
+/**
+ * Jobs started before this time and still running are stale
+ * @param {Date} [now]
+ * @returns {string} - ISO timestamp
+ */
+export function staleJobCutoff(now = new Date()) {
+  return new Date(now.getTime() - STALE_JOB_MS).toISOString();
+}
+
+/**
+ * Outcome of one keyword (or keyword target) in an enrichment run
+ * @param {object} keyword - Keyword or target ({ id, keyword_text, country, project_id,
+ *   target_id?, location?, device? }); id is null for keywords not in the database
+ * @param {object} fields - { status: 'succeeded' | 'failed', error?, rows_written?, snapshot_id? }
+ * @returns {object} - enrichment_job_items row (without job_id)
+ */
+export function keywordOutcome(keyword, fields) {
+  return {
+    keyword_id: keyword.id ?? null,
+    target_id: keyword.target_id ?? null,
+    project_id: keyword.project_id ?? null,
+    keyword_text: keyword.keyword_text,
+    country: keyword.country ?? null,
+    location: keyword.location ?? null,
+    device: keyword.device ?? null,
+    error: null,
+    rows_written: 0,
+    ...fields
+  };
+}
+
+/**
+ * Outcome of every requested keyword in a metrics run
+ * @param {Array} keywords - Requested keywords
+ * Results are matched by keyword ID, since two projects' keywords can share
+ * a text; keywords not in the database (no ID) by country and text
+ * @param {Array} results - Saved metrics ({ keyword, keyword_id, country, error? }) from saveKeywordMetrics
+ * @param {Array} errors - Countries that failed ({ country, error })
+ * @returns {Array} - Outcomes from keywordOutcome
+ */
+export function metricsOutcomes(keywords, results, errors) {
+  const resultKey = (id, country, text) => id ?? `${country}|${text.toLowerCase()}`;
+  const saved = new Map(results.map(r => [resultKey(r.keyword_id, r.country, r.keyword), r]));
+  const failedCountries = new Map(errors.map(e => [e.country, e.error]));
+
+  return keywords.map(keyword => {
+    const result = saved.get(resultKey(keyword.id, keyword.country, keyword.keyword_text));
+
+    if (result && !result.error) {
+      return keywordOutcome(keyword, { status: 'succeeded', rows_written: keyword.id ? 1 : 0 });
+    }
+
+    return keywordOutcome(keyword, {
+      status: 'failed',
+      error: result?.error
+        || failedCountries.get(keyword.country)
+        || 'No metrics returned by DataForSEO'
+    });
+  });
+}
+
+/**
+ * Mark every requested keyword failed, when a run throws before finishing
+ * @param {Array} keywords - Requested keywords or targets
+ * @param {string} error - Reason
+ * @returns {Array} - Outcomes from keywordOutcome
+ */
+export function failedOutcomes(keywords, error) {
+  return keywords.map(keyword => keywordOutcome(keyword, { status: 'failed', error }));
+}
+
+/**
+ * Totals and final status for a finished job
+ * @param {Array} outcomes - Outcomes from keywordOutcome
+ * @returns {object} - { requested, succeeded, failed, rows_written, status }
+ */
+export function summarizeOutcomes(outcomes) {
+  const succeeded = outcomes.filter(o => o.status === 'succeeded').length;
+  const failed = outcomes.length - succeeded;
+
+  let status = 'completed';
+  if (failed > 0) status = succeeded > 0 ? 'partial' : 'failed';
+
+  return {
+    requested: outcomes.length,
+    succeeded,
+    failed,
+    rows_written: outcomes.reduce((sum, o) => sum + (o.rows_written || 0), 0),
+    status
+  };
+}
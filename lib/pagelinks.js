@@ -0,0 +1,53 @@
+import { supabase, selectAll } from './supabase.js';
+import { mapSupabaseError } from './errors.js';
+import { buildPageLinks } from './links.js';
+
+/**
+ * Rebuild a project's page_links from every page's parent_page, sibling_links
+ * and cross_cluster_links text. A full rebuild keeps name references correct
+ * when the page they point at is created or renamed later. The old links
+ * are swapped for the new ones in one transaction (replace_page_links).
+ * @param {object} project - projects row; links only resolve within a project
+ * @returns {Promise<object>} - { links, broken }
+ */
+export async function syncPageLinks(project) {
+  const { data: pages, error: pageError } = await selectAll(() => supabase
+    .from('pages')
+    .select('id, page_name, url, parent_page, sibling_links, cross_cluster_links')
+    .eq('project_id', project.id)
+    .order('id'));
+
+  if (pageError) {
+    throw mapSupabaseError(pageError, 'select');
+  }
+
+  const links = buildPageLinks(pages);
+
+  const { error: rpcError } = await supabase.rpc('replace_page_links', {
+    target_project: project.id,
+    links
+  });
+
+  if (rpcError) {
+    throw mapSupabaseError(rpcError, 'insert');
+  }
+
+  return {
+    links: links.length,
+    broken: links.filter(link => !link.target_page_id).length
+  };
+}
+
+/**
+ * Rebuild page_links after a page write without failing the request
+ * @param {object} project - projects row
+ * @returns {Promise<object|null>} - syncPageLinks result, or null on failure
+ */
+export async function syncPageLinksSafely(project) {
+  try {
+    return await syncPageLinks(project);
+  } catch (err) {
+    console.error('Page link sync failed:', err);
+    return null;
+  }
+}
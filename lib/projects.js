@@ -0,0 +1,166 @@
+import { supabase } from './supabase.js';
+import { ValidationError, NotFoundError, mapSupabaseError } from './errors.js';
+import { validateType, validateEnum, validateUuid, UUID_PATTERN } from './validate.js';
+import { normalizeDomainList } from './domains.js';
+import { supportedCountries } from './locales.js';
+import { loadLocations } from './locations.js';
+import { opportunityWeights } from './opportunity.js';
+
+export const DEFAULT_PROJECT_SLUG = 'hoxton';
+
+/**
+ * Project slug or ID a request is scoped to
+ * `x-project` header, then `?project=`, then DEFAULT_PROJECT, then 'hoxton'
+ */
+export function requestedProject(req) {
+  return req.headers?.['x-project']
+    || req.query?.project
+    || process.env.DEFAULT_PROJECT
+    || DEFAULT_PROJECT_SLUG;
+}
+
+/**
+ * Load a project by slug or ID
+ * @param {string} ref - Slug or UUID
+ * @returns {Promise<object>} - projects row
+ * @throws {NotFoundError} - Unknown project
+ */
+export async function getProject(ref) {
+  const { data, error: dbError } = await supabase
+    .from('projects')
+    .select('*')
+    .eq(UUID_PATTERN.test(ref) ? 'id' : 'slug', ref)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Project');
+  }
+
+  return data;
+}
+
+/**
+ * The project a request is scoped to
+ * @param {object} req - Request object
+ * @returns {Promise<object>} - projects row
+ */
+export async function resolveProject(req) {
+  return getProject(requestedProject(req));
+}
+
+/**
+ * Every project, for jobs that run across all of them
+ * @returns {Promise<Map>} - project ID => projects row
+ */
+export async function loadProjects() {
+  const { data, error: dbError } = await supabase
+    .from('projects')
+    .select('*')
+    .order('created_at');
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return new Map(data.map(project => [project.id, project]));
+}
+
+/**
+ * Countries with an active default location in the locations table
+ * @returns {Promise<string[]>}
+ */
+export async function loadSupportedCountries() {
+  return supportedCountries(await loadLocations());
+}
+
+/**
+ * Countries keywords can be tracked in for a project
+ * Projects without a country list accept every supported country
+ * @param {object} project - projects row
+ * @returns {Promise<string[]>}
+ */
+export async function projectCountries(project) {
+  return project.countries?.length ? project.countries : loadSupportedCountries();
+}
+
+/**
+ * Check that referenced rows (pages, keywords, competitors) belong to a project
+ * Foreign keys only check that the row exists, not which project it is in
+ * @param {object} project - projects row
+ * @param {string} table - Table with a project_id column
+ * @param {Array} ids - Row IDs; null and undefined are skipped
+ * @param {string} field - Request field, for the error
+ * @throws {ValidationError} - An ID is not a UUID or is not in the project
+ */
+export async function assertInProject(project, table, ids, field) {
+  const wanted = [...new Set(ids.filter(id => id !== null && id !== undefined))];
+  if (wanted.length === 0) return;
+
+  wanted.forEach(id => validateUuid(id, field));
+
+  const { data, error: dbError } = await supabase
+    .from(table)
+    .select('id')
+    .in('id', wanted)
+    .eq('project_id', project.id);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  const found = new Set(data.map(row => row.id));
+  const missing = wanted.filter(id => !found.has(id.toLowerCase()));
+
+  if (missing.length > 0) {
+    throw new ValidationError(`${field} must reference ${table} in this project`, {
+      field,
+      missing
+    });
+  }
+}
+
+/**
+ * Validate the writable project fields present in a body
+ * @param {object} body - Request body
+ * @param {string[]} supported - Countries with a configured location
+ * @returns {object} - Columns to write
+ */
+export function prepareProjectFields(body, supported) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw new ValidationError('name cannot be empty', { field: 'name' });
+    }
+    fields.name = body.name.trim();
+  }
+
+  if (body.domains !== undefined) {
+    fields.domains = normalizeDomainList(body.domains);
+  }
+
+  if (body.countries !== undefined) {
+    validateType(body.countries, 'countries', 'array');
+    fields.countries = [...new Set(body.countries.map(country => String(country).toUpperCase()))];
+    fields.countries.forEach(country => validateEnum(country, 'countries', supported));
+  }
+
+  for (const field of ['site_url', 'gsc_site_url']) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] !== null) validateType(body[field], field, 'string');
+    fields[field] = body[field] || null;
+  }
+
+  // Only the overrides are stored, so later changes to the defaults still apply
+  if (body.opportunity_weights !== undefined) {
+    fields.opportunity_weights = body.opportunity_weights || {};
+    opportunityWeights(fields.opportunity_weights);
+  }
+
+  return fields;
+}
@@ -0,0 +1,60 @@
+/**
+ * Position thresholds used for movement flags
+ */
+export const TOP_10 = 10;
+export const TOP_100 = 100;
+
+/**
+ * Check whether a position falls inside a threshold
+ * A null position means the keyword was not ranking
+ */
+function isWithin(position, threshold) {
+  return position !== null && position !== undefined && position <= threshold;
+}
+
+/**
+ * Summarise a keyword's ranking history
+ * @param {Array} history - [{ fetched_at, position, url }] in any order
+ * @returns {object} - Current/previous position, delta, best/worst and movement flags
+ */
+export function summarizeRankingHistory(history) {
+  const sorted = [...history].sort(
+    (a, b) => new Date(a.fetched_at) - new Date(b.fetched_at)
+  );
+
+  const current = sorted[sorted.length - 1] || null;
+  const previous = sorted.length > 1 ? sorted[sorted.length - 2] : null;
+
+  const currentPosition = current?.position ?? null;
+  const previousPosition = previous?.position ?? null;
+
+  const ranked = sorted
+    .map(entry => entry.position)
+    .filter(position => position !== null && position !== undefined);
+
+  // Positive delta means the keyword moved up the SERP
+  const delta = currentPosition !== null && previousPosition !== null
+    ? previousPosition - currentPosition
+    : null;
+
+  const hasPrevious = previous !== null;
+
+  return {
+    current_position: currentPosition,
+    previous_position: previousPosition,
+    delta,
+    best_position: ranked.length > 0 ? Math.min(...ranked) : null,
+    worst_position: ranked.length > 0 ? Math.max(...ranked) : null,
+    current_url: current?.url ?? null,
+    last_checked: current?.fetched_at ?? null,
+    entered_top_10: hasPrevious && !isWithin(previousPosition, TOP_10) && isWithin(currentPosition, TOP_10),
+    dropped_out_top_10: hasPrevious && isWithin(previousPosition, TOP_10) && !isWithin(currentPosition, TOP_10),
+    entered_top_100: hasPrevious && !isWithin(previousPosition, TOP_100) && isWithin(currentPosition, TOP_100),
+    dropped_out_top_100: hasPrevious && isWithin(previousPosition, TOP_100) && !isWithin(currentPosition, TOP_100),
+    history: sorted.map(entry => ({
+      fetched_at: entry.fetched_at,
+      position: entry.position ?? null,
+      url: entry.url ?? null
+    }))
+  };
+}
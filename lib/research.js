@@ -0,0 +1,75 @@
+/**
+ * Where researched keywords come from
+ *   - related: "searches related to" the seed (Labs related_keywords)
+ *   - suggestions: long-tail keywords containing the seed (Labs keyword_suggestions)
+ *   - questions: suggestions phrased as a question
+ */
+export const RESEARCH_SOURCES = ['related', 'suggestions', 'questions'];
+
+const QUESTION_WORDS = [
+  'how', 'what', 'why', 'when', 'where', 'who', 'which', 'whose',
+  'can', 'is', 'are', 'do', 'does', 'should', 'will', 'would', 'could'
+];
+
+const QUESTION_PATTERN = new RegExp(`^(${QUESTION_WORDS.join('|')})\\s`, 'i');
+
+/**
+ * Check whether a keyword is phrased as a question
+ */
+export function isQuestion(keyword) {
+  return QUESTION_PATTERN.test((keyword || '').trim());
+}
+
+/**
+ * Labs filter that limits keyword_suggestions to questions
+ */
+export function questionFilter() {
+  return ['keyword', 'regex', `^(${QUESTION_WORDS.join('|')}) `];
+}
+
+/**
+ * Merge keywords from every research source into one list
+ * @param {object} resultsBySource - { related: [...], suggestions: [...], questions: [...] },
+ *   each item from mapLabsKeyword
+ * @param {Set} tracked - Lowercased keyword_text already in keywords for the country
+ * @param {object} [options]
+ * @param {number} [options.minVolume] - Drop keywords below this search volume
+ * @param {boolean} [options.includeTracked] - Keep tracked keywords, flagged tracked: true
+ * @returns {object} - { keywords, tracked_count }, keywords sorted by volume, unknown volume last
+ */
+export function mergeResearchResults(resultsBySource, tracked, options = {}) {
+  const { minVolume = 0, includeTracked = false } = options;
+  const merged = new Map();
+
+  for (const source of RESEARCH_SOURCES) {
+    for (const item of resultsBySource[source] || []) {
+      const keyword = (item.keyword || '').trim().toLowerCase();
+      if (!keyword) continue;
+
+      if (!merged.has(keyword)) {
+        merged.set(keyword, {
+          keyword,
+          search_volume: item.search_volume,
+          difficulty: item.difficulty,
+          cpc: item.cpc,
+          competition: item.competition,
+          is_question: isQuestion(keyword),
+          tracked: tracked.has(keyword),
+          sources: []
+        });
+      }
+
+      const entry = merged.get(keyword);
+      if (!entry.sources.includes(source)) entry.sources.push(source);
+    }
+  }
+
+  const all = [...merged.values()].filter(entry => (entry.search_volume ?? 0) >= minVolume);
+
+  return {
+    keywords: all
+      .filter(entry => includeTracked || !entry.tracked)
+      .sort((a, b) => (b.search_volume ?? -1) - (a.search_volume ?? -1) || a.keyword.localeCompare(b.keyword)),
+    tracked_count: all.filter(entry => entry.tracked).length
+  };
+}
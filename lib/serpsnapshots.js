@@ -0,0 +1,106 @@
+import { supabase } from './supabase.js';
+import { NotFoundError, mapSupabaseError } from './errors.js';
+
+/**
+ * Snapshot columns with the keyword and target they belong to
+ * Filter on keywords.project_id to scope a query to a project
+ */
+export const SNAPSHOT_SELECT = 'id, keyword_id, target_id, source, job_id, results_count, owned_position, fetched_at, '
+  + 'keywords!inner(project_id, keyword_text, country), '
+  + 'keyword_targets!inner(is_primary, device, location_id, locations(code))';
+
+/**
+ * Flatten a snapshot row's keyword and target joins
+ */
+export function toSnapshot(row) {
+  const { keywords: keyword, keyword_targets: target, ...snapshot } = row;
+
+  return {
+    ...snapshot,
+    keyword_text: keyword.keyword_text,
+    country: keyword.country,
+    location: target.locations?.code ?? null,
+    device: target.device,
+    is_primary: target.is_primary
+  };
+}
+
+/**
+ * Load a snapshot within the project
+ * @throws {NotFoundError}
+ */
+export async function getSnapshot(id, project) {
+  const { data, error: dbError } = await supabase
+    .from('serp_snapshots')
+    .select(SNAPSHOT_SELECT)
+    .eq('id', id)
+    .eq('keywords.project_id', project.id)
+    .maybeSingle();
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  if (!data) {
+    throw new NotFoundError('SERP snapshot');
+  }
+
+  return toSnapshot(data);
+}
+
+/**
+ * Latest snapshot of a target, optionally fetched before a point in time
+ * @param {string} targetId - keyword_targets ID
+ * @param {object} project - From resolveProject
+ * @param {object} [options]
+ * @param {string} [options.before] - ISO timestamp the snapshot must predate
+ * @param {string} [options.atOrBefore] - ISO timestamp the snapshot cannot be after
+ * @returns {Promise<object|null>}
+ */
+export async function findLatestSnapshot(targetId, project, options = {}) {
+  let query = supabase
+    .from('serp_snapshots')
+    .select(SNAPSHOT_SELECT)
+    .eq('target_id', targetId)
+    .eq('keywords.project_id', project.id);
+
+  if (options.before) query = query.lt('fetched_at', options.before);
+  if (options.atOrBefore) query = query.lte('fetched_at', options.atOrBefore);
+
+  const { data, error: dbError } = await query
+    .order('fetched_at', { ascending: false })
+    .limit(1);
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data.length > 0 ? toSnapshot(data[0]) : null;
+}
+
+/**
+ * Add a snapshot's organic rankings and SERP features
+ * A snapshot holds at most 100 rankings, so one request per table is enough
+ * @returns {Promise<object>} - The snapshot with rankings and features, by position
+ */
+export async function withSnapshotRows(snapshot) {
+  const [rankings, features] = await Promise.all([
+    supabase
+      .from('serp_rankings')
+      .select('position, url, domain, title, is_owned')
+      .eq('snapshot_id', snapshot.id)
+      .order('position'),
+    supabase
+      .from('serp_features')
+      .select('feature_type, position, title, urls, questions, is_owned, owned_url')
+      .eq('snapshot_id', snapshot.id)
+      .order('position')
+  ]);
+
+  const dbError = rankings.error || features.error;
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return { ...snapshot, rankings: rankings.data, features: features.data };
+}
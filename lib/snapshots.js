@@ -0,0 +1,112 @@
+import { normalizeSerpUrl } from './clustering.js';
+
+/**
+ * Key a ranking URL for diffs: host and path as in clustering, plus the query,
+ * since `?id=1` and `?id=2` can be different pages. The #fragment is dropped
+ */
+function urlKey(url) {
+  try {
+    return `${normalizeSerpUrl(url)}${new URL(url).search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Best position of each URL in a snapshot's rankings
+ * A URL can appear more than once (e.g. an organic result and a sitelink),
+ * and differ only in protocol, www, trailing slash or fragment between fetches;
+ * the highest placement counts
+ * @param {Array} rankings - [{ position, url, domain }]
+ * @returns {Map} - normalised url => { url, domain, position }
+ */
+function rankingsByUrl(rankings) {
+  const byUrl = new Map();
+
+  for (const ranking of rankings || []) {
+    if (!ranking.url) continue;
+
+    const key = urlKey(ranking.url);
+    const existing = byUrl.get(key);
+    if (!existing || ranking.position < existing.position) {
+      byUrl.set(key, { url: ranking.url, domain: ranking.domain ?? null, position: ranking.position });
+    }
+  }
+
+  return byUrl;
+}
+
+/**
+ * Compare two SERP snapshots of the same keyword
+ * @param {object} before - Earlier snapshot: { owned_position, rankings: [{ position, url, domain }],
+ *   features: [{ feature_type }] }
+ * @param {object} after - Later snapshot, same shape
+ * @returns {object} - {
+ *   entered: [{ url, domain, position }],                         // in after only, by position
+ *   left: [{ url, domain, previous_position }],                   // in before only, by previous position
+ *   moved: [{ url, domain, previous_position, position, change }], // biggest moves first
+ *   unchanged,                                                    // URLs at the same position
+ *   owned: { previous_position, position, change },
+ *   features: { entered: [feature_type], left: [feature_type] }
+ * }
+ * A positive change means the URL moved up the SERP, as in summarizeRankingHistory
+ */
+export function diffSnapshots(before, after) {
+  const previous = rankingsByUrl(before.rankings);
+  const current = rankingsByUrl(after.rankings);
+
+  const entered = [];
+  const left = [];
+  const moved = [];
+  let unchanged = 0;
+
+  for (const [key, ranking] of current) {
+    const earlier = previous.get(key);
+
+    if (!earlier) {
+      entered.push(ranking);
+    } else if (earlier.position === ranking.position) {
+      unchanged++;
+    } else {
+      moved.push({
+        url: ranking.url,
+        domain: ranking.domain,
+        previous_position: earlier.position,
+        position: ranking.position,
+        change: earlier.position - ranking.position
+      });
+    }
+  }
+
+  for (const [key, ranking] of previous) {
+    if (!current.has(key)) {
+      left.push({ url: ranking.url, domain: ranking.domain, previous_position: ranking.position });
+    }
+  }
+
+  entered.sort((a, b) => a.position - b.position);
+  left.sort((a, b) => a.previous_position - b.previous_position);
+  moved.sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || a.position - b.position);
+
+  const previousFeatures = new Set((before.features || []).map(f => f.feature_type));
+  const currentFeatures = new Set((after.features || []).map(f => f.feature_type));
+
+  const ownedBefore = before.owned_position ?? null;
+  const ownedAfter = after.owned_position ?? null;
+
+  return {
+    entered,
+    left,
+    moved,
+    unchanged,
+    owned: {
+      previous_position: ownedBefore,
+      position: ownedAfter,
+      change: ownedBefore !== null && ownedAfter !== null ? ownedBefore - ownedAfter : null
+    },
+    features: {
+      entered: [...currentFeatures].filter(type => !previousFeatures.has(type)).sort(),
+      left: [...previousFeatures].filter(type => !currentFeatures.has(type)).sort()
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { mapSupabaseError } from './errors.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_KEY;
@@ -8,3 +9,52 @@ if (!supabaseUrl || !supabaseKey) {
 }
 
 export const supabase = createClient(supabaseUrl, supabaseKey);
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row of a query, paging past the PostgREST row cap
+ * @param {Function} buildQuery - Returns a fresh filtered query builder
+ * @returns {Promise<object>} - { data, error } like a single Supabase query
+ */
+export async function selectAll(buildQuery) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+}
+
+/**
+ * Iterate a query one page at a time, for streaming large result sets
+ * @param {Function} buildQuery - Returns a fresh filtered query builder (with a stable order)
+ * @yields {Array} - Up to 1000 rows per page
+ * @throws {AppError} - Mapped error of a failed page
+ */
+export async function* selectPages(buildQuery) {
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw mapSupabaseError(error, 'select');
+    }
+
+    if (data.length > 0) {
+      yield data;
+    }
+
+    if (data.length < PAGE_SIZE) {
+      return;
+    }
+  }
+}
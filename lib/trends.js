@@ -0,0 +1,207 @@
+/**
+ * Calendar month names, for seasonality output
+ */
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// A calendar month is a peak when its volume is this far above the average
+// (1.2 = 20% above), and a low when this far below
+export const PEAK_INDEX = 1.2;
+export const LOW_INDEX = 0.8;
+
+// Recent change (last 3 months vs the 3 before) needed to call a trend rising or falling
+export const TREND_THRESHOLD = 0.1;
+
+const TREND_WINDOW = 3;
+
+/**
+ * Percentage change, or null when there is nothing to compare against
+ */
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Number((((current - previous) / previous) * 100).toFixed(1));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * YYYY-MM key a number of months before another
+ */
+function shiftMonth(month, offset) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + offset, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * keyword_monthly_searches rows from a DataForSEO monthly_searches array
+ * Months DataForSEO has no volume for are left out
+ * @param {string} keywordId - Keyword the volumes belong to
+ * @param {Array} monthlySearches - [{ year, month, search_volume }]
+ * @returns {Array} - [{ keyword_id, month: 'YYYY-MM-01', search_volume }]
+ */
+export function monthlySearchRows(keywordId, monthlySearches) {
+  return (monthlySearches || [])
+    .filter(entry => entry?.year && entry?.month && Number.isFinite(entry.search_volume))
+    .map(entry => ({
+      keyword_id: keywordId,
+      month: `${entry.year}-${String(entry.month).padStart(2, '0')}-01`,
+      search_volume: entry.search_volume
+    }));
+}
+
+/**
+ * Sorted monthly series from stored rows
+ * @param {Array} rows - [{ month: 'YYYY-MM-DD', search_volume }]
+ * @returns {Array} - [{ month: 'YYYY-MM', search_volume }], oldest first, one entry per month
+ */
+export function toSeries(rows) {
+  const byMonth = new Map();
+
+  for (const row of rows) {
+    byMonth.set(String(row.month).slice(0, 7), row.search_volume);
+  }
+
+  return [...byMonth.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, search_volume]) => ({ month, search_volume }));
+}
+
+/**
+ * Sum several keywords' series month by month, e.g. for a cluster
+ * Only months every keyword has a volume for are kept, so a keyword whose
+ * data starts or stops part way through does not show up as a rise or drop
+ * @param {Array} seriesList - Series from toSeries
+ * @returns {Array} - Combined series, oldest first
+ */
+export function aggregateSeries(seriesList) {
+  const totals = new Map();
+
+  for (const series of seriesList) {
+    for (const { month, search_volume } of series) {
+      const total = totals.get(month) || { search_volume: 0, keywords: 0 };
+      total.search_volume += search_volume;
+      total.keywords++;
+      totals.set(month, total);
+    }
+  }
+
+  return toSeries([...totals.entries()]
+    .filter(([, total]) => total.keywords === seriesList.length)
+    .map(([month, total]) => ({ month, search_volume: total.search_volume })));
+}
+
+/**
+ * Seasonal index per calendar month: its average volume over the average of every month
+ * Needs a full year of data
+ * @param {Array} series - Series from toSeries
+ * @returns {object|null} - { by_month: [{ month: 1-12, name, index }], peak_months, low_months }
+ */
+export function seasonality(series) {
+  if (series.length < 12) return null;
+
+  const byCalendarMonth = Array.from({ length: 12 }, () => []);
+  for (const { month, search_volume } of series) {
+    byCalendarMonth[Number(month.slice(5, 7)) - 1].push(search_volume);
+  }
+
+  // Average each calendar month first so months seen twice don't count double
+  const monthAverages = byCalendarMonth.map(volumes => (volumes.length ? sum(volumes) / volumes.length : null));
+  const known = monthAverages.filter(average => average !== null);
+  const overall = sum(known) / known.length;
+
+  if (known.length < 12 || overall === 0) return null;
+
+  const byMonth = monthAverages.map((average, index) => ({
+    month: index + 1,
+    name: MONTH_NAMES[index],
+    index: Number((average / overall).toFixed(2))
+  }));
+
+  return {
+    by_month: byMonth,
+    peak_months: byMonth
+      .filter(entry => entry.index >= PEAK_INDEX)
+      .sort((a, b) => b.index - a.index)
+      .map(entry => entry.name),
+    low_months: byMonth
+      .filter(entry => entry.index <= LOW_INDEX)
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.name)
+  };
+}
+
+/**
+ * Trend, year-over-year change and seasonality of a monthly series
+ * @param {Array} series - Series from toSeries
+ * @returns {object} - {
+ *   months, latest_month, latest_volume,
+ *   average_volume,                                   // last 12 months
+ *   trend: { direction: 'rising' | 'falling' | 'stable', change_percent } | null,
+ *   yoy: { month, search_volume, previous_search_volume, change_percent } | null,
+ *   yoy_12m: { total, previous_total, change_percent } | null,
+ *   seasonality                                       // see seasonality()
+ * }
+ */
+export function summarizeTrend(series) {
+  if (series.length === 0) {
+    return {
+      months: 0,
+      latest_month: null,
+      latest_volume: null,
+      average_volume: null,
+      trend: null,
+      yoy: null,
+      yoy_12m: null,
+      seasonality: null
+    };
+  }
+
+  const volumes = new Map(series.map(entry => [entry.month, entry.search_volume]));
+  const latest = series[series.length - 1];
+  const lastYear = series.slice(-12).map(entry => entry.search_volume);
+
+  let trend = null;
+  if (series.length >= TREND_WINDOW * 2) {
+    const recent = sum(series.slice(-TREND_WINDOW).map(entry => entry.search_volume));
+    const before = sum(series.slice(-TREND_WINDOW * 2, -TREND_WINDOW).map(entry => entry.search_volume));
+    const changePercent = percentChange(recent, before);
+
+    let direction = 'stable';
+    if (changePercent !== null && changePercent >= TREND_THRESHOLD * 100) direction = 'rising';
+    if (changePercent !== null && changePercent <= -TREND_THRESHOLD * 100) direction = 'falling';
+
+    trend = { direction, change_percent: changePercent };
+  }
+
+  const previousMonth = shiftMonth(latest.month, -12);
+  const yoy = volumes.has(previousMonth)
+    ? {
+      month: latest.month,
+      search_volume: latest.search_volume,
+      previous_search_volume: volumes.get(previousMonth),
+      change_percent: percentChange(latest.search_volume, volumes.get(previousMonth))
+    }
+    : null;
+
+  // Rolling year against the year before, only when both are complete
+  const months = Array.from({ length: 24 }, (_, i) => shiftMonth(latest.month, -i));
+  let yoy12m = null;
+  if (months.every(month => volumes.has(month))) {
+    const total = sum(months.slice(0, 12).map(month => volumes.get(month)));
+    const previousTotal = sum(months.slice(12).map(month => volumes.get(month)));
+    yoy12m = { total, previous_total: previousTotal, change_percent: percentChange(total, previousTotal) };
+  }
+
+  return {
+    months: series.length,
+    latest_month: latest.month,
+    latest_volume: latest.search_volume,
+    average_volume: Math.round(sum(lastYear) / lastYear.length),
+    trend,
+    yoy,
+    yoy_12m: yoy12m,
+    seasonality: seasonality(series)
+  };
+}
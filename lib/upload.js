@@ -0,0 +1,201 @@
+import Busboy from 'busboy';
+import { ValidationError } from './errors.js';
+import { validateRequired, validateType } from './validate.js';
+import { parseCsv, parseXlsx, rowsToRecords, MAX_IMPORT_ROWS } from './import.js';
+
+// Vercel rejects request bodies over 4.5MB
+const MAX_UPLOAD_BYTES = 4.5 * 1024 * 1024;
+
+const FILE_CONTENT_TYPES = [
+  'text/csv',
+  'text/plain',
+  'application/octet-stream',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+/**
+ * Read an import request in any supported shape:
+ *   - multipart/form-data with a `file` field (CSV or XLSX) plus option fields
+ *   - a raw CSV or XLSX body (options in the query string)
+ *   - JSON with an array of records under `jsonField` (options in the body)
+ *
+ * Options: dry_run, mapping ({ field: 'Header in file' }, object or JSON string), sheet.
+ * Every other option is passed through in options.params (e.g. default country).
+ *
+ * @param {object} req - Request
+ * @param {string} jsonField - Body field holding JSON records ('pages', 'keywords')
+ * @param {object} columns - PAGE_COLUMNS or KEYWORD_COLUMNS
+ * @returns {Promise<object>} - { records: [{ row, record }], options, source }
+ */
+export async function readImportRequest(req, jsonField, columns) {
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const { file, fields } = await readMultipart(req);
+
+    if (!file) {
+      throw new ValidationError('Missing required field(s): file', { missing: ['file'] });
+    }
+
+    const options = parseImportOptions({ ...req.query, ...fields });
+    const rows = await parseUpload(file.buffer, file.filename, options.sheet);
+
+    return {
+      records: rowsToRecords(rows, columns, options.mapping),
+      options,
+      source: file.filename || 'upload'
+    };
+  }
+
+  if (FILE_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+    const options = parseImportOptions(req.query);
+    const buffer = await readRawBody(req);
+    const rows = await parseUpload(buffer, req.query.filename, options.sheet);
+
+    return {
+      records: rowsToRecords(rows, columns, options.mapping),
+      options,
+      source: req.query.filename || 'upload'
+    };
+  }
+
+  const body = req.body || {};
+  validateRequired(body, [jsonField]);
+  validateType(body[jsonField], jsonField, 'array');
+
+  if (body[jsonField].length === 0) {
+    throw new ValidationError(`${jsonField} array cannot be empty`);
+  }
+
+  if (body[jsonField].length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(`Maximum ${MAX_IMPORT_ROWS} rows per import`, {
+      received: body[jsonField].length,
+      maximum: MAX_IMPORT_ROWS
+    });
+  }
+
+  return {
+    records: body[jsonField].map((record, i) => ({ row: i + 1, record: record ?? {} })),
+    options: parseImportOptions({ ...req.query, ...body }),
+    source: 'json'
+  };
+}
+
+/**
+ * Normalise import options from query params, form fields or a JSON body
+ */
+export function parseImportOptions(input) {
+  let mapping = input.mapping ?? {};
+
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch {
+      throw new ValidationError('Invalid type for mapping', {
+        field: 'mapping', expected: 'JSON object', received: 'string'
+      });
+    }
+  }
+
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new ValidationError('Invalid type for mapping', {
+      field: 'mapping', expected: 'object', received: Array.isArray(mapping) ? 'array' : typeof mapping
+    });
+  }
+
+  return {
+    dryRun: input.dry_run === true || input.dry_run === 'true',
+    mapping,
+    sheet: input.sheet || undefined,
+    params: input
+  };
+}
+
+/**
+ * Parse an uploaded file as XLSX (zip signature or .xlsx name) or CSV
+ */
+async function parseUpload(buffer, filename = '', sheet) {
+  if (buffer.length === 0) {
+    throw new ValidationError('Uploaded file is empty');
+  }
+
+  const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+  if (isZip || /\.xlsx$/i.test(filename)) {
+    return parseXlsx(buffer, sheet);
+  }
+
+  if (/\.xls$/i.test(filename)) {
+    throw new ValidationError('Legacy .xls files are not supported; save as .xlsx or .csv');
+  }
+
+  return parseCsv(buffer.toString('utf8'));
+}
+
+/**
+ * Collect a multipart body: the first file plus any text fields
+ */
+function readMultipart(req) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+
+    try {
+      busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (err) {
+      reject(new ValidationError('Invalid multipart body', { reason: err.message }));
+      return;
+    }
+
+    const fields = {};
+    let file = null;
+
+    busboy.on('file', (name, stream, info) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => {
+        reject(new ValidationError('File too large', { maximum_bytes: MAX_UPLOAD_BYTES }));
+      });
+      stream.on('end', () => {
+        file = { filename: info.filename, buffer: Buffer.concat(chunks) };
+      });
+    });
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on('close', () => resolve({ file, fields }));
+    busboy.on('error', err => {
+      reject(new ValidationError('Invalid multipart body', { reason: err.message }));
+    });
+
+    // Vercel may have buffered the body already
+    if (Buffer.isBuffer(req.body)) {
+      busboy.end(req.body);
+    } else {
+      req.pipe(busboy);
+    }
+  });
+}
+
+/**
+ * Collect a raw request body, or use one the runtime already buffered
+ */
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body);
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) {
+      throw new ValidationError('File too large', { maximum_bytes: MAX_UPLOAD_BYTES });
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
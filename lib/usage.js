@@ -0,0 +1,115 @@
+import { supabase } from './supabase.js';
+import { BudgetExceededError, mapSupabaseError } from './errors.js';
+
+/**
+ * Approximate DataForSEO cost (USD) per unit, used only for the
+ * pre-flight budget check. Actual costs are logged from API responses.
+ *   - *_live / *_task for keyword metrics: per task (one per country)
+ *   - *_live / *_task for SERP: per keyword
+ *   - labs: per DataForSEO Labs request
+ */
+export const ESTIMATED_COSTS = {
+  keyword_metrics_live: 0.075,
+  keyword_metrics_task: 0.05,
+  serp_live: 0.002,
+  serp_task: 0.0012,
+  labs: 0.02
+};
+
+/**
+ * Estimate the cost of a planned DataForSEO call
+ * @param {string} kind - Key of ESTIMATED_COSTS
+ * @param {number} units - Number of tasks or keywords
+ * @returns {number} - Estimated cost in USD
+ */
+export function estimateCost(kind, units) {
+  return (ESTIMATED_COSTS[kind] || 0) * units;
+}
+
+/**
+ * Build an onUsage callback that logs each DataForSEO call
+ * Logging failures are reported but never fail the enrichment itself
+ * @param {string} source - Route that triggered the call (e.g. '/api/enrich/serp')
+ * @param {object} [job] - enrichment_jobs row (see lib/jobs.js); its cost is added up as calls finish
+ * @returns {Function} - onUsage callback for lib/dataforseo.js
+ */
+export function recordUsage(source, job) {
+  return async ({ endpoint, cost, keyword_count, tasks_count }) => {
+    if (job) {
+      job.cost += cost;
+    }
+
+    const { error: dbError } = await supabase
+      .from('api_usage')
+      .insert({
+        service: 'dataforseo',
+        endpoint,
+        cost,
+        keyword_count,
+        tasks_count,
+        source: source || null,
+        job_id: job?.id || null
+      });
+
+    if (dbError) {
+      console.error('Failed to record API usage:', dbError);
+    }
+  };
+}
+
+/**
+ * Current month as YYYY-MM (UTC)
+ */
+export function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Get DataForSEO spend for the current month
+ * @returns {Promise<number>} - Cost in USD
+ */
+export async function getMonthToDateSpend() {
+  const { data, error: dbError } = await supabase
+    .from('api_usage_monthly')
+    .select('cost')
+    .eq('service', 'dataforseo')
+    .eq('month', currentMonth());
+
+  if (dbError) {
+    throw mapSupabaseError(dbError, 'select');
+  }
+
+  return data.reduce((sum, row) => sum + Number(row.cost || 0), 0);
+}
+
+/**
+ * Configured monthly budget in USD, or null when unlimited
+ */
+export function getMonthlyBudget() {
+  const budget = parseFloat(process.env.DATAFORSEO_MONTHLY_BUDGET);
+  return Number.isFinite(budget) ? budget : null;
+}
+
+/**
+ * Refuse work that would take this month's spend over budget
+ * @param {number} estimatedCost - Estimated cost of the planned calls
+ * @throws {BudgetExceededError}
+ */
+export async function assertWithinBudget(estimatedCost) {
+  const budget = getMonthlyBudget();
+
+  if (budget === null) {
+    return;
+  }
+
+  const spent = await getMonthToDateSpend();
+
+  if (spent + estimatedCost > budget) {
+    throw new BudgetExceededError({
+      month: currentMonth(),
+      budget,
+      spent: Number(spent.toFixed(4)),
+      estimated_cost: Number(estimatedCost.toFixed(4))
+    });
+  }
+}
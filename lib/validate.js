@@ -53,3 +53,105 @@ export function validateMethod(req, allowed) {
     );
   }
 }
+
+/**
+ * Validate that a value is a parseable date string
+ */
+export function validateDate(value, name) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw new ValidationError(
+      `Invalid date for ${name}`,
+      { field: name, expected: 'ISO 8601 date', received: value }
+    );
+  }
+}
+
+/**
+ * Any UUID, case-insensitive; also used to tell IDs from slugs and codes
+ */
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate that a value is a UUID, e.g. before it goes into a PostgREST filter string
+ */
+export function validateUuid(value, name) {
+  if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+    throw new ValidationError(
+      `Invalid value for ${name}`,
+      { field: name, expected: 'UUID', received: value }
+    );
+  }
+}
+
+/**
+ * Treat a date without a time as the whole day, for inclusive `to` bounds
+ * @param {string} value - Date (YYYY-MM-DD) or timestamp, already validated
+ * @returns {string} - ISO timestamp
+ */
+export function endOfDay(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? `${value}T23:59:59.999Z`
+    : new Date(value).toISOString();
+}
+
+/**
+ * Parse and validate a numeric query param
+ * @param {string|number} value - Raw value
+ * @param {string} name - Field name
+ * @param {object} [options]
+ * @param {number} [options.min] - Lowest allowed value
+ * @param {number} [options.max] - Highest allowed value
+ * @param {boolean} [options.integer] - Only whole numbers
+ * @returns {number}
+ */
+export function validateNumber(value, name, options = {}) {
+  const { min = -Infinity, max = Infinity, integer = false } = options;
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  if (typeof number !== 'number' || !Number.isFinite(number)
+    || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw new ValidationError(
+      `Invalid value for ${name}`,
+      {
+        field: name,
+        expected: integer ? 'integer' : 'number',
+        min: Number.isFinite(min) ? min : undefined,
+        max: Number.isFinite(max) ? max : undefined,
+        received: value
+      }
+    );
+  }
+
+  return number;
+}
+
+/**
+ * Pick the writable fields present in a PATCH body
+ * @param {object} body - Request body
+ * @param {string[]} allowed - Writable field names
+ * @returns {object} - Fields to update
+ */
+export function pickUpdates(body, allowed) {
+  const updates = {};
+
+  for (const field of allowed) {
+    if (body?.[field] !== undefined) updates[field] = body[field];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new ValidationError('No fields to update', { allowed });
+  }
+
+  return updates;
+}
+
+/**
+ * Clean a competitor domain (remove protocol and trailing slash)
+ */
+export function normalizeDomain(domain) {
+  return domain
+    .trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
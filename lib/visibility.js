@@ -0,0 +1,198 @@
+/**
+ * Estimated organic click-through rate by position (1-indexed)
+ * Positions 11-20 share a flat page-two rate; beyond 20 is treated as no clicks
+ */
+export const CTR_BY_POSITION = [
+  0.28, 0.15, 0.11, 0.08, 0.06, 0.05, 0.04, 0.03, 0.025, 0.02
+];
+export const PAGE_TWO_CTR = 0.01;
+
+// Entity ID for the project's own domains, alongside competitor IDs
+export const OWNED_ENTITY = 'owned';
+
+/**
+ * Estimated CTR for a ranking position
+ * @param {number|null} position - SERP position, null when not ranking
+ * @returns {number} - CTR between 0 and 1
+ */
+export function ctrForPosition(position) {
+  if (!position || position < 1) return 0;
+  if (position <= CTR_BY_POSITION.length) return CTR_BY_POSITION[position - 1];
+  if (position <= 20) return PAGE_TWO_CTR;
+  return 0;
+}
+
+/**
+ * Month key (YYYY-MM, UTC) for a timestamp
+ */
+export function monthKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+/**
+ * Round to 4 decimal places for API output
+ */
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Estimate traffic, visibility and share of voice per entity per month
+ *
+ * For each keyword and month only the latest SERP fetch counts, matched to
+ * positions by snapshot ID; an entity with no position in that snapshot is
+ * not ranking. An entity's estimated traffic is search_volume x CTR(best
+ * position) summed over keywords.
+ *   - visibility: traffic / total search volume of the tracked keywords
+ *   - share_of_voice: traffic / traffic of all entities combined
+ *
+ * @param {Array} keywords - [{ id, country, cluster, search_volume }]
+ * @param {Array} fetches - [{ keyword_id, snapshot_id, fetched_at }] one per SERP fetch
+ * @param {Array} positions - [{ keyword_id, snapshot_id, entity_id, position }]
+ * @param {string[]} [entityIds] - Entities to include in the summary even with no rankings
+ * @returns {object} - { summary, breakdown }
+ */
+export function computeVisibility(keywords, fetches, positions, entityIds = []) {
+  const keywordsById = new Map(keywords.map(k => [k.id, k]));
+
+  // Latest fetch per keyword per month
+  const latestFetch = new Map();
+  for (const fetch of fetches) {
+    if (!keywordsById.has(fetch.keyword_id)) continue;
+    const key = `${fetch.keyword_id}|${monthKey(fetch.fetched_at)}`;
+    const time = new Date(fetch.fetched_at).getTime();
+    if (!latestFetch.has(key) || latestFetch.get(key).time < time) {
+      latestFetch.set(key, { time, snapshot_id: fetch.snapshot_id });
+    }
+  }
+
+  const keyBySnapshot = new Map([...latestFetch].map(([key, fetch]) => [fetch.snapshot_id, key]));
+
+  // Best position per keyword, month and entity within the latest snapshot
+  const bestPosition = new Map();
+  for (const row of positions) {
+    if (row.position === null || row.position === undefined) continue;
+    const key = keyBySnapshot.get(row.snapshot_id);
+    if (key === undefined) continue;
+
+    const entityKey = `${key}|${row.entity_id}`;
+    if (!bestPosition.has(entityKey) || bestPosition.get(entityKey) > row.position) {
+      bestPosition.set(entityKey, row.position);
+    }
+  }
+
+  // Total search volume per month / cluster / country
+  const volume = new Map();
+  for (const key of latestFetch.keys()) {
+    const [keywordId, month] = key.split('|');
+    const keyword = keywordsById.get(keywordId);
+    const groupKey = `${month}|${keyword.cluster ?? ''}|${keyword.country}`;
+    volume.set(groupKey, (volume.get(groupKey) || 0) + (keyword.search_volume || 0));
+  }
+
+  // Estimated traffic per month / cluster / country / entity
+  const breakdownMap = new Map();
+  for (const [entityKey, position] of bestPosition) {
+    const [keywordId, month, entityId] = entityKey.split('|');
+    const keyword = keywordsById.get(keywordId);
+    const groupKey = `${month}|${keyword.cluster ?? ''}|${keyword.country}`;
+    const rowKey = `${groupKey}|${entityId}`;
+
+    if (!breakdownMap.has(rowKey)) {
+      breakdownMap.set(rowKey, {
+        month,
+        cluster: keyword.cluster ?? null,
+        country: keyword.country,
+        entity_id: entityId,
+        estimated_traffic: 0,
+        keywords_ranked: 0,
+        keywords_top_10: 0,
+        search_volume: volume.get(groupKey) || 0
+      });
+    }
+
+    const entry = breakdownMap.get(rowKey);
+    entry.estimated_traffic += (keyword.search_volume || 0) * ctrForPosition(position);
+    entry.keywords_ranked++;
+    if (position <= 10) entry.keywords_top_10++;
+  }
+
+  const breakdown = [...breakdownMap.values()];
+
+  // Traffic of all entities per group, for share of voice
+  const groupTraffic = new Map();
+  for (const entry of breakdown) {
+    const groupKey = `${entry.month}|${entry.cluster ?? ''}|${entry.country}`;
+    groupTraffic.set(groupKey, (groupTraffic.get(groupKey) || 0) + entry.estimated_traffic);
+  }
+
+  for (const entry of breakdown) {
+    const groupKey = `${entry.month}|${entry.cluster ?? ''}|${entry.country}`;
+    const total = groupTraffic.get(groupKey) || 0;
+    entry.visibility = entry.search_volume > 0 ? round(entry.estimated_traffic / entry.search_volume) : 0;
+    entry.share_of_voice = total > 0 ? round(entry.estimated_traffic / total) : 0;
+    entry.estimated_traffic = Math.round(entry.estimated_traffic);
+  }
+
+  // One number per entity per month
+  const monthVolume = new Map();
+  for (const [groupKey, value] of volume) {
+    const month = groupKey.split('|')[0];
+    monthVolume.set(month, (monthVolume.get(month) || 0) + value);
+  }
+
+  const summaryMap = new Map();
+  for (const entry of breakdown) {
+    const key = `${entry.month}|${entry.entity_id}`;
+    if (!summaryMap.has(key)) {
+      summaryMap.set(key, {
+        month: entry.month,
+        entity_id: entry.entity_id,
+        estimated_traffic: 0,
+        keywords_ranked: 0,
+        keywords_top_10: 0,
+        search_volume: monthVolume.get(entry.month) || 0
+      });
+    }
+    const summary = summaryMap.get(key);
+    summary.estimated_traffic += entry.estimated_traffic;
+    summary.keywords_ranked += entry.keywords_ranked;
+    summary.keywords_top_10 += entry.keywords_top_10;
+  }
+
+  for (const month of monthVolume.keys()) {
+    for (const entityId of entityIds) {
+      const key = `${month}|${entityId}`;
+      if (!summaryMap.has(key)) {
+        summaryMap.set(key, {
+          month,
+          entity_id: entityId,
+          estimated_traffic: 0,
+          keywords_ranked: 0,
+          keywords_top_10: 0,
+          search_volume: monthVolume.get(month)
+        });
+      }
+    }
+  }
+
+  const summary = [...summaryMap.values()];
+  const monthTraffic = new Map();
+  for (const entry of summary) {
+    monthTraffic.set(entry.month, (monthTraffic.get(entry.month) || 0) + entry.estimated_traffic);
+  }
+
+  for (const entry of summary) {
+    const total = monthTraffic.get(entry.month) || 0;
+    entry.visibility = entry.search_volume > 0 ? round(entry.estimated_traffic / entry.search_volume) : 0;
+    entry.share_of_voice = total > 0 ? round(entry.estimated_traffic / total) : 0;
+  }
+
+  const byMonthThenTraffic = (a, b) =>
+    a.month.localeCompare(b.month) || b.estimated_traffic - a.estimated_traffic;
+
+  return {
+    summary: summary.sort(byMonthThenTraffic),
+    breakdown: breakdown.sort(byMonthThenTraffic)
+  };
+}
@@ -0,0 +1,19 @@
+-- Hoxton SEO Platform - Ranking history
+-- Run this in Supabase SQL Editor after 001_initial_schema.sql
+
+-- =============================================
+-- VIEW: Hoxton position per keyword per SERP fetch
+-- One row for every fetch, with a NULL position
+-- when Hoxton did not appear in the results
+-- =============================================
+CREATE OR REPLACE VIEW hoxton_ranking_history AS
+SELECT
+  sr.keyword_id,
+  sr.fetched_at,
+  MIN(sr.position) FILTER (WHERE sr.is_hoxton) AS position,
+  (ARRAY_AGG(sr.url ORDER BY sr.position) FILTER (WHERE sr.is_hoxton))[1] AS url
+FROM serp_rankings sr
+GROUP BY sr.keyword_id, sr.fetched_at;
+
+-- Composite index so history lookups per keyword stay cheap
+CREATE INDEX IF NOT EXISTS idx_serp_keyword_fetched ON serp_rankings(keyword_id, fetched_at DESC);
@@ -0,0 +1,70 @@
+-- Hoxton SEO Platform - Scheduled enrichment
+-- Run this in Supabase SQL Editor after 002_ranking_history.sql
+
+-- =============================================
+-- 1. REFRESH FREQUENCY PER KEYWORD
+-- daily for priority terms, monthly for long tail
+-- =============================================
+ALTER TABLE keywords
+  ADD COLUMN IF NOT EXISTS refresh_frequency TEXT NOT NULL DEFAULT 'weekly'
+  CHECK (refresh_frequency IN ('daily', 'weekly', 'monthly'));
+
+CREATE INDEX IF NOT EXISTS idx_keywords_refresh_frequency ON keywords(refresh_frequency);
+
+-- =============================================
+-- 2. KEYWORD_REFRESH_STATE TABLE
+-- Last time the cron attempted each keyword, so the
+-- next run picks up where the previous one stopped
+-- =============================================
+CREATE TABLE IF NOT EXISTS keyword_refresh_state (
+  keyword_id UUID PRIMARY KEY REFERENCES keywords(id) ON DELETE CASCADE,
+  metrics_attempted_at TIMESTAMPTZ,
+  serp_attempted_at TIMESTAMPTZ
+);
+
+-- =============================================
+-- HELPER FUNCTION: Interval for a refresh frequency
+-- =============================================
+CREATE OR REPLACE FUNCTION refresh_interval(frequency TEXT)
+RETURNS INTERVAL AS $$
+BEGIN
+  RETURN CASE frequency
+    WHEN 'daily' THEN INTERVAL '1 day'
+    WHEN 'monthly' THEN INTERVAL '30 days'
+    ELSE INTERVAL '7 days'
+  END;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- =============================================
+-- VIEW: Keyword freshness
+-- Latest metrics/SERP fetch per keyword and whether each is due
+-- =============================================
+CREATE OR REPLACE VIEW keyword_freshness AS
+SELECT
+  k.id AS keyword_id,
+  k.keyword_text,
+  k.country,
+  k.refresh_frequency,
+  m.fetched_at AS metrics_fetched_at,
+  s.fetched_at AS serp_fetched_at,
+  rs.metrics_attempted_at,
+  rs.serp_attempted_at,
+  (
+    (m.fetched_at IS NULL OR m.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (rs.metrics_attempted_at IS NULL OR rs.metrics_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS metrics_due,
+  (
+    (s.fetched_at IS NULL OR s.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (rs.serp_attempted_at IS NULL OR rs.serp_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS serp_due
+FROM keywords k
+LEFT JOIN keyword_refresh_state rs ON rs.keyword_id = k.id
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM keyword_metrics
+  WHERE keyword_id = k.id
+) m ON true
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM serp_rankings
+  WHERE keyword_id = k.id
+) s ON true;
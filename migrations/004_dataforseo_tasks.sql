@@ -0,0 +1,22 @@
+-- Hoxton SEO Platform - Queued DataForSEO tasks
+-- Run this in Supabase SQL Editor after 003_scheduled_enrichment.sql
+
+-- =============================================
+-- DATAFORSEO_TASKS TABLE
+-- Tasks submitted via task_post, awaiting collection
+-- =============================================
+CREATE TABLE IF NOT EXISTS dataforseo_tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id TEXT UNIQUE NOT NULL,
+  task_type TEXT NOT NULL CHECK (task_type IN ('keyword_metrics', 'serp')),
+  keyword_ids UUID[] NOT NULL,
+  country TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  checked_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+-- Index for the collector picking up pending tasks
+CREATE INDEX IF NOT EXISTS idx_dataforseo_tasks_status ON dataforseo_tasks(status, checked_at NULLS FIRST);
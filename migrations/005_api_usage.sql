@@ -0,0 +1,46 @@
+-- Hoxton SEO Platform - DataForSEO usage tracking
+-- Run this in Supabase SQL Editor after 004_dataforseo_tasks.sql
+
+-- =============================================
+-- API_USAGE TABLE
+-- One row per DataForSEO API call
+-- =============================================
+CREATE TABLE IF NOT EXISTS api_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service TEXT NOT NULL DEFAULT 'dataforseo',
+  endpoint TEXT NOT NULL,
+  cost DECIMAL(12,6) NOT NULL DEFAULT 0,
+  keyword_count INTEGER NOT NULL DEFAULT 0,
+  tasks_count INTEGER NOT NULL DEFAULT 0,
+  source TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at DESC);
+
+-- =============================================
+-- VIEW: Daily usage per endpoint and route
+-- =============================================
+CREATE OR REPLACE VIEW api_usage_daily AS
+SELECT
+  DATE(created_at) AS day,
+  service,
+  endpoint,
+  source,
+  COUNT(*) AS calls,
+  SUM(keyword_count) AS keyword_count,
+  SUM(cost) AS cost
+FROM api_usage
+GROUP BY DATE(created_at), service, endpoint, source;
+
+-- =============================================
+-- VIEW: Monthly totals (used by the budget guard)
+-- =============================================
+CREATE OR REPLACE VIEW api_usage_monthly AS
+SELECT
+  TO_CHAR(DATE_TRUNC('month', created_at), 'YYYY-MM') AS month,
+  service,
+  COUNT(*) AS calls,
+  SUM(cost) AS cost
+FROM api_usage
+GROUP BY DATE_TRUNC('month', created_at), service;
@@ -0,0 +1,57 @@
+-- Hoxton SEO Platform - SERP features
+-- Run this in Supabase SQL Editor after 005_api_usage.sql
+
+-- =============================================
+-- 1. SERP_FEATURES TABLE
+-- Non-organic SERP blocks per keyword per fetch
+-- (featured snippet, People Also Ask, local pack, video, AI overview, ...)
+-- =============================================
+CREATE TABLE IF NOT EXISTS serp_features (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  keyword_id UUID NOT NULL REFERENCES keywords(id) ON DELETE CASCADE,
+  feature_type TEXT NOT NULL,
+  position INTEGER,
+  title TEXT,
+  urls TEXT[] DEFAULT '{}',
+  questions TEXT[] DEFAULT '{}',
+  is_hoxton BOOLEAN DEFAULT FALSE,
+  hoxton_url TEXT,
+  fetched_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_serp_features_keyword ON serp_features(keyword_id, fetched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_serp_features_type ON serp_features(feature_type);
+
+-- =============================================
+-- 2. KEYWORD_IDEAS TABLE
+-- Candidate keywords harvested from SERPs (e.g. PAA questions)
+-- =============================================
+CREATE TABLE IF NOT EXISTS keyword_ideas (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  keyword_text TEXT NOT NULL,
+  country TEXT NOT NULL DEFAULT 'UK',
+  source TEXT NOT NULL,
+  source_keyword_id UUID REFERENCES keywords(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(keyword_text, country)
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_ideas_source ON keyword_ideas(source);
+
+-- =============================================
+-- VIEW: Features from each keyword's latest fetch
+-- =============================================
+CREATE OR REPLACE VIEW latest_serp_features AS
+SELECT
+  f.*,
+  k.keyword_text,
+  k.country,
+  k.cluster,
+  k.page_id
+FROM serp_features f
+INNER JOIN keywords k ON k.id = f.keyword_id
+WHERE f.fetched_at = (
+  SELECT MAX(fetched_at) FROM serp_features
+  WHERE keyword_id = f.keyword_id
+);
@@ -0,0 +1,53 @@
+-- Hoxton SEO Platform - Rank alerts
+-- Run this in Supabase SQL Editor after 006_serp_features.sql
+
+-- =============================================
+-- 1. ALERT_RULES TABLE
+-- Evaluated after every SERP refresh
+-- =============================================
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL CHECK (rule_type IN (
+    'position_drop', 'position_gain', 'lost_top_n', 'entered_top_n',
+    'dropped_out', 'competitor_overtake'
+  )),
+  threshold INTEGER,
+  country TEXT,
+  cluster TEXT,
+  keyword_id UUID REFERENCES keywords(id) ON DELETE CASCADE,
+  competitor_id UUID REFERENCES competitors(id) ON DELETE CASCADE,
+  webhook_url TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(enabled);
+
+DROP TRIGGER IF EXISTS alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER alert_rules_updated_at
+  BEFORE UPDATE ON alert_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- =============================================
+-- 2. ALERT_EVENTS TABLE
+-- History of fired alerts; dedupe_key stops the same
+-- rule firing twice for one keyword and SERP fetch
+-- =============================================
+CREATE TABLE IF NOT EXISTS alert_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL,
+  keyword_id UUID REFERENCES keywords(id) ON DELETE CASCADE,
+  dedupe_key TEXT UNIQUE NOT NULL,
+  message TEXT NOT NULL,
+  details JSONB,
+  delivered BOOLEAN NOT NULL DEFAULT FALSE,
+  delivery_error TEXT,
+  fired_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_fired_at ON alert_events(fired_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events(rule_id);
+CREATE INDEX IF NOT EXISTS idx_alert_events_keyword ON alert_events(keyword_id);
@@ -0,0 +1,22 @@
+-- Hoxton SEO Platform - Internal link graph
+-- Run this in Supabase SQL Editor after 007_alerts.sql
+
+-- =============================================
+-- PAGE_LINKS TABLE
+-- One row per reference in a page's parent_page, sibling_links or
+-- cross_cluster_links text, rebuilt whenever pages change.
+-- target_page_id is NULL when the reference matches no page (broken).
+-- =============================================
+CREATE TABLE IF NOT EXISTS page_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_page_id UUID NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+  target_page_id UUID REFERENCES pages(id) ON DELETE SET NULL,
+  target_ref TEXT NOT NULL,
+  link_type TEXT NOT NULL CHECK (link_type IN ('parent', 'sibling', 'cross_cluster')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(source_page_id, link_type, target_ref)
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_links_source ON page_links(source_page_id);
+CREATE INDEX IF NOT EXISTS idx_page_links_target ON page_links(target_page_id);
@@ -0,0 +1,38 @@
+-- Hoxton SEO Platform - On-page crawl snapshots
+-- Run this in Supabase SQL Editor after 008_page_links.sql
+
+-- =============================================
+-- 1. PAGE_CRAWLS TABLE
+-- One snapshot of a tracked page's HTML per crawl
+-- =============================================
+CREATE TABLE IF NOT EXISTS page_crawls (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  page_id UUID NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  status_code INTEGER,
+  final_url TEXT,
+  title TEXT,
+  meta_description TEXT,
+  h1 TEXT[] DEFAULT '{}',
+  h2 TEXT[] DEFAULT '{}',
+  canonical TEXT,
+  robots TEXT,
+  word_count INTEGER,
+  internal_links TEXT[] DEFAULT '{}',
+  schema_types TEXT[] DEFAULT '{}',
+  schema_blocks JSONB DEFAULT '[]',
+  target_keyword TEXT,
+  issues JSONB DEFAULT '[]',
+  error TEXT,
+  crawled_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_crawls_page ON page_crawls(page_id, crawled_at DESC);
+
+-- =============================================
+-- 2. VIEW: Latest crawl per page
+-- =============================================
+CREATE OR REPLACE VIEW latest_page_crawls AS
+SELECT DISTINCT ON (page_id) *
+FROM page_crawls
+ORDER BY page_id, crawled_at DESC;
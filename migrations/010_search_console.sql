@@ -0,0 +1,43 @@
+-- Hoxton SEO Platform - Google Search Console data
+-- Run this in Supabase SQL Editor after 009_page_crawls.sql
+
+-- =============================================
+-- 1. GSC_SEARCH_ANALYTICS TABLE
+-- Daily Search Console performance per query, page and country
+-- =============================================
+CREATE TABLE IF NOT EXISTS gsc_search_analytics (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_url TEXT NOT NULL,
+  date DATE NOT NULL,
+  query TEXT NOT NULL,
+  page TEXT NOT NULL,
+  gsc_country TEXT NOT NULL,     -- ISO 3166-1 alpha-3 as returned by GSC (gbr, usa, ...)
+  country TEXT,                  -- Our country code (UK, US, ...) or NULL when untracked
+  clicks INTEGER DEFAULT 0,
+  impressions INTEGER DEFAULT 0,
+  ctr DECIMAL(7,6) DEFAULT 0,
+  position DECIMAL(7,2),
+  keyword_id UUID REFERENCES keywords(id) ON DELETE SET NULL,
+  page_id UUID REFERENCES pages(id) ON DELETE SET NULL,
+  fetched_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (site_url, date, query, page, gsc_country)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gsc_keyword_date ON gsc_search_analytics(keyword_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_gsc_page_date ON gsc_search_analytics(page_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_gsc_date ON gsc_search_analytics(date DESC);
+
+-- =============================================
+-- 2. GSC_SYNCS TABLE
+-- One row per import run, so gaps in the data are visible
+-- =============================================
+CREATE TABLE IF NOT EXISTS gsc_syncs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_url TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  rows_fetched INTEGER DEFAULT 0,
+  rows_matched INTEGER DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
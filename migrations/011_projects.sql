@@ -0,0 +1,233 @@
+-- Hoxton SEO Platform - Projects
+-- Run this in Supabase SQL Editor after 010_search_console.sql
+--
+-- Each project has its own owned domains, competitors, countries, pages
+-- and keywords. Existing data is moved into a default 'hoxton' project.
+
+-- =============================================
+-- 1. PROJECTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS projects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  domains TEXT[] NOT NULL DEFAULT '{}',    -- Owned domains; subdomains match too
+  countries TEXT[] NOT NULL DEFAULT '{}',  -- Countries keywords can be tracked in
+  site_url TEXT,                           -- Base URL for crawling relative page URLs (default https://<first domain>)
+  gsc_site_url TEXT,                       -- Search Console property (default sc-domain:<first domain>)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS projects_updated_at ON projects;
+CREATE TRIGGER projects_updated_at
+  BEFORE UPDATE ON projects
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+INSERT INTO projects (slug, name, domains, countries, site_url, gsc_site_url)
+VALUES (
+  'hoxton',
+  'Hoxton Wealth',
+  ARRAY['hoxtonwealth.com'],
+  ARRAY['UK', 'US', 'UAE', 'AU', 'SG', 'HK'],
+  'https://hoxtonwealth.com',
+  'sc-domain:hoxtonwealth.com'
+)
+ON CONFLICT (slug) DO NOTHING;
+
+-- =============================================
+-- 2. HELPER FUNCTION: Owned-domain match
+-- True when domain is one of owned, or a subdomain of one
+-- =============================================
+CREATE OR REPLACE FUNCTION is_owned_domain(domain TEXT, owned TEXT[])
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM unnest(owned) AS d
+    WHERE lower(regexp_replace(domain, '^www\.', '')) = lower(d)
+       OR lower(domain) LIKE '%.' || lower(d)
+  );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =============================================
+-- 3. PROJECT_ID ON SCOPED TABLES
+-- =============================================
+DO $$
+DECLARE
+  scoped TEXT;
+  default_project UUID;
+BEGIN
+  SELECT id INTO default_project FROM projects WHERE slug = 'hoxton';
+
+  FOREACH scoped IN ARRAY ARRAY[
+    'pages', 'page_links', 'keywords', 'competitors', 'alert_rules', 'keyword_ideas',
+    'dataforseo_tasks', 'gsc_search_analytics', 'gsc_syncs'
+  ] LOOP
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE CASCADE',
+      scoped
+    );
+    EXECUTE format('UPDATE %I SET project_id = $1 WHERE project_id IS NULL', scoped) USING default_project;
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN project_id SET NOT NULL', scoped);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(project_id)', 'idx_' || scoped || '_project', scoped);
+  END LOOP;
+END $$;
+
+-- Uniqueness is now per project
+ALTER TABLE pages DROP CONSTRAINT IF EXISTS pages_url_key;
+ALTER TABLE pages DROP CONSTRAINT IF EXISTS pages_project_url_key;
+ALTER TABLE pages ADD CONSTRAINT pages_project_url_key UNIQUE (project_id, url);
+
+ALTER TABLE keywords DROP CONSTRAINT IF EXISTS keywords_keyword_text_country_key;
+ALTER TABLE keywords DROP CONSTRAINT IF EXISTS keywords_project_keyword_country_key;
+ALTER TABLE keywords ADD CONSTRAINT keywords_project_keyword_country_key UNIQUE (project_id, keyword_text, country);
+
+ALTER TABLE competitors DROP CONSTRAINT IF EXISTS competitors_domain_key;
+ALTER TABLE competitors DROP CONSTRAINT IF EXISTS competitors_project_domain_key;
+ALTER TABLE competitors ADD CONSTRAINT competitors_project_domain_key UNIQUE (project_id, domain);
+
+ALTER TABLE keyword_ideas DROP CONSTRAINT IF EXISTS keyword_ideas_keyword_text_country_key;
+ALTER TABLE keyword_ideas DROP CONSTRAINT IF EXISTS keyword_ideas_project_keyword_country_key;
+ALTER TABLE keyword_ideas ADD CONSTRAINT keyword_ideas_project_keyword_country_key UNIQUE (project_id, keyword_text, country);
+
+-- =============================================
+-- 4. IS_HOXTON -> IS_OWNED
+-- =============================================
+DROP VIEW IF EXISTS hoxton_rankings;
+DROP VIEW IF EXISTS hoxton_ranking_history;
+DROP VIEW IF EXISTS latest_serp_features;
+DROP VIEW IF EXISTS keywords_with_metrics;
+DROP VIEW IF EXISTS keyword_freshness;
+DROP VIEW IF EXISTS latest_page_crawls;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'serp_rankings' AND column_name = 'is_hoxton') THEN
+    ALTER TABLE serp_rankings RENAME COLUMN is_hoxton TO is_owned;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_name = 'serp_features' AND column_name = 'is_hoxton') THEN
+    ALTER TABLE serp_features RENAME COLUMN is_hoxton TO is_owned;
+    ALTER TABLE serp_features RENAME COLUMN hoxton_url TO owned_url;
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_serp_is_hoxton;
+CREATE INDEX IF NOT EXISTS idx_serp_is_owned ON serp_rankings(is_owned);
+
+-- =============================================
+-- HELPER FUNCTION: Recompute owned flags for a project
+-- Run after changing a project's domains
+-- =============================================
+CREATE OR REPLACE FUNCTION refresh_owned_flags(target_project UUID)
+RETURNS VOID AS $$
+  UPDATE serp_rankings sr
+  SET is_owned = is_owned_domain(sr.domain, p.domains)
+  FROM keywords k
+  INNER JOIN projects p ON p.id = k.project_id
+  WHERE sr.keyword_id = k.id
+    AND p.id = target_project
+    AND sr.is_owned IS DISTINCT FROM is_owned_domain(sr.domain, p.domains);
+
+  UPDATE serp_features f
+  SET owned_url = owned.url,
+      is_owned = owned.url IS NOT NULL
+  FROM keywords k
+  INNER JOIN projects p ON p.id = k.project_id
+  CROSS JOIN LATERAL (
+    SELECT (
+      SELECT u FROM unnest(f.urls) WITH ORDINALITY AS x(u, n)
+      WHERE is_owned_domain(substring(u FROM '^[a-zA-Z]+://([^/:?#]+)'), p.domains)
+      ORDER BY n
+      LIMIT 1
+    ) AS url
+  ) owned
+  WHERE f.keyword_id = k.id
+    AND p.id = target_project;
+$$ LANGUAGE sql;
+
+SELECT refresh_owned_flags(id) FROM projects;
+
+-- =============================================
+-- 5. VIEWS (recreated with project_id / is_owned)
+-- =============================================
+
+-- Owned position per keyword per SERP fetch; NULL position when
+-- no owned domain appeared in the results
+CREATE OR REPLACE VIEW owned_ranking_history AS
+SELECT
+  sr.keyword_id,
+  sr.fetched_at,
+  MIN(sr.position) FILTER (WHERE sr.is_owned) AS position,
+  (ARRAY_AGG(sr.url ORDER BY sr.position) FILTER (WHERE sr.is_owned))[1] AS url
+FROM serp_rankings sr
+GROUP BY sr.keyword_id, sr.fetched_at;
+
+CREATE OR REPLACE VIEW keywords_with_metrics AS
+SELECT
+  k.*,
+  m.search_volume,
+  m.difficulty,
+  m.cpc,
+  m.competition,
+  m.fetched_at as metrics_fetched_at
+FROM keywords k
+LEFT JOIN LATERAL (
+  SELECT * FROM keyword_metrics
+  WHERE keyword_id = k.id
+  ORDER BY fetched_at DESC
+  LIMIT 1
+) m ON true;
+
+CREATE OR REPLACE VIEW latest_serp_features AS
+SELECT
+  f.*,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.cluster,
+  k.page_id
+FROM serp_features f
+INNER JOIN keywords k ON k.id = f.keyword_id
+WHERE f.fetched_at = (
+  SELECT MAX(fetched_at) FROM serp_features
+  WHERE keyword_id = f.keyword_id
+);
+
+CREATE OR REPLACE VIEW keyword_freshness AS
+SELECT
+  k.id AS keyword_id,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.refresh_frequency,
+  m.fetched_at AS metrics_fetched_at,
+  s.fetched_at AS serp_fetched_at,
+  rs.metrics_attempted_at,
+  rs.serp_attempted_at,
+  (
+    (m.fetched_at IS NULL OR m.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (rs.metrics_attempted_at IS NULL OR rs.metrics_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS metrics_due,
+  (
+    (s.fetched_at IS NULL OR s.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (rs.serp_attempted_at IS NULL OR rs.serp_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS serp_due
+FROM keywords k
+LEFT JOIN keyword_refresh_state rs ON rs.keyword_id = k.id
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM keyword_metrics
+  WHERE keyword_id = k.id
+) m ON true
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM serp_rankings
+  WHERE keyword_id = k.id
+) s ON true;
+
+CREATE OR REPLACE VIEW latest_page_crawls AS
+SELECT DISTINCT ON (c.page_id) c.*, p.project_id
+FROM page_crawls c
+INNER JOIN pages p ON p.id = c.page_id
+ORDER BY c.page_id, c.crawled_at DESC;
@@ -0,0 +1,244 @@
+-- Hoxton SEO Platform - Locations, Languages and Devices
+-- Run this in Supabase SQL Editor after 011_projects.sql
+--
+-- Replaces the hard-coded country => location code map with a managed
+-- locations table (countries and cities, each with a language), and lets
+-- a keyword track several location/device combinations ("targets"), each
+-- with its own ranking history.
+
+-- =============================================
+-- 1. LOCATIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code TEXT UNIQUE NOT NULL,             -- e.g. 'uk', 'london', 'uae-ar'
+  name TEXT NOT NULL,
+  country TEXT NOT NULL,                 -- Country code keywords use, e.g. 'UK'
+  location_type TEXT NOT NULL DEFAULT 'country' CHECK (location_type IN ('country', 'region', 'city')),
+  location_code INTEGER NOT NULL,        -- DataForSEO (Google Ads) location code
+  language_code TEXT NOT NULL DEFAULT 'en',
+  is_default BOOLEAN NOT NULL DEFAULT false,  -- Used for the country's keyword metrics and primary target
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (location_code, language_code)
+);
+
+-- One default location per country
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_country_default
+  ON locations(country) WHERE is_default;
+
+DROP TRIGGER IF EXISTS locations_updated_at ON locations;
+CREATE TRIGGER locations_updated_at
+  BEFORE UPDATE ON locations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- The six countries previously hard-coded in lib/dataforseo.js, plus London.
+-- Add other cities (e.g. Dubai) with their DataForSEO code from
+-- GET /api/locations/search
+INSERT INTO locations (code, name, country, location_type, location_code, language_code, is_default) VALUES
+  ('uk', 'United Kingdom', 'UK', 'country', 2826, 'en', true),
+  ('us', 'United States', 'US', 'country', 2840, 'en', true),
+  ('uae', 'United Arab Emirates', 'UAE', 'country', 2784, 'en', true),
+  ('au', 'Australia', 'AU', 'country', 2036, 'en', true),
+  ('sg', 'Singapore', 'SG', 'country', 2702, 'en', true),
+  ('hk', 'Hong Kong', 'HK', 'country', 2344, 'en', true),
+  ('london', 'London', 'UK', 'city', 1006886, 'en', false)
+ON CONFLICT (code) DO NOTHING;
+
+-- =============================================
+-- 2. KEYWORD TARGETS
+-- A location/device combination a keyword is tracked in. Every keyword
+-- has one primary target (its country's default location, desktop),
+-- which alerts, gap analysis, visibility and clustering report on.
+-- =============================================
+CREATE TABLE IF NOT EXISTS keyword_targets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  keyword_id UUID NOT NULL REFERENCES keywords(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES locations(id),
+  device TEXT NOT NULL DEFAULT 'desktop' CHECK (device IN ('desktop', 'mobile')),
+  is_primary BOOLEAN NOT NULL DEFAULT false,
+  serp_attempted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (keyword_id, location_id, device)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_keyword_targets_primary
+  ON keyword_targets(keyword_id) WHERE is_primary;
+CREATE INDEX IF NOT EXISTS idx_keyword_targets_location ON keyword_targets(location_id);
+
+-- Keep each keyword's primary target in step with its country
+CREATE OR REPLACE FUNCTION sync_primary_target()
+RETURNS TRIGGER AS $$
+DECLARE
+  default_location UUID;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.country IS NOT DISTINCT FROM OLD.country THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT id INTO default_location FROM locations
+  WHERE country = NEW.country AND is_default;
+
+  IF default_location IS NULL THEN
+    RAISE EXCEPTION 'No default location for country %', NEW.country
+      USING ERRCODE = '23503';
+  END IF;
+
+  UPDATE keyword_targets SET is_primary = false
+  WHERE keyword_id = NEW.id AND is_primary;
+
+  INSERT INTO keyword_targets (keyword_id, location_id, device, is_primary)
+  VALUES (NEW.id, default_location, 'desktop', true)
+  ON CONFLICT (keyword_id, location_id, device) DO UPDATE SET is_primary = true;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS keywords_primary_target ON keywords;
+CREATE TRIGGER keywords_primary_target
+  AFTER INSERT OR UPDATE OF country ON keywords
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_primary_target();
+
+-- Primary targets for existing keywords, carrying over SERP attempt times
+INSERT INTO keyword_targets (keyword_id, location_id, device, is_primary, serp_attempted_at)
+SELECT k.id, l.id, 'desktop', true, rs.serp_attempted_at
+FROM keywords k
+INNER JOIN locations l ON l.country = k.country AND l.is_default
+LEFT JOIN keyword_refresh_state rs ON rs.keyword_id = k.id
+ON CONFLICT (keyword_id, location_id, device) DO NOTHING;
+
+-- =============================================
+-- 3. TARGET_ID ON SERP DATA
+-- =============================================
+DROP VIEW IF EXISTS owned_ranking_history;
+DROP VIEW IF EXISTS latest_serp_features;
+DROP VIEW IF EXISTS keyword_freshness;
+
+DO $$
+DECLARE
+  tracked TEXT;
+BEGIN
+  FOREACH tracked IN ARRAY ARRAY['serp_rankings', 'competitor_rankings', 'serp_features'] LOOP
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS target_id UUID REFERENCES keyword_targets(id) ON DELETE CASCADE',
+      tracked
+    );
+    EXECUTE format(
+      'UPDATE %I r SET target_id = t.id FROM keyword_targets t
+       WHERE t.keyword_id = r.keyword_id AND t.is_primary AND r.target_id IS NULL',
+      tracked
+    );
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN target_id SET NOT NULL', tracked);
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS %I ON %I(target_id, fetched_at DESC)',
+      'idx_' || tracked || '_target', tracked
+    );
+  END LOOP;
+END $$;
+
+-- SERP attempts are tracked per target now
+ALTER TABLE keyword_refresh_state DROP COLUMN IF EXISTS serp_attempted_at;
+
+-- Queued SERP tasks are one per target
+ALTER TABLE dataforseo_tasks ADD COLUMN IF NOT EXISTS target_ids UUID[];
+
+UPDATE dataforseo_tasks d
+SET target_ids = ARRAY(
+  SELECT t.id FROM keyword_targets t
+  WHERE t.keyword_id = ANY(d.keyword_ids) AND t.is_primary
+)
+WHERE d.task_type = 'serp' AND d.target_ids IS NULL;
+
+-- =============================================
+-- 4. VIEWS
+-- =============================================
+
+-- Owned position per target per SERP fetch; NULL position when
+-- no owned domain appeared in the results
+CREATE OR REPLACE VIEW owned_ranking_history AS
+SELECT
+  sr.keyword_id,
+  sr.target_id,
+  t.is_primary,
+  t.location_id,
+  t.device,
+  sr.fetched_at,
+  MIN(sr.position) FILTER (WHERE sr.is_owned) AS position,
+  (ARRAY_AGG(sr.url ORDER BY sr.position) FILTER (WHERE sr.is_owned))[1] AS url
+FROM serp_rankings sr
+INNER JOIN keyword_targets t ON t.id = sr.target_id
+GROUP BY sr.keyword_id, sr.target_id, t.is_primary, t.location_id, t.device, sr.fetched_at;
+
+CREATE OR REPLACE VIEW latest_serp_features AS
+SELECT
+  f.*,
+  t.is_primary,
+  t.location_id,
+  t.device,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.cluster,
+  k.page_id
+FROM serp_features f
+INNER JOIN keyword_targets t ON t.id = f.target_id
+INNER JOIN keywords k ON k.id = f.keyword_id
+WHERE f.fetched_at = (
+  SELECT MAX(fetched_at) FROM serp_features
+  WHERE target_id = f.target_id
+);
+
+-- Keyword metrics freshness (metrics use the country's default location)
+CREATE OR REPLACE VIEW keyword_freshness AS
+SELECT
+  k.id AS keyword_id,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.refresh_frequency,
+  m.fetched_at AS metrics_fetched_at,
+  rs.metrics_attempted_at,
+  (
+    (m.fetched_at IS NULL OR m.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (rs.metrics_attempted_at IS NULL OR rs.metrics_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS metrics_due
+FROM keywords k
+LEFT JOIN keyword_refresh_state rs ON rs.keyword_id = k.id
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM keyword_metrics
+  WHERE keyword_id = k.id
+) m ON true;
+
+-- Every target with what a SERP request needs, and whether it is due
+CREATE OR REPLACE VIEW target_freshness AS
+SELECT
+  t.id AS target_id,
+  t.keyword_id,
+  t.is_primary,
+  t.device,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.refresh_frequency,
+  l.id AS location_id,
+  l.code AS location,
+  l.location_code,
+  l.language_code,
+  s.fetched_at AS serp_fetched_at,
+  t.serp_attempted_at,
+  (
+    l.active
+    AND (s.fetched_at IS NULL OR s.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (t.serp_attempted_at IS NULL OR t.serp_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS serp_due
+FROM keyword_targets t
+INNER JOIN keywords k ON k.id = t.keyword_id
+INNER JOIN locations l ON l.id = t.location_id
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM serp_rankings
+  WHERE target_id = t.id
+) s ON true;
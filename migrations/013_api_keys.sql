@@ -0,0 +1,52 @@
+-- Hoxton SEO Platform - API Keys and Audit Log
+-- Run this in Supabase SQL Editor after 012_locations.sql
+--
+-- Replaces the single shared API_KEY with named keys, each with scopes,
+-- an optional expiry and revocation. Only a SHA-256 hash of each key is
+-- stored; the plaintext is returned once, when the key is created.
+
+-- =============================================
+-- 1. API KEYS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,                    -- Who or what uses the key, e.g. 'Agency', 'Looker dashboard'
+  key_prefix TEXT NOT NULL,              -- First characters of the key, to recognise it in lists
+  key_hash TEXT UNIQUE NOT NULL,         -- SHA-256 hex digest of the key
+  scopes TEXT[] NOT NULL CHECK (
+    cardinality(scopes) > 0
+    AND scopes <@ ARRAY['read', 'write', 'enrich', 'admin']::TEXT[]
+  ),
+  expires_at TIMESTAMPTZ,                -- NULL = never expires
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  created_by TEXT,                       -- Name of the key that created this one
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS api_keys_updated_at ON api_keys;
+CREATE TRIGGER api_keys_updated_at
+  BEFORE UPDATE ON api_keys
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at();
+
+-- =============================================
+-- 2. AUDIT LOG
+-- =============================================
+-- One row per mutating (non-GET), DataForSEO-spending or admin call
+CREATE TABLE IF NOT EXISTS api_audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,  -- NULL for the API_KEY env key
+  key_name TEXT NOT NULL,                -- Kept if the key is later deleted
+  scope TEXT NOT NULL,                   -- Scope the route required
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  query JSONB,
+  project TEXT,                          -- Project slug or ID the request was scoped to
+  ip TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_created ON api_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_api_audit_log_key ON api_audit_log(api_key_id, created_at DESC);
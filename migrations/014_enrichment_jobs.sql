@@ -0,0 +1,59 @@
+-- Hoxton SEO Platform - Enrichment Jobs
+-- Run this in Supabase SQL Editor after 013_api_keys.sql
+--
+-- Records every enrichment run (/api/enrich/*, the enrichment cron, queued
+-- task collection and retries) with the outcome of each keyword, so
+-- failures are visible and can be re-run.
+
+-- =============================================
+-- 1. JOBS
+-- =============================================
+CREATE TABLE IF NOT EXISTS enrichment_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,  -- NULL = ran for every project (cron)
+  job_type TEXT NOT NULL CHECK (job_type IN ('keyword_metrics', 'serp')),
+  source TEXT NOT NULL,                  -- Route that ran it, e.g. '/api/enrich/serp'
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'partial', 'failed')),
+  requested INTEGER NOT NULL DEFAULT 0,  -- Keywords (metrics) or keyword targets (serp)
+  succeeded INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  rows_written INTEGER NOT NULL DEFAULT 0,
+  cost DECIMAL(12,6) NOT NULL DEFAULT 0, -- DataForSEO cost reported for the run
+  error TEXT,                            -- Why the run stopped, if it threw
+  retry_of UUID REFERENCES enrichment_jobs(id) ON DELETE SET NULL,
+  created_by TEXT,                       -- API key name, or 'cron'
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_started ON enrichment_jobs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_enrichment_jobs_project ON enrichment_jobs(project_id, started_at DESC);
+
+-- =============================================
+-- 2. PER-KEYWORD OUTCOMES
+-- =============================================
+CREATE TABLE IF NOT EXISTS enrichment_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES enrichment_jobs(id) ON DELETE CASCADE,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  keyword_id UUID REFERENCES keywords(id) ON DELETE SET NULL,   -- NULL for keywords not in the database
+  target_id UUID REFERENCES keyword_targets(id) ON DELETE SET NULL,
+  keyword_text TEXT NOT NULL,
+  country TEXT,
+  location TEXT,                         -- Location code (serp jobs)
+  device TEXT,
+  status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  error TEXT,
+  rows_written INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_enrichment_job_items_job ON enrichment_job_items(job_id, status);
+
+-- =============================================
+-- 3. USAGE PER JOB
+-- =============================================
+ALTER TABLE api_usage
+  ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES enrichment_jobs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_job ON api_usage(job_id) WHERE job_id IS NOT NULL;
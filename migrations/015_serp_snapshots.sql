@@ -0,0 +1,245 @@
+-- Hoxton SEO Platform - SERP Snapshots
+-- Run this in Supabase SQL Editor after 014_enrichment_jobs.sql
+--
+-- Groups the rows written by one SERP fetch (serp_rankings,
+-- competitor_rankings, serp_features) under a serp_snapshots row, written
+-- atomically by save_serp_snapshot(), so two fetches can be compared by ID.
+
+-- =============================================
+-- 1. SNAPSHOTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS serp_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  keyword_id UUID NOT NULL REFERENCES keywords(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL REFERENCES keyword_targets(id) ON DELETE CASCADE,
+  source TEXT NOT NULL DEFAULT 'live' CHECK (source IN ('live', 'task', 'backfill')),
+  job_id UUID REFERENCES enrichment_jobs(id) ON DELETE SET NULL,
+  results_count INTEGER NOT NULL DEFAULT 0,   -- Organic results in the fetch
+  owned_position INTEGER,                     -- Best owned position, NULL if not ranking
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_serp_snapshots_target ON serp_snapshots(target_id, fetched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_serp_snapshots_keyword ON serp_snapshots(keyword_id, fetched_at DESC);
+
+-- =============================================
+-- 2. SNAPSHOT_ID ON SERP DATA
+-- =============================================
+ALTER TABLE serp_rankings
+  ADD COLUMN IF NOT EXISTS snapshot_id UUID REFERENCES serp_snapshots(id) ON DELETE CASCADE;
+ALTER TABLE competitor_rankings
+  ADD COLUMN IF NOT EXISTS snapshot_id UUID REFERENCES serp_snapshots(id) ON DELETE CASCADE;
+ALTER TABLE serp_features
+  ADD COLUMN IF NOT EXISTS snapshot_id UUID REFERENCES serp_snapshots(id) ON DELETE CASCADE;
+
+-- Backfill: rows from one serp_rankings insert share a fetched_at; competitor
+-- and feature rows were inserted moments later, so they join the nearest
+-- snapshot of their target within ten minutes
+INSERT INTO serp_snapshots (keyword_id, target_id, source, results_count, owned_position, fetched_at)
+SELECT
+  keyword_id,
+  target_id,
+  'backfill',
+  COUNT(*),
+  MIN(position) FILTER (WHERE is_owned),
+  fetched_at
+FROM serp_rankings
+WHERE snapshot_id IS NULL
+GROUP BY keyword_id, target_id, fetched_at;
+
+UPDATE serp_rankings r
+SET snapshot_id = s.id
+FROM serp_snapshots s
+WHERE r.snapshot_id IS NULL
+  AND s.target_id = r.target_id
+  AND s.fetched_at = r.fetched_at;
+
+DO $$
+DECLARE
+  tracked TEXT;
+BEGIN
+  FOREACH tracked IN ARRAY ARRAY['competitor_rankings', 'serp_features'] LOOP
+    EXECUTE format(
+      'UPDATE %I r SET snapshot_id = (
+         SELECT s.id FROM serp_snapshots s
+         WHERE s.target_id = r.target_id
+           AND s.fetched_at BETWEEN r.fetched_at - INTERVAL ''10 minutes'' AND r.fetched_at + INTERVAL ''10 minutes''
+         ORDER BY ABS(EXTRACT(EPOCH FROM s.fetched_at - r.fetched_at))
+         LIMIT 1
+       )
+       WHERE r.snapshot_id IS NULL',
+      tracked
+    );
+
+    -- Fetches with features but no organic results
+    EXECUTE format(
+      'INSERT INTO serp_snapshots (keyword_id, target_id, source, fetched_at)
+       SELECT keyword_id, target_id, ''backfill'', fetched_at FROM %I
+       WHERE snapshot_id IS NULL
+       GROUP BY keyword_id, target_id, fetched_at',
+      tracked
+    );
+    EXECUTE format(
+      'UPDATE %I r SET snapshot_id = s.id FROM serp_snapshots s
+       WHERE r.snapshot_id IS NULL AND s.target_id = r.target_id AND s.fetched_at = r.fetched_at',
+      tracked
+    );
+
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN snapshot_id SET NOT NULL', tracked);
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS %I ON %I(snapshot_id)',
+      'idx_' || tracked || '_snapshot', tracked
+    );
+  END LOOP;
+END $$;
+
+ALTER TABLE serp_rankings ALTER COLUMN snapshot_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_serp_rankings_snapshot ON serp_rankings(snapshot_id);
+
+-- Job items link to the snapshot a SERP fetch was saved as
+ALTER TABLE enrichment_job_items
+  ADD COLUMN IF NOT EXISTS snapshot_id UUID REFERENCES serp_snapshots(id) ON DELETE SET NULL;
+
+-- =============================================
+-- 3. ATOMIC WRITE
+-- =============================================
+-- snapshot: {
+--   keyword_id, target_id, source, job_id, owned_position,
+--   rankings: [{ position, url, domain, title, is_owned }],
+--   competitors: [{ competitor_id, position, url }],
+--   features: [{ feature_type, position, title, urls, questions, is_owned, owned_url }]
+-- }
+-- Every row gets the snapshot's fetched_at; if any insert fails nothing is written
+CREATE OR REPLACE FUNCTION save_serp_snapshot(snapshot JSONB)
+RETURNS UUID AS $$
+DECLARE
+  new_id UUID;
+  kw UUID := (snapshot->>'keyword_id')::UUID;
+  tgt UUID := (snapshot->>'target_id')::UUID;
+  fetched TIMESTAMPTZ := NOW();
+BEGIN
+  INSERT INTO serp_snapshots (keyword_id, target_id, source, job_id, results_count, owned_position, fetched_at)
+  VALUES (
+    kw,
+    tgt,
+    COALESCE(snapshot->>'source', 'live'),
+    (snapshot->>'job_id')::UUID,
+    jsonb_array_length(COALESCE(snapshot->'rankings', '[]'::JSONB)),
+    (snapshot->>'owned_position')::INTEGER,
+    fetched
+  )
+  RETURNING id INTO new_id;
+
+  INSERT INTO serp_rankings (snapshot_id, keyword_id, target_id, position, url, domain, title, is_owned, fetched_at)
+  SELECT new_id, kw, tgt, r.position, r.url, r.domain, r.title, COALESCE(r.is_owned, FALSE), fetched
+  FROM jsonb_to_recordset(COALESCE(snapshot->'rankings', '[]'::JSONB))
+    AS r(position INTEGER, url TEXT, domain TEXT, title TEXT, is_owned BOOLEAN);
+
+  INSERT INTO competitor_rankings (snapshot_id, keyword_id, target_id, competitor_id, position, url, fetched_at)
+  SELECT new_id, kw, tgt, c.competitor_id, c.position, c.url, fetched
+  FROM jsonb_to_recordset(COALESCE(snapshot->'competitors', '[]'::JSONB))
+    AS c(competitor_id UUID, position INTEGER, url TEXT);
+
+  INSERT INTO serp_features (
+    snapshot_id, keyword_id, target_id, feature_type, position, title, urls, questions, is_owned, owned_url, fetched_at
+  )
+  SELECT
+    new_id, kw, tgt, f.feature_type, f.position, f.title,
+    COALESCE(f.urls, '{}'), COALESCE(f.questions, '{}'), COALESCE(f.is_owned, FALSE), f.owned_url, fetched
+  FROM jsonb_to_recordset(COALESCE(snapshot->'features', '[]'::JSONB))
+    AS f(feature_type TEXT, position INTEGER, title TEXT, urls TEXT[], questions TEXT[], is_owned BOOLEAN, owned_url TEXT);
+
+  RETURN new_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Changing a project's domains also moves its snapshots' owned position
+CREATE OR REPLACE FUNCTION refresh_owned_flags(target_project UUID)
+RETURNS VOID AS $$
+  UPDATE serp_rankings sr
+  SET is_owned = is_owned_domain(sr.domain, p.domains)
+  FROM keywords k
+  INNER JOIN projects p ON p.id = k.project_id
+  WHERE sr.keyword_id = k.id
+    AND p.id = target_project
+    AND sr.is_owned IS DISTINCT FROM is_owned_domain(sr.domain, p.domains);
+
+  UPDATE serp_features f
+  SET owned_url = owned.url,
+      is_owned = owned.url IS NOT NULL
+  FROM keywords k
+  INNER JOIN projects p ON p.id = k.project_id
+  CROSS JOIN LATERAL (
+    SELECT (
+      SELECT u FROM unnest(f.urls) WITH ORDINALITY AS x(u, n)
+      WHERE is_owned_domain(substring(u FROM '^[a-zA-Z]+://([^/:?#]+)'), p.domains)
+      ORDER BY n
+      LIMIT 1
+    ) AS url
+  ) owned
+  WHERE f.keyword_id = k.id
+    AND p.id = target_project;
+
+  UPDATE serp_snapshots s
+  SET owned_position = (
+    SELECT MIN(sr.position) FROM serp_rankings sr
+    WHERE sr.snapshot_id = s.id AND sr.is_owned
+  )
+  FROM keywords k
+  WHERE s.keyword_id = k.id
+    AND k.project_id = target_project;
+$$ LANGUAGE sql;
+
+-- =============================================
+-- 4. VIEWS
+-- =============================================
+
+-- Owned position per snapshot; NULL position when no owned domain
+-- appeared. Empty fetches are left out rather than read as a drop.
+CREATE OR REPLACE VIEW owned_ranking_history AS
+SELECT
+  s.keyword_id,
+  s.target_id,
+  t.is_primary,
+  t.location_id,
+  t.device,
+  s.fetched_at,
+  MIN(sr.position) FILTER (WHERE sr.is_owned) AS position,
+  (ARRAY_AGG(sr.url ORDER BY sr.position) FILTER (WHERE sr.is_owned))[1] AS url,
+  s.id AS snapshot_id
+FROM serp_snapshots s
+INNER JOIN keyword_targets t ON t.id = s.target_id
+LEFT JOIN serp_rankings sr ON sr.snapshot_id = s.id
+WHERE s.results_count > 0
+GROUP BY s.id, s.keyword_id, s.target_id, t.is_primary, t.location_id, t.device, s.fetched_at;
+
+-- Freshness follows the latest snapshot, so fetches with no organic
+-- results still count as fetched
+CREATE OR REPLACE VIEW target_freshness AS
+SELECT
+  t.id AS target_id,
+  t.keyword_id,
+  t.is_primary,
+  t.device,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.refresh_frequency,
+  l.id AS location_id,
+  l.code AS location,
+  l.location_code,
+  l.language_code,
+  s.fetched_at AS serp_fetched_at,
+  t.serp_attempted_at,
+  (
+    l.active
+    AND (s.fetched_at IS NULL OR s.fetched_at < NOW() - refresh_interval(k.refresh_frequency))
+    AND (t.serp_attempted_at IS NULL OR t.serp_attempted_at < NOW() - INTERVAL '1 hour')
+  ) AS serp_due
+FROM keyword_targets t
+INNER JOIN keywords k ON k.id = t.keyword_id
+INNER JOIN locations l ON l.id = t.location_id
+LEFT JOIN LATERAL (
+  SELECT MAX(fetched_at) AS fetched_at FROM serp_snapshots
+  WHERE target_id = t.id
+) s ON true;
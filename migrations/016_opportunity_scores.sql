@@ -0,0 +1,34 @@
+-- Hoxton SEO Platform - Opportunity Scores
+-- Run this in Supabase SQL Editor after 015_serp_snapshots.sql
+--
+-- Per-project weights for the keyword opportunity score (see
+-- lib/opportunity.js) and the latest SERP snapshot per keyword target.
+
+-- =============================================
+-- 1. PROJECT WEIGHTS
+-- =============================================
+-- Overrides of the default weights, e.g. {"cpc": 0.3, "page": 0}
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS opportunity_weights JSONB NOT NULL DEFAULT '{}';
+
+-- =============================================
+-- 2. VIEWS
+-- =============================================
+
+-- Latest non-empty SERP snapshot per target, with the target's
+-- location and device for filtering
+CREATE OR REPLACE VIEW latest_serp_snapshots AS
+SELECT DISTINCT ON (s.target_id)
+  s.id AS snapshot_id,
+  s.keyword_id,
+  s.target_id,
+  t.is_primary,
+  t.location_id,
+  t.device,
+  s.owned_position,
+  s.results_count,
+  s.fetched_at
+FROM serp_snapshots s
+INNER JOIN keyword_targets t ON t.id = s.target_id
+WHERE s.results_count > 0
+ORDER BY s.target_id, s.fetched_at DESC;
@@ -0,0 +1,20 @@
+-- Hoxton SEO Platform - Monthly Search Volumes
+-- Run this in Supabase SQL Editor after 016_opportunity_scores.sql
+--
+-- Keeps the monthly search volume series DataForSEO returns with keyword
+-- metrics, for trend, seasonality and year-over-year reporting. Metrics
+-- use each keyword's country, so one series per keyword covers it.
+
+-- =============================================
+-- 1. MONTHLY SEARCHES TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS keyword_monthly_searches (
+  keyword_id UUID NOT NULL REFERENCES keywords(id) ON DELETE CASCADE,
+  month DATE NOT NULL,                    -- First day of the month
+  search_volume INTEGER NOT NULL,
+  fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),  -- Last refresh; recent months get revised
+  PRIMARY KEY (keyword_id, month),
+  CHECK (EXTRACT(DAY FROM month) = 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_monthly_searches_month ON keyword_monthly_searches(month);
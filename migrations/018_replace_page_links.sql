@@ -0,0 +1,27 @@
+-- Hoxton SEO Platform - Atomic page link rebuilds
+-- Run this in Supabase SQL Editor after 017_keyword_monthly_searches.sql
+--
+-- A project's page_links are rebuilt in full after every page write. Doing
+-- the delete and insert in one function call means a failed insert leaves
+-- the previous links in place instead of an empty graph.
+
+-- =============================================
+-- REPLACE_PAGE_LINKS FUNCTION
+-- links: [{ source_page_id, target_page_id, target_ref, link_type }]
+-- =============================================
+CREATE OR REPLACE FUNCTION replace_page_links(target_project UUID, links JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  inserted INTEGER;
+BEGIN
+  DELETE FROM page_links WHERE project_id = target_project;
+
+  INSERT INTO page_links (project_id, source_page_id, target_page_id, target_ref, link_type)
+  SELECT target_project, l.source_page_id, l.target_page_id, l.target_ref, l.link_type
+  FROM jsonb_to_recordset(COALESCE(links, '[]'::JSONB))
+    AS l(source_page_id UUID, target_page_id UUID, target_ref TEXT, link_type TEXT);
+
+  GET DIAGNOSTICS inserted = ROW_COUNT;
+  RETURN inserted;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,42 @@
+-- Hoxton SEO Platform - Compatibility views
+-- Run this in Supabase SQL Editor after 018_replace_page_links.sql
+--
+-- 011_projects.sql dropped hoxton_rankings and hoxton_ranking_history when
+-- is_hoxton became is_owned. Dashboards and saved SQL outside this repo may
+-- still read them, so they come back with their original columns, limited
+-- to the hoxton project's owned rankings on each keyword's primary target.
+-- New queries should use owned_ranking_history instead.
+
+-- =============================================
+-- 1. HOXTON_RANKINGS
+-- =============================================
+CREATE OR REPLACE VIEW hoxton_rankings AS
+SELECT
+  k.keyword_text,
+  k.country,
+  k.cluster,
+  sr.position,
+  sr.url,
+  sr.fetched_at
+FROM keywords k
+INNER JOIN projects p ON p.id = k.project_id AND p.slug = 'hoxton'
+INNER JOIN serp_rankings sr ON sr.keyword_id = k.id
+INNER JOIN keyword_targets t ON t.id = sr.target_id AND t.is_primary
+WHERE sr.is_owned = true
+ORDER BY k.country, sr.position;
+
+-- =============================================
+-- 2. HOXTON_RANKING_HISTORY
+-- One row for every fetch, with a NULL position
+-- when Hoxton did not appear in the results
+-- =============================================
+CREATE OR REPLACE VIEW hoxton_ranking_history AS
+SELECT
+  h.keyword_id,
+  h.fetched_at,
+  h.position,
+  h.url
+FROM owned_ranking_history h
+INNER JOIN keywords k ON k.id = h.keyword_id
+INNER JOIN projects p ON p.id = k.project_id AND p.slug = 'hoxton'
+WHERE h.is_primary;
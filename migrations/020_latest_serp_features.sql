@@ -0,0 +1,28 @@
+-- Hoxton SEO Platform - Latest SERP features by snapshot
+-- Run this in Supabase SQL Editor after 019_hoxton_compat_views.sql
+--
+-- latest_serp_features took each target's newest serp_features row, so a
+-- fetch with no features (e.g. a lost featured snippet) left the previous
+-- fetch's features showing as current. It now lists the features of each
+-- target's latest snapshot, which is empty when that fetch had none.
+
+-- =============================================
+-- VIEW
+-- =============================================
+DROP VIEW IF EXISTS latest_serp_features;
+
+CREATE VIEW latest_serp_features AS
+SELECT
+  f.*,
+  t.is_primary,
+  t.location_id,
+  t.device,
+  k.project_id,
+  k.keyword_text,
+  k.country,
+  k.cluster,
+  k.page_id
+FROM latest_serp_snapshots ls
+INNER JOIN serp_features f ON f.snapshot_id = ls.snapshot_id
+INNER JOIN keyword_targets t ON t.id = ls.target_id
+INNER JOIN keywords k ON k.id = ls.keyword_id;
@@ -0,0 +1,29 @@
+-- Hoxton SEO Platform - Moving a country's default location
+-- Run this in Supabase SQL Editor after 020_latest_serp_features.sql
+--
+-- sync_primary_target() raises for a country without a default location,
+-- so the flag is moved in one function call: a failure part way through
+-- leaves the previous default in place.
+
+-- =============================================
+-- SET_DEFAULT_LOCATION FUNCTION
+-- =============================================
+CREATE OR REPLACE FUNCTION set_default_location(target_location UUID)
+RETURNS VOID AS $$
+DECLARE
+  target_country TEXT;
+BEGIN
+  SELECT country INTO target_country FROM locations WHERE id = target_location;
+
+  IF target_country IS NULL THEN
+    RAISE EXCEPTION 'Location % not found', target_location
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  UPDATE locations SET is_default = false
+  WHERE country = target_country AND is_default AND id <> target_location;
+
+  UPDATE locations SET is_default = true
+  WHERE id = target_location;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,25 @@
+-- Hoxton SEO Platform - Atomic cluster acceptance
+-- Run this in Supabase SQL Editor after 021_set_default_location.sql
+--
+-- POST /api/keywords/clusters accepts several groups at once. Applying them
+-- in one statement means a failure part way through leaves every keyword
+-- as it was, instead of some groups accepted and the rest not.
+
+-- =============================================
+-- APPLY_KEYWORD_CLUSTERS FUNCTION
+-- groups: [{ keyword_ids: [uuid], cluster?: text, page_id?: uuid }]
+-- A key that is left out keeps the keyword's current value; null clears it.
+-- Each keyword is in at most one group.
+-- =============================================
+CREATE OR REPLACE FUNCTION apply_keyword_clusters(target_project UUID, groups JSONB)
+RETURNS SETOF keywords AS $$
+  UPDATE keywords k
+  SET
+    cluster = CASE WHEN g.value ? 'cluster' THEN g.value->>'cluster' ELSE k.cluster END,
+    page_id = CASE WHEN g.value ? 'page_id' THEN (g.value->>'page_id')::UUID ELSE k.page_id END
+  FROM jsonb_array_elements(COALESCE(groups, '[]'::JSONB)) g,
+    jsonb_array_elements_text(g.value->'keyword_ids') AS ids(keyword_id)
+  WHERE k.id = ids.keyword_id::UUID
+    AND k.project_id = target_project
+  RETURNING k.*;
+$$ LANGUAGE sql;
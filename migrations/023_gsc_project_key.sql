@@ -0,0 +1,15 @@
+-- Hoxton SEO Platform - Search Console rows per project
+-- Run this in Supabase SQL Editor after 022_apply_keyword_clusters.sql
+--
+-- gsc_search_analytics was unique on (site_url, date, query, page,
+-- gsc_country), so two projects reading the same property overwrote each
+-- other's rows and keyword/page matches. The key now includes project_id.
+
+-- =============================================
+-- UNIQUE KEY
+-- =============================================
+ALTER TABLE gsc_search_analytics
+  DROP CONSTRAINT IF EXISTS gsc_search_analytics_site_url_date_query_page_gsc_country_key;
+ALTER TABLE gsc_search_analytics DROP CONSTRAINT IF EXISTS gsc_search_analytics_project_key;
+ALTER TABLE gsc_search_analytics ADD CONSTRAINT gsc_search_analytics_project_key
+  UNIQUE (project_id, site_url, date, query, page, gsc_country);
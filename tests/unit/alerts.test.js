@@ -0,0 +1,108 @@
+import { evaluateRule, buildKeywordStates, formatSlackPayload, validateRuleFields } from '../../lib/alerts.js';
+import { ValidationError } from '../../lib/errors.js';
+
+const keyword = { id: 'k1', keyword_text: 'pension advice', country: 'UK', cluster: 'Pensions' };
+
+function state(previous, current, competitors = []) {
+  return {
+    keyword,
+    previous: { position: previous, fetched_at: '2024-01-01T00:00:00Z' },
+    current: { position: current, fetched_at: '2024-01-08T00:00:00Z' },
+    competitors
+  };
+}
+
+describe('evaluateRule', () => {
+  test('position_drop fires when drop exceeds threshold', () => {
+    const rule = { rule_type: 'position_drop', threshold: 5 };
+    expect(evaluateRule(rule, state(4, 12)).message).toContain('dropped from #4 to #12');
+    expect(evaluateRule(rule, state(4, 9))).toBeNull();
+  });
+
+  test('lost_top_n uses default top 3', () => {
+    const rule = { rule_type: 'lost_top_n' };
+    expect(evaluateRule(rule, state(2, 4))).not.toBeNull();
+    expect(evaluateRule(rule, state(4, 5))).toBeNull();
+  });
+
+  test('dropped_out fires when no longer ranking', () => {
+    const rule = { rule_type: 'dropped_out' };
+    expect(evaluateRule(rule, state(80, null)).message).toContain('dropped out');
+  });
+
+  test('respects cluster scope', () => {
+    const rule = { rule_type: 'position_drop', threshold: 1, cluster: 'Tools' };
+    expect(evaluateRule(rule, state(1, 10))).toBeNull();
+  });
+
+  test('competitor_overtake fires only when competitor moves above', () => {
+    const rule = { rule_type: 'competitor_overtake' };
+    const overtook = state(3, 5, [{ competitor_id: 'c1', name: 'Rival', position: 2, previous_position: 6 }]);
+    const alreadyAbove = state(3, 5, [{ competitor_id: 'c1', name: 'Rival', position: 2, previous_position: 1 }]);
+
+    expect(evaluateRule(rule, overtook).message).toContain('Rival (#2)');
+    expect(evaluateRule(rule, alreadyAbove)).toBeNull();
+  });
+
+  test('needs two fetches to compare', () => {
+    const rule = { rule_type: 'position_drop' };
+    expect(evaluateRule(rule, { keyword, current: { position: 50 }, previous: null, competitors: [] })).toBeNull();
+  });
+});
+
+describe('buildKeywordStates', () => {
+  test('matches competitor rows to the same snapshot', () => {
+    const [result] = buildKeywordStates(
+      [keyword],
+      [
+        { keyword_id: 'k1', snapshot_id: 's1', fetched_at: '2024-01-01T00:00:00Z', position: 3 },
+        { keyword_id: 'k1', snapshot_id: 's2', fetched_at: '2024-01-08T00:00:00Z', position: 5 }
+      ],
+      [
+        { keyword_id: 'k1', snapshot_id: 's1', competitor_id: 'c1', position: 6 },
+        { keyword_id: 'k1', snapshot_id: 's2', competitor_id: 'c1', position: 2 }
+      ],
+      new Map([['c1', 'Rival']])
+    );
+
+    expect(result.previous.position).toBe(3);
+    expect(result.current.position).toBe(5);
+    expect(result.competitors).toEqual([
+      { competitor_id: 'c1', name: 'Rival', position: 2, previous_position: 6 }
+    ]);
+  });
+
+  test('keeps two fetches minutes apart separate', () => {
+    const [result] = buildKeywordStates(
+      [keyword],
+      [
+        { keyword_id: 'k1', snapshot_id: 's1', fetched_at: '2024-01-08T00:00:00Z', position: 3 },
+        { keyword_id: 'k1', snapshot_id: 's2', fetched_at: '2024-01-08T00:10:00Z', position: 4 }
+      ],
+      [{ keyword_id: 'k1', snapshot_id: 's1', competitor_id: 'c1', position: 2 }],
+      new Map([['c1', 'Rival']])
+    );
+
+    expect(result.competitors).toEqual([
+      { competitor_id: 'c1', name: 'Rival', position: null, previous_position: 2 }
+    ]);
+  });
+});
+
+describe('formatSlackPayload', () => {
+  test('includes a text fallback and blocks', () => {
+    const payload = formatSlackPayload([{ rule_name: 'Drops', message: 'fell' }]);
+    expect(payload.text).toContain('1 ranking alert');
+    expect(payload.blocks[1].text.text).toBe('• *Drops*: fell');
+  });
+});
+
+describe('validateRuleFields', () => {
+  test('rejects non-http webhook URLs', () => {
+    expect(() => validateRuleFields({ webhook_url: 'ftp://x' })).toThrow(ValidationError);
+  });
+
+  test('ignores unknown fields', () => {
+    expect(validateRuleFields({ name: 'x', id: 'nope', country: 'uk' })).toEqual({ name: 'x', country: 'UK' });
+  });
+});
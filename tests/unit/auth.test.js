@@ -0,0 +1,140 @@
+import {
+  verifyApiKey,
+  verifyCronSecret,
+  generateApiKey,
+  hashApiKey,
+  requiredScope,
+  hasScope,
+  keyStatus,
+  shouldAudit,
+  validateScopes,
+  prepareKeyFields
+} from '../../lib/auth.js';
+import { ValidationError } from '../../lib/errors.js';
+
+describe('verifyApiKey', () => {
+  beforeEach(() => {
+    process.env.API_KEY = 'test-key';
+  });
+
+  test('accepts matching x-api-key header', () => {
+    expect(verifyApiKey({ headers: { 'x-api-key': 'test-key' } })).toBe(true);
+  });
+
+  test('rejects wrong key', () => {
+    expect(verifyApiKey({ headers: { 'x-api-key': 'nope' } })).toBe(false);
+  });
+
+  test('rejects everything when API_KEY is not configured', () => {
+    delete process.env.API_KEY;
+    expect(verifyApiKey({ headers: {} })).toBe(false);
+    expect(verifyApiKey({ headers: { 'x-api-key': 'undefined' } })).toBe(false);
+  });
+});
+
+describe('verifyCronSecret', () => {
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  test('accepts matching bearer token', () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    const req = { headers: { authorization: 'Bearer cron-secret' } };
+    expect(verifyCronSecret(req)).toBe(true);
+  });
+
+  test('rejects when CRON_SECRET is not configured', () => {
+    const req = { headers: { authorization: 'Bearer undefined' } };
+    expect(verifyCronSecret(req)).toBe(false);
+  });
+});
+
+describe('generateApiKey', () => {
+  test('returns a unique key with its prefix and hash', () => {
+    const first = generateApiKey();
+    const second = generateApiKey();
+
+    expect(first.key).toMatch(/^hsk_[A-Za-z0-9_-]{32}$/);
+    expect(first.key.startsWith(first.prefix)).toBe(true);
+    expect(first.hash).toBe(hashApiKey(first.key));
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second.key).not.toBe(first.key);
+  });
+});
+
+describe('requiredScope', () => {
+  test('defaults to read for GET and write otherwise', () => {
+    expect(requiredScope({ method: 'GET' })).toBe('read');
+    expect(requiredScope({ method: 'DELETE' })).toBe('write');
+  });
+
+  test('uses a route scope or per-method overrides', () => {
+    expect(requiredScope({ method: 'GET' }, 'enrich')).toBe('enrich');
+    expect(requiredScope({ method: 'POST' }, { POST: 'admin' })).toBe('admin');
+    expect(requiredScope({ method: 'GET' }, { POST: 'admin' })).toBe('read');
+  });
+});
+
+describe('hasScope', () => {
+  test('matches scopes exactly, with admin granting everything', () => {
+    expect(hasScope(['read', 'write'], 'write')).toBe(true);
+    expect(hasScope(['write'], 'read')).toBe(false);
+    expect(hasScope(['read'], 'enrich')).toBe(false);
+    expect(hasScope(['admin'], 'enrich')).toBe(true);
+  });
+});
+
+describe('keyStatus', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  test('reports revoked, expired and active keys', () => {
+    expect(keyStatus({ revoked_at: '2026-05-01T00:00:00Z', expires_at: null }, now)).toBe('revoked');
+    expect(keyStatus({ revoked_at: null, expires_at: '2026-05-31T00:00:00Z' }, now)).toBe('expired');
+    expect(keyStatus({ revoked_at: null, expires_at: '2026-07-01T00:00:00Z' }, now)).toBe('active');
+    expect(keyStatus({ revoked_at: null, expires_at: null }, now)).toBe('active');
+  });
+});
+
+describe('shouldAudit', () => {
+  test('audits mutating, spending and admin calls', () => {
+    expect(shouldAudit({ method: 'GET' }, 'read')).toBe(false);
+    expect(shouldAudit({ method: 'POST' }, 'write')).toBe(true);
+    expect(shouldAudit({ method: 'GET' }, 'enrich')).toBe(true);
+    expect(shouldAudit({ method: 'GET' }, 'admin')).toBe(true);
+  });
+});
+
+describe('validateScopes', () => {
+  test('dedupes valid scopes', () => {
+    expect(validateScopes(['read', 'write', 'read'])).toEqual(['read', 'write']);
+  });
+
+  test('rejects empty, unknown or non-array scopes', () => {
+    expect(() => validateScopes([])).toThrow('scopes cannot be empty');
+    expect(() => validateScopes(['superuser'])).toThrow(ValidationError);
+    expect(() => validateScopes('read')).toThrow(ValidationError);
+  });
+});
+
+describe('prepareKeyFields', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  test('trims the name and normalises the expiry', () => {
+    expect(prepareKeyFields({
+      name: ' Agency ',
+      scopes: ['read', 'enrich'],
+      expires_at: '2026-12-31'
+    }, now)).toEqual({
+      name: 'Agency',
+      scopes: ['read', 'enrich'],
+      expires_at: '2026-12-31T00:00:00.000Z'
+    });
+    expect(prepareKeyFields({ expires_at: null }, now)).toEqual({ expires_at: null });
+  });
+
+  test('rejects empty names and past or invalid expiries', () => {
+    expect(() => prepareKeyFields({ name: ' ' }, now)).toThrow('name cannot be empty');
+    expect(() => prepareKeyFields({ expires_at: '2026-01-01' }, now)).toThrow('expires_at must be in the future');
+    expect(() => prepareKeyFields({ expires_at: 'soon' }, now)).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,71 @@
+import { detectCannibalisation, normalizePath } from '../../lib/cannibalisation.js';
+
+describe('normalizePath', () => {
+  test('compares full URLs and relative paths on path', () => {
+    expect(normalizePath('https://www.hoxtonwealth.com/Tools/Calculator/'))
+      .toBe(normalizePath('/tools/calculator'));
+  });
+
+  test('keeps the root path', () => {
+    expect(normalizePath('https://hoxtonwealth.com/')).toBe('/');
+  });
+});
+
+describe('detectCannibalisation', () => {
+  test('returns no issues without rankings', () => {
+    expect(detectCannibalisation({ page_url: '/a' }, []).issues).toEqual([]);
+  });
+
+  test('flags multiple Hoxton URLs in the latest fetch', () => {
+    const result = detectCannibalisation({ page_url: '/a' }, [
+      { fetched_at: '2024-01-08', url: 'https://hoxtonwealth.com/a', position: 4 },
+      { fetched_at: '2024-01-08', url: 'https://hoxtonwealth.com/b', position: 9 }
+    ]);
+
+    expect(result.issues).toEqual(['multiple_urls']);
+    expect(result.latest_urls).toHaveLength(2);
+    expect(result.ranking_url).toBe('https://hoxtonwealth.com/a');
+  });
+
+  test('flags a ranking URL that differs from the mapped page', () => {
+    const result = detectCannibalisation({ page_url: '/a' }, [
+      { fetched_at: '2024-01-08', url: 'https://hoxtonwealth.com/b', position: 12 }
+    ]);
+
+    expect(result.issues).toEqual(['mismatched_page']);
+  });
+
+  test('flags URL flip-flopping between fetches', () => {
+    const result = detectCannibalisation({ page_url: null }, [
+      { fetched_at: '2024-01-01', url: 'https://hoxtonwealth.com/a', position: 5 },
+      { fetched_at: '2024-01-08', url: 'https://hoxtonwealth.com/b', position: 7 },
+      { fetched_at: '2024-01-15', url: 'https://hoxtonwealth.com/a', position: 6 }
+    ]);
+
+    expect(result.url_changes).toBe(2);
+    expect(result.issues).toEqual(['url_flip_flop']);
+  });
+});
+
+describe('detectCannibalisation latest fetch', () => {
+  const rows = [
+    { fetched_at: '2024-01-01', url: 'https://hoxtonwealth.com/a', position: 4 },
+    { fetched_at: '2024-01-01', url: 'https://hoxtonwealth.com/b', position: 9 }
+  ];
+
+  test('reports nothing current when a later fetch had no owned URLs', () => {
+    const result = detectCannibalisation({ page_url: '/c' }, rows, { latestFetchedAt: '2024-01-08' });
+
+    expect(result.latest_urls).toEqual([]);
+    expect(result.ranking_url).toBeNull();
+    expect(result.issues).toEqual([]);
+    expect(result.url_history).toHaveLength(1);
+  });
+
+  test('uses the owned rows when they are from the latest fetch', () => {
+    const result = detectCannibalisation({ page_url: '/a' }, rows, { latestFetchedAt: '2024-01-01' });
+
+    expect(result.issues).toEqual(['multiple_urls']);
+    expect(result.ranking_url).toBe('https://hoxtonwealth.com/a');
+  });
+});
@@ -0,0 +1,147 @@
+import {
+  normalizeSerpUrl,
+  latestTopUrls,
+  clusterBySerpOverlap,
+  suggestForGroup
+} from '../../lib/clustering.js';
+
+const serpRows = (keywordId, fetchedAt, urls, owned = {}) => urls.map((url, index) => ({
+  keyword_id: keywordId,
+  fetched_at: fetchedAt,
+  position: index + 1,
+  url,
+  is_owned: owned[index + 1] === true
+}));
+
+const keyword = (id, text, volume, extra = {}) => ({
+  id,
+  keyword_text: text,
+  country: 'UK',
+  search_volume: volume,
+  cluster: null,
+  page_id: null,
+  ...extra
+});
+
+const serpsFor = entries => latestTopUrls(entries.flatMap(([id, urls, owned]) =>
+  serpRows(id, '2024-01-08T00:00:00Z', urls, owned)));
+
+describe('normalizeSerpUrl', () => {
+  test('ignores protocol, www, query and trailing slash', () => {
+    expect(normalizeSerpUrl('http://www.Example.com/a/?utm=1'))
+      .toBe(normalizeSerpUrl('https://example.com/a'));
+  });
+});
+
+describe('latestTopUrls', () => {
+  test('uses only the latest fetch and the top N positions', () => {
+    const rows = [
+      ...serpRows('k1', '2024-01-01T00:00:00Z', ['https://old.com/']),
+      ...serpRows('k1', '2024-01-08T00:00:00Z', ['https://a.com/', 'https://b.com/', 'https://c.com/'])
+    ];
+
+    const serps = latestTopUrls(rows, 2);
+
+    expect([...serps.get('k1').urls]).toEqual(['a.com/', 'b.com/']);
+  });
+
+  test('records the best Hoxton ranking', () => {
+    const serps = latestTopUrls(serpRows('k1', '2024-01-08T00:00:00Z', [
+      'https://a.com/', 'https://hoxtonwealth.com/pensions', 'https://hoxtonwealth.com/other'
+    ], { 2: true, 3: true }));
+
+    expect(serps.get('k1').owned_url).toBe('https://hoxtonwealth.com/pensions');
+    expect(serps.get('k1').owned_position).toBe(2);
+  });
+});
+
+describe('clusterBySerpOverlap', () => {
+  const shared = ['https://a.com/', 'https://b.com/', 'https://c.com/'];
+
+  test('groups keywords sharing enough URLs, led by the highest volume', () => {
+    const keywords = [
+      keyword('k1', 'qrops', 100),
+      keyword('k2', 'qrops transfer', 500),
+      keyword('k3', 'expat mortgage', 300)
+    ];
+    const serps = serpsFor([
+      ['k1', [...shared, 'https://d.com/']],
+      ['k2', [...shared, 'https://e.com/']],
+      ['k3', ['https://x.com/', 'https://y.com/', 'https://a.com/']]
+    ]);
+
+    const groups = clusterBySerpOverlap(keywords, serps, { minShared: 3 });
+
+    expect(groups).toHaveLength(2);
+    expect(groups[0].pivot.id).toBe('k2');
+    expect(groups[0].members.map(m => m.keyword.id)).toEqual(['k2', 'k1']);
+    expect(groups[0].members[1].shared_urls).toBe(3);
+    expect(groups[1].members.map(m => m.keyword.id)).toEqual(['k3']);
+  });
+
+  test('does not chain keywords that only overlap through a third', () => {
+    const keywords = [keyword('k1', 'a', 300), keyword('k2', 'b', 200), keyword('k3', 'c', 100)];
+    const serps = serpsFor([
+      ['k1', ['https://1.com/', 'https://2.com/']],
+      ['k2', ['https://2.com/', 'https://3.com/']],
+      ['k3', ['https://3.com/', 'https://4.com/']]
+    ]);
+
+    const groups = clusterBySerpOverlap(keywords, serps, { minShared: 1 });
+
+    expect(groups.map(g => g.members.map(m => m.keyword.id))).toEqual([['k1', 'k2'], ['k3']]);
+  });
+
+  test('keeps countries apart and skips keywords without SERPs', () => {
+    const keywords = [
+      keyword('k1', 'qrops', 100),
+      keyword('k2', 'qrops', 100, { country: 'AU' }),
+      keyword('k3', 'no serp', 900)
+    ];
+    const serps = serpsFor([['k1', shared], ['k2', shared]]);
+
+    const groups = clusterBySerpOverlap(keywords, serps, { minShared: 3 });
+
+    expect(groups).toHaveLength(2);
+    expect(groups.every(g => g.members.length === 1)).toBe(true);
+  });
+});
+
+describe('suggestForGroup', () => {
+  const pages = [
+    { id: 'p1', page_name: 'QROPS', url: '/qrops' },
+    { id: 'p2', page_name: 'Transfers', url: '/transfers' }
+  ];
+
+  test('suggests the pivot keyword and best-ranking Hoxton page', () => {
+    const keywords = [keyword('k1', 'qrops transfer', 500), keyword('k2', 'qrops', 100)];
+    const serps = serpsFor([
+      ['k1', ['https://a.com/', 'https://b.com/', 'https://c.com/', 'https://hoxtonwealth.com/transfers'], { 4: true }],
+      ['k2', ['https://hoxtonwealth.com/qrops/', 'https://a.com/'], { 1: true }]
+    ]);
+    const [group] = clusterBySerpOverlap(keywords, serps, { minShared: 1 });
+
+    const suggestion = suggestForGroup(group, serps, pages);
+
+    expect(suggestion.suggested_cluster).toBe('Qrops Transfer');
+    expect(suggestion.cluster_reason).toBe('highest-volume keyword');
+    expect(suggestion.suggested_page).toEqual(pages[0]);
+    expect(suggestion.page_reason).toBe('ranks #1');
+  });
+
+  test('falls back to existing clusters and page mappings', () => {
+    const keywords = [
+      keyword('k1', 'qrops transfer', 500, { cluster: 'Pensions', page_id: 'p2' }),
+      keyword('k2', 'qrops', 100, { cluster: 'Pensions', page_id: 'p2' }),
+      keyword('k3', 'qrops uk', 50, { cluster: 'Tools' })
+    ];
+    const serps = serpsFor(keywords.map(k => [k.id, ['https://a.com/']]));
+    const [group] = clusterBySerpOverlap(keywords, serps, { minShared: 1 });
+
+    const suggestion = suggestForGroup(group, serps, pages);
+
+    expect(suggestion.suggested_cluster).toBe('Pensions');
+    expect(suggestion.suggested_page.id).toBe('p2');
+    expect(suggestion.page_reason).toBe('most keywords already mapped');
+  });
+});
@@ -0,0 +1,139 @@
+import { readFileSync } from 'fs';
+import {
+  parsePage,
+  fetchPage,
+  findPageIssues,
+  flagDuplicateTitles,
+  containsKeyword,
+  resolvePageUrl
+} from '../../lib/crawler.js';
+
+const fixture = name => readFileSync(new URL(`../fixtures/crawler/${name}`, import.meta.url), 'utf8');
+
+const PAGE_URL = 'https://hoxtonwealth.com/pensions/pension-transfer/';
+
+describe('parsePage', () => {
+  const page = parsePage(fixture('pension-transfer.html'), PAGE_URL);
+
+  test('extracts head elements', () => {
+    expect(page.title).toBe('UK Pension Transfer Advice | Hoxton Wealth');
+    expect(page.meta_description).toBe('Expert advice on transferring your UK pension abroad.');
+    expect(page.robots).toBe('index, follow');
+    expect(page.canonical).toBe(PAGE_URL);
+  });
+
+  test('extracts headings', () => {
+    expect(page.h1).toEqual(['Pension Transfer Advice']);
+    expect(page.h2).toEqual(['Who can transfer?', 'What does it cost?']);
+  });
+
+  test('keeps same-site links only, as normalised paths', () => {
+    expect(page.internal_links).toEqual(['/', '/pensions', '/pensions/qrops']);
+  });
+
+  test('collects schema.org types from valid JSON-LD blocks', () => {
+    expect(page.schema_types).toEqual(['FAQPage', 'Organization', 'WebPage']);
+    expect(page.schema_blocks).toHaveLength(1);
+  });
+
+  test('counts body words without scripts', () => {
+    expect(page.word_count).toBe(35);
+  });
+});
+
+describe('findPageIssues', () => {
+  test('flags noindex, multiple H1s, missing keyword and canonical mismatch', () => {
+    const url = 'https://hoxtonwealth.com/tools/retirement-calculator';
+    const snapshot = { url, final_url: url, status_code: 200, ...parsePage(fixture('noindex.html'), url) };
+
+    const types = findPageIssues(snapshot, { targetKeyword: 'pension calculator' }).map(issue => issue.type);
+
+    expect(types).toEqual([
+      'noindex',
+      'missing_meta_description',
+      'multiple_h1',
+      'title_missing_keyword',
+      'h1_missing_keyword',
+      'canonical_mismatch',
+      'thin_content'
+    ]);
+  });
+
+  test('accepts a canonical that differs only by www or trailing slash', () => {
+    const snapshot = {
+      url: 'https://www.hoxtonwealth.com/pensions/pension-transfer',
+      status_code: 200,
+      ...parsePage(fixture('pension-transfer.html'), PAGE_URL)
+    };
+
+    const types = findPageIssues(snapshot, { targetKeyword: 'pension transfer' }).map(issue => issue.type);
+    expect(types).toEqual(['thin_content']);
+  });
+
+  test('reports HTTP errors and fetch failures only', () => {
+    expect(findPageIssues({ status_code: 404, h1: [] })).toEqual([
+      { type: 'http_error', message: 'Page returned HTTP 404' }
+    ]);
+    expect(findPageIssues({ error: 'timeout', h1: [] })[0].type).toBe('fetch_failed');
+  });
+
+  test('reads noindex from the X-Robots-Tag header', () => {
+    const snapshot = { status_code: 200, h1: ['x'], title: 'x', word_count: 500, robots_header: 'noindex' };
+    expect(findPageIssues(snapshot).map(issue => issue.type)).toContain('noindex');
+  });
+});
+
+describe('flagDuplicateTitles', () => {
+  test('compares against other pages without changing them', () => {
+    const snapshots = [
+      { page_id: 'a', url: '/a', title: 'Pensions | Hoxton', issues: [] },
+      { page_id: 'b', url: '/b', title: 'Unique', issues: [] }
+    ];
+    const existing = [{ page_id: 'c', url: '/c', title: 'pensions | hoxton' }];
+
+    flagDuplicateTitles(snapshots, existing);
+
+    expect(snapshots[0].issues).toEqual([{ type: 'duplicate_title', message: 'Title is shared with /c' }]);
+    expect(snapshots[1].issues).toEqual([]);
+    expect(existing[0].issues).toBeUndefined();
+  });
+});
+
+describe('containsKeyword', () => {
+  test('matches every word regardless of order and punctuation', () => {
+    expect(containsKeyword('Transfer your pension: expert advice', 'pension transfer')).toBe(true);
+    expect(containsKeyword('Pensions explained', 'pension')).toBe(false);
+  });
+});
+
+describe('fetchPage', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('returns HTML, final URL and X-Robots-Tag', async () => {
+    global.fetch = async url => ({
+      status: 200,
+      url: `${url}/`,
+      headers: new Headers({ 'content-type': 'text/html; charset=utf-8', 'x-robots-tag': 'noindex' }),
+      text: async () => fixture('noindex.html')
+    });
+
+    const page = await fetchPage(resolvePageUrl('/tools/calculator', 'https://hoxtonwealth.com'));
+
+    expect(page.status_code).toBe(200);
+    expect(page.final_url).toBe('https://hoxtonwealth.com/tools/calculator/');
+    expect(page.robots_header).toBe('noindex');
+    expect(page.html).toContain('Retirement Calculator');
+  });
+
+  test('aborts after the given timeout', async () => {
+    global.fetch = (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+
+    await expect(fetchPage('https://hoxtonwealth.com/', 50)).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+});
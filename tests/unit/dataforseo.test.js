@@ -0,0 +1,496 @@
+import { readFileSync } from 'fs';
+import {
+  mapOrganicItems,
+  mapSerpFeatures,
+  getKeywordMetrics,
+  getRelatedKeywords,
+  getKeywordSuggestions,
+  getSerp,
+  getSerps,
+  postTasks,
+  localeParams,
+  searchVolumeDateFrom,
+  retryDelay,
+  createLimiter,
+  dataforseoRequest
+} from '../../lib/dataforseo.js';
+import { ExternalApiError } from '../../lib/errors.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`../fixtures/dataforseo/${name}`, import.meta.url), 'utf8'));
+
+describe('mapOrganicItems', () => {
+  test('keeps only organic items in stored shape', () => {
+    const items = [
+      { type: 'featured_snippet', rank_absolute: 1, url: 'https://a.com/' },
+      { type: 'organic', rank_absolute: 2, url: 'https://b.com/x', domain: 'b.com', title: 'B', extra: 1 }
+    ];
+
+    expect(mapOrganicItems(items)).toEqual([
+      { rank_absolute: 2, url: 'https://b.com/x', domain: 'b.com', title: 'B' }
+    ]);
+  });
+
+  test('returns empty array for no items', () => {
+    expect(mapOrganicItems([])).toEqual([]);
+  });
+});
+
+describe('mapSerpFeatures', () => {
+  test('keeps non-organic items with nested URLs', () => {
+    const items = [
+      { type: 'organic', rank_absolute: 2, url: 'https://b.com/' },
+      {
+        type: 'ai_overview',
+        rank_absolute: 1,
+        items: [{ references: [{ url: 'https://hoxtonwealth.com/a' }, { url: 'https://c.com/' }] }]
+      }
+    ];
+
+    expect(mapSerpFeatures(items)).toEqual([{
+      type: 'ai_overview',
+      rank_absolute: 1,
+      title: null,
+      urls: ['https://hoxtonwealth.com/a', 'https://c.com/'],
+      questions: []
+    }]);
+  });
+
+  test('extracts People Also Ask questions', () => {
+    const [feature] = mapSerpFeatures([{
+      type: 'people_also_ask',
+      rank_absolute: 3,
+      items: [
+        { title: 'How much do I need to retire?', expanded_element: [{ url: 'https://d.com/' }] },
+        { title: 'Can I take my pension at 55?' }
+      ]
+    }]);
+
+    expect(feature.questions).toEqual([
+      'How much do I need to retire?',
+      'Can I take my pension at 55?'
+    ]);
+    expect(feature.urls).toEqual(['https://d.com/']);
+  });
+});
+
+describe('getSerp', () => {
+  const originalFetch = global.fetch;
+  let urls;
+
+  beforeEach(() => {
+    process.env.DATAFORSEO_LOGIN = 'login';
+    process.env.DATAFORSEO_PASSWORD = 'password';
+    urls = [];
+    global.fetch = async url => {
+      urls.push(url);
+      return { status: 200, json: async () => fixture('serp-advanced.json') };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('maps organic results and features from the advanced endpoint', async () => {
+    const { organic, features } = await getSerp('qrops transfer', 2826);
+
+    expect(urls[0]).toContain('/v3/serp/google/organic/live/advanced');
+    expect(organic).toEqual([
+      {
+        rank_absolute: 3,
+        url: 'https://www.gov.uk/transferring-your-pension/transferring-to-an-overseas-pension-scheme',
+        domain: 'www.gov.uk',
+        title: 'Transferring your pension: Transferring to an overseas pension scheme'
+      },
+      {
+        rank_absolute: 5,
+        url: 'https://hoxtonwealth.com/uk/pensions/qrops/',
+        domain: 'hoxtonwealth.com',
+        title: 'QROPS explained | Hoxton Wealth'
+      }
+    ]);
+    expect(features.map(f => f.type)).toEqual(['ai_overview', 'featured_snippet', 'people_also_ask', 'related_searches']);
+
+    const paa = features.find(f => f.type === 'people_also_ask');
+    expect(paa.questions).toEqual(['Is a QROPS transfer worth it?', 'How much does it cost to transfer to a QROPS?']);
+    expect(paa.urls).toEqual(['https://hoxtonwealth.com/uk/pensions/qrops/', 'https://www.which.co.uk/money/pensions-and-retirement/qrops']);
+    expect(features[0].urls).toContain('https://hoxtonwealth.com/uk/pensions/qrops/');
+    expect(features[1].urls).toEqual([
+      'https://www.moneyhelper.org.uk/en/pensions-and-retirement/taking-your-pension/transferring-your-pension-overseas'
+    ]);
+  });
+});
+
+describe('searchVolumeDateFrom', () => {
+  test('starts 24 months back, including the current month', () => {
+    expect(searchVolumeDateFrom(new Date('2026-03-15T12:00:00Z'))).toBe('2024-04-01');
+    expect(searchVolumeDateFrom(new Date('2026-01-31T23:00:00Z'))).toBe('2024-02-01');
+  });
+});
+
+describe('getKeywordMetrics requests', () => {
+  const originalFetch = global.fetch;
+  let requests;
+
+  beforeEach(() => {
+    process.env.DATAFORSEO_LOGIN = 'login';
+    process.env.DATAFORSEO_PASSWORD = 'password';
+    requests = [];
+    global.fetch = async (url, init) => {
+      requests.push(...JSON.parse(init.body));
+      return {
+        json: async () => ({
+          status_code: 20000,
+          cost: 0.075,
+          tasks_count: 1,
+          tasks: [{ status_code: 20000, result: [{ keyword: 'pension advice' }] }]
+        })
+      };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('requests monthly history and reports cost and keyword count to onUsage', async () => {
+    const calls = [];
+    const result = await getKeywordMetrics(['pension advice', 'sipp'], 2826, {
+      onUsage: usage => calls.push(usage)
+    });
+
+    expect(result).toEqual([{ keyword: 'pension advice' }]);
+    expect(requests[0].date_from).toBe(searchVolumeDateFrom());
+    expect(calls).toEqual([{
+      endpoint: '/v3/keywords_data/google_ads/search_volume/live',
+      cost: 0.075,
+      keyword_count: 2,
+      tasks_count: 1
+    }]);
+  });
+});
+
+describe('Labs research requests', () => {
+  const originalFetch = global.fetch;
+  let requests;
+
+  const respond = items => {
+    global.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return {
+        json: async () => ({
+          status_code: 20000,
+          tasks: [{ status_code: 20000, result: [{ items }] }]
+        })
+      };
+    };
+  };
+
+  beforeEach(() => {
+    process.env.DATAFORSEO_LOGIN = 'login';
+    process.env.DATAFORSEO_PASSWORD = 'password';
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('maps related keywords nested under keyword_data', async () => {
+    respond([{
+      keyword_data: {
+        keyword: 'qrops transfer',
+        keyword_info: { search_volume: 320, cpc: 4.1, competition: 0.3 },
+        keyword_properties: { keyword_difficulty: 27 }
+      }
+    }]);
+
+    const result = await getRelatedKeywords('qrops', 2826, 50);
+
+    expect(requests[0].url).toContain('/dataforseo_labs/google/related_keywords/live');
+    expect(requests[0].body[0]).toMatchObject({ keyword: 'qrops', location_code: 2826, limit: 50 });
+    expect(result).toEqual([{
+      keyword: 'qrops transfer',
+      search_volume: 320,
+      difficulty: 27,
+      cpc: 4.1,
+      competition: 0.3,
+      position: null,
+      url: null
+    }]);
+  });
+
+  test('leaves metrics Labs has no data for as null', async () => {
+    respond([{ keyword: 'qrops malta', keyword_info: { search_volume: null }, keyword_properties: {} }]);
+
+    const [result] = await getKeywordSuggestions('qrops', 2826, 10);
+
+    expect(result).toMatchObject({ search_volume: null, difficulty: null, cpc: null, competition: null });
+  });
+
+  test('passes filters to keyword suggestions', async () => {
+    respond([{ keyword: 'what is qrops', keyword_info: { search_volume: 90 } }]);
+
+    const result = await getKeywordSuggestions('qrops', 2826, 10, ['keyword', 'regex', '^what ']);
+
+    expect(requests[0].body[0].filters).toEqual(['keyword', 'regex', '^what ']);
+    expect(result[0]).toMatchObject({ keyword: 'what is qrops', search_volume: 90 });
+  });
+
+  test('sends the location language and device with SERP requests', async () => {
+    respond([]);
+
+    await getSerp('qrops', { location_code: 1006886, language_code: 'en', device: 'mobile' }, 100);
+
+    expect(requests[0].body[0]).toMatchObject({
+      keyword: 'qrops',
+      location_code: 1006886,
+      language_code: 'en',
+      device: 'mobile'
+    });
+  });
+
+  test('uses the location language for Labs requests', async () => {
+    respond([]);
+
+    await getRelatedKeywords('qrops', { location_code: 2784, language_code: 'ar' }, 10);
+
+    expect(requests[0].body[0]).toMatchObject({ location_code: 2784, language_code: 'ar' });
+  });
+});
+
+describe('localeParams', () => {
+  test('defaults the language for bare location codes', () => {
+    expect(localeParams(2826)).toEqual({ location_code: 2826, language_code: 'en' });
+  });
+
+  test('keeps the location language and drops other fields', () => {
+    expect(localeParams({ id: 'l1', code: 'uae-ar', location_code: 2784, language_code: 'ar' }))
+      .toEqual({ location_code: 2784, language_code: 'ar' });
+  });
+
+  test('rejects a missing location code', () => {
+    expect(() => localeParams({ language_code: 'en' })).toThrow('location_code is required');
+    expect(() => localeParams(undefined)).toThrow('location_code is required');
+  });
+});
+
+describe('retryDelay', () => {
+  test('backs off exponentially with jitter, up to a cap', () => {
+    expect(retryDelay(0, null, () => 0)).toBe(250);
+    expect(retryDelay(0, null, () => 0.999)).toBeCloseTo(500, 0);
+    expect(retryDelay(2, null, () => 0)).toBe(1000);
+    expect(retryDelay(10, null, () => 0)).toBe(4000);
+  });
+
+  test('honours Retry-After, up to the cap', () => {
+    expect(retryDelay(0, '2')).toBe(2000);
+    expect(retryDelay(0, '120')).toBe(8000);
+  });
+});
+
+describe('createLimiter', () => {
+  test('never runs more than max calls at once', async () => {
+    const run = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => run(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return n * 10;
+    })));
+
+    expect(results).toEqual([10, 20, 30, 40, 50]);
+    expect(peak).toBe(2);
+  });
+
+  test('frees the slot when a call fails', async () => {
+    const run = createLimiter(1);
+
+    await expect(run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    await expect(run(async () => 'next')).resolves.toBe('next');
+  });
+});
+
+describe('request retries and errors', () => {
+  const originalFetch = global.fetch;
+  let responses;
+  let calls;
+
+  beforeEach(() => {
+    process.env.DATAFORSEO_LOGIN = 'login';
+    process.env.DATAFORSEO_PASSWORD = 'password';
+    calls = 0;
+    global.fetch = async () => responses[calls++];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const ok = { status: 200, json: async () => ({ status_code: 20000, tasks: [{ status_code: 20000, result: [{ ok: true }] }] }) };
+
+  test('retries rate-limit errors, then succeeds', async () => {
+    responses = [
+      { status: 200, json: async () => ({ status_code: 40202, status_message: 'Rate limit exceeded' }) },
+      ok
+    ];
+
+    await expect(dataforseoRequest('/v3/test', [{}])).resolves.toEqual([{ ok: true }]);
+    expect(calls).toBe(2);
+  });
+
+  test('does not resend POSTs the server may have processed', async () => {
+    responses = [{ status: 500, json: async () => ({ status_code: 50000, status_message: 'Internal Error' }) }, ok];
+
+    const err = await dataforseoRequest('/v3/test/task_post', [{}]).catch(e => e);
+
+    expect(err.details).toEqual({ endpoint: '/v3/test/task_post', status_code: 50000, attempts: 1 });
+    expect(calls).toBe(1);
+  });
+
+  test('retries server errors on GET requests', async () => {
+    responses = [{ status: 500, json: async () => ({ status_code: 50000, status_message: 'Internal Error' }) }, ok];
+
+    await expect(dataforseoRequest('/v3/test/task_get/1')).resolves.toEqual([{ ok: true }]);
+    expect(calls).toBe(2);
+  });
+
+  test('retries POSTs whose connection never opened', async () => {
+    global.fetch = async () => {
+      if (calls++ === 0) throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+      return ok;
+    };
+
+    await expect(dataforseoRequest('/v3/test', [{}])).resolves.toEqual([{ ok: true }]);
+    expect(calls).toBe(2);
+  });
+
+  test('gives up instead of retrying past the deadline', async () => {
+    responses = [
+      { status: 429, headers: { get: () => '5' }, json: async () => ({ status_code: 40202, status_message: 'Rate limit exceeded' }) },
+      ok
+    ];
+
+    const err = await dataforseoRequest('/v3/test', [{}], { deadline: Date.now() + 4000 }).catch(e => e);
+
+    expect(err.message).toBe('DataForSEO API error: 40202: Rate limit exceeded');
+    expect(calls).toBe(1);
+  });
+
+  test('does not start a request with too little time left', async () => {
+    const err = await dataforseoRequest('/v3/test', [{}], { deadline: Date.now() + 500 }).catch(e => e);
+
+    expect(err).toBeInstanceOf(ExternalApiError);
+    expect(err.message).toBe('DataForSEO API error: Deadline reached before the request was sent');
+    expect(calls).toBe(0);
+  });
+
+  test('cuts the attempt timeout to the time left', async () => {
+    global.fetch = (url, init) => new Promise((resolve, reject) => {
+      calls++;
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    });
+    const started = Date.now();
+
+    const err = await dataforseoRequest('/v3/test/task_get/1', undefined, { deadline: started + 2100 }).catch(e => e);
+
+    expect(err.message).toMatch(/Request timed out after 2\d{3}ms/);
+    expect(Date.now() - started).toBeLessThan(4000);
+    expect(calls).toBe(1);
+  });
+
+  test('wraps non-JSON responses in ExternalApiError without retrying client errors', async () => {
+    responses = [{ status: 400, json: async () => { throw new SyntaxError('Unexpected token <'); } }];
+
+    const err = await dataforseoRequest('/v3/test', [{}]).catch(e => e);
+
+    expect(err).toBeInstanceOf(ExternalApiError);
+    expect(err.message).toBe('DataForSEO API error: HTTP 400: response was not JSON');
+    expect(err.details).toEqual({ endpoint: '/v3/test', status_code: 400, attempts: 1 });
+    expect(calls).toBe(1);
+  });
+
+  test('reports task errors as ExternalApiError', async () => {
+    responses = [{
+      status: 200,
+      json: async () => ({ status_code: 20000, tasks: [{ status_code: 40501, status_message: 'Invalid Field' }] })
+    }];
+
+    await expect(dataforseoRequest('/v3/test', [{}])).rejects.toThrow('DataForSEO API error: 40501: Invalid Field');
+  });
+});
+
+describe('multi-task requests', () => {
+  const originalFetch = global.fetch;
+  let posts;
+
+  beforeEach(() => {
+    process.env.DATAFORSEO_LOGIN = 'login';
+    process.env.DATAFORSEO_PASSWORD = 'password';
+    posts = [];
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('returns failed SERP keywords as partial results', async () => {
+    global.fetch = async (url, init) => {
+      const [task] = JSON.parse(init.body);
+      posts.push(task.keyword);
+      const failed = task.keyword === 'sipp';
+      return {
+        status: 200,
+        json: async () => ({
+          status_code: 20000,
+          tasks: [failed
+            ? { status_code: 40501, status_message: 'Invalid Field' }
+            : { status_code: 20000, result: [{ items: [{ type: 'organic', rank_absolute: 1, url: 'https://a.com/', domain: 'a.com', title: 'A' }] }] }]
+        })
+      };
+    };
+
+    const results = await getSerps([
+      { keyword: 'qrops', locale: 2826 },
+      { keyword: 'sipp', locale: 2826 }
+    ]);
+
+    expect(posts.sort()).toEqual(['qrops', 'sipp']);
+    expect(results[0]).toMatchObject({ error: null, organic: [{ rank_absolute: 1, domain: 'a.com' }] });
+    expect(results[1]).toEqual({ organic: [], features: [], error: '40501: Invalid Field' });
+  });
+
+  test('posts queued tasks in batches of 100, in input order', async () => {
+    global.fetch = async (url, init) => {
+      const batch = JSON.parse(init.body);
+      posts.push(batch.length);
+      return {
+        status: 200,
+        json: async () => ({
+          status_code: 20000,
+          tasks: batch.map(task => ({ id: task.tag, status_code: 20100 }))
+        })
+      };
+    };
+
+    const tasks = await postTasks('/v3/test/task_post', Array.from({ length: 150 }, (_, i) => ({ tag: `t${i}` })));
+
+    expect(posts).toEqual([100, 50]);
+    expect(tasks).toHaveLength(150);
+    expect(tasks[149].id).toBe('t149');
+  });
+
+  test('throws when every batch fails', async () => {
+    global.fetch = async () => ({
+      status: 401,
+      json: async () => ({ status_code: 40100, status_message: 'You are not authorized' })
+    });
+
+    await expect(getSerps([{ keyword: 'qrops', locale: 2826 }]))
+      .rejects.toThrow('DataForSEO API error: 40100: You are not authorized');
+  });
+});
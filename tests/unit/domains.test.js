@@ -0,0 +1,58 @@
+import { normalizeHost, isOwnedDomain, findOwnedUrl, normalizeDomainList } from '../../lib/domains.js';
+
+describe('normalizeHost', () => {
+  test('strips protocol, www, port and path', () => {
+    expect(normalizeHost('https://www.HoxtonWealth.com:8080/pensions?x=1')).toBe('hoxtonwealth.com');
+    expect(normalizeHost('hoxtonwealth.ae/')).toBe('hoxtonwealth.ae');
+  });
+
+  test('returns null for empty values', () => {
+    expect(normalizeHost('')).toBeNull();
+    expect(normalizeHost(null)).toBeNull();
+  });
+});
+
+describe('isOwnedDomain', () => {
+  const owned = ['hoxtonwealth.com', 'hoxtonwealth.ae'];
+
+  test('matches owned domains and their subdomains', () => {
+    expect(isOwnedDomain('www.hoxtonwealth.com', owned)).toBe(true);
+    expect(isOwnedDomain('uk.hoxtonwealth.com', owned)).toBe(true);
+    expect(isOwnedDomain('https://hoxtonwealth.ae/qrops', owned)).toBe(true);
+  });
+
+  test('does not match lookalike domains', () => {
+    expect(isOwnedDomain('nothoxtonwealth.com', owned)).toBe(false);
+    expect(isOwnedDomain('hoxtonwealth.com.evil.io', owned)).toBe(false);
+    expect(isOwnedDomain('example.com', [])).toBe(false);
+  });
+});
+
+describe('findOwnedUrl', () => {
+  test('returns the first owned URL', () => {
+    expect(findOwnedUrl([
+      'https://a.com/x',
+      'https://blog.hoxtonwealth.com/b',
+      'https://hoxtonwealth.com/c'
+    ], ['hoxtonwealth.com'])).toBe('https://blog.hoxtonwealth.com/b');
+  });
+
+  test('returns null when no URL is owned', () => {
+    expect(findOwnedUrl(['https://a.com/x'], ['hoxtonwealth.com'])).toBeNull();
+    expect(findOwnedUrl(undefined, ['hoxtonwealth.com'])).toBeNull();
+  });
+});
+
+describe('normalizeDomainList', () => {
+  test('normalises and dedupes domains', () => {
+    expect(normalizeDomainList(['https://www.partner.com/', 'partner.com', 'Partner.AE']))
+      .toEqual(['partner.com', 'partner.ae']);
+  });
+
+  test('rejects empty lists and invalid entries', () => {
+    expect(() => normalizeDomainList([])).toThrow('domains must be a non-empty array');
+    expect(() => normalizeDomainList('partner.com')).toThrow('domains must be a non-empty array');
+    expect(() => normalizeDomainList(['partner'])).toThrow('Invalid domain');
+    expect(() => normalizeDomainList([42])).toThrow('Invalid domain');
+  });
+});
@@ -0,0 +1,92 @@
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+import { escapeCsvValue, toCsvLine, sendExport } from '../../lib/export.js';
+import { DatabaseError } from '../../lib/errors.js';
+
+function mockResponse() {
+  const res = new PassThrough();
+  const chunks = [];
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.on('data', chunk => chunks.push(chunk));
+  res.body = () => Buffer.concat(chunks);
+  return res;
+}
+
+async function* batchesOf(...batches) {
+  for (const batch of batches) yield batch;
+}
+
+describe('escapeCsvValue', () => {
+  test('quotes delimiters, quotes and newlines', () => {
+    expect(escapeCsvValue('/a, /b')).toBe('"/a, /b"');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(0)).toBe('0');
+  });
+
+  test('neutralises values a spreadsheet would run as formulas', () => {
+    expect(escapeCsvValue('=HYPERLINK("http://evil.test","x")')).toBe('"\'=HYPERLINK(""http://evil.test"",""x"")"');
+    expect(escapeCsvValue('+44 20 7946 0000')).toBe('"\'+44 20 7946 0000"');
+    expect(escapeCsvValue('-cmd')).toBe('"\'-cmd"');
+    expect(escapeCsvValue('@SUM(A1)')).toBe('"\'@SUM(A1)"');
+    expect(escapeCsvValue('\tleading tab')).toBe('"\'\tleading tab"');
+    expect(escapeCsvValue(-3)).toBe('-3');
+  });
+});
+
+describe('toCsvLine', () => {
+  test('follows column order and fills missing fields', () => {
+    expect(toCsvLine({ b: 2, a: 1 }, ['a', 'b', 'c'])).toBe('1,2,\r\n');
+  });
+});
+
+describe('sendExport', () => {
+  test('streams CSV with a header row across batches', async () => {
+    const res = mockResponse();
+
+    await sendExport(res, {
+      format: 'csv',
+      filename: 'keywords',
+      columns: ['keyword_text', 'search_volume'],
+      batches: batchesOf([{ keyword_text: 'pension advice', search_volume: 1000 }], [{ keyword_text: 'sipp' }])
+    });
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="keywords-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(res.body().toString()).toBe('keyword_text,search_volume\r\npension advice,1000\r\nsipp,\r\n');
+  });
+
+  test('writes a readable XLSX workbook', async () => {
+    const res = mockResponse();
+    const finished = new Promise(resolve => res.on('end', resolve));
+
+    await sendExport(res, {
+      format: 'xlsx',
+      filename: 'pages',
+      columns: ['url', 'level'],
+      batches: [[{ url: '/tools', level: 2 }]]
+    });
+    await finished;
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body());
+    const sheet = workbook.getWorksheet('pages');
+
+    expect(sheet.getRow(1).values.slice(1)).toEqual(['url', 'level']);
+    expect(sheet.getRow(2).values.slice(1)).toEqual(['/tools', 2]);
+  });
+
+  test('surfaces an error from the first batch before sending headers', async () => {
+    const res = mockResponse();
+
+    async function* failing() {
+      throw new DatabaseError('select', { message: 'boom' });
+    }
+
+    await expect(sendExport(res, { format: 'csv', filename: 'x', columns: ['a'], batches: failing() }))
+      .rejects.toThrow(DatabaseError);
+    expect(res.headers).toEqual({});
+  });
+});
@@ -0,0 +1,75 @@
+import { isGap, latestPositionByKeyword, positionsInSnapshots, findTrackedGaps } from '../../lib/gap.js';
+
+describe('isGap', () => {
+  test('competitor in top 20 and no owned domain ranking', () => {
+    expect(isGap(5, null)).toBe(true);
+  });
+
+  test('competitor in top 20 and owned domain below 50', () => {
+    expect(isGap(20, 51)).toBe(true);
+    expect(isGap(20, 50)).toBe(false);
+  });
+
+  test('competitor outside top 20 is not a gap', () => {
+    expect(isGap(21, null)).toBe(false);
+  });
+
+  test('respects custom thresholds', () => {
+    expect(isGap(8, 15, { competitorMaxPosition: 10, ownedMinPosition: 10 })).toBe(true);
+  });
+});
+
+describe('latestPositionByKeyword', () => {
+  test('takes the best position in the latest fetch', () => {
+    const latest = latestPositionByKeyword([
+      { keyword_id: 'k1', fetched_at: '2024-01-01T00:00:00Z', position: 2, url: '/old' },
+      { keyword_id: 'k1', fetched_at: '2024-01-08T00:00:00Z', position: 9, url: '/b' },
+      { keyword_id: 'k1', fetched_at: '2024-01-08T00:00:00Z', position: 6, url: '/a' }
+    ]);
+
+    expect(latest.get('k1')).toEqual({ position: 6, url: '/a', fetched_at: '2024-01-08T00:00:00Z' });
+  });
+});
+
+describe('positionsInSnapshots', () => {
+  test('reads the best position from each keyword\'s latest snapshot only', () => {
+    const positions = positionsInSnapshots(
+      [
+        { keyword_id: 'k1', snapshot_id: 's2', fetched_at: '2024-01-08T00:00:00Z' },
+        { keyword_id: 'k2', snapshot_id: 's4', fetched_at: '2024-01-08T00:00:00Z' }
+      ],
+      [
+        { snapshot_id: 's1', position: 3, url: '/old' },
+        { snapshot_id: 's2', position: 9, url: '/b' },
+        { snapshot_id: 's2', position: 6, url: '/a' },
+        { snapshot_id: 's3', position: 2, url: '/dropped-out' }
+      ]
+    );
+
+    expect(positions.get('k1')).toEqual({ position: 6, url: '/a', fetched_at: '2024-01-08T00:00:00Z' });
+    expect(positions.has('k2')).toBe(false);
+  });
+});
+
+describe('findTrackedGaps', () => {
+  test('returns gaps sorted by search volume', () => {
+    const keywords = [
+      { id: 'k1', keyword_text: 'sipp transfer', country: 'UK', search_volume: 100 },
+      { id: 'k2', keyword_text: 'qrops', country: 'UK', search_volume: 900 },
+      { id: 'k3', keyword_text: 'pension advice', country: 'UK', search_volume: 5000 }
+    ];
+    const competitor = new Map([
+      ['k1', { position: 3, url: 'https://c.com/1' }],
+      ['k2', { position: 12, url: 'https://c.com/2' }],
+      ['k3', { position: 4, url: 'https://c.com/3' }]
+    ]);
+    const owned = new Map([
+      ['k1', { position: 70 }],
+      ['k3', { position: 2 }]
+    ]);
+
+    const gaps = findTrackedGaps(keywords, competitor, owned);
+    expect(gaps.map(g => g.keyword)).toEqual(['qrops', 'sipp transfer']);
+    expect(gaps[0].owned_position).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { generateKeyPairSync, createVerify } from 'node:crypto';
+import {
+  createGscClient,
+  serviceAccountTokenProvider,
+  toSearchAnalyticsRows,
+  summariseByKeyword,
+  compareWithSerp,
+  gscClientFromEnv
+} from '../../lib/gsc.js';
+import { ConfigurationError } from '../../lib/errors.js';
+
+describe('GSC client against a mock server', () => {
+  const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const apiRows = [
+    { keys: ['2024-03-01', 'qrops', 'https://hoxtonwealth.com/qrops', 'gbr'], clicks: 5, impressions: 100, ctr: 0.05, position: 4.2 },
+    { keys: ['2024-03-01', 'sipp', 'https://hoxtonwealth.com/sipp', 'gbr'], clicks: 1, impressions: 40, ctr: 0.025, position: 9 },
+    { keys: ['2024-03-01', 'qrops', 'https://hoxtonwealth.com/qrops', 'aus'], clicks: 0, impressions: 10, ctr: 0, position: 22 }
+  ];
+
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(async () => {
+    server = createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      requests.push({ url: req.url, headers: req.headers, body });
+
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/token') {
+        const assertion = new URLSearchParams(body).get('assertion');
+        const [header, claims, signature] = assertion.split('.');
+        const valid = createVerify('RSA-SHA256')
+          .update(`${header}.${claims}`)
+          .verify(publicKey, signature, 'base64url');
+
+        res.statusCode = valid ? 200 : 401;
+        return res.end(JSON.stringify(valid
+          ? { access_token: 'token-1', expires_in: 3600 }
+          : { error: 'invalid_grant' }));
+      }
+
+      if (req.headers.authorization !== 'Bearer token-1') {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ error: { message: 'Unauthenticated' } }));
+      }
+
+      if (req.url.includes('forbidden')) {
+        res.statusCode = 403;
+        return res.end(JSON.stringify({ error: { message: 'User does not have sufficient permission' } }));
+      }
+
+      const { startRow, rowLimit } = JSON.parse(body);
+      return res.end(JSON.stringify({ rows: apiRows.slice(startRow, startRow + rowLimit) }));
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const client = () => createGscClient({
+    baseUrl,
+    getAccessToken: serviceAccountTokenProvider({
+      clientEmail: 'sync@project.iam.gserviceaccount.com',
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      tokenUrl: `${baseUrl}/token`
+    })
+  });
+
+  test('signs a service account JWT and pages through every row', async () => {
+    const rows = await client().querySearchAnalytics('sc-domain:hoxtonwealth.com', {
+      startDate: '2024-03-01',
+      endDate: '2024-03-01',
+      dimensions: ['date', 'query', 'page', 'country'],
+      rowLimit: 2
+    });
+
+    expect(rows).toEqual(apiRows);
+
+    const queries = requests.filter(r => r.url !== '/token');
+    expect(requests.filter(r => r.url === '/token')).toHaveLength(1);
+    expect(queries).toHaveLength(2);
+    expect(queries[0].url).toBe('/sites/sc-domain%3Ahoxtonwealth.com/searchAnalytics/query');
+    expect(JSON.parse(queries[1].body).startRow).toBe(2);
+  });
+
+  test('surfaces API errors with their message', async () => {
+    await expect(client().querySearchAnalytics('forbidden', {
+      startDate: '2024-03-01',
+      endDate: '2024-03-01',
+      dimensions: ['query']
+    })).rejects.toThrow('Search Console error 403: User does not have sufficient permission');
+  });
+
+  test('does not start a query too close to the deadline', async () => {
+    await expect(client().querySearchAnalytics('sc-domain:hoxtonwealth.com', {
+      startDate: '2024-03-01',
+      endDate: '2024-03-01',
+      dimensions: ['query'],
+      deadline: Date.now() + 500
+    })).rejects.toThrow('ran out of time');
+
+    expect(requests).toHaveLength(0);
+  });
+});
+
+describe('gscClientFromEnv', () => {
+  test('throws a ConfigurationError without credentials', () => {
+    const { GSC_CLIENT_EMAIL, GSC_PRIVATE_KEY } = process.env;
+    delete process.env.GSC_CLIENT_EMAIL;
+    delete process.env.GSC_PRIVATE_KEY;
+
+    try {
+      expect(() => gscClientFromEnv()).toThrow(ConfigurationError);
+    } finally {
+      if (GSC_CLIENT_EMAIL !== undefined) process.env.GSC_CLIENT_EMAIL = GSC_CLIENT_EMAIL;
+      if (GSC_PRIVATE_KEY !== undefined) process.env.GSC_PRIVATE_KEY = GSC_PRIVATE_KEY;
+    }
+  });
+});
+
+describe('toSearchAnalyticsRows', () => {
+  test('maps countries and matches keywords and pages', () => {
+    const [uk, other] = toSearchAnalyticsRows([
+      { keys: ['2024-03-01', 'QROPS ', 'https://www.hoxtonwealth.com/qrops/', 'gbr'], clicks: 5, impressions: 100, ctr: 0.05, position: 4.2 },
+      { keys: ['2024-03-01', 'qrops', 'https://hoxtonwealth.com/qrops', 'fra'], clicks: 0, impressions: 3, ctr: 0, position: 30 }
+    ], {
+      siteUrl: 'sc-domain:hoxtonwealth.com',
+      keywords: [{ id: 'k1', keyword_text: 'qrops', country: 'UK' }],
+      pages: [{ id: 'p1', url: '/qrops' }]
+    });
+
+    expect(uk).toMatchObject({ country: 'UK', gsc_country: 'gbr', keyword_id: 'k1', page_id: 'p1' });
+    expect(other).toMatchObject({ country: null, keyword_id: null, page_id: 'p1' });
+  });
+});
+
+describe('summariseByKeyword', () => {
+  test('weights position by impressions and picks the top page', () => {
+    const summary = summariseByKeyword([
+      { keyword_id: 'k1', page: '/a', clicks: 1, impressions: 100, position: 3 },
+      { keyword_id: 'k1', page: '/b', clicks: 4, impressions: 300, position: 7 },
+      { keyword_id: null, page: '/c', clicks: 9, impressions: 900, position: 1 }
+    ]);
+
+    expect(summary.size).toBe(1);
+    expect(summary.get('k1')).toEqual({
+      clicks: 5,
+      impressions: 400,
+      ctr: 0.0125,
+      position: 6,
+      top_page: '/b'
+    });
+  });
+});
+
+describe('compareWithSerp', () => {
+  const keywords = [
+    { id: 'k1', keyword_text: 'qrops', country: 'UK', cluster: 'Pensions' },
+    { id: 'k2', keyword_text: 'sipp', country: 'UK', cluster: 'Pensions' },
+    { id: 'k3', keyword_text: 'isa', country: 'UK', cluster: null },
+    { id: 'k4', keyword_text: 'no gsc', country: 'UK', cluster: null }
+  ];
+  const gsc = new Map([
+    ['k1', { clicks: 5, impressions: 100, ctr: 0.05, position: 4.2, top_page: 'https://hoxtonwealth.com/qrops' }],
+    ['k2', { clicks: 1, impressions: 40, ctr: 0.025, position: 9, top_page: 'https://hoxtonwealth.com/sipp' }],
+    ['k3', { clicks: 0, impressions: 10, ctr: 0, position: 40, top_page: 'https://hoxtonwealth.com/isa' }]
+  ]);
+  const serp = new Map([
+    ['k1', { position: 5, url: 'https://hoxtonwealth.com/qrops/', fetched_at: '2024-03-02' }],
+    ['k2', { position: 21, url: 'https://hoxtonwealth.com/other', fetched_at: '2024-03-02' }]
+  ]);
+
+  test('classifies each keyword with GSC data', () => {
+    const rows = compareWithSerp(keywords, gsc, serp);
+
+    expect(rows.map(r => [r.keyword_id, r.status, r.difference, r.page_matches])).toEqual([
+      ['k1', 'consistent', 0.8, true],
+      ['k2', 'differs', 12, false],
+      ['k3', 'not_in_serp', null, null]
+    ]);
+  });
+
+  test('uses a custom threshold', () => {
+    const rows = compareWithSerp(keywords, gsc, serp, { threshold: 0.5 });
+    expect(rows[0].status).toBe('differs');
+  });
+});
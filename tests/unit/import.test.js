@@ -0,0 +1,138 @@
+import ExcelJS from 'exceljs';
+import {
+  parseCsv,
+  parseXlsx,
+  mapColumns,
+  rowsToRecords,
+  validateRecords,
+  preparePage,
+  prepareKeyword,
+  dedupeRows,
+  PAGE_COLUMNS,
+  KEYWORD_COLUMNS
+} from '../../lib/import.js';
+import { ValidationError } from '../../lib/errors.js';
+
+describe('parseCsv', () => {
+  test('keeps commas, quotes and newlines inside quoted cells', () => {
+    const csv = 'Page Name,URL,Sibling Links\r\n'
+      + '"Pensions, UK",/pensions,"/sipp, /qrops"\r\n'
+      + '"Say ""hi""",/hi,"line one\nline two"\r\n';
+
+    expect(parseCsv(csv)).toEqual([
+      ['Page Name', 'URL', 'Sibling Links'],
+      ['Pensions, UK', '/pensions', '/sipp, /qrops'],
+      ['Say "hi"', '/hi', 'line one\nline two']
+    ]);
+  });
+
+  test('strips BOM and skips blank lines', () => {
+    expect(parseCsv('\uFEFFkeyword\n\npension advice\n,\n')).toEqual([['keyword'], ['pension advice']]);
+  });
+});
+
+describe('parseXlsx', () => {
+  test('reads cell text from the first worksheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Architecture');
+    sheet.addRow(['Page Name', 'URL', 'Cluster', 'Level']);
+    sheet.addRow(['Retirement Calculator', { text: '/tools/retirement', hyperlink: 'https://x.com/tools/retirement' }, 'Tools', 3]);
+
+    const rows = await parseXlsx(Buffer.from(await workbook.xlsx.writeBuffer()));
+
+    expect(rows).toEqual([
+      ['Page Name', 'URL', 'Cluster', 'Level'],
+      ['Retirement Calculator', '/tools/retirement', 'Tools', '3']
+    ]);
+  });
+
+  test('rejects an unknown worksheet', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Pages');
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    await expect(parseXlsx(buffer, 'Missing')).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('mapColumns', () => {
+  test('matches header aliases loosely', () => {
+    expect(mapColumns(['Page Name', 'page-url', 'CLUSTER'], PAGE_COLUMNS)).toEqual({
+      page_name: 0, url: 1, cluster: 2
+    });
+  });
+
+  test('explicit mapping overrides aliases', () => {
+    expect(mapColumns(['Search Query', 'Market'], KEYWORD_COLUMNS, { keyword_text: 'Search Query' }))
+      .toEqual({ keyword_text: 0, country: 1 });
+  });
+
+  test('rejects unknown fields and missing headers', () => {
+    expect(() => mapColumns(['a'], PAGE_COLUMNS, { nope: 'a' })).toThrow(ValidationError);
+    expect(() => mapColumns(['a'], PAGE_COLUMNS, { url: 'b' })).toThrow(ValidationError);
+  });
+});
+
+describe('rowsToRecords and validateRecords', () => {
+  test('reports every bad row with ValidationError details', () => {
+    const records = rowsToRecords([
+      ['Page Name', 'URL', 'Cluster', 'Level'],
+      ['Home', '/', 'Core', '1'],
+      ['', '/missing-name', 'Core', ''],
+      ['Bad level', '/bad', 'Core', 'two']
+    ], PAGE_COLUMNS);
+
+    const { valid, errors } = validateRecords(records, preparePage);
+
+    expect(valid).toHaveLength(1);
+    expect(valid[0]).toMatchObject({ row: 2, data: { page_name: 'Home', level: 1 } });
+    expect(errors).toEqual([
+      { row: 3, error: 'Missing required field(s): page_name', details: { missing: ['page_name'] } },
+      {
+        row: 4,
+        error: 'Invalid type for level',
+        details: { field: 'level', expected: 'positive integer', received: 'two' }
+      }
+    ]);
+  });
+});
+
+describe('prepareKeyword', () => {
+  const frequencies = ['daily', 'weekly', 'monthly'];
+  const countries = ['UK', 'US'];
+
+  test('applies defaults and normalises case', () => {
+    expect(prepareKeyword({ keyword_text: ' Pension Advice ' }, { country: 'uk' }, frequencies, countries)).toEqual({
+      keyword_text: 'pension advice',
+      country: 'UK',
+      cluster: null,
+      page_id: null,
+      page_url: null,
+      refresh_frequency: 'weekly'
+    });
+  });
+
+  test('rejects unknown countries', () => {
+    expect(() => prepareKeyword({ keyword_text: 'x', country: 'FR' }, {}, frequencies, countries))
+      .toThrow(ValidationError);
+  });
+
+  test('rejects a page_id that is not a UUID', () => {
+    expect(() => prepareKeyword({ keyword_text: 'x', page_id: '42' }, { country: 'UK' }, frequencies, countries))
+      .toThrow(ValidationError);
+  });
+});
+
+describe('dedupeRows', () => {
+  test('keeps the first occurrence', () => {
+    const { unique, duplicates } = dedupeRows(
+      [{ row: 2, data: { url: '/a' } }, { row: 3, data: { url: '/a' } }],
+      page => page.url
+    );
+
+    expect(unique.map(item => item.row)).toEqual([2]);
+    expect(duplicates).toEqual([
+      { row: 3, error: 'Duplicate of an earlier row', details: { duplicate_of: 2 } }
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+import { parseLinkRefs, buildPageLinks, auditLinkGraph } from '../../lib/links.js';
+
+const page = (id, cluster, level, extra = {}) => ({
+  id,
+  page_name: `Page ${id}`,
+  url: `/${cluster.toLowerCase()}/${id}`,
+  cluster,
+  level,
+  parent_page: null,
+  sibling_links: null,
+  cross_cluster_links: null,
+  ...extra
+});
+
+describe('parseLinkRefs', () => {
+  test('splits on common separators and drops blanks and repeats', () => {
+    expect(parseLinkRefs('/a, /b;\n/c | /a ,')).toEqual(['/a', '/b', '/c']);
+    expect(parseLinkRefs(null)).toEqual([]);
+  });
+});
+
+describe('buildPageLinks', () => {
+  test('resolves references by URL or page name and keeps broken ones', () => {
+    const pages = [
+      page('p1', 'Pensions', 1),
+      page('p2', 'Pensions', 2, {
+        parent_page: 'https://hoxtonwealth.com/pensions/p1/',
+        sibling_links: 'page p3, /pensions/missing, Page p2'
+      }),
+      page('p3', 'Pensions', 2)
+    ];
+
+    expect(buildPageLinks(pages)).toEqual([
+      { source_page_id: 'p2', target_page_id: 'p1', target_ref: 'https://hoxtonwealth.com/pensions/p1/', link_type: 'parent' },
+      { source_page_id: 'p2', target_page_id: 'p3', target_ref: 'page p3', link_type: 'sibling' },
+      { source_page_id: 'p2', target_page_id: null, target_ref: '/pensions/missing', link_type: 'sibling' }
+    ]);
+  });
+});
+
+describe('auditLinkGraph', () => {
+  const pages = [
+    page('pillar', 'Pensions', 1),
+    page('child', 'Pensions', 2, { parent_page: 'Page pillar', sibling_links: 'Page other' }),
+    page('grandchild', 'Pensions', 3, { parent_page: 'Page child' }),
+    page('other', 'Pensions', 2, { parent_page: 'Page gone' }),
+    page('lonely', 'Tools', 2)
+  ];
+  const report = auditLinkGraph(pages, buildPageLinks(pages));
+
+  test('finds orphans, broken parents and missing pillars', () => {
+    expect(report.orphan_pages.map(p => p.id)).toEqual(['lonely']);
+    expect(report.broken_parents).toEqual([
+      { page: expect.objectContaining({ id: 'other' }), parent_page: 'Page gone' }
+    ]);
+    expect(report.clusters_without_pillar).toEqual(['Tools']);
+  });
+
+  test('flags sibling links that are not reciprocated', () => {
+    expect(report.missing_reciprocal_siblings).toEqual([
+      { page: expect.objectContaining({ id: 'child' }), sibling: expect.objectContaining({ id: 'other' }) }
+    ]);
+  });
+
+  test('measures depth from the pillar', () => {
+    const depth = Object.fromEntries(report.depth.map(p => [p.id, p.depth]));
+    expect(depth).toEqual({ pillar: 0, child: 1, grandchild: 2, other: 2, lonely: null });
+    expect(report.summary.max_depth).toBe(2);
+    expect(report.summary.unreachable_from_pillar).toBe(1);
+  });
+
+  test('scopes the report to one cluster', () => {
+    const scoped = auditLinkGraph(pages, buildPageLinks(pages), { cluster: 'Tools' });
+    expect(scoped.summary.pages).toBe(1);
+    expect(scoped.broken_parents).toEqual([]);
+    expect(scoped.clusters_without_pillar).toEqual(['Tools']);
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  findLocation,
+  defaultLocation,
+  supportedCountries,
+  parseTargets,
+  prepareLocationFields
+} from '../../lib/locales.js';
+import { ValidationError } from '../../lib/errors.js';
+
+const UK_ID = '00000000-0000-4000-8000-000000000001';
+
+const locations = [
+  { id: UK_ID, code: 'uk', country: 'UK', location_code: 2826, language_code: 'en', is_default: true, active: true },
+  { id: 'l-london', code: 'london', country: 'UK', location_code: 1006886, language_code: 'en', is_default: false, active: true },
+  { id: 'l-uae', code: 'uae', country: 'UAE', location_code: 2784, language_code: 'en', is_default: true, active: true },
+  { id: 'l-uae-ar', code: 'uae-ar', country: 'UAE', location_code: 2784, language_code: 'ar', is_default: false, active: true },
+  { id: 'l-sg', code: 'sg', country: 'SG', location_code: 2702, language_code: 'en', is_default: true, active: false }
+];
+
+describe('findLocation', () => {
+  test('finds by code, case-insensitively, or by ID', () => {
+    expect(findLocation(locations, 'London').location_code).toBe(1006886);
+    expect(findLocation(locations, UK_ID).code).toBe('uk');
+  });
+
+  test('returns null for unknown references', () => {
+    expect(findLocation(locations, 'paris')).toBeNull();
+    expect(findLocation(locations, undefined)).toBeNull();
+  });
+});
+
+describe('defaultLocation', () => {
+  test('returns the active default for a country', () => {
+    expect(defaultLocation(locations, 'UAE').code).toBe('uae');
+  });
+
+  test('does not fall back for unknown or inactive countries', () => {
+    expect(defaultLocation(locations, 'FR')).toBeNull();
+    expect(defaultLocation(locations, 'SG')).toBeNull();
+  });
+});
+
+describe('supportedCountries', () => {
+  test('lists countries with an active default location', () => {
+    expect(supportedCountries(locations)).toEqual(['UAE', 'UK']);
+  });
+});
+
+describe('parseTargets', () => {
+  test('resolves locations, defaults the device and dedupes', () => {
+    expect(parseTargets([
+      { location: 'london', device: 'mobile' },
+      { location: 'uae-ar' },
+      { location: 'LONDON', device: 'mobile' }
+    ], locations, ['UK', 'UAE'])).toEqual([
+      { location_id: 'l-london', device: 'mobile' },
+      { location_id: 'l-uae-ar', device: 'desktop' }
+    ]);
+  });
+
+  test('rejects unknown or inactive locations', () => {
+    expect(() => parseTargets([{ location: 'paris' }], locations, ['UK'])).toThrow('Unknown location');
+    expect(() => parseTargets([{ location: 'sg' }], locations, ['SG'])).toThrow('Unknown location');
+  });
+
+  test('rejects locations outside the project countries and invalid devices', () => {
+    expect(() => parseTargets([{ location: 'uae' }], locations, ['UK']))
+      .toThrow('Location is outside the project countries');
+    expect(() => parseTargets([{ location: 'uk', device: 'tablet' }], locations, ['UK']))
+      .toThrow(ValidationError);
+    expect(() => parseTargets('uk', locations, ['UK'])).toThrow(ValidationError);
+  });
+});
+
+describe('prepareLocationFields', () => {
+  test('normalises codes and language', () => {
+    expect(prepareLocationFields({
+      code: 'Dubai',
+      name: ' Dubai ',
+      country: 'uae',
+      location_type: 'city',
+      location_code: 1234567,
+      language_code: 'EN'
+    })).toEqual({
+      code: 'dubai',
+      name: 'Dubai',
+      country: 'UAE',
+      location_type: 'city',
+      location_code: 1234567,
+      language_code: 'en'
+    });
+  });
+
+  test('rejects invalid values', () => {
+    expect(() => prepareLocationFields({ code: 'dubai city' })).toThrow(ValidationError);
+    expect(() => prepareLocationFields({ location_code: '2784' })).toThrow('location_code must be a positive integer');
+    expect(() => prepareLocationFields({ language_code: 'english' })).toThrow('Invalid language_code');
+    expect(() => prepareLocationFields({ location_type: 'town' })).toThrow(ValidationError);
+    expect(() => prepareLocationFields({ active: 'yes' })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,120 @@
+import {
+  volumeScore,
+  difficultyScore,
+  positionScore,
+  cpcScore,
+  opportunityWeights,
+  scoreOpportunity,
+  sortOpportunities,
+  summarizeByCluster,
+  DEFAULT_OPPORTUNITY_WEIGHTS
+} from '../../lib/opportunity.js';
+import { ValidationError } from '../../lib/errors.js';
+
+describe('factor scores', () => {
+  test('volume uses a log scale capped at the ceiling', () => {
+    expect(volumeScore(0)).toBe(0);
+    expect(volumeScore(null)).toBe(0);
+    expect(volumeScore(100)).toBeCloseTo(0.4, 2);
+    expect(volumeScore(10000)).toBeCloseTo(0.8, 2);
+    expect(volumeScore(5000000)).toBe(1);
+  });
+
+  test('difficulty is inverted and unknown difficulty is average', () => {
+    expect(difficultyScore(0)).toBe(1);
+    expect(difficultyScore(75)).toBe(0.25);
+    expect(difficultyScore(null)).toBe(0.5);
+  });
+
+  test('striking distance positions score highest', () => {
+    expect(positionScore(4)).toBe(1);
+    expect(positionScore(20)).toBe(1);
+    expect(positionScore(1)).toBe(0);
+    expect(positionScore(3)).toBeLessThan(positionScore(35));
+    expect(positionScore(35)).toBeGreaterThan(positionScore(80));
+    expect(positionScore(null)).toBeGreaterThan(0);
+  });
+
+  test('CPC is linear up to the ceiling', () => {
+    expect(cpcScore(5)).toBe(0.25);
+    expect(cpcScore(50)).toBe(1);
+    expect(cpcScore(null)).toBe(0);
+  });
+});
+
+describe('opportunityWeights', () => {
+  test('merges overrides over the defaults', () => {
+    expect(opportunityWeights({ cpc: 0.5, page: 0 })).toEqual({
+      ...DEFAULT_OPPORTUNITY_WEIGHTS,
+      cpc: 0.5,
+      page: 0
+    });
+    expect(opportunityWeights()).toEqual(DEFAULT_OPPORTUNITY_WEIGHTS);
+  });
+
+  test('rejects unknown factors, negative weights and all-zero weights', () => {
+    expect(() => opportunityWeights({ backlinks: 1 })).toThrow('Unknown opportunity factor: backlinks');
+    expect(() => opportunityWeights({ cpc: -1 })).toThrow(ValidationError);
+    expect(() => opportunityWeights({ cpc: '0.5' })).toThrow(ValidationError);
+    expect(() => opportunityWeights([])).toThrow('opportunity_weights must be an object');
+    expect(() => opportunityWeights({ volume: 0, difficulty: 0, position: 0, cpc: 0, page: 0 }))
+      .toThrow('At least one opportunity weight must be above zero');
+  });
+});
+
+describe('scoreOpportunity', () => {
+  const weights = opportunityWeights();
+
+  test('ranks a mapped striking-distance keyword above one already at the top', () => {
+    const striking = scoreOpportunity(
+      { search_volume: 1000, difficulty: 30, cpc: 8, page_id: 'p1', position: 6 }, weights
+    );
+    const top = scoreOpportunity(
+      { search_volume: 1000, difficulty: 30, cpc: 8, page_id: 'p1', position: 1 }, weights
+    );
+
+    expect(striking.opportunity_score).toBeGreaterThan(top.opportunity_score);
+    expect(striking.factors).toMatchObject({ position: 1, page: 1, cpc: 0.4, difficulty: 0.7 });
+  });
+
+  test('scores 0-100 and follows the weights', () => {
+    const keyword = { search_volume: 100000, difficulty: 0, cpc: 0, page_id: null, position: 10 };
+
+    expect(scoreOpportunity(keyword, opportunityWeights({ cpc: 0, page: 0 })).opportunity_score).toBe(100);
+    expect(scoreOpportunity(keyword, opportunityWeights({ volume: 0, difficulty: 0, position: 0 })).opportunity_score)
+      .toBe(0);
+  });
+});
+
+describe('sortOpportunities', () => {
+  const rows = [
+    { keyword: 'sipp', opportunity_score: 40, position: 12 },
+    { keyword: 'qrops', opportunity_score: 70, position: null },
+    { keyword: 'isa', opportunity_score: 55, position: 3 },
+    { keyword: 'annuity', opportunity_score: 40, position: 12 }
+  ];
+
+  test('sorts by score by default with ties alphabetical', () => {
+    expect(sortOpportunities(rows).map(r => r.keyword)).toEqual(['qrops', 'isa', 'annuity', 'sipp']);
+  });
+
+  test('sorts other columns with missing values last', () => {
+    expect(sortOpportunities(rows, 'position', 'asc').map(r => r.keyword))
+      .toEqual(['isa', 'annuity', 'sipp', 'qrops']);
+    expect(sortOpportunities(rows, 'position', 'desc').map(r => r.keyword))
+      .toEqual(['annuity', 'sipp', 'isa', 'qrops']);
+  });
+});
+
+describe('summarizeByCluster', () => {
+  test('counts and averages scores per cluster', () => {
+    expect(summarizeByCluster([
+      { cluster: 'Pensions', opportunity_score: 60 },
+      { cluster: 'Pensions', opportunity_score: 45 },
+      { cluster: null, opportunity_score: 20 }
+    ])).toEqual({
+      Pensions: { keywords: 2, average_score: 52.5, top_score: 60 },
+      unclustered: { keywords: 1, average_score: 20, top_score: 20 }
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  keywordOutcome,
+  metricsOutcomes,
+  failedOutcomes,
+  summarizeOutcomes,
+  staleJobCutoff
+} from '../../lib/outcomes.js';
+
+const pension = { id: 'k1', keyword_text: 'Pension Advice', country: 'UK', project_id: 'p1' };
+const sipp = { id: 'k2', keyword_text: 'sipp', country: 'UK', project_id: 'p1' };
+const qrops = { id: 'k3', keyword_text: 'qrops', country: 'UAE', project_id: 'p1' };
+
+describe('keywordOutcome', () => {
+  test('copies keyword and target fields', () => {
+    const target = { ...sipp, target_id: 't1', location: 'london', device: 'mobile' };
+
+    expect(keywordOutcome(target, { status: 'succeeded', rows_written: 12 })).toEqual({
+      keyword_id: 'k2',
+      target_id: 't1',
+      project_id: 'p1',
+      keyword_text: 'sipp',
+      country: 'UK',
+      location: 'london',
+      device: 'mobile',
+      error: null,
+      rows_written: 12,
+      status: 'succeeded'
+    });
+  });
+});
+
+describe('metricsOutcomes', () => {
+  test('matches results case-insensitively per country and explains failures', () => {
+    const outcomes = metricsOutcomes(
+      [pension, sipp, qrops],
+      [
+        { keyword: 'pension advice', keyword_id: 'k1', country: 'UK', search_volume: 880 },
+        { keyword: 'sipp', keyword_id: 'k2', country: 'UK', error: 'Failed to save metrics: timeout' }
+      ],
+      [{ country: 'UAE', error: 'DataForSEO API error: 40501: Invalid Field' }]
+    );
+
+    expect(outcomes.map(o => [o.keyword_id, o.status, o.error, o.rows_written])).toEqual([
+      ['k1', 'succeeded', null, 1],
+      ['k2', 'failed', 'Failed to save metrics: timeout', 0],
+      ['k3', 'failed', 'DataForSEO API error: 40501: Invalid Field', 0]
+    ]);
+  });
+
+  test('keeps keywords with the same text in different projects apart', () => {
+    const otherSipp = { ...sipp, id: 'k4', project_id: 'p2' };
+    const outcomes = metricsOutcomes(
+      [sipp, otherSipp],
+      [
+        { keyword: 'sipp', keyword_id: 'k2', country: 'UK' },
+        { keyword: 'sipp', keyword_id: 'k4', country: 'UK', error: 'Failed to save metrics: timeout' }
+      ],
+      []
+    );
+
+    expect(outcomes.map(o => [o.keyword_id, o.status])).toEqual([['k2', 'succeeded'], ['k4', 'failed']]);
+  });
+
+  test('fails keywords DataForSEO did not return', () => {
+    const [outcome] = metricsOutcomes([sipp], [], []);
+    expect(outcome).toMatchObject({ status: 'failed', error: 'No metrics returned by DataForSEO' });
+  });
+
+  test('writes no rows for keywords not in the database', () => {
+    const [outcome] = metricsOutcomes(
+      [{ id: null, keyword_text: 'sipp', country: 'UK' }],
+      [{ keyword: 'sipp', keyword_id: null, country: 'UK' }],
+      []
+    );
+    expect(outcome).toMatchObject({ keyword_id: null, status: 'succeeded', rows_written: 0 });
+  });
+});
+
+describe('summarizeOutcomes', () => {
+  test('reports completed, partial and failed runs', () => {
+    const ok = keywordOutcome(pension, { status: 'succeeded', rows_written: 3 });
+    const [failed] = failedOutcomes([sipp], 'timeout');
+
+    expect(summarizeOutcomes([ok, ok])).toEqual({
+      requested: 2, succeeded: 2, failed: 0, rows_written: 6, status: 'completed'
+    });
+    expect(summarizeOutcomes([ok, failed])).toMatchObject({ failed: 1, status: 'partial' });
+    expect(summarizeOutcomes([failed])).toMatchObject({ succeeded: 0, status: 'failed' });
+  });
+});
+
+describe('staleJobCutoff', () => {
+  test('is a minute before now, past the 30s maxDuration', () => {
+    expect(staleJobCutoff(new Date('2026-03-01T09:00:30Z'))).toBe('2026-03-01T08:59:30.000Z');
+  });
+});
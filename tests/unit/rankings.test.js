@@ -0,0 +1,58 @@
+import { summarizeRankingHistory } from '../../lib/rankings.js';
+
+describe('summarizeRankingHistory', () => {
+  test('returns empty summary when there is no history', () => {
+    const summary = summarizeRankingHistory([]);
+    expect(summary.current_position).toBeNull();
+    expect(summary.delta).toBeNull();
+    expect(summary.entered_top_10).toBe(false);
+    expect(summary.history).toEqual([]);
+  });
+
+  test('computes delta, best and worst from unordered history', () => {
+    const summary = summarizeRankingHistory([
+      { fetched_at: '2024-01-15T00:00:00Z', position: 8, url: '/a' },
+      { fetched_at: '2024-01-01T00:00:00Z', position: 25, url: '/a' },
+      { fetched_at: '2024-01-08T00:00:00Z', position: 14, url: '/a' }
+    ]);
+
+    expect(summary.current_position).toBe(8);
+    expect(summary.previous_position).toBe(14);
+    expect(summary.delta).toBe(6);
+    expect(summary.best_position).toBe(8);
+    expect(summary.worst_position).toBe(25);
+    expect(summary.entered_top_10).toBe(true);
+    expect(summary.history[0].position).toBe(25);
+  });
+
+  test('flags dropping out of top 100 when no longer ranking', () => {
+    const summary = summarizeRankingHistory([
+      { fetched_at: '2024-01-01T00:00:00Z', position: 5, url: '/a' },
+      { fetched_at: '2024-01-08T00:00:00Z', position: null, url: null }
+    ]);
+
+    expect(summary.current_position).toBeNull();
+    expect(summary.dropped_out_top_10).toBe(true);
+    expect(summary.dropped_out_top_100).toBe(true);
+    expect(summary.delta).toBeNull();
+  });
+
+  test('flags entering top 100 from not ranking', () => {
+    const summary = summarizeRankingHistory([
+      { fetched_at: '2024-01-01T00:00:00Z', position: null, url: null },
+      { fetched_at: '2024-01-08T00:00:00Z', position: 60, url: '/a' }
+    ]);
+
+    expect(summary.entered_top_100).toBe(true);
+    expect(summary.entered_top_10).toBe(false);
+  });
+
+  test('does not flag movement with a single fetch', () => {
+    const summary = summarizeRankingHistory([
+      { fetched_at: '2024-01-01T00:00:00Z', position: 3, url: '/a' }
+    ]);
+
+    expect(summary.entered_top_10).toBe(false);
+    expect(summary.entered_top_100).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+import { isQuestion, questionFilter, mergeResearchResults } from '../../lib/research.js';
+
+const item = (keyword, search_volume, extra = {}) => ({
+  keyword,
+  search_volume,
+  difficulty: 30,
+  cpc: 2.5,
+  competition: 0.4,
+  ...extra
+});
+
+describe('isQuestion', () => {
+  test('detects question phrasing', () => {
+    expect(isQuestion('How does a QROPS work')).toBe(true);
+    expect(isQuestion('can i transfer my pension abroad')).toBe(true);
+    expect(isQuestion('qrops how to')).toBe(false);
+    expect(isQuestion('whatever pension')).toBe(false);
+  });
+
+  test('builds a Labs regex filter on keyword', () => {
+    const [field, operator, pattern] = questionFilter();
+    expect([field, operator]).toEqual(['keyword', 'regex']);
+    expect(new RegExp(pattern).test('why qrops ')).toBe(true);
+  });
+});
+
+describe('mergeResearchResults', () => {
+  test('dedupes across sources and sorts by volume', () => {
+    const { keywords } = mergeResearchResults({
+      related: [item('QROPS transfer', 300), item('sipp', 900)],
+      suggestions: [item('qrops transfer', 300)],
+      questions: [item('what is qrops', 500)]
+    }, new Set());
+
+    expect(keywords.map(k => k.keyword)).toEqual(['sipp', 'what is qrops', 'qrops transfer']);
+    expect(keywords[2].sources).toEqual(['related', 'suggestions']);
+    expect(keywords[1].is_question).toBe(true);
+  });
+
+  test('sorts keywords without a volume last', () => {
+    const { keywords } = mergeResearchResults({
+      related: [item('qrops fees', null), item('qrops', 50)]
+    }, new Set());
+
+    expect(keywords.map(k => [k.keyword, k.search_volume])).toEqual([['qrops', 50], ['qrops fees', null]]);
+    expect(mergeResearchResults({ related: [item('qrops fees', null)] }, new Set(), { minVolume: 10 }).keywords)
+      .toEqual([]);
+  });
+
+  test('leaves out tracked keywords unless asked', () => {
+    const results = { related: [item('qrops', 1000), item('qrops uk', 200)] };
+    const tracked = new Set(['qrops']);
+
+    const filtered = mergeResearchResults(results, tracked);
+    expect(filtered.keywords.map(k => k.keyword)).toEqual(['qrops uk']);
+    expect(filtered.tracked_count).toBe(1);
+
+    const all = mergeResearchResults(results, tracked, { includeTracked: true });
+    expect(all.keywords.find(k => k.keyword === 'qrops').tracked).toBe(true);
+  });
+
+  test('drops keywords below the minimum volume', () => {
+    const { keywords } = mergeResearchResults({
+      suggestions: [item('qrops', 100), item('qrops jersey', 10)]
+    }, new Set(), { minVolume: 50 });
+
+    expect(keywords.map(k => k.keyword)).toEqual(['qrops']);
+  });
+});
@@ -0,0 +1,109 @@
+import { diffSnapshots } from '../../lib/snapshots.js';
+
+const lastWeek = {
+  owned_position: 4,
+  rankings: [
+    { position: 1, url: 'https://www.gov.uk/pensions', domain: 'gov.uk' },
+    { position: 2, url: 'https://www.which.co.uk/sipp', domain: 'which.co.uk' },
+    { position: 4, url: 'https://hoxtoncapital.com/sipp', domain: 'hoxtoncapital.com' },
+    { position: 5, url: 'https://www.moneyhelper.org.uk/sipp', domain: 'moneyhelper.org.uk' }
+  ],
+  features: [{ feature_type: 'people_also_ask' }, { feature_type: 'featured_snippet' }]
+};
+
+const thisWeek = {
+  owned_position: 2,
+  rankings: [
+    { position: 1, url: 'https://www.gov.uk/pensions', domain: 'gov.uk' },
+    { position: 2, url: 'https://hoxtoncapital.com/sipp', domain: 'hoxtoncapital.com' },
+    { position: 3, url: 'https://www.ft.com/sipp', domain: 'ft.com' },
+    { position: 7, url: 'https://www.which.co.uk/sipp', domain: 'which.co.uk' },
+    { position: 9, url: 'https://www.which.co.uk/sipp', domain: 'which.co.uk' }
+  ],
+  features: [{ feature_type: 'people_also_ask' }, { feature_type: 'ai_overview' }]
+};
+
+describe('diffSnapshots', () => {
+  test('lists URLs that entered, left and moved', () => {
+    const diff = diffSnapshots(lastWeek, thisWeek);
+
+    expect(diff.entered).toEqual([
+      { url: 'https://www.ft.com/sipp', domain: 'ft.com', position: 3 }
+    ]);
+    expect(diff.left).toEqual([
+      { url: 'https://www.moneyhelper.org.uk/sipp', domain: 'moneyhelper.org.uk', previous_position: 5 }
+    ]);
+    expect(diff.moved).toEqual([
+      { url: 'https://www.which.co.uk/sipp', domain: 'which.co.uk', previous_position: 2, position: 7, change: -5 },
+      { url: 'https://hoxtoncapital.com/sipp', domain: 'hoxtoncapital.com', previous_position: 4, position: 2, change: 2 }
+    ]);
+    expect(diff.unchanged).toBe(1);
+  });
+
+  test('compares the owned position and SERP features', () => {
+    const diff = diffSnapshots(lastWeek, thisWeek);
+
+    expect(diff.owned).toEqual({ previous_position: 4, position: 2, change: 2 });
+    expect(diff.features).toEqual({ entered: ['ai_overview'], left: ['featured_snippet'] });
+  });
+
+  test('handles empty snapshots and an owned domain that stopped ranking', () => {
+    const diff = diffSnapshots(lastWeek, { owned_position: null, rankings: [], features: [] });
+
+    expect(diff.entered).toEqual([]);
+    expect(diff.left).toHaveLength(4);
+    expect(diff.owned).toEqual({ previous_position: 4, position: null, change: null });
+    expect(diff.features.left).toEqual(['featured_snippet', 'people_also_ask']);
+  });
+});
+
+describe('diffSnapshots URL matching', () => {
+  test('matches URLs that differ only in protocol, www or trailing slash', () => {
+    const diff = diffSnapshots(
+      { rankings: [{ position: 3, url: 'http://www.which.co.uk/sipp/', domain: 'which.co.uk' }] },
+      { rankings: [{ position: 5, url: 'https://which.co.uk/sipp', domain: 'which.co.uk' }] }
+    );
+
+    expect(diff.entered).toEqual([]);
+    expect(diff.left).toEqual([]);
+    expect(diff.moved).toEqual([{
+      url: 'https://which.co.uk/sipp',
+      domain: 'which.co.uk',
+      previous_position: 3,
+      position: 5,
+      change: -2
+    }]);
+  });
+
+  test('keeps the same path on different hosts apart', () => {
+    const diff = diffSnapshots(
+      { rankings: [{ position: 1, url: 'https://www.gov.uk/sipp', domain: 'gov.uk' }] },
+      { rankings: [{ position: 1, url: 'https://www.ft.com/sipp', domain: 'ft.com' }] }
+    );
+
+    expect(diff.entered).toHaveLength(1);
+    expect(diff.left).toHaveLength(1);
+  });
+
+  test('keeps URLs that differ only in their query string apart', () => {
+    const diff = diffSnapshots(
+      { rankings: [{ position: 2, url: 'https://example.com/product?id=1', domain: 'example.com' }] },
+      {
+        rankings: [
+          { position: 2, url: 'https://example.com/product?id=2', domain: 'example.com' },
+          { position: 4, url: 'https://example.com/product?id=1#reviews', domain: 'example.com' }
+        ]
+      }
+    );
+
+    expect(diff.entered).toEqual([{ url: 'https://example.com/product?id=2', domain: 'example.com', position: 2 }]);
+    expect(diff.left).toEqual([]);
+    expect(diff.moved).toEqual([{
+      url: 'https://example.com/product?id=1#reviews',
+      domain: 'example.com',
+      previous_position: 2,
+      position: 4,
+      change: -2
+    }]);
+  });
+});
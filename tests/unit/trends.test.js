@@ -0,0 +1,103 @@
+import {
+  monthlySearchRows,
+  toSeries,
+  aggregateSeries,
+  seasonality,
+  summarizeTrend
+} from '../../lib/trends.js';
+
+// Two years to Dec 2025 of a pension term that peaks before the UK tax year end (5 April)
+const BASE = [1000, 1600, 2000, 1300, 900, 800, 800, 800, 900, 1000, 1000, 900];
+
+function buildSeries(growth = 1) {
+  return [2024, 2025].flatMap((year, y) => BASE.map((volume, m) => ({
+    month: `${year}-${String(m + 1).padStart(2, '0')}`,
+    search_volume: Math.round(volume * (y === 1 ? growth : 1))
+  })));
+}
+
+describe('monthlySearchRows', () => {
+  test('maps DataForSEO monthly_searches and skips months without a volume', () => {
+    expect(monthlySearchRows('k1', [
+      { year: 2025, month: 3, search_volume: 2000 },
+      { year: 2025, month: 2, search_volume: null },
+      { year: 2024, month: 12, search_volume: 0 }
+    ])).toEqual([
+      { keyword_id: 'k1', month: '2025-03-01', search_volume: 2000 },
+      { keyword_id: 'k1', month: '2024-12-01', search_volume: 0 }
+    ]);
+    expect(monthlySearchRows('k1', null)).toEqual([]);
+  });
+});
+
+describe('toSeries and aggregateSeries', () => {
+  test('sorts stored rows by month', () => {
+    expect(toSeries([
+      { month: '2025-03-01', search_volume: 20 },
+      { month: '2025-01-01', search_volume: 10 }
+    ])).toEqual([
+      { month: '2025-01', search_volume: 10 },
+      { month: '2025-03', search_volume: 20 }
+    ]);
+  });
+
+  test('sums series month by month', () => {
+    expect(aggregateSeries([
+      [{ month: '2025-01', search_volume: 10 }, { month: '2025-02', search_volume: 5 }],
+      [{ month: '2025-01', search_volume: 3 }, { month: '2025-02', search_volume: 7 }]
+    ])).toEqual([
+      { month: '2025-01', search_volume: 13 },
+      { month: '2025-02', search_volume: 12 }
+    ]);
+  });
+
+  test('drops months some keywords have no volume for', () => {
+    const older = buildSeries().slice(0, 14);
+    const newer = buildSeries().slice(12);
+    const combined = aggregateSeries([older, newer]);
+
+    expect(combined).toEqual([
+      { month: '2025-01', search_volume: 2000 },
+      { month: '2025-02', search_volume: 3200 }
+    ]);
+    expect(summarizeTrend(combined).yoy).toBeNull();
+  });
+});
+
+describe('seasonality', () => {
+  test('finds peak and low months', () => {
+    const result = seasonality(buildSeries());
+
+    expect(result.peak_months).toEqual(['Mar', 'Feb', 'Apr']);
+    expect(result.low_months).toEqual(['Jun', 'Jul', 'Aug']);
+    expect(result.by_month[2]).toEqual({ month: 3, name: 'Mar', index: 1.85 });
+  });
+
+  test('needs a full year', () => {
+    expect(seasonality(buildSeries().slice(0, 11))).toBeNull();
+  });
+});
+
+describe('summarizeTrend', () => {
+  test('reports year-over-year change and the recent trend', () => {
+    const summary = summarizeTrend(buildSeries(1.1));
+
+    expect(summary).toMatchObject({
+      months: 24,
+      latest_month: '2025-12',
+      latest_volume: 990,
+      yoy: { month: '2025-12', search_volume: 990, previous_search_volume: 900, change_percent: 10 },
+      trend: { direction: 'rising', change_percent: 16 }
+    });
+    expect(summary.yoy_12m.change_percent).toBe(10);
+    expect(summary.seasonality.peak_months).toContain('Mar');
+  });
+
+  test('leaves out comparisons the series is too short for', () => {
+    const summary = summarizeTrend(buildSeries().slice(12, 16));
+
+    expect(summary).toMatchObject({ months: 4, yoy: null, yoy_12m: null, trend: null, seasonality: null });
+    expect(summary.average_volume).toBe(1475);
+    expect(summarizeTrend([])).toMatchObject({ months: 0, latest_volume: null });
+  });
+});
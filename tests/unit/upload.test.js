@@ -0,0 +1,70 @@
+import { Readable } from 'stream';
+import { readImportRequest, parseImportOptions } from '../../lib/upload.js';
+import { PAGE_COLUMNS } from '../../lib/import.js';
+import { ValidationError } from '../../lib/errors.js';
+
+function streamRequest(headers, body, query = {}) {
+  const req = Readable.from([Buffer.from(body)]);
+  req.headers = headers;
+  req.query = query;
+  return req;
+}
+
+describe('parseImportOptions', () => {
+  test('parses dry_run and a JSON mapping string', () => {
+    expect(parseImportOptions({ dry_run: 'true', mapping: '{"url":"Slug"}' })).toMatchObject({
+      dryRun: true,
+      mapping: { url: 'Slug' }
+    });
+  });
+
+  test('rejects malformed mapping', () => {
+    expect(() => parseImportOptions({ mapping: '{nope' })).toThrow(ValidationError);
+  });
+});
+
+describe('readImportRequest', () => {
+  test('reads a raw CSV body', async () => {
+    const req = streamRequest(
+      { 'content-type': 'text/csv' },
+      'page_name,url,cluster\nHome,/,Core\n',
+      { dry_run: 'true' }
+    );
+
+    const { records, options } = await readImportRequest(req, 'pages', PAGE_COLUMNS);
+
+    expect(options.dryRun).toBe(true);
+    expect(records).toEqual([{ row: 2, record: { page_name: 'Home', url: '/', cluster: 'Core' } }]);
+  });
+
+  test('reads a multipart upload with option fields', async () => {
+    const boundary = 'XBOUNDARY';
+    const body = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="mapping"',
+      '',
+      '{"url":"Slug"}',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename="pages.csv"',
+      'Content-Type: text/csv',
+      '',
+      'Page Name,Slug,Cluster\nHome,/,Core',
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    const req = streamRequest({ 'content-type': `multipart/form-data; boundary=${boundary}` }, body);
+    const { records, source } = await readImportRequest(req, 'pages', PAGE_COLUMNS);
+
+    expect(source).toBe('pages.csv');
+    expect(records[0].record).toEqual({ page_name: 'Home', url: '/', cluster: 'Core' });
+  });
+
+  test('falls back to a JSON array', async () => {
+    const req = { headers: { 'content-type': 'application/json' }, query: {}, body: { pages: [{ url: '/' }] } };
+    const { records, source } = await readImportRequest(req, 'pages', PAGE_COLUMNS);
+
+    expect(source).toBe('json');
+    expect(records).toEqual([{ row: 1, record: { url: '/' } }]);
+  });
+});
@@ -1,4 +1,13 @@
-import { validateRequired, validateType, validateEnum } from '../../lib/validate.js';
+import {
+  validateRequired,
+  validateType,
+  validateEnum,
+  validateNumber,
+  validateUuid,
+  endOfDay,
+  pickUpdates,
+  normalizeDomain
+} from '../../lib/validate.js';
 import { ValidationError } from '../../lib/errors.js';
 
 describe('validateRequired', () => {
@@ -45,3 +54,52 @@ describe('validateEnum', () => {
       .toThrow(ValidationError);
   });
 });
+
+describe('validateNumber', () => {
+  test('parses query strings within range', () => {
+    expect(validateNumber('7.5', 'threshold', { min: 0 })).toBe(7.5);
+    expect(validateNumber('0', 'offset', { min: 0, integer: true })).toBe(0);
+    expect(validateNumber(20, 'limit', { min: 1, max: 50, integer: true })).toBe(20);
+  });
+
+  test('throws for non-numbers, fractions and out-of-range values', () => {
+    expect(() => validateNumber('abc', 'limit')).toThrow(ValidationError);
+    expect(() => validateNumber('', 'limit')).toThrow(ValidationError);
+    expect(() => validateNumber(['5'], 'limit')).toThrow(ValidationError);
+    expect(() => validateNumber('2.5', 'limit', { integer: true })).toThrow(ValidationError);
+    expect(() => validateNumber('-1', 'offset', { min: 0 })).toThrow('Invalid value for offset');
+  });
+});
+
+describe('validateUuid', () => {
+  test('accepts UUIDs and rejects anything that could change a filter', () => {
+    expect(() => validateUuid('6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b', 'page_id')).not.toThrow();
+    expect(() => validateUuid('1,target_page_id.is.null', 'page_id')).toThrow(ValidationError);
+    expect(() => validateUuid(['6f1c2a3b-4d5e-4f60-8a7b-9c0d1e2f3a4b'], 'page_id')).toThrow(ValidationError);
+  });
+});
+
+describe('endOfDay', () => {
+  test('extends a bare date to the end of the day', () => {
+    expect(endOfDay('2026-03-01')).toBe('2026-03-01T23:59:59.999Z');
+    expect(endOfDay('2026-03-01T09:00:00Z')).toBe('2026-03-01T09:00:00.000Z');
+  });
+});
+
+describe('pickUpdates', () => {
+  test('keeps only allowed fields, including explicit nulls', () => {
+    const body = { cluster: null, page_id: 'p1', id: 'nope' };
+    expect(pickUpdates(body, ['cluster', 'page_id'])).toEqual({ cluster: null, page_id: 'p1' });
+  });
+
+  test('throws when nothing to update', () => {
+    expect(() => pickUpdates({ id: 'nope' }, ['cluster'])).toThrow(ValidationError);
+    expect(() => pickUpdates(undefined, ['cluster'])).toThrow(ValidationError);
+  });
+});
+
+describe('normalizeDomain', () => {
+  test('strips protocol and trailing slash', () => {
+    expect(normalizeDomain(' https://MoneySupermarket.com/ ')).toBe('moneysupermarket.com');
+  });
+});
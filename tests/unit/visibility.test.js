@@ -0,0 +1,74 @@
+import { ctrForPosition, computeVisibility } from '../../lib/visibility.js';
+
+describe('ctrForPosition', () => {
+  test('uses the curve for page one', () => {
+    expect(ctrForPosition(1)).toBe(0.28);
+    expect(ctrForPosition(10)).toBe(0.02);
+  });
+
+  test('uses a flat rate for page two and zero beyond', () => {
+    expect(ctrForPosition(15)).toBe(0.01);
+    expect(ctrForPosition(21)).toBe(0);
+    expect(ctrForPosition(null)).toBe(0);
+  });
+});
+
+describe('computeVisibility', () => {
+  const keywords = [
+    { id: 'k1', country: 'UK', cluster: 'Pensions', search_volume: 1000 },
+    { id: 'k2', country: 'UK', cluster: 'Pensions', search_volume: 500 }
+  ];
+
+  test('uses only the latest fetch of each month', () => {
+    const fetches = [
+      { keyword_id: 'k1', snapshot_id: 's1', fetched_at: '2024-01-01T00:00:00Z' },
+      { keyword_id: 'k1', snapshot_id: 's2', fetched_at: '2024-01-20T00:00:00Z' }
+    ];
+    const positions = [
+      { keyword_id: 'k1', snapshot_id: 's1', entity_id: 'hoxton', position: 1 },
+      { keyword_id: 'k1', snapshot_id: 's2', entity_id: 'hoxton', position: 2 }
+    ];
+
+    const { summary } = computeVisibility(keywords, fetches, positions, ['hoxton']);
+    expect(summary).toHaveLength(1);
+    expect(summary[0].estimated_traffic).toBe(150);
+    expect(summary[0].search_volume).toBe(1000);
+  });
+
+  test('computes share of voice across entities and includes entities without rankings', () => {
+    const fetches = [
+      { keyword_id: 'k1', snapshot_id: 's1', fetched_at: '2024-02-01T00:00:00Z' },
+      { keyword_id: 'k2', snapshot_id: 's2', fetched_at: '2024-02-01T00:00:00Z' }
+    ];
+    const positions = [
+      { keyword_id: 'k1', snapshot_id: 's1', entity_id: 'hoxton', position: 1 },
+      { keyword_id: 'k2', snapshot_id: 's2', entity_id: 'c1', position: 1 }
+    ];
+
+    const { summary, breakdown } = computeVisibility(keywords, fetches, positions, ['hoxton', 'c1', 'c2']);
+    const byEntity = Object.fromEntries(summary.map(s => [s.entity_id, s]));
+
+    expect(byEntity.hoxton.estimated_traffic).toBe(280);
+    expect(byEntity.c1.estimated_traffic).toBe(140);
+    expect(byEntity.hoxton.share_of_voice).toBe(0.6667);
+    expect(byEntity.c2.estimated_traffic).toBe(0);
+    expect(breakdown.every(b => b.cluster === 'Pensions')).toBe(true);
+  });
+
+  test('reads competitor positions from the latest snapshot only', () => {
+    const fetches = [
+      { keyword_id: 'k1', snapshot_id: 's1', fetched_at: '2024-03-10T00:00:00Z' },
+      { keyword_id: 'k1', snapshot_id: 's2', fetched_at: '2024-03-10T00:20:00Z' }
+    ];
+    const positions = [
+      { keyword_id: 'k1', snapshot_id: 's1', entity_id: 'c1', position: 1 },
+      { keyword_id: 'k1', snapshot_id: 's2', entity_id: 'c2', position: 2 }
+    ];
+
+    const { summary } = computeVisibility(keywords, fetches, positions, ['c1', 'c2']);
+    const byEntity = Object.fromEntries(summary.map(s => [s.entity_id, s]));
+
+    expect(byEntity.c1).toMatchObject({ estimated_traffic: 0, keywords_ranked: 0 });
+    expect(byEntity.c2).toMatchObject({ estimated_traffic: 150, share_of_voice: 1 });
+  });
+});